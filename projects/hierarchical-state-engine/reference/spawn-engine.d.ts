@@ -29,9 +29,13 @@ export interface EngineConfig {
     maxSpawns?: number | null;
     maxHistory?: number;
     maxEntities?: number | null;
+    /** Seed for the master random stream (random if omitted) */
+    seed?: number | string | null;
+    /** Seconds between rate re-evaluations when rates depend on other variables (default 1) */
+    integrationStep?: number;
 }
 
-export type NodeType = 'attribute' | 'variable' | 'context' | 'layer' | 'trait' | 'item' | 'modifier' | 'compound' | 'derived';
+export type NodeType = 'attribute' | 'variable' | 'context' | 'layer' | 'trait' | 'item' | 'modifier' | 'compound' | 'derived' | 'action' | 'ticksystem';
 
 export interface NodeDefinition {
     id: string;
@@ -39,6 +43,10 @@ export interface NodeDefinition {
     description?: string;
     type: NodeType;
     config: NodeConfig;
+    /** Config pack that added this node (absent for base nodes) */
+    pack?: string;
+    /** Config packs that patched this node, in order */
+    patchedBy?: string[];
 }
 
 export interface NodeConfig {
@@ -47,12 +55,25 @@ export interface NodeConfig {
     max?: number;
     defaultRange?: [number, number];
     precision?: number;
+    /** Shape of the spawn roll over the base range (default uniform); dice notation like '3d6' also works */
+    distribution?: AttributeDistribution | DistributionType | string;
+    /** Correlation coefficients (-1..1) with other attributes, e.g. { attr_sociability: 0.4 } */
+    correlations?: Record<string, number>;
 
     // Variable config
     initial?: number;
     baseRate?: number;
     changeMode?: 'manual' | 'timed';
     direction?: 'none' | 'accumulate' | 'deplete';
+    /** How a timed variable moves (default linear) */
+    dynamics?: VariableDynamics | VariableDynamics['type'];
+    /** Replaces the rate each step; may use `rate`, `value` and attribute/variable/context IDs */
+    rateFormula?: string;
+    /** Variable/action/modifier: count rate, cooldown or `ticks` duration in this tick system's ticks */
+    tickSystemId?: string;
+
+    // Tick system config
+    tickUnit?: TickUnit;
 
     // Layer config
     order?: number;
@@ -67,10 +88,11 @@ export interface NodeConfig {
     eligibility?: Condition[];
 
     // Modifier config
-    durationType?: 'permanent' | 'timed' | 'triggered';
+    durationType?: 'permanent' | 'timed' | 'triggered' | 'ticks';
     duration?: number;
     stacking?: 'ignore' | 'refresh' | 'stack';
     maxStacks?: number;
+    tickBindings?: TickBinding[];
 
     // Compound config
     requires?: CompoundRequirement[];
@@ -80,6 +102,27 @@ export interface NodeConfig {
     formula?: string;
 }
 
+export interface TickUnit {
+    /** 'manual' advances via advanceTickSystem; 'timed' also advances every `value` ms during tickAll */
+    type?: 'manual' | 'timed';
+    value?: number;
+    label?: string;
+}
+
+export interface TickBinding {
+    tickSystemId: string;
+    duration: number;
+    /** What happens when the system is stopped (default 'pause') */
+    fallbackBehavior?: 'pause' | 'expire' | 'continue';
+}
+
+export interface TickSystemState {
+    id: string;
+    tick: number;
+    running: boolean;
+    lastAdvanced: number;
+}
+
 export interface LayerSelection {
     mode?: 'weighted' | 'threshold' | 'pickN' | 'allMatching' | 'firstMatch';
     maxItems?: number;
@@ -134,18 +177,85 @@ export interface RelationshipDefinition {
 export interface RelationshipConfig {
     operation?: 'add' | 'multiply' | 'set';
     value?: number;
-    scaling?: 'flat' | 'perPoint';
+    scaling?: 'flat' | 'perPoint' | 'curve';
     perPointSource?: string;
+    /** Mirror the source value (perPoint: max - value; curve: across its range) */
+    invert?: boolean;
+    /** Required for scaling 'curve' */
+    curve?: ScalingCurve | CurveType;
+    /** Node the curve reads (default: perPointSource, then sourceId) */
+    curveSource?: string;
     applyAt?: 'spawn' | 'always';
 }
 
+export type CurveType = 'linear' | 'exponential' | 'logarithmic' | 'sigmoid' | 'ease' | 'step' | 'piecewise';
+
+export interface ScalingCurve {
+    type: CurveType;
+    /** exponential (default 3) / logarithmic (default 9) */
+    k?: number;
+    /** sigmoid */
+    midpoint?: number;
+    steepness?: number;
+    /** ease */
+    ease?: 'in' | 'out' | 'inOut';
+    power?: number;
+    /** step / piecewise, in the source's own units */
+    points?: Array<[number, number] | { x: number; y: number }>;
+    /** Override the source's range used for normalization */
+    min?: number;
+    max?: number;
+}
+
+export type VariableDynamics =
+    | { type: 'linear' }
+    /** Relax toward target (number or node ID; default initial) with halfLife seconds (default 60) or rate k */
+    | { type: 'decay'; target?: number | string; halfLife?: number; rate?: number }
+    /** S-curve toward capacity (number or node ID; default max), growth rate = the variable's rate */
+    | { type: 'logistic'; capacity?: number | string };
+
+export interface ThresholdCrossing {
+    entityId: string;
+    varId: string;
+    threshold: number;
+    direction: 'up' | 'down';
+    /** Seconds (or ticks) into the step where the crossing happened */
+    offset: number;
+}
+
+export type DistributionType = 'uniform' | 'normal' | 'triangular' | 'beta' | 'buckets' | 'dice';
+
+export interface AttributeDistribution {
+    type: DistributionType;
+    /** normal (defaults: middle of the range, range / 6); clamped to the range */
+    mean?: number;
+    stdDev?: number;
+    /** triangular (default: middle of the range) */
+    mode?: number;
+    /** beta (defaults 2, 2), stretched over the range */
+    alpha?: number;
+    beta?: number;
+    /** buckets: picked by weight, then uniform within the bucket */
+    buckets?: Array<{ min: number; max: number; weight?: number } | { value: number; weight?: number }>;
+    /** dice notation, e.g. '3d6' or '2d8+1' */
+    dice?: string;
+}
+
+/** Preset attribute value: fixed, ranged, base +/- variance, or a distribution */
+export type PresetAttributeValue =
+    | number
+    | string
+    | { min: number; max: number }
+    | { base: number; variance?: number }
+    | { distribution: AttributeDistribution | DistributionType | string; min?: number; max?: number };
+
 export interface PresetDefinition {
     id: string;
     name?: string;
     description?: string;
     group?: string;
     tags?: string[];
-    attributes?: Record<string, number>;
+    attributes?: Record<string, PresetAttributeValue>;
     contexts?: Record<string, any>;
     forceTraits?: string[];
 }
@@ -187,6 +297,7 @@ export interface VariableState {
     max: number;
     changeMode: 'manual' | 'timed';
     direction: 'none' | 'accumulate' | 'deplete';
+    tickSystemId?: string;
 }
 
 export interface LayerState {
@@ -199,11 +310,20 @@ export interface ModifierState {
     expiresAt: number | null;
     stacks: number;
     config: NodeConfig;
+    /** Ticks left per bound tick system */
+    tickSystems?: Record<string, number>;
 }
 
 export interface EntityInternals {
     log: LogEntry[];
     lastTick: number;
+    /** The entity's own random stream; `seed` reproduces the entity via generate({ seed }) */
+    rng?: RandomState;
+}
+
+export interface RandomState {
+    seed: number;
+    cursor: number;
 }
 
 export interface LogEntry {
@@ -215,7 +335,27 @@ export interface LogEntry {
 
 export interface EntitySnapshot {
     timestamp: number;
-    state: Entity;
+    /**
+     * Every entity field but `id`; `_internal` without `log`, `changes` and
+     * `lod`. Frozen, and shares unchanged parts with the previous snapshot.
+     */
+    state: Readonly<Omit<Entity, 'id'>>;
+}
+
+/** Mutation methods with the entity bound, passed to a transaction callback. */
+export interface EntityTransaction {
+    entity: Entity;
+    modifyVariable(varId: string, delta: number): boolean;
+    setVariable(varId: string, value: number): boolean;
+    applyModifier(modifierId: string, config?: Record<string, any>): boolean;
+    removeModifier(modifierId: string): boolean;
+    activateTrait(traitId: string): boolean;
+    deactivateTrait(traitId: string): boolean;
+    tick(deltaSeconds?: number | null): Entity | null;
+    /** SpawnEngine transactions only */
+    executeAction?(actionId: string): any;
+    /** SpawnEngine transactions only */
+    rollLayer?(layerId: string): SelectionResult;
 }
 
 export interface EntityState {
@@ -237,8 +377,209 @@ export interface SelectionResult {
     selected?: string[];
     error?: string;
     pool?: WeightedItem[];
+    /** One entry per weighted draw */
+    rolls?: RollDraw[];
+    /** Present while explainSelection is on */
+    explanation?: SelectionExplanation;
+}
+
+export interface RollDraw {
+    /** Raw random number in [0, 1) */
+    draw: number;
+    /** draw * totalWeight */
+    value: number;
+    totalWeight: number;
+}
+
+export interface WeightContribution {
+    source: 'weightModifier' | 'relationship' | 'weightFloor';
+    /** Index into the trait's weightModifiers */
+    index?: number;
+    condition?: Condition;
+    relationshipId?: string | null;
+    sourceId?: string;
+    operation?: string;
+    value: number;
+    delta: number;
+    /** Weight after this step */
+    weight: number;
+}
+
+export interface CandidateExplanation {
+    traitId: string;
+    name: string;
+    status: 'candidate' | 'active' | 'threshold' | 'ineligible' | 'incompatible' | 'zeroWeight';
+    selected: boolean;
+    baseWeight?: number;
+    contributions?: WeightContribution[];
+    weight?: number;
+    probability: number;
+    failedConditions?: Condition[];
+    incompatibleWith?: string[];
+}
+
+export interface SelectionExplanation {
+    layerId: string;
+    mode: string;
+    timestamp: number;
+    selected: string[];
+    rolls: RollDraw[];
+    error: string | null;
+    candidates: CandidateExplanation[];
+}
+
+export interface TraitExplanation extends SelectionExplanation {
+    /** The explained trait's candidate entry */
+    trait: CandidateExplanation;
+}
+
+export interface LayerDistributionOptions {
+    /** Number of rolls (default: the layer's initialRolls) */
+    rolls?: number;
+    /** Roll on top of the entity's current traits in the layer */
+    keepActive?: boolean;
+    /** Give up past this many intermediate states (default 100000) */
+    maxStates?: number;
+}
+
+export interface LayerDistribution {
+    layerId: string;
+    mode: string;
+    rolls: number;
+    /** Chance each trait in the layer is active after the rolls */
+    traits: Record<string, number>;
+    /** Every reachable final set of layer traits, most likely first */
+    combinations: Array<{ traits: string[]; probability: number }>;
+    expectedCount: number;
+}
+
+export interface PopulationOptions {
+    preset?: string | string[];
+    /** Entities per group (default 1000) */
+    count?: number;
+    seed?: number | string;
+    /** 'preset', 'taxonomy.<level>' or 'spawnContext' */
+    groupBy?: string;
+    /** Labeled context values for groupBy 'spawnContext' */
+    spawnContexts?: Record<string, Record<string, any>>;
+    /** 0.8, 0.9, 0.95 (default) or 0.99 */
+    confidence?: number;
+    /** Histogram bins (default 10) */
+    bins?: number;
+}
+
+export interface FrequencyStat {
+    count: number;
+    frequency: number;
+    /** Wilson score interval */
+    ci: [number, number];
+}
+
+export interface HistogramBin {
+    from: number;
+    to: number;
+    count: number;
+    frequency: number;
+}
+
+export interface ValueDistribution {
+    mean: number;
+    stdDev: number;
+    min: number;
+    max: number;
+    /** Confidence interval for the mean */
+    ci: [number, number];
+    histogram: HistogramBin[];
 }
 
+export interface PopulationSummary {
+    count: number;
+    attributes: Record<string, ValueDistribution>;
+    derived: Record<string, ValueDistribution>;
+    traits: Record<string, FrequencyStat>;
+    compounds: Record<string, FrequencyStat>;
+    cooccurrence: {
+        traits: string[];
+        /** counts[i][j]: entities with both traits[i] and traits[j] (diagonal: traits[i] alone) */
+        counts: number[][];
+        frequencies: number[][];
+    };
+}
+
+export interface PopulationReport extends PopulationSummary {
+    seed: number;
+    groupBy?: string;
+    groups?: Record<string, PopulationSummary>;
+}
+
+/** A trigger condition with its live value; groups nest their own conditions */
+export interface ConditionExplanation {
+    type?: 'group';
+    target?: string | null;
+    operator?: string | null;
+    value?: any;
+    actual?: number | boolean | null;
+    pass: boolean;
+    /** How this entry joins the previous one (null for the first) */
+    connector?: 'AND' | 'OR' | null;
+    conditions?: ConditionExplanation[];
+}
+
+/** An evaluateCondition-style condition (all / any / not / typed leaf) with live values */
+export interface EligibilityExplanation {
+    all?: EligibilityExplanation[];
+    any?: EligibilityExplanation[];
+    not?: EligibilityExplanation;
+    type?: string;
+    target?: string;
+    operator?: string;
+    value?: any;
+    actual?: any;
+    pass: boolean;
+}
+
+export interface ExclusiveGroupExplanation {
+    members: { modifierId: string; conditionsMet: boolean; active: boolean; outcome: 'won' | 'lost' }[];
+    winner: string | null;
+    reason: 'noCandidates' | 'onlyCandidate' | 'narrowestThreshold' | 'configOrder';
+    message: string;
+}
+
+export interface ModifierExplanation {
+    nodeId: string;
+    type: 'modifier';
+    active: boolean;
+    state: ModifierState | null;
+    trigger: { logic: string; pass: boolean; conditions: ConditionExplanation[] } | null;
+    isStatic: boolean;
+    removeConditions: { pass: boolean; conditions: ConditionExplanation[] } | null;
+    exclusiveGroup: ExclusiveGroupExplanation | null;
+}
+
+export interface CompoundExplanation {
+    nodeId: string;
+    type: 'compound';
+    active: boolean;
+    requirementLogic: 'all' | 'any';
+    satisfied: boolean;
+    requirements: {
+        index: number;
+        kind: 'active' | 'threshold' | 'condition';
+        nodeId?: string | null;
+        operator?: string;
+        value?: number;
+        actual?: number | boolean | null;
+        condition?: EligibilityExplanation;
+        pass: boolean;
+    }[];
+}
+
+export type StateExplanation =
+    | ModifierExplanation
+    | CompoundExplanation
+    | { nodeId: string; type: NodeType; active: boolean; selection: TraitExplanation | null }
+    | { nodeId: string; type: NodeType; active: boolean; value: number | null };
+
 export interface WeightedItem {
     id: string;
     name: string;
@@ -267,11 +608,13 @@ export interface InfluencePreview {
 
 export type EventType =
     | 'entitySpawned'
+    | 'entityDespawned'
     | 'entityStored'
     | 'entityActivated'
     | 'entityDeactivated'
     | 'entityRemoved'
     | 'variableChanged'
+    | 'thresholdCrossed'
     | 'modifierApplied'
     | 'modifierRemoved'
     | 'traitActivated'
@@ -283,12 +626,26 @@ export type EventType =
     | 'autoTickStopped'
     | 'snapshotTaken'
     | 'entityRolledBack'
+    | 'transactionCommitted'
     | 'spawnContextUpdated'
     | 'presetRegistered'
     | 'groupCreated'
     | 'addedToGroup'
     | 'entityAcquired'
-    | 'entityReleased';
+    | 'entityReleased'
+    | 'clockChanged'
+    | 'tickSystemAdvanced'
+    | 'tickSystemStarted'
+    | 'tickSystemStopped'
+    | 'fastForwarded'
+    | 'timeScaleChanged'
+    | 'schedulerStarted'
+    | 'schedulerStopped'
+    | 'lodTiersChanged'
+    | 'lodChanged'
+    | 'storageChanged'
+    | 'patchApplied'
+    | 'replicationGap';
 
 export interface EventData {
     entityId?: string;
@@ -301,6 +658,8 @@ export interface EventData {
     compoundId?: string;
     deltaSeconds?: number;
     timestamp?: number;
+    /** Simulated moment (ms) of an event fired during fastForward */
+    simulatedTime?: number;
     groupId?: string;
     fromPool?: boolean;
 }
@@ -361,6 +720,8 @@ export interface PoolRules {
     conditions: PoolCondition[];
     priority?: number;
     fallback?: string;
+    /** LOD tier for entities these rules match */
+    lodTier?: string;
 }
 
 export interface PoolCondition {
@@ -385,11 +746,395 @@ export interface PoolCreateOptions extends PoolConfig {
     rules?: PoolRules;
 }
 
+// ============================================================================
+// SEEDED RANDOM
+// ============================================================================
+
+export declare class SeededRandom {
+    state: RandomState;
+    readonly seed: number;
+
+    constructor(seedOrState?: number | string | RandomState | null);
+
+    next(): number;
+    nextUint32(): number;
+    fork(): SeededRandom;
+    getState(): RandomState;
+    setState(state: RandomState): this;
+
+    static normalizeSeed(seed: number | string): number;
+}
+
+// ============================================================================
+// CLOCKS
+// ============================================================================
+
+/** Any time source: `now()` in milliseconds, optional `advance()` for virtual clocks */
+export interface Clock {
+    now(): number;
+    advance?(deltaSeconds: number): this;
+    set?(time: number): this;
+}
+
+export declare class RealtimeClock implements Clock {
+    now(): number;
+}
+
+export declare class ManualClock implements Clock {
+    time: number;
+    constructor(startTime?: number);
+    now(): number;
+    advance(deltaSeconds: number): this;
+    set(time: number): this;
+}
+
+export declare class ScaledClock implements Clock {
+    source: Clock;
+    scale: number;
+    readonly paused: boolean;
+    constructor(source?: Clock, scale?: number);
+    now(): number;
+    setScale(scale: number): this;
+    pause(): this;
+    resume(): this;
+    advance(deltaSeconds: number): this;
+}
+
+// ============================================================================
+// TICK SCHEDULER
+// ============================================================================
+
+export interface SchedulerOptions {
+    /** Simulation step in seconds (default: tickRate) */
+    step?: number;
+    /** Global time scale, 0 = paused (default 1) */
+    timeScale?: number;
+    /** Most steps per advance(); extra time is dropped (default 5) */
+    maxSteps?: number;
+}
+
+export interface DependencyGraphNode {
+    kind: 'threshold' | 'derived' | 'compound' | 'rate';
+    /** Node ID (the variable ID for rates) */
+    id: string;
+    node: NodeDefinition;
+    /** Node IDs read, or null if unknown (recomputed on any change) */
+    inputs: Set<string> | null;
+    rank?: number;
+}
+
+export interface DependencyGraph {
+    /** Derived, compound and rate nodes in dependency order */
+    order: DependencyGraphNode[];
+    thresholds: DependencyGraphNode[];
+    dependents: Map<string, DependencyGraphNode[]>;
+    wildcards: DependencyGraphNode[];
+}
+
+export interface CascadeDependents {
+    thresholds: string[];
+    derived: string[];
+    compounds: string[];
+    rates: string[];
+}
+
+export interface CascadeStats {
+    cascades: number;
+    fullCascades: number;
+    evaluated: number;
+    changed: number;
+    skipped: number;
+    /** Keyed by `kind:id` */
+    byNode: Record<string, { evaluated: number; changed: number }>;
+}
+
+/** LOD tier name to interval in ticks */
+export type LodTiers = Record<string, number | { interval: number }>;
+
+export type LodResolver = (entity: Entity, manager: EntityManager) => string | null | undefined;
+
+export interface SchedulerAdvanceResult {
+    steps: number;
+    dropped: number;
+    /** Fraction (0..1) of the next step already accumulated, for render interpolation */
+    alpha: number;
+}
+
+export declare class TickScheduler {
+    entityManager: EntityManager;
+    step: number;
+    timeScale: number;
+    maxSteps: number;
+    accumulator: number;
+    stepCount: number;
+    groupScales: Map<string, number>;
+    entityScales: Map<string, number>;
+    readonly paused: boolean;
+    readonly running: boolean;
+    constructor(entityManager: EntityManager, options?: SchedulerOptions);
+    advance(realDeltaMs: number): SchedulerAdvanceResult;
+    setTimeScale(scale: number): this;
+    pause(): this;
+    resume(): this;
+    setGroupTimeScale(groupId: string, scale: number | null): this;
+    setEntityTimeScale(entityOrId: Entity | string, scale: number | null): this;
+    getEntityTimeScale(entityId: string): number;
+    start(): this;
+    stop(): this;
+}
+
+// ============================================================================
+// REPLICATION
+// ============================================================================
+
+export type ReplicationChange =
+    | { type: 'spawn'; entity: Entity; active: boolean }
+    | { type: 'despawn'; entityId: string }
+    | { type: 'active'; entityId: string; active: boolean }
+    | { type: 'attribute'; entityId: string; attributeId: string; value?: any; deleted?: true }
+    | { type: 'context'; entityId: string; contextId: string; value?: any; deleted?: true }
+    | { type: 'trait'; entityId: string; layerId: string; traitId: string; active: boolean }
+    | { type: 'layer'; entityId: string; layerId: string; lastRoll: number | null }
+    | { type: 'modifier'; entityId: string; modifierId: string; active: boolean; state?: ModifierState }
+    | { type: 'compound'; entityId: string; compoundId: string; active: boolean }
+    | ({ type: 'variable'; entityId: string; varId: string } & Partial<Pick<VariableState, 'value' | 'baseRate' | 'currentRate' | 'min' | 'max'>>)
+    | { type: 'derived'; entityId: string; derivedId: string; value?: number; deleted?: true }
+    | { type: 'action'; entityId: string; actionId: string; value?: any; deleted?: true };
+
+export interface ReplicationPatch {
+    seq: number;
+    /** Full resync: replaces every entity on the replica */
+    full?: true;
+    /** Authority clock time; virtual clocks on the replica are set to it */
+    time: number;
+    changes: ReplicationChange[];
+}
+
+export interface ApplyPatchResult {
+    applied: boolean;
+    /** A patch was missed; the replica needs createFullSync() */
+    resync: boolean;
+    seq: number | null;
+}
+
+export interface JournalCommand {
+    /** Clock time the command ran at */
+    time: number;
+    /** One of SpawnEngine.JOURNALED_METHODS, or 'schedulerStep' / 'autoTick' */
+    op: string;
+    /** JSON-safe arguments; entities as their ID */
+    args: any[];
+    /** Commands made through `tx` (transactions only) */
+    commands?: JournalCommand[];
+    /** hashState() after the command, when recorded with `hashes` */
+    hash?: string;
+}
+
+export interface Journal {
+    version: number;
+    hashes: boolean;
+    /** SpawnEngine.export() when recording started */
+    start: { config: SpawnConfig; entityManager: ExportedEntityManager; rng: RandomState; entityCount: number };
+    commands: JournalCommand[];
+    /** Clock time when stopJournal() was called */
+    endTime?: number;
+    /** hashState() when stopJournal() was called; replay checks it after the last command */
+    endHash?: string;
+}
+
+export interface ReplayResult {
+    /** Commands run so far */
+    steps: number;
+    hash: string;
+    mismatch: { index: number; expected: string; actual: string } | null;
+}
+
+// ============================================================================
+// STRUCT-OF-ARRAYS STORAGE
+// ============================================================================
+
+export interface StorageColumn {
+    value: Float64Array;
+    baseRate: Float64Array;
+    currentRate: Float64Array;
+    min: Float64Array;
+    max: Float64Array;
+    /** 1 where the variable moves in column ticks */
+    moving: Uint8Array;
+    /** Values from before the last column tick */
+    previous: Float64Array;
+}
+
+export interface StorageBitset {
+    index: Map<string, number>;
+    words: number;
+    data: Uint32Array;
+}
+
+export interface StorageQuery {
+    modifiers?: string[];
+    traits?: string[];
+    without?: string[];
+}
+
+export declare class StructOfArraysStorage {
+    static FIELDS: string[];
+    capacity: number;
+    slots: Map<string, number>;
+    ids: Array<string | undefined>;
+    highWater: number;
+    free: number[];
+    columns: Map<string, StorageColumn>;
+    flags: { modifiers: StorageBitset; traits: StorageBitset };
+    readonly size: number;
+    constructor(spawnManager: SpawnManager | null, options?: { capacity?: number });
+    attach(entity: Entity): number;
+    detach(entity: Entity): boolean;
+    reserve(capacity: number): this;
+    getColumn(varId: string): StorageColumn | null;
+    slotOf(entityId: string): number | null;
+    syncFlags(entity: Entity, nodeIds?: string[] | null): void;
+    hasModifier(entityId: string, modifierId: string): boolean;
+    hasTrait(entityId: string, traitId: string): boolean;
+    query(filter?: StorageQuery): string[];
+}
+
+// ============================================================================
+// FORMULA LANGUAGE
+// ============================================================================
+
+export declare class FormulaError extends Error {
+    formula: string;
+    position: number | null;
+    constructor(message: string, formula: string, position?: number | null);
+}
+
+export interface CompiledFormula {
+    source: string;
+    identifiers: string[];
+    evaluate(scope: Record<string, number>): number;
+}
+
+export declare class FormulaCompiler {
+    static OPERATORS: string[];
+    static FUNCTIONS: Record<string, (...args: number[]) => number>;
+
+    cache: Map<string, CompiledFormula>;
+
+    compile(source: string): CompiledFormula;
+    evaluate(source: string, scope: Record<string, number>): number;
+    clear(): void;
+
+    static compile(source: string): CompiledFormula;
+    static tokenize(source: string): Array<{ type: 'num' | 'id' | 'op' | 'end'; value: any; pos: number }>;
+}
+
+// ============================================================================
+// CONFIG VALIDATION
+// ============================================================================
+
+export interface LoadConfigOptions {
+    /** Throw ConfigValidationError when validateConfig reports errors */
+    strict?: boolean;
+    /** Packs merged over the config, in order */
+    packs?: ConfigPack[];
+}
+
+export interface ConfigPack {
+    id: string;
+    /** Prefix for IDs this pack adds: 'winter' turns item_x into winter.item_x */
+    namespace?: string;
+    version?: string;
+    nodes?: NodeDefinition[];
+    patch?: Record<string, Partial<NodeDefinition>>;
+    removeRelationships?: Array<string | { sourceId?: string; targetId?: string; type?: string }>;
+    relationships?: RelationshipDefinition[];
+    appendTraits?: Record<string, string[]>;
+    presets?: PresetDefinition[];
+}
+
+export interface ConfigComposition {
+    config: SpawnConfig;
+    errors: ConfigDiagnostic[];
+    warnings: ConfigDiagnostic[];
+    /** Contributing pack of every node ID (null = base config) */
+    sources: Record<string, string | null>;
+}
+
+export interface ConfigDiagnostic {
+    severity: 'error' | 'warning';
+    /** Stable identifier, e.g. 'TRAIT_UNKNOWN_LAYER' */
+    code: string;
+    /** Location in the config, e.g. 'nodes[4].config.layerId' */
+    path: string;
+    nodeId: string | null;
+    message: string;
+    suggestion?: string;
+    relationshipId?: string | null;
+    presetId?: string;
+    /** Character offset for FORMULA_SYNTAX */
+    position?: number | null;
+}
+
+export interface ConfigValidationResult {
+    valid: boolean;
+    errors: ConfigDiagnostic[];
+    warnings: ConfigDiagnostic[];
+}
+
+export declare class ConfigValidationError extends Error {
+    errors: ConfigDiagnostic[];
+    warnings: ConfigDiagnostic[];
+    constructor(result: ConfigValidationResult);
+}
+
+// ============================================================================
+// CONFIG MIGRATIONS
+// ============================================================================
+
+export interface ConfigMigration {
+    /** Version the config is at after this migration runs */
+    to: string;
+    description?: string;
+    /** Rewrite the config in place; report each rewrite through change() */
+    migrate(config: any, change: (path: string, message: string) => void): void;
+}
+
+export interface AppliedMigration {
+    from: string;
+    to: string;
+    description: string;
+    changes: Array<{ path: string; message: string }>;
+}
+
+export interface MigrationReport {
+    config: SpawnConfig;
+    fromVersion: string;
+    toVersion: string;
+    applied: AppliedMigration[];
+}
+
+export declare class ConfigMigrator {
+    static BASE_VERSION: string;
+    static defaults: ConfigMigration[];
+
+    migrations: ConfigMigration[];
+    readonly latestVersion: string;
+
+    register(migration: ConfigMigration): this;
+    migrate(config: any, options?: { inPlace?: boolean }): MigrationReport;
+
+    static register(migration: ConfigMigration): void;
+    static compareVersions(a: string, b: string): number;
+}
+
 // ============================================================================
 // SPAWN MANAGER
 // ============================================================================
 
 export declare class SpawnManager {
+    static UNSAFE_KEYS: string[];
+
     config: SpawnConfig | null;
     nodeIndex: Map<string, NodeDefinition>;
     relationshipIndex: {
@@ -398,14 +1143,46 @@ export declare class SpawnManager {
         byType: Map<string, RelationshipDefinition[]>;
     };
     entityManager: EntityManager | null;
+    rng: SeededRandom;
+    /** Entity IDs issued by this manager (part of each ID; kept across setSeed) */
+    entityCount: number;
+    clock: Clock;
+    formulas: FormulaCompiler;
+    migrator: ConfigMigrator;
+    lastMigration: MigrationReport | null;
+    baseConfig: SpawnConfig | null;
+    packs: ConfigPack[];
+    lastComposition: ConfigComposition | null;
+    explainSelection: boolean;
 
     constructor(config?: SpawnConfig | null);
 
     linkEntityManager(entityManager: EntityManager): this;
-    loadConfig(config: SpawnConfig): this;
+    loadConfig(config: SpawnConfig, options?: LoadConfigOptions): this;
+    validateConfig(config?: SpawnConfig | object): ConfigValidationResult;
+    migrateConfig(config: any): MigrationReport;
+    registerMigration(migration: ConfigMigration): this;
+    composeConfig(base: SpawnConfig, packs?: ConfigPack[]): ConfigComposition;
+    loadPack(pack: ConfigPack, options?: LoadConfigOptions): this;
+
+    // Random streams
+    setSeed(seed: number | string): this;
+    getSeed(): number;
+    createEntityRng(seed?: number | string | null): SeededRandom;
+    getRng(entity: Entity | null): SeededRandom;
+    generateEntityId(rng?: SeededRandom): string;
+    rollRange(min: number, max: number, precision?: number, rng?: SeededRandom): number;
+    roundToPrecision(value: number, precision?: number): number;
+
+    // Attribute distributions
+    getBaseAttributeRange(attr: NodeDefinition): { min: number; max: number };
+    rollAttribute(attr: NodeDefinition, range: { min: number; max: number }, rng?: SeededRandom, draw?: number | null): number;
+    sampleDistribution(distribution: AttributeDistribution | DistributionType | string, u: number, min: number, max: number): number;
+    getCorrelationGroups(): Map<string, { ids: string[]; matrix: number[][] }>;
+    resolvePresetAttributeValue(attrValue: PresetAttributeValue, precision?: number, rng?: SeededRandom, attrNode?: NodeDefinition | null): number;
 
     // Generation
-    generate(overrides?: Partial<GenerateOverrides>): Entity;
+    generate(overrides?: Partial<GenerateOverrides>, rng?: SeededRandom | null): Entity;
     spawn(presetId: string, overrides?: Partial<GenerateOverrides>): Entity | null;
     spawnWhere(query: QueryFilter, overrides?: Partial<GenerateOverrides>): Entity | null;
 
@@ -421,6 +1198,7 @@ export declare class SpawnManager {
     getModifiers(): NodeDefinition[];
     getCompounds(): NodeDefinition[];
     getDerived(): NodeDefinition[];
+    getTickSystems(): NodeDefinition[];
 
     // Relationship queries
     getRelationshipsFrom(nodeId: string): RelationshipDefinition[];
@@ -440,14 +1218,38 @@ export declare class SpawnManager {
     selectFirstMatch(entity: Entity, layerId: string): SelectionResult;
 
     // Calculations
-    calculateWeight(entity: Entity, trait: NodeDefinition): number;
+    calculateWeight(entity: Entity, trait: NodeDefinition, breakdown?: WeightContribution[] | null): number;
+    calculateRelationshipValue(entity: Entity, rel: RelationshipDefinition): number;
+    evaluateCurve(curve: ScalingCurve | CurveType, x: number, min?: number, max?: number): number;
     calculateDerived(entity: Entity): void;
+    evaluateFormula(formula: string, context: Record<string, number>): number;
+    compileFormula(formula: string): CompiledFormula;
     recalculateRates(entity: Entity): void;
+    getVariableDynamics(varNode: NodeDefinition | string): { type: 'linear' | 'decay' | 'logistic'; target?: number | string; capacity?: number | string; k?: number };
+    projectVariable(entity: Entity, varId: string, dt: number): number;
+    getVariableThresholds(varId: string): number[];
+    hasCoupledRates(): boolean;
     checkCompounds(entity: Entity): void;
 
+    // Incremental cascade
+    cascadeStats: CascadeStats;
+    getDependencyGraph(): DependencyGraph;
+    getDependents(nodeId: string): CascadeDependents;
+    runCascade(entity: Entity, changedIds?: string[] | null): string[];
+    getAffectedThresholdModifiers(changedIds: Iterable<string>): NodeDefinition[];
+    getCascadeStats(): CascadeStats;
+    resetCascadeStats(): this;
+
     // Analysis
     getWeights(entity: Entity, layerId: string): WeightedItem[];
     previewInfluences(nodeId: string): InfluencePreview;
+    computeLayerDistribution(entityOrAttrs: Entity | Record<string, number>, layerId: string, options?: LayerDistributionOptions): LayerDistribution | null;
+    analyzePopulation(options?: PopulationOptions): PopulationReport | null;
+    explainRoll(entity: Entity, layerId: string, result?: SelectionResult): SelectionExplanation;
+    explainTrait(entity: Entity, traitId: string): TraitExplanation | null;
+    explainCompound(entity: Entity, compoundId: string): CompoundExplanation | null;
+    explainCondition(entity: Entity, condition: Condition): EligibilityExplanation;
+    checkCompoundRequirement(entity: Entity, req: string | CompoundRequirement): boolean;
 
     // Conditions
     evaluateCondition(entity: Entity, condition: Condition): boolean;
@@ -456,6 +1258,8 @@ export declare class SpawnManager {
 }
 
 export interface GenerateOverrides {
+    id: string;
+    seed: number | string;
     attributes: Record<string, number>;
     contexts: Record<string, any>;
     forceTraits: string[];
@@ -477,6 +1281,8 @@ export declare class EntityManager {
     config: EngineConfig;
     tickInterval: number | null;
     listeners: Map<EventType, Set<EventCallback>>;
+    clock: Clock;
+    tickSystems: Map<string, TickSystemState>;
 
     // Pool properties (multi-pool)
     pools: Map<string, PoolInstance>;
@@ -490,6 +1296,8 @@ export declare class EntityManager {
     constructor(spawnManager?: SpawnManager | null);
 
     linkSpawnManager(spawnManager: SpawnManager): this;
+    setClock(clock: Clock): this;
+    advanceTime(deltaSeconds: number): this;
 
     // Presets
     registerPreset(id: string, template: PresetDefinition): this;
@@ -525,11 +1333,36 @@ export declare class EntityManager {
     isActive(entityId: string): boolean;
 
     // Ticking
-    tick(entityId: string, deltaSeconds?: number | null): Entity | null;
+    tick(entityId: string, deltaSeconds?: number | null, frames?: number): Entity | null;
     tickAll(deltaSeconds?: number | null): void;
+    fastForward(entityId: string, seconds: number): Entity | null;
+    scheduler: TickScheduler | null;
+    /** Records scheduler and auto-tick steps while a SpawnEngine journal runs */
+    stepRecorder: ((op: string, args: any[], run: () => any) => any) | null;
+    getScheduler(options?: SchedulerOptions): TickScheduler;
+    runScheduledStep(deltaSeconds: number, scales?: Record<string, number>): void;
+
+    // Level of detail
+    setLodTiers(tiers: LodTiers | null, options?: { defaultTier?: string }): this;
+    setEntityLod(entityOrId: Entity | string, tier: string | null): this;
+    setGroupLod(groupId: string, tier: string | null): this;
+    setLodResolver(resolver: LodResolver | null): this;
+    getEntityLod(entityId: string): string | null;
+    flushLod(entityId: string): Entity | null;
+
+    // Storage backend
+    storage: StructOfArraysStorage | null;
+    setStorage(type: 'soa' | null, options?: { capacity?: number }): this;
+    recalculate(entityId: string, changedIds?: string[] | null): Entity | null;
     startAutoTick(rate?: number): void;
     stopAutoTick(): void;
 
+    // Tick systems
+    getTickSystem(systemId: string): TickSystemState | null;
+    advanceTickSystem(systemId: string, ticks?: number): boolean;
+    startTickSystem(systemId: string): boolean;
+    stopTickSystem(systemId: string): boolean;
+
     // Variables
     modifyVariable(entityId: string, varId: string, delta: number): boolean;
     setVariable(entityId: string, varId: string, value: number): boolean;
@@ -553,6 +1386,12 @@ export declare class EntityManager {
     getHistory(entityId: string): EntitySnapshot[];
     rollback(entityId: string, timestamp: number): boolean;
     query(filter: QueryFilter): Entity[];
+    transaction<T>(entityId: string, callback: (tx: EntityTransaction) => T, target?: object): T | null;
+
+    // Explanation
+    explainState(entityId: string, nodeId: string): StateExplanation | null;
+    explainModifier(entity: Entity, modifierId: string): ModifierExplanation | null;
+    explainModifierTrigger(entity: Entity, trigger: object): { logic: string; pass: boolean; conditions: ConditionExplanation[] };
 
     // Context
     setSpawnContext(context: Record<string, any>): this;
@@ -567,6 +1406,14 @@ export declare class EntityManager {
     export(): ExportedEntityManager;
     import(data: ExportedEntityManager): this;
 
+    // Replication
+    static REPLICATED_VARIABLE_FIELDS: string[];
+    replication: { seq: number; shadows: Map<string, object>; dirty: Set<string> | null } | null;
+    replicaSeq: number | null;
+    createPatch(): ReplicationPatch;
+    createFullSync(): ReplicationPatch;
+    applyPatch(patch: ReplicationPatch): ApplyPatchResult;
+
     // Pooling (single pool - backward compatible)
     configurePool(config: PoolConfig): this;
     acquire(presetIdOrOverrides?: string | Partial<GenerateOverrides>, overrides?: Partial<GenerateOverrides>, targetPoolId?: string): Entity;
@@ -600,6 +1447,8 @@ export interface ExportedEntityManager {
     history: [string, EntitySnapshot[]][];
     groups: [string, EntityGroup][];
     spawnContext: Record<string, any>;
+    /** Clock time at export; restored into clocks that support set() */
+    time?: number;
 }
 
 // ============================================================================
@@ -610,12 +1459,29 @@ export declare class SpawnEngine {
     spawnManager: SpawnManager;
     entityManager: EntityManager;
     entities: Map<string, Entity>;
+    /** Command journal being recorded (see startJournal) */
+    journal: Journal | null;
+
+    static JOURNAL_VERSION: number;
+    static JOURNALED_METHODS: string[];
 
     constructor(config?: SpawnConfig | null);
 
     // Config
-    loadConfig(config: SpawnConfig): this;
+    loadConfig(config: SpawnConfig, options?: LoadConfigOptions): this;
+    loadPack(pack: ConfigPack, options?: LoadConfigOptions): this;
     readonly config: SpawnConfig | null;
+    validateConfig(config?: SpawnConfig | object): ConfigValidationResult;
+    setSeed(seed: number | string): this;
+    getSeed(): number;
+    setClock(clock: Clock): this;
+    getClock(): Clock;
+
+    // Tick systems
+    advanceTickSystem(systemId: string, ticks?: number): boolean;
+    startTickSystem(systemId: string): boolean;
+    stopTickSystem(systemId: string): boolean;
+    getTickSystem(systemId: string): TickSystemState | null;
 
     // Generation
     spawn(presetIdOrOverrides?: string | Partial<GenerateOverrides>, overrides?: Partial<GenerateOverrides>): Entity;
@@ -646,6 +1512,19 @@ export declare class SpawnEngine {
     // Runtime
     tick(entityOrId: Entity | string, deltaSeconds?: number | null): Entity | null;
     tickAll(deltaSeconds?: number | null): void;
+    fastForward(entityOrId: Entity | string, seconds: number): Entity | null;
+    getScheduler(options?: SchedulerOptions): TickScheduler;
+    setLodTiers(tiers: LodTiers | null, options?: { defaultTier?: string }): this;
+    setEntityLod(entityOrId: Entity | string, tier: string | null): this;
+    setGroupLod(groupId: string, tier: string | null): this;
+    setLodResolver(resolver: LodResolver | null): this;
+    getEntityLod(entityOrId: Entity | string): string | null;
+    flushLod(entityOrId: Entity | string): Entity | null;
+    setStorage(type: 'soa' | null, options?: { capacity?: number }): this;
+    recalculate(entityOrId: Entity | string, changedIds?: string[] | null): Entity | null;
+    getDependents(nodeId: string): CascadeDependents;
+    getCascadeStats(): CascadeStats;
+    resetCascadeStats(): this;
     startAutoTick(): void;
     stopAutoTick(): void;
 
@@ -664,6 +1543,7 @@ export declare class SpawnEngine {
     activateItem(entity: Entity | string, itemId: string): boolean;
     /** @deprecated Use deactivateTrait */
     deactivateItem(entity: Entity | string, itemId: string): boolean;
+    transaction<T>(entityOrId: Entity | string, callback: (tx: EntityTransaction) => T): T | null;
 
     // State
     getState(entityId: string): EntityState | null;
@@ -686,6 +1566,7 @@ export declare class SpawnEngine {
     getModifiers(): NodeDefinition[];
     getCompounds(): NodeDefinition[];
     getDerived(): NodeDefinition[];
+    getTickSystems(): NodeDefinition[];
 
     // Relationship queries
     getRelationshipsFrom(nodeId: string): RelationshipDefinition[];
@@ -695,6 +1576,11 @@ export declare class SpawnEngine {
     // Analysis
     getWeights(entity: Entity, layerId: string): WeightedItem[];
     previewInfluences(nodeId: string): InfluencePreview;
+    computeLayerDistribution(entityOrAttrs: Entity | string | Record<string, number>, layerId: string, options?: LayerDistributionOptions): LayerDistribution | null;
+    analyzePopulation(options?: PopulationOptions): PopulationReport | null;
+    setExplainSelection(enabled?: boolean): this;
+    explainTrait(entityOrId: Entity | string, traitId: string): TraitExplanation | null;
+    explainState(entityOrId: Entity | string, nodeId: string): StateExplanation | null;
 
     // Events
     on(event: EventType, callback: EventCallback): () => void;
@@ -703,8 +1589,19 @@ export declare class SpawnEngine {
     // Serialization
     exportEntity(entityId: string): Entity | null;
     importEntity(data: Entity): string;
-    export(): { config: SpawnConfig; entityManager: ExportedEntityManager };
-    import(data: { config?: SpawnConfig; entityManager?: ExportedEntityManager }): this;
+    export(): { config: SpawnConfig; entityManager: ExportedEntityManager; rng: RandomState; entityCount: number };
+    import(data: { config?: SpawnConfig; entityManager?: ExportedEntityManager; rng?: RandomState; entityCount?: number }): this;
+
+    // Replication
+    createPatch(): ReplicationPatch;
+    createFullSync(): ReplicationPatch;
+    applyPatch(patch: ReplicationPatch): ApplyPatchResult;
+
+    // Journal & replay
+    startJournal(options?: { hashes?: boolean }): Journal;
+    stopJournal(): Journal | null;
+    replay(journal: Journal, options?: { to?: number; from?: number }): ReplayResult;
+    hashState(): string;
 
     // Pooling (delegated to EntityManager)
     configurePool(config: PoolConfig): this;
@@ -737,8 +1634,79 @@ export declare class CSVImporter {
     static importVariables(csvString: string, config: SpawnConfig): NodeDefinition[];
     static importTraits(csvString: string, config: SpawnConfig): NodeDefinition[];
     static importRelationships(csvString: string, config: SpawnConfig): RelationshipDefinition[];
+    /** Curve from a row's curve, curve_points ("x:y|..."), curve_params ("k=v|...") columns */
+    static parseCurve(row: Record<string, any>): ScalingCurve | null;
+    /** Distribution and correlations from an attribute row's distribution, correlations ("attr:0.4|...") columns */
+    static parseDistribution(row: Record<string, any>): { distribution?: AttributeDistribution | string; correlations?: Record<string, number> };
 }
 
+// ============================================================================
+// WORKER MODE
+// ============================================================================
+
+/** Channel to or from a worker: Web Worker, `self`, Node Worker, `parentPort` or MessagePort */
+export interface WorkerLike {
+    postMessage(message: any): void;
+    on?(type: string, listener: (data: any) => void): any;
+    addEventListener?(type: string, listener: (event: any) => void): void;
+    start?(): void;
+    terminate?(): any;
+    close?(): any;
+}
+
+export interface WorkerStatePatch {
+    id: string;
+    /** Changed getState() keys; variables/derived/attributes/contexts hold only changed entries */
+    changes: Partial<EntityState> & Record<string, any>;
+    /** Paths that no longer exist: [key] or [key, entryId] */
+    unset?: Array<[string] | [string, string]>;
+}
+
+export interface WorkerBatch {
+    type: 'batch';
+    seq: number;
+    patches: WorkerStatePatch[];
+    removed: string[];
+    events: Array<{ event: EventType; data: EventData }>;
+}
+
+export declare class EngineWorkerHost {
+    static STATE_EVENTS: EventType[];
+    static MERGED_KEYS: string[];
+    static listen(port: WorkerLike): EngineWorkerHost;
+    static onMessage(target: WorkerLike, handler: (data: any) => void): void;
+    port: WorkerLike;
+    engine: SpawnEngine | null;
+    dirty: Set<string>;
+    seq: number;
+    constructor(port: WorkerLike);
+    handle(message: { type: 'init' | 'call' | 'subscribe' | 'unsubscribe'; [key: string]: any }): void;
+    flush(): void;
+}
+
+/** SpawnEngine's methods as seen through a SpawnEngineProxy */
+export type ProxiedEngine = {
+    [K in keyof SpawnEngine as SpawnEngine[K] extends (...args: any[]) => any ? K : never]:
+        SpawnEngine[K] extends (...args: infer A) => infer R
+            ? (...args: A) => Promise<R extends SpawnEngine ? SpawnEngineProxy : R extends Entity ? EntityState : R>
+            : never;
+};
+
+export declare class SpawnEngineProxy {
+    worker: WorkerLike;
+    entities: Map<string, EntityState>;
+    seq: number;
+    ready: Promise<boolean>;
+    constructor(worker: WorkerLike, config?: SpawnConfig | null, options?: { manualClock?: boolean });
+    call(method: string, ...args: any[]): Promise<any>;
+    getCachedState(entityId: string): EntityState | null;
+    on(event: EventType, callback: EventCallback): () => void;
+    off(event: EventType, callback: EventCallback): void;
+    terminate(): any;
+}
+
+export interface SpawnEngineProxy extends Omit<ProxiedEngine, 'on' | 'off' | 'call'> {}
+
 // ============================================================================
 // GLOBAL EXPORTS
 // ============================================================================
@@ -749,7 +1717,23 @@ declare global {
         EntityManager: typeof EntityManager;
         SpawnEngine: typeof SpawnEngine;
         CSVImporter: typeof CSVImporter;
+        SeededRandom: typeof SeededRandom;
+        RealtimeClock: typeof RealtimeClock;
+        ManualClock: typeof ManualClock;
+        ScaledClock: typeof ScaledClock;
+        TickScheduler: typeof TickScheduler;
+        FormulaCompiler: typeof FormulaCompiler;
+        FormulaError: typeof FormulaError;
+        ConfigValidationError: typeof ConfigValidationError;
+        ConfigMigrator: typeof ConfigMigrator;
+        StructOfArraysStorage: typeof StructOfArraysStorage;
+        EngineWorkerHost: typeof EngineWorkerHost;
+        SpawnEngineProxy: typeof SpawnEngineProxy;
     }
 }
 
-export { SpawnManager, EntityManager, SpawnEngine, CSVImporter };
+export {
+    SpawnManager, EntityManager, SpawnEngine, CSVImporter, SeededRandom,
+    RealtimeClock, ManualClock, ScaledClock, TickScheduler, FormulaCompiler, FormulaError,
+    ConfigValidationError, ConfigMigrator, StructOfArraysStorage, EngineWorkerHost, SpawnEngineProxy
+};
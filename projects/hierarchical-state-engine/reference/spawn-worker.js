@@ -0,0 +1,23 @@
+/**
+ * Spawn Engine - Worker Entry
+ *
+ * Loads spawn-engine.js and serves a SpawnEngine to a SpawnEngineProxy on the
+ * main thread. Works as a classic Web Worker and as a Node `worker_threads`
+ * worker; keep it next to spawn-engine.js.
+ *
+ * @example
+ * // Browser
+ * const engine = new SpawnEngineProxy(new Worker('spawn-worker.js'), config);
+ *
+ * // Node
+ * const { Worker } = require('worker_threads');
+ * const engine = new SpawnEngineProxy(new Worker(require.resolve('./spawn-worker.js')), config);
+ */
+
+if (typeof importScripts === 'function') {
+    importScripts('spawn-engine.js');
+    EngineWorkerHost.listen(self);
+} else {
+    const { parentPort } = require('worker_threads');
+    require('./spawn-engine.js').EngineWorkerHost.listen(parentPort);
+}
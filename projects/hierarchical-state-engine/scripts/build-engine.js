@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Build the engine's copies from reference/spawn-engine.js, the one source:
+ * - src/engine.js: ES module (same code, ES exports instead of globals)
+ * - reference/spawn-editor.html: inline copy, so the editor is one file
+ * - demos/entity-spawner/spawn-engine.js: the demo's copy
+ *
+ * Edit reference/spawn-engine.js only, then run this. With --check it
+ * writes nothing and exits 1 if any copy is out of date.
+ *
+ * @example
+ * node projects/hierarchical-state-engine/scripts/build-engine.js
+ * node projects/hierarchical-state-engine/scripts/build-engine.js --check
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'reference/spawn-engine.js');
+const ES_MODULE = path.join(ROOT, 'src/engine.js');
+const EDITOR = path.join(ROOT, 'reference/spawn-editor.html');
+const DEMO = path.resolve(ROOT, '../../demos/entity-spawner/spawn-engine.js');
+
+const GENERATED_NOTE = ' * Generated from reference/spawn-engine.js by scripts/build-engine.js.\n' +
+    ' * Do not edit; change the source and rebuild.\n';
+const EDITOR_START = '// SPAWN ENGINE v3 - BUNDLED\n// ============================================================================\n\n';
+const EDITOR_END = '\n</script>';
+
+/**
+ * ES module version of the bundle: the `module.exports` names become ES
+ * exports, and the globals block is dropped.
+ *
+ * @param {string} source - reference/spawn-engine.js
+ * @returns {string}
+ */
+function buildEsModule(source) {
+    const names = source.match(/module\.exports = \{([\s\S]*?)\};/)[1]
+        .split(',').map(name => name.trim()).filter(Boolean);
+    const body = source.slice(0, source.indexOf('// ============================================================================\n// EXPORTS\n'))
+        .replace(' * Spawn Engine v3 - Browser Bundle\n', ' * Spawn Engine v3 - ES Module\n')
+        .replace(' * @module SpawnEngine\n',
+            ' * Same code as reference/spawn-engine.js (the browser bundle), with ES\n' +
+            ' * exports instead of window globals / module.exports.\n' + GENERATED_NOTE + ' *\n' +
+            ' * @module SpawnEngine\n');
+
+    const lines = [];
+    let line = '   ';
+    for (const name of names) {
+        if (line.length + name.length + 2 > 80) {
+            lines.push(line);
+            line = '   ';
+        }
+        line += ` ${name},`;
+    }
+    lines.push(line.replace(/,$/, ''));
+
+    return body +
+        '// ============================================================================\n' +
+        '// EXPORTS\n' +
+        '// ============================================================================\n\n' +
+        `export {\n${lines.join('\n')}\n};\n\n` +
+        'export default SpawnEngine;\n';
+}
+
+/**
+ * The editor page with its inline engine replaced by `source`.
+ *
+ * @param {string} editor - Current spawn-editor.html
+ * @param {string} source - reference/spawn-engine.js
+ * @returns {string}
+ */
+function buildEditor(editor, source) {
+    const start = editor.indexOf(EDITOR_START);
+    if (start === -1) throw new Error('spawn-editor.html: bundled engine marker not found');
+    const from = start + EDITOR_START.length;
+    const to = editor.indexOf(EDITOR_END, from);
+    return editor.slice(0, from) + source + editor.slice(to);
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const source = fs.readFileSync(SOURCE, 'utf8');
+    const outputs = [
+        [ES_MODULE, buildEsModule(source)],
+        [EDITOR, buildEditor(fs.readFileSync(EDITOR, 'utf8'), source)],
+        [DEMO, source]
+    ];
+
+    let stale = 0;
+    for (const [file, content] of outputs) {
+        const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        if (current === content) continue;
+        const name = path.relative(process.cwd(), file);
+        if (check) {
+            console.error(`out of date: ${name}`);
+            stale++;
+        } else {
+            fs.writeFileSync(file, content);
+            console.log(`wrote ${name}`);
+        }
+    }
+    if (stale > 0) {
+        console.error('Run scripts/build-engine.js to rebuild.');
+        process.exit(1);
+    }
+}
+
+main();
@@ -1,1007 +1,12277 @@
 /**
- * Hierarchical State Engine - Portfolio Edition
+ * Spawn Engine v3 - ES Module
  *
- * A configurable engine for generating entities with layered traits,
- * dynamic variables, and emergent compound states.
+ * A configurable hierarchical state engine for generating entities with
+ * layered traits, dynamic variables, and emergent compound states.
  *
- * @version 1.0.0
+ * Two-part architecture:
+ * - SpawnManager: Pure generation logic (the brain)
+ * - EntityManager: Storage & runtime state (the filing cabinet + clock)
+ * - SpawnEngine: Convenience wrapper combining both
+ * - SeededRandom: Deterministic, forkable random streams used by both
+ * - RealtimeClock / ManualClock / ScaledClock: Simulation time sources
+ * - FormulaCompiler: Sandboxed parser/compiler for derived-value formulas
+ * - ConfigMigrator: Versioned chain of config schema upgrades
+ * - EngineWorkerHost / SpawnEngineProxy: Run the engine in a worker behind an async API
+ *
+ * This file is the only source: src/engine.js, the editor's inline copy and
+ * the demo's copy are built from it by scripts/build-engine.js.
+ *
+ * Same code as reference/spawn-engine.js (the browser bundle), with ES
+ * exports instead of window globals / module.exports.
+ * Generated from reference/spawn-engine.js by scripts/build-engine.js.
+ * Do not edit; change the source and rebuild.
+ *
+ * @module SpawnEngine
+ * @version 3.0
  * @author Shane Ostrom
  * @license MIT
  * @see {@link https://shaneostrom.com} for documentation
  */
 
-class SpawnEngine {
+// ============================================================================
+// SEEDED RANDOM - Deterministic RNG Streams
+// ============================================================================
+
+/**
+ * Small, fast, seedable PRNG (mulberry32) with forkable streams.
+ * State is a plain `{ seed, cursor }` object so it survives JSON export
+ * and can be stored directly on entities.
+ *
+ * @class SeededRandom
+ * @example
+ * const rng = new SeededRandom('bug-1234');
+ * rng.next();             // 0.0 - 1.0, same sequence every run
+ * const child = rng.fork(); // independent stream derived from rng
+ */
+class SeededRandom {
     /**
-     * Create a new SpawnEngine instance.
-     * @param {Object} [config] - Configuration object to load
+     * Create a new random stream.
+     *
+     * @param {number|string|Object|null} [seedOrState=null] - Seed (number or string),
+     *   an existing `{ seed, cursor }` state object to drive by reference, or null for a random seed
      */
-    constructor(config = null) {
-        this.config = null;
-        this.nodeIndex = new Map();
-        this.relationshipIndex = {
-            bySource: new Map(),
-            byTarget: new Map(),
-            byType: new Map()
-        };
-        this.entities = new Map();
-        this.listeners = new Map();
-
-        if (config) {
-            this.loadConfig(config);
+    constructor(seedOrState = null) {
+        if (seedOrState && typeof seedOrState === 'object') {
+            /** @type {{seed: number, cursor: number}} Live stream state */
+            this.state = seedOrState;
+        } else {
+            const seed = seedOrState === null || seedOrState === undefined
+                ? Math.floor(Math.random() * 0x100000000)
+                : SeededRandom.normalizeSeed(seedOrState);
+            this.state = { seed, cursor: seed };
         }
     }
 
-    // ========================================
-    // CONFIGURATION
-    // ========================================
+    /** @returns {number} The seed this stream started from */
+    get seed() {
+        return this.state.seed;
+    }
 
     /**
-     * Load and process a configuration object.
-     * @param {Object} config - Configuration with nodes and relationships
-     * @returns {SpawnEngine} This instance for chaining
+     * Next float in [0, 1).
+     * @returns {number}
      */
-    loadConfig(config) {
-        this.config = this._normalizeConfig(config);
-        this._buildIndexes();
-        return this;
+    next() {
+        let t = (this.state.cursor = (this.state.cursor + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
     }
 
-    _normalizeConfig(config) {
-        return {
-            id: config.id || 'unnamed-config',
-            name: config.name || 'Unnamed Config',
-            version: config.version || '1.0',
-            description: config.description || '',
-            nodes: (config.nodes || []).map(node => ({
-                id: node.id,
-                name: node.name || node.id,
-                description: node.description || '',
-                type: node.type,
-                config: node.config || {}
-            })),
-            relationships: (config.relationships || []).map(rel => ({
-                id: rel.id || `rel_${rel.sourceId}_${rel.targetId}`,
-                sourceId: rel.sourceId,
-                targetId: rel.targetId,
-                type: rel.type,
-                config: {
-                    operation: rel.config?.operation || 'add',
-                    value: rel.config?.value ?? 0,
-                    scaling: rel.config?.scaling || 'flat',
-                    perPointSource: rel.config?.perPointSource || null
-                },
-                conditions: rel.conditions || []
-            })),
-            engineConfig: {
-                tickRate: config.engineConfig?.tickRate ?? 1000
-            }
-        };
+    /**
+     * Next unsigned 32-bit integer.
+     * @returns {number}
+     */
+    nextUint32() {
+        return Math.floor(this.next() * 0x100000000) >>> 0;
     }
 
-    _buildIndexes() {
-        this.nodeIndex.clear();
-        this.relationshipIndex.bySource.clear();
-        this.relationshipIndex.byTarget.clear();
-        this.relationshipIndex.byType.clear();
+    /**
+     * Derive an independent child stream. Advances this stream by one draw.
+     * @returns {SeededRandom}
+     */
+    fork() {
+        return new SeededRandom(this.nextUint32());
+    }
 
-        for (const node of this.config.nodes) {
-            this.nodeIndex.set(node.id, node);
+    /**
+     * Copy of the current state, suitable for export.
+     * @returns {{seed: number, cursor: number}}
+     */
+    getState() {
+        return { seed: this.state.seed, cursor: this.state.cursor };
+    }
+
+    /**
+     * Restore a previously exported state.
+     * @param {{seed: number, cursor: number}} state
+     * @returns {SeededRandom} This instance for chaining
+     */
+    setState(state) {
+        this.state.seed = state.seed >>> 0;
+        this.state.cursor = (state.cursor ?? state.seed) >>> 0;
+        return this;
+    }
+
+    /**
+     * Convert a number or string seed to an unsigned 32-bit integer.
+     * Strings are hashed (FNV-1a) so readable seeds like 'bug-1234' work.
+     *
+     * @param {number|string} seed
+     * @returns {number}
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number') return seed >>> 0;
+        const str = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
+        return hash >>> 0;
+    }
+}
 
-        for (const rel of this.config.relationships) {
-            if (!this.relationshipIndex.bySource.has(rel.sourceId)) {
-                this.relationshipIndex.bySource.set(rel.sourceId, []);
-            }
-            this.relationshipIndex.bySource.get(rel.sourceId).push(rel);
+// ============================================================================
+// CLOCKS - Simulation Time Sources
+// ============================================================================
 
-            if (!this.relationshipIndex.byTarget.has(rel.targetId)) {
-                this.relationshipIndex.byTarget.set(rel.targetId, []);
-            }
-            this.relationshipIndex.byTarget.get(rel.targetId).push(rel);
+/**
+ * Wall-clock time source. The default for both managers, matching the
+ * engine's original Date.now() behaviour.
+ *
+ * Every clock exposes `now()` in milliseconds. Clocks that can be driven
+ * by the simulation also expose `advance(deltaSeconds)`; EntityManager
+ * advances those itself when ticked with an explicit delta.
+ *
+ * @class RealtimeClock
+ * @example
+ * engine.setClock(new RealtimeClock());
+ */
+class RealtimeClock {
+    /** @returns {number} Current time in milliseconds */
+    now() {
+        return Date.now();
+    }
+}
 
-            if (!this.relationshipIndex.byType.has(rel.type)) {
-                this.relationshipIndex.byType.set(rel.type, []);
-            }
-            this.relationshipIndex.byType.get(rel.type).push(rel);
-        }
+/**
+ * Virtual time source that only moves when advanced. Use it for headless
+ * tests, turn-based games and fast-forwarding: ticking 60 simulated seconds
+ * expires a 10 second modifier regardless of how long the tick took.
+ *
+ * @class ManualClock
+ * @example
+ * const clock = new ManualClock();
+ * engine.setClock(clock);
+ * engine.tickAll(60);   // advances the clock by 60s, then ticks
+ * clock.now();          // 60000
+ */
+class ManualClock {
+    /**
+     * @param {number} [startTime=0] - Initial time in milliseconds
+     */
+    constructor(startTime = 0) {
+        /** @type {number} Current virtual time in milliseconds */
+        this.time = startTime;
     }
 
-    // ========================================
-    // NODE QUERIES
-    // ========================================
+    /** @returns {number} Current virtual time in milliseconds */
+    now() {
+        return this.time;
+    }
 
     /**
-     * Get a node by ID.
-     * @param {string} nodeId - The node ID
-     * @returns {Object|null} The node or null
+     * Move time forward.
+     * @param {number} deltaSeconds - Seconds to advance (negative values are ignored)
+     * @returns {ManualClock} This instance for chaining
      */
-    getNode(nodeId) {
-        return this.nodeIndex.get(nodeId) || null;
+    advance(deltaSeconds) {
+        if (deltaSeconds > 0) this.time += deltaSeconds * 1000;
+        return this;
     }
 
     /**
-     * Get all nodes of a specific type.
-     * @param {string} type - Node type
-     * @returns {Object[]} Matching nodes
+     * Jump to an absolute time, e.g. when restoring an export.
+     * @param {number} time - Time in milliseconds
+     * @returns {ManualClock} This instance for chaining
      */
-    getNodesByType(type) {
-        return this.config.nodes.filter(n => n.type === type);
+    set(time) {
+        this.time = time;
+        return this;
     }
+}
 
-    getAttributes() { return this.getNodesByType('attribute'); }
-    getVariables() { return this.getNodesByType('variable'); }
-    getModifiers() { return this.getNodesByType('modifier'); }
-    getCompounds() { return this.getNodesByType('compound'); }
-    getDerived() { return this.getNodesByType('derived'); }
+/**
+ * Time source that runs another clock at a multiple of its speed.
+ * A scale of 0 pauses simulation time; 2 runs it at double speed.
+ *
+ * @class ScaledClock
+ * @example
+ * const clock = new ScaledClock(new RealtimeClock(), 1);
+ * engine.setClock(clock);
+ * clock.pause();        // modifiers stop counting down
+ * clock.setScale(4);    // resumes at 4x
+ */
+class ScaledClock {
+    /**
+     * @param {Object} [source=new RealtimeClock()] - Clock to scale
+     * @param {number} [scale=1] - Speed multiplier
+     */
+    constructor(source = new RealtimeClock(), scale = 1) {
+        /** @type {Object} Underlying clock */
+        this.source = source;
+        /** @type {number} Speed multiplier (0 = paused) */
+        this.scale = scale;
+        /** @type {number} Scaled time at the last re-anchor */
+        this._base = source.now();
+        /** @type {number} Source time at the last re-anchor */
+        this._anchor = this._base;
+        /** @type {number} Scale to restore on resume() */
+        this._resumeScale = scale || 1;
+    }
 
-    getLayers() {
-        return this.getNodesByType('layer').sort((a, b) =>
-            (a.config.order || 0) - (b.config.order || 0)
-        );
+    /** @returns {number} Current scaled time in milliseconds */
+    now() {
+        return this._base + (this.source.now() - this._anchor) * this.scale;
     }
 
-    getLayerTraits(layerId) {
-        const layer = this.getNode(layerId);
-        if (!layer || layer.type !== 'layer') return [];
-        const ids = layer.config.traitIds || layer.config.itemIds || [];
-        return ids.map(id => this.getNode(id)).filter(Boolean);
+    /**
+     * Change the speed multiplier without jumping the current time.
+     * @param {number} scale - New multiplier (0 pauses)
+     * @returns {ScaledClock} This instance for chaining
+     */
+    setScale(scale) {
+        this._base = this.now();
+        this._anchor = this.source.now();
+        this.scale = Math.max(0, scale);
+        return this;
     }
 
-    getRelationshipsFrom(nodeId) {
-        return this.relationshipIndex.bySource.get(nodeId) || [];
+    /** @returns {ScaledClock} This instance for chaining */
+    pause() {
+        if (this.scale > 0) this._resumeScale = this.scale;
+        return this.setScale(0);
     }
 
-    getRelationshipsTo(nodeId) {
-        return this.relationshipIndex.byTarget.get(nodeId) || [];
+    /** @returns {ScaledClock} This instance for chaining */
+    resume() {
+        return this.setScale(this._resumeScale);
     }
 
-    // ========================================
-    // ENTITY GENERATION
-    // ========================================
+    /** @returns {boolean} Whether simulation time is stopped */
+    get paused() {
+        return this.scale === 0;
+    }
 
     /**
-     * Spawn a new entity with random attributes and traits.
-     * @param {Object} [overrides] - Optional overrides
-     * @returns {Object} The spawned entity
+     * Advance the underlying clock when it is a virtual one.
+     * @param {number} deltaSeconds - Source seconds to advance
+     * @returns {ScaledClock} This instance for chaining
      */
-    spawn(overrides = {}) {
-        const entityId = overrides.id || `entity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    advance(deltaSeconds) {
+        if (typeof this.source.advance === 'function') this.source.advance(deltaSeconds);
+        return this;
+    }
+}
 
-        const entity = {
-            id: entityId,
-            configId: this.config.id,
-            createdAt: Date.now(),
-            attributes: {},
-            variables: {},
-            contexts: {},
-            layers: {},
-            modifiers: [],
-            compounds: [],
-            derived: {},
-            _modifierStates: {},
-            _internal: { lastTick: Date.now() }
-        };
+// ============================================================================
+// TICK SCHEDULER - Fixed-Step Simulation Loop
+// ============================================================================
 
-        // Roll attributes
-        for (const attr of this.getAttributes()) {
-            const cfg = attr.config;
-            const min = cfg.defaultRange?.[0] ?? cfg.min ?? 1;
-            const max = cfg.defaultRange?.[1] ?? cfg.max ?? 10;
-            entity.attributes[attr.id] = overrides.attributes?.[attr.id] ??
-                this._rollRange(min, max, cfg.precision);
+/**
+ * Fixed-timestep driver for an EntityManager. Real time goes into an
+ * accumulator and comes out as whole simulation steps of `step` seconds, so
+ * results do not depend on frame rate. Time can be scaled or paused globally,
+ * per entity group, and per entity.
+ *
+ * The scheduler owns simulation time: if the manager runs on a RealtimeClock
+ * it is switched to a ManualClock at the current time, so pausing also stops
+ * modifier expiry.
+ *
+ * @class TickScheduler
+ * @example
+ * const scheduler = engine.getScheduler({ step: 1 / 20, maxSteps: 10 });
+ * scheduler.setGroupTimeScale('underwater', 0.5);
+ *
+ * // Host game loop
+ * function frame(now) {
+ *     const { alpha } = scheduler.advance(now - last);
+ *     last = now;
+ *     render(alpha);   // interpolate between the last two steps
+ *     requestAnimationFrame(frame);
+ * }
+ *
+ * // Or let the scheduler run its own loop
+ * scheduler.start();
+ */
+class TickScheduler {
+    /**
+     * @param {EntityManager} entityManager - Manager to tick
+     * @param {Object} [options={}]
+     * @param {number} [options.step] - Simulation step in seconds (default: manager tickRate)
+     * @param {number} [options.timeScale=1] - Global time scale (0 = paused)
+     * @param {number} [options.maxSteps=5] - Most steps one advance() may run; time beyond that is dropped
+     */
+    constructor(entityManager, options = {}) {
+        /** @type {EntityManager} Manager being ticked */
+        this.entityManager = entityManager;
+        /** @type {number} Simulation step in seconds */
+        this.step = options.step ?? (entityManager.config.tickRate || 1000) / 1000;
+        /** @type {number} Global time scale (0 = paused) */
+        this.timeScale = options.timeScale ?? 1;
+        /** @type {number} Catch-up limit per advance() */
+        this.maxSteps = options.maxSteps ?? 5;
+        /** @type {number} Scaled real time (ms) not yet simulated */
+        this.accumulator = 0;
+        /** @type {number} Total steps run */
+        this.stepCount = 0;
+        /** @type {Map<string, number>} Time scale per entity group */
+        this.groupScales = new Map();
+        /** @type {Map<string, number>} Time scale per entity (overrides groups) */
+        this.entityScales = new Map();
+        /** @type {number} Scale to restore on resume() */
+        this._resumeScale = this.timeScale || 1;
+        /** @type {Object|null} Handle of the loop started by start() */
+        this._loop = null;
+
+        if (typeof entityManager.clock.advance !== 'function') {
+            entityManager.setClock(new ManualClock(entityManager.clock.now()));
         }
+    }
 
-        // Initialize variables
-        for (const varNode of this.getVariables()) {
-            const cfg = varNode.config;
-            entity.variables[varNode.id] = {
-                value: cfg.initial ?? 100,
-                baseRate: cfg.baseRate ?? 0,
-                currentRate: cfg.baseRate ?? 0,
-                min: cfg.min ?? 0,
-                max: cfg.max ?? 100,
-                changeMode: cfg.changeMode || 'manual',
-                direction: cfg.direction || 'none'
-            };
+    /**
+     * Feed elapsed real time and run as many fixed steps as it covers.
+     *
+     * @param {number} realDeltaMs - Real milliseconds since the last call
+     * @returns {{steps: number, dropped: number, alpha: number}} Steps run, steps
+     *   skipped by the catch-up limit, and how far (0..1) into the next step time is
+     */
+    advance(realDeltaMs) {
+        const stepMs = this.step * 1000;
+        if (realDeltaMs > 0) this.accumulator += realDeltaMs * this.timeScale;
+
+        let steps = 0;
+        while (this.accumulator >= stepMs && steps < this.maxSteps) {
+            this._runStep();
+            this.accumulator -= stepMs;
+            steps++;
         }
 
-        // Initialize contexts
-        for (const ctx of this.getNodesByType('context')) {
-            entity.contexts[ctx.id] = overrides.contexts?.[ctx.id] ?? ctx.config.default;
+        let dropped = 0;
+        if (this.accumulator >= stepMs) {
+            dropped = Math.floor(this.accumulator / stepMs);
+            this.accumulator -= dropped * stepMs;
         }
+        return { steps, dropped, alpha: this.accumulator / stepMs };
+    }
 
-        // Initialize layer containers
-        for (const layer of this.getLayers()) {
-            entity.layers[layer.id] = { active: [], lastRoll: null };
+    /**
+     * Set the global time scale (2 = double speed, 0 = paused).
+     * @param {number} scale - New time scale
+     * @returns {TickScheduler} This instance for chaining
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+        if (this.timeScale > 0) this._resumeScale = this.timeScale;
+        this.entityManager.emit('timeScaleChanged', { scope: 'global', timeScale: this.timeScale });
+        return this;
+    }
+
+    /** @returns {TickScheduler} This instance for chaining */
+    pause() {
+        return this.setTimeScale(0);
+    }
+
+    /** @returns {TickScheduler} This instance for chaining */
+    resume() {
+        return this.setTimeScale(this._resumeScale);
+    }
+
+    /** @returns {boolean} Whether simulation time is stopped globally */
+    get paused() {
+        return this.timeScale === 0;
+    }
+
+    /**
+     * Scale time for every entity in a group; null clears it. An entity in
+     * several scaled groups gets the product of their scales.
+     *
+     * @param {string} groupId - Entity group ID (see createGroup)
+     * @param {number|null} scale - Time scale, 0 to pause, null to clear
+     * @returns {TickScheduler} This instance for chaining
+     */
+    setGroupTimeScale(groupId, scale) {
+        if (scale === null || scale === undefined) this.groupScales.delete(groupId);
+        else this.groupScales.set(groupId, Math.max(0, scale));
+        this.entityManager.emit('timeScaleChanged', { scope: 'group', groupId, timeScale: scale ?? null });
+        return this;
+    }
+
+    /**
+     * Scale time for one entity, overriding its groups; null clears it.
+     *
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {number|null} scale - Time scale, 0 to pause, null to clear
+     * @returns {TickScheduler} This instance for chaining
+     */
+    setEntityTimeScale(entityOrId, scale) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId.id;
+        if (scale === null || scale === undefined) this.entityScales.delete(entityId);
+        else this.entityScales.set(entityId, Math.max(0, scale));
+        this.entityManager.emit('timeScaleChanged', { scope: 'entity', entityId, timeScale: scale ?? null });
+        return this;
+    }
+
+    /**
+     * Time scale an entity runs at relative to simulation time (global scale
+     * excluded): its own override, else the product of its groups' scales.
+     *
+     * @param {string} entityId - Entity ID
+     * @returns {number} Time scale
+     */
+    getEntityTimeScale(entityId) {
+        if (this.entityScales.has(entityId)) return this.entityScales.get(entityId);
+        let scale = 1;
+        for (const [groupId, groupScale] of this.groupScales) {
+            if (this.entityManager.groups.get(groupId)?.entities.has(entityId)) scale *= groupScale;
         }
+        return scale;
+    }
 
-        // Roll initial traits for each layer
-        for (const layer of this.getLayers()) {
-            const initialRolls = layer.config.selection?.initialRolls || 1;
-            for (let i = 0; i < initialRolls; i++) {
-                this.rollLayer(entity, layer.id);
-            }
+    /**
+     * Run a loop that calls advance() every animation frame (or every step
+     * where requestAnimationFrame is unavailable, e.g. in Node).
+     * @returns {TickScheduler} This instance for chaining
+     */
+    start() {
+        if (this._loop) return this;
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        let last = now();
+
+        if (typeof requestAnimationFrame === 'function') {
+            const frame = (time) => {
+                this.advance(time - last);
+                last = time;
+                this._loop.id = requestAnimationFrame(frame);
+            };
+            this._loop = { type: 'frame', id: requestAnimationFrame(frame) };
+        } else {
+            this._loop = {
+                type: 'interval',
+                id: setInterval(() => {
+                    const time = now();
+                    this.advance(time - last);
+                    last = time;
+                }, this.step * 1000)
+            };
         }
+        this.entityManager.emit('schedulerStarted', { step: this.step });
+        return this;
+    }
 
-        // Force any specified traits
-        for (const traitId of overrides.forceTraits || []) {
-            this._forceActivateTrait(entity, traitId);
+    /** @returns {TickScheduler} This instance for chaining */
+    stop() {
+        if (!this._loop) return this;
+        if (this._loop.type === 'frame') cancelAnimationFrame(this._loop.id);
+        else clearInterval(this._loop.id);
+        this._loop = null;
+        this.entityManager.emit('schedulerStopped', {});
+        return this;
+    }
+
+    /** @returns {boolean} Whether start() is driving the scheduler */
+    get running() {
+        return this._loop !== null;
+    }
+
+    /**
+     * One fixed step at the current time scales (see EntityManager.runScheduledStep).
+     * @private
+     */
+    _runStep() {
+        const manager = this.entityManager;
+        const scales = {};
+        for (const entityId of manager.active.keys()) {
+            const scale = this.getEntityTimeScale(entityId);
+            if (scale !== 1) scales[entityId] = scale;
         }
+        manager._recordStep('schedulerStep', [this.step, scales], () => manager.runScheduledStep(this.step, scales));
+        this.stepCount++;
+    }
+}
+
+// ============================================================================
+// FORMULA LANGUAGE - Sandboxed Expression Compiler
+// ============================================================================
+
+/**
+ * Syntax or evaluation error in a formula. `position` is the 0-based
+ * character offset into `formula` (null for evaluation errors).
+ *
+ * @class FormulaError
+ * @extends Error
+ */
+class FormulaError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {string} formula - The formula source
+     * @param {number|null} [position=null] - Character offset of the problem
+     */
+    constructor(message, formula, position = null) {
+        super(position === null ? message : `${message} at position ${position}`);
+        this.name = 'FormulaError';
+        /** @type {string} The formula source */
+        this.formula = formula;
+        /** @type {number|null} Character offset of the problem */
+        this.position = position;
+    }
+}
 
-        // Apply custom properties from overrides
-        if (overrides.displayName) entity.displayName = overrides.displayName;
-        if (overrides.custom) Object.assign(entity, overrides.custom);
+/**
+ * Parser and compiler for the derived-value formula language. Formulas are
+ * compiled to plain closures - no `eval` or `new Function` - so a shared or
+ * downloaded config cannot run arbitrary code.
+ *
+ * Grammar (lowest to highest precedence):
+ * - `cond ? a : b`
+ * - `||`, `&&`
+ * - `==`, `!=` (also `===`, `!==`), `<`, `<=`, `>`, `>=`
+ * - `+`, `-`, then `*`, `/`, `%`
+ * - unary `-`, `+`, `!`
+ * - numbers, identifiers (optionally namespaced: `pack.id`), `fn(args)`, `( )` and `[ ]` groups
+ *
+ * Comparisons and logic operators produce 1 or 0. Identifiers must exist in
+ * the evaluation scope; function names come from FormulaCompiler.FUNCTIONS.
+ *
+ * @class FormulaCompiler
+ * @example
+ * const compiler = new FormulaCompiler();
+ * const formula = compiler.compile('clamp(attr_charm * 2 - var_mood, 0, 20)');
+ * formula.identifiers;                              // ['attr_charm', 'var_mood']
+ * formula.evaluate({ attr_charm: 7, var_mood: 3 }); // 11
+ */
+class FormulaCompiler {
+    constructor() {
+        /** @type {Map<string, Object>} Compiled formulas by source */
+        this.cache = new Map();
+    }
 
-        // Calculate emergent states
-        this._checkCompounds(entity);
-        this._calculateDerived(entity);
-        this._recalculateRates(entity);
+    /**
+     * Compile a formula, reusing the cached result for identical source.
+     *
+     * @param {string} source - Formula text
+     * @returns {{source: string, identifiers: string[], evaluate: function(Object): number}}
+     * @throws {FormulaError} On syntax errors or unknown function names
+     */
+    compile(source) {
+        let compiled = this.cache.get(source);
+        if (!compiled) {
+            compiled = FormulaCompiler.compile(source);
+            this.cache.set(source, compiled);
+        }
+        return compiled;
+    }
 
-        this.entities.set(entity.id, entity);
-        this.emit('entitySpawned', { entity });
+    /**
+     * Compile (cached) and evaluate a formula against a scope of values.
+     *
+     * @param {string} source - Formula text
+     * @param {Object<string, number>} scope - Identifier values
+     * @returns {number} Result
+     * @throws {FormulaError} On syntax errors or identifiers missing from scope
+     */
+    evaluate(source, scope) {
+        return this.compile(source).evaluate(scope);
+    }
 
-        return entity;
+    /** Drop all compiled formulas. */
+    clear() {
+        this.cache.clear();
     }
 
     /**
-     * Remove an entity.
+     * Compile a formula without caching.
+     *
+     * @param {string} source - Formula text
+     * @returns {{source: string, identifiers: string[], evaluate: function(Object): number}}
+     * @throws {FormulaError} On syntax errors or unknown function names
+     */
+    static compile(source) {
+        const text = String(source ?? '');
+        const tokens = FormulaCompiler.tokenize(text);
+        const identifiers = new Set();
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const fail = (message, token = peek()) => {
+            throw new FormulaError(message, text, token.pos);
+        };
+        const accept = (value) => {
+            if (peek().type === 'op' && peek().value === value) return tokens[pos++];
+            return null;
+        };
+        const expect = (value) => accept(value) || fail(
+            peek().type === 'end' ? `Expected "${value}" but formula ended` : `Expected "${value}" but found "${peek().value}"`
+        );
+        const binary = (next, ops) => () => {
+            let left = next();
+            for (;;) {
+                const token = peek();
+                if (token.type !== 'op' || !ops[token.value]) return left;
+                pos++;
+                const right = next();
+                left = ops[token.value](left, right);
+            }
+        };
+
+        const toNum = (b) => (b ? 1 : 0);
+        const primary = () => {
+            const token = peek();
+            if (token.type === 'num') {
+                pos++;
+                const value = token.value;
+                return () => value;
+            }
+            if (token.type === 'id') {
+                pos++;
+                if (accept('(')) {
+                    // Own entries only, so `constructor(...)` or `toString(...)` are unknown too
+                    const fn = Object.prototype.hasOwnProperty.call(FormulaCompiler.FUNCTIONS, token.value)
+                        ? FormulaCompiler.FUNCTIONS[token.value]
+                        : null;
+                    if (typeof fn !== 'function') fail(`Unknown function "${token.value}"`, token);
+                    const args = [];
+                    if (!accept(')')) {
+                        do { args.push(ternary()); } while (accept(','));
+                        expect(')');
+                    }
+                    if (fn.length && args.length < fn.length) {
+                        fail(`${token.value}() expects ${fn.length} argument${fn.length === 1 ? '' : 's'}, got ${args.length}`, token);
+                    }
+                    return (scope) => fn(...args.map(arg => arg(scope)));
+                }
+                const name = token.value;
+                identifiers.add(name);
+                return (scope) => {
+                    if (!Object.prototype.hasOwnProperty.call(scope, name)) {
+                        throw new FormulaError(`Unknown identifier "${name}"`, text, token.pos);
+                    }
+                    return scope[name];
+                };
+            }
+            if (token.type === 'op' && (token.value === '(' || token.value === '[')) {
+                pos++;
+                const inner = ternary();
+                expect(token.value === '(' ? ')' : ']');
+                return inner;
+            }
+            if (token.type === 'end') fail('Unexpected end of formula');
+            return fail(`Unexpected "${token.value}"`);
+        };
+        const unary = () => {
+            if (accept('-')) { const operand = unary(); return (s) => -operand(s); }
+            if (accept('+')) { const operand = unary(); return (s) => +operand(s); }
+            if (accept('!')) { const operand = unary(); return (s) => toNum(!operand(s)); }
+            return primary();
+        };
+        const multiplicative = binary(unary, {
+            '*': (a, b) => (s) => a(s) * b(s),
+            '/': (a, b) => (s) => a(s) / b(s),
+            '%': (a, b) => (s) => a(s) % b(s)
+        });
+        const additive = binary(multiplicative, {
+            '+': (a, b) => (s) => a(s) + b(s),
+            '-': (a, b) => (s) => a(s) - b(s)
+        });
+        const comparison = binary(additive, {
+            '<': (a, b) => (s) => toNum(a(s) < b(s)),
+            '<=': (a, b) => (s) => toNum(a(s) <= b(s)),
+            '>': (a, b) => (s) => toNum(a(s) > b(s)),
+            '>=': (a, b) => (s) => toNum(a(s) >= b(s))
+        });
+        const equality = binary(comparison, {
+            '==': (a, b) => (s) => toNum(a(s) === b(s)),
+            '===': (a, b) => (s) => toNum(a(s) === b(s)),
+            '!=': (a, b) => (s) => toNum(a(s) !== b(s)),
+            '!==': (a, b) => (s) => toNum(a(s) !== b(s))
+        });
+        const and = binary(equality, {
+            '&&': (a, b) => (s) => toNum(a(s) && b(s))
+        });
+        const or = binary(and, {
+            '||': (a, b) => (s) => toNum(a(s) || b(s))
+        });
+        const ternary = () => {
+            const cond = or();
+            if (!accept('?')) return cond;
+            const whenTrue = ternary();
+            expect(':');
+            const whenFalse = ternary();
+            return (s) => (cond(s) ? whenTrue(s) : whenFalse(s));
+        };
+
+        if (peek().type === 'end') fail('Formula is empty');
+        const root = ternary();
+        if (peek().type !== 'end') fail(`Unexpected "${peek().value}"`);
+
+        return {
+            source: text,
+            identifiers: Array.from(identifiers),
+            evaluate: (scope = {}) => root(scope)
+        };
+    }
+
+    /**
+     * Split formula text into tokens with their character positions.
+     *
+     * @param {string} text - Formula text
+     * @returns {Array<{type: string, value: *, pos: number}>} Tokens ending with an 'end' token
+     * @throws {FormulaError} On characters outside the language
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (/\s/.test(ch)) { i++; continue; }
+
+            const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.slice(i));
+            if (number) {
+                tokens.push({ type: 'num', value: parseFloat(number[0]), pos: i });
+                i += number[0].length;
+                continue;
+            }
+
+            // Dotted identifiers are namespaced IDs from config packs (winter.attr_cold)
+            const ident = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(text.slice(i));
+            if (ident) {
+                tokens.push({ type: 'id', value: ident[0], pos: i });
+                i += ident[0].length;
+                continue;
+            }
+
+            const op = FormulaCompiler.OPERATORS.find(o => text.startsWith(o, i));
+            if (!op) throw new FormulaError(`Unexpected character "${ch}"`, text, i);
+            tokens.push({ type: 'op', value: op, pos: i });
+            i += op.length;
+        }
+        tokens.push({ type: 'end', value: null, pos: text.length });
+        return tokens;
+    }
+}
+
+/** Operator tokens, longest first so `<=` wins over `<`. */
+FormulaCompiler.OPERATORS = [
+    '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+    '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', '[', ']', ','
+];
+
+/**
+ * Functions callable from formulas. Add entries here to extend the language.
+ * @type {Object<string, Function>}
+ */
+FormulaCompiler.FUNCTIONS = {
+    min: (...args) => Math.min(...args),
+    max: (...args) => Math.max(...args),
+    clamp: (value, lo, hi) => Math.max(lo, Math.min(hi, value)),
+    lerp: (a, b, t) => a + (b - a) * t,
+    floor: (x) => Math.floor(x),
+    ceil: (x) => Math.ceil(x),
+    round: (x) => Math.round(x),
+    abs: (x) => Math.abs(x),
+    sqrt: (x) => Math.sqrt(x),
+    pow: (base, exp) => Math.pow(base, exp),
+    sign: (x) => Math.sign(x)
+};
+
+// ============================================================================
+// CONFIG VALIDATION ERROR
+// ============================================================================
+
+/**
+ * Thrown by `loadConfig(config, { strict: true })` when validateConfig
+ * reports errors. Carries the full diagnostics for display.
+ *
+ * @class ConfigValidationError
+ * @extends Error
+ */
+class ConfigValidationError extends Error {
+    /**
+     * @param {{errors: Array<Object>, warnings: Array<Object>}} result - validateConfig() output
+     */
+    constructor(result) {
+        const first = result.errors[0];
+        const more = result.errors.length > 1 ? ` (+${result.errors.length - 1} more)` : '';
+        super(`Invalid config: ${first.path ? first.path + ': ' : ''}${first.message}${more}`);
+        this.name = 'ConfigValidationError';
+        /** @type {Array<Object>} Error diagnostics */
+        this.errors = result.errors;
+        /** @type {Array<Object>} Warning diagnostics */
+        this.warnings = result.warnings;
+    }
+}
+
+// ============================================================================
+// CONFIG MIGRATIONS - Versioned Schema Upgrades
+// ============================================================================
+
+/**
+ * Ordered chain of config migrations keyed by target version.
+ *
+ * A migration upgrades configs older than its `to` version. When a config
+ * is loaded, every registered migration whose `to` is newer than the
+ * config's `version` runs in ascending version order, each on the output
+ * of the last, and the config ends up at the newest version. Migrations
+ * record what they rewrote through the `change` callback they receive.
+ *
+ * The built-in migrations live in ConfigMigrator.defaults; teams can add
+ * their own with ConfigMigrator.register() (all new migrators) or
+ * migrator.register() (one SpawnManager).
+ *
+ * @class ConfigMigrator
+ * @example
+ * ConfigMigrator.register({
+ *     to: '3.3',
+ *     description: 'Rename var_thirst to var_hydration',
+ *     migrate(config, change) {
+ *         for (const node of config.nodes) {
+ *             if (node.id === 'var_thirst') {
+ *                 node.id = 'var_hydration';
+ *                 change(`nodes.${node.id}`, 'renamed from var_thirst');
+ *             }
+ *         }
+ *     }
+ * });
+ */
+class ConfigMigrator {
+    constructor() {
+        /** @type {Array<Object>} Registered migrations, sorted by `to` version */
+        this.migrations = [];
+        for (const migration of ConfigMigrator.defaults) this.register(migration);
+    }
+
+    /**
+     * Add a migration to this migrator.
+     *
+     * @param {Object} migration - Migration definition
+     * @param {string} migration.to - Version the config is at after this migration
+     * @param {string} [migration.description] - Shown in the migration report
+     * @param {function(Object, function(string, string))} migration.migrate - Rewrites the
+     *   config in place; call `change(path, message)` for each rewrite
+     * @returns {ConfigMigrator} This instance for chaining
+     */
+    register(migration) {
+        if (!migration || !migration.to || typeof migration.migrate !== 'function') {
+            throw new Error('Config migration requires a "to" version and a migrate() function');
+        }
+        if (this.migrations.some(m => ConfigMigrator.compareVersions(m.to, migration.to) === 0)) {
+            throw new Error(`A config migration to version ${migration.to} is already registered`);
+        }
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => ConfigMigrator.compareVersions(a.to, b.to));
+        return this;
+    }
+
+    /** @returns {string} Newest version a config can be migrated to */
+    get latestVersion() {
+        const last = this.migrations[this.migrations.length - 1];
+        return last ? last.to : ConfigMigrator.BASE_VERSION;
+    }
+
+    /**
+     * Upgrade a config to the latest registered version.
+     * By default the input is not modified and the result holds a migrated copy.
+     *
+     * @param {Object} config - Raw config JSON
+     * @param {Object} [options={}] - Migration options
+     * @param {boolean} [options.inPlace=false] - Rewrite the given config object itself
+     * @returns {{config: Object, fromVersion: string, toVersion: string, applied: Array<Object>}}
+     *   Migrated config plus a report: one `applied` entry per migration run,
+     *   each with `to`, `description` and `changes` ({ path, message })
+     * @throws {Error} If config is not an object
+     * @example
+     * const { config, applied } = migrator.migrate(oldConfig);
+     * applied.forEach(m => console.log(m.to, m.description, m.changes.length));
+     */
+    migrate(config, options = {}) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Config migration requires a config object');
+        }
+        const migrated = options.inPlace ? config : JSON.parse(JSON.stringify(config));
+        const fromVersion = String(migrated.version || ConfigMigrator.BASE_VERSION);
+        const applied = [];
+
+        for (const migration of this.migrations) {
+            const current = String(migrated.version || ConfigMigrator.BASE_VERSION);
+            if (ConfigMigrator.compareVersions(current, migration.to) >= 0) continue;
+
+            const changes = [];
+            migration.migrate(migrated, (path, message) => changes.push({ path, message }));
+            migrated.version = migration.to;
+            applied.push({ from: current, to: migration.to, description: migration.description || '', changes });
+        }
+
+        return { config: migrated, fromVersion, toVersion: String(migrated.version || fromVersion), applied };
+    }
+
+    /**
+     * Register a migration for every ConfigMigrator created afterwards.
+     *
+     * @param {Object} migration - See ConfigMigrator#register
+     */
+    static register(migration) {
+        ConfigMigrator.defaults.push(migration);
+    }
+
+    /**
+     * Compare dotted version strings numerically ('3.10' > '3.9').
+     *
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+     */
+    static compareVersions(a, b) {
+        const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+}
+
+/** Version assumed for configs without a `version` field. */
+ConfigMigrator.BASE_VERSION = '3.0';
+
+/**
+ * Built-in migrations, copied into every new ConfigMigrator.
+ * @type {Array<Object>}
+ */
+ConfigMigrator.defaults = [
+    {
+        to: '3.2',
+        description: 'Legacy modifier formats: manual duration, single-target triggers, trigger.autoRemove',
+        migrate(config, change) {
+            (Array.isArray(config.nodes) ? config.nodes : []).forEach((node, i) => {
+                if (node?.type !== 'modifier' || !node.config) return;
+                const cfg = node.config;
+                const path = `nodes[${i}].config`;
+
+                // 'manual' duration became 'permanent'
+                if (cfg.durationType === 'manual') {
+                    cfg.durationType = 'permanent';
+                    change(`${path}.durationType`, `"manual" → "permanent" (${node.id})`);
+                }
+
+                // Top-level triggerType/autoRemove were never read, so they are left
+                // alone: moving them into the trigger would make hand-applied
+                // modifiers fire on their own
+                if (!cfg.trigger) return;
+
+                // Single-condition threshold trigger became a conditions array
+                if (cfg.trigger.type === 'threshold' && cfg.trigger.target && !cfg.trigger.conditions) {
+                    cfg.trigger.conditions = [{
+                        target: cfg.trigger.target,
+                        operator: cfg.trigger.operator || '<=',
+                        value: cfg.trigger.value ?? 0
+                    }];
+                    cfg.trigger.logic = cfg.trigger.logic || 'all';
+                    change(`${path}.trigger.conditions`, `single target → conditions[] (${node.id})`);
+                }
+
+                // autoRemove became static mode with removeConditions
+                if (cfg.trigger.autoRemove && !cfg.trigger.removeConditions) {
+                    cfg.trigger.static = true;
+                    cfg.trigger.removeConditions = [{
+                        target: cfg.trigger.autoRemove.target || cfg.trigger.target,
+                        operator: cfg.trigger.autoRemove.operator || '>=',
+                        value: cfg.trigger.autoRemove.value ?? 0
+                    }];
+                    cfg.trigger.removeLogic = cfg.trigger.removeLogic || 'all';
+                    change(`${path}.trigger.removeConditions`, `autoRemove → static removeConditions (${node.id})`);
+                }
+            });
+        }
+    }
+];
+
+// ============================================================================
+// SPAWN MANAGER - Pure Generation Logic
+// ============================================================================
+
+/**
+ * Pure generation logic for creating entity snapshots.
+ * Handles config loading, attribute rolling, trait selection, and relationship calculations.
+ * Does not manage runtime state - use EntityManager for that.
+ *
+ * @class SpawnManager
+ * @example
+ * const manager = new SpawnManager(config);
+ * const entity = manager.generate();
+ * console.log(entity.attributes);
+ */
+class SpawnManager {
+    /**
+     * Create a new SpawnManager instance.
+     *
+     * @param {Object|null} [config=null] - Configuration object to load immediately
+     * @example
+     * // Create without config
+     * const manager = new SpawnManager();
+     * manager.loadConfig(myConfig);
+     *
+     * // Create with config
+     * const manager = new SpawnManager(myConfig);
+     */
+    constructor(config = null) {
+        /** @type {Object|null} Current configuration */
+        this.config = null;
+        /** @type {Map<string, Object>} Node lookup index */
+        this.nodeIndex = new Map();
+        /** @type {Object} Relationship indexes by source, target, and type */
+        this.relationshipIndex = {
+            bySource: new Map(),
+            byTarget: new Map(),
+            byType: new Map()
+        };
+        /** @type {Map<string, Array<Object>>} Cached nodes grouped by type */
+        this._nodesByType = new Map();
+        /** @type {FormulaCompiler} Compiled formula cache */
+        this.formulas = new FormulaCompiler();
+        /** @type {Set<string>} Formulas already reported as failing (warn once each) */
+        this._formulaWarnings = new Set();
+        this._curveWarnings = new Set();
+        /** @type {ConfigMigrator} Schema upgrades applied on loadConfig */
+        this.migrator = new ConfigMigrator();
+        /** @type {Object|null} Migration report from the last loadConfig */
+        this.lastMigration = null;
+        /** @type {Object|null} Config passed to loadConfig, before packs were merged */
+        this.baseConfig = null;
+        /** @type {Array<Object>} Packs merged over the base config, in order */
+        this.packs = [];
+        /** @type {Object|null} composeConfig report from the last loadConfig with packs */
+        this.lastComposition = null;
+        /** @type {boolean} When true, layer rolls log a per-candidate breakdown (see explainTrait) */
+        this.explainSelection = false;
+        /** @type {Array<Object>} Pre-filtered threshold modifier nodes */
+        this._thresholdModifiers = [];
+        /** @type {Map<string, Array<Object>>} Threshold traits indexed by target variable ID */
+        this._thresholdTraitsByVar = new Map();
+        /** @type {Map<string, Set<string>>} Pre-computed exclusive modifier groups */
+        this._exclusiveGroups = new Map();
+        /** @type {Map<string, number[]>} Threshold values watched per variable (see getVariableThresholds) */
+        this._variableThresholds = new Map();
+        /** @type {boolean} Whether any variable's rate depends on other variables' values */
+        this._ratesCoupled = false;
+        /** @type {Object|null} Cascade dependency graph, built on first use (see getDependencyGraph) */
+        this._dependencyGraph = null;
+        /** @type {Object} Cascade profiling counters (see getCascadeStats) */
+        this.cascadeStats = this._emptyCascadeStats();
+        /** @type {EntityManager|null} Linked EntityManager for preset access */
+        this.entityManager = null;
+        /** @type {SeededRandom} Master random stream; entity streams are forked from it */
+        this.rng = new SeededRandom();
+        /** @type {WeakMap<Object, SeededRandom>} Stream wrappers keyed by entity RNG state */
+        this._entityRngs = new WeakMap();
+        /** @type {number} Entity IDs issued by this manager (part of each ID; kept across setSeed) */
+        this.entityCount = 0;
+        /** @type {Object} Time source for createdAt, roll and log timestamps */
+        this.clock = new RealtimeClock();
+
+        if (config) {
+            this.loadConfig(config);
+        }
+    }
+
+    /**
+     * Link an EntityManager for preset and runtime integration.
+     *
+     * @param {EntityManager} entityManager - The EntityManager to link
+     * @returns {SpawnManager} This instance for chaining
+     * @example
+     * const spawnManager = new SpawnManager(config);
+     * const entityManager = new EntityManager();
+     * spawnManager.linkEntityManager(entityManager);
+     */
+    linkEntityManager(entityManager) {
+        this.entityManager = entityManager;
+        return this;
+    }
+
+    // ========================================
+    // CONFIG MANAGEMENT
+    // ========================================
+
+    /**
+     * Load and process a configuration object.
+     * Migrates to the latest schema version, normalizes, and builds lookup indexes.
+     * The migration report is kept in `lastMigration`.
+     *
+     * @param {Object} config - Configuration object
+     * @param {string} config.id - Unique configuration ID
+     * @param {string} config.name - Display name
+     * @param {Array<Object>} config.nodes - Node definitions
+     * @param {Array<Object>} [config.relationships] - Relationship definitions
+     * @param {Object} [options={}] - Load options
+     * @param {boolean} [options.strict=false] - Run validateConfig first and throw
+     *   a ConfigValidationError if it reports any errors
+     * @param {Array<Object>} [options.packs] - Packs to merge over the config (see composeConfig);
+     *   the composition report is kept in `lastComposition`
+     * @returns {SpawnManager} This instance for chaining
+     * @throws {ConfigValidationError} In strict mode, when the config has errors
+     * @example
+     * manager.loadConfig({
+     *   id: 'my-config',
+     *   name: 'My Config',
+     *   nodes: [...],
+     *   relationships: [...]
+     * });
+     *
+     * // Refuse broken configs instead of silently patching them
+     * manager.loadConfig(downloadedConfig, { strict: true });
+     *
+     * // Base game plus DLC
+     * manager.loadConfig(baseConfig, { packs: [winterPack, bardsPack] });
+     */
+    loadConfig(config, options = {}) {
+        // Migrations expect an object with a nodes array; reject anything else before they run
+        if (options.strict && !(config && typeof config === 'object' && !Array.isArray(config) && Array.isArray(config.nodes))) {
+            throw new ConfigValidationError(this.validateConfig(config));
+        }
+        // Migrate and compose a copy first, so a strict load that fails changes
+        // neither the caller's config nor this manager
+        const packs = options.packs ? [...options.packs] : [];
+        const migrated = this.migrator.migrate(config).config;
+        const composition = packs.length > 0 ? this.composeConfig(migrated, packs) : null;
+
+        if (options.strict) {
+            const result = this.validateConfig(composition ? composition.config : migrated);
+            if (composition) {
+                result.errors.unshift(...composition.errors);
+                result.warnings.unshift(...composition.warnings);
+                result.valid = result.errors.length === 0;
+            }
+            if (!result.valid) throw new ConfigValidationError(result);
+        } else if (composition) {
+            for (const e of composition.errors) console.warn(`Config pack: ${e.message}`);
+        }
+
+        // Then in place, as normalization always was: editors holding the config see the upgrade
+        this.lastMigration = this.migrator.migrate(config, { inPlace: true });
+        this.baseConfig = config;
+        this.packs = packs;
+        this.lastComposition = composition;
+        this.config = this.validateAndNormalize(composition ? composition.config : config);
+        this.buildIndexes();
+        this.formulas.clear();
+        this._formulaWarnings.clear();
+        if (this.config.engineConfig.seed !== null) {
+            this.setSeed(this.config.engineConfig.seed);
+        }
+        return this;
+    }
+
+    /**
+     * Add a pack on top of the loaded config and reload.
+     *
+     * @param {Object} pack - Pack definition (see composeConfig)
+     * @param {Object} [options={}] - loadConfig options (e.g. `{ strict: true }`)
+     * @returns {SpawnManager} This instance for chaining
+     * @throws {ConfigValidationError} In strict mode, when the merged config has errors
+     */
+    loadPack(pack, options = {}) {
+        if (!this.baseConfig) throw new Error('loadPack requires a base config; call loadConfig first');
+        return this.loadConfig(this.baseConfig, { ...options, packs: [...this.packs, pack] });
+    }
+
+    /**
+     * Upgrade a config to the latest schema version without loading it.
+     *
+     * @param {Object} config - Raw config JSON
+     * @returns {{config: Object, fromVersion: string, toVersion: string, applied: Array<Object>}} Report
+     * @example
+     * const report = manager.migrateConfig(oldConfig);
+     * console.log(`${report.fromVersion} → ${report.toVersion}`, report.applied);
+     */
+    migrateConfig(config) {
+        return this.migrator.migrate(config);
+    }
+
+    /**
+     * Add a migration for configs loaded by this manager.
+     * @see ConfigMigrator#register
+     *
+     * @param {Object} migration - `{ to, description, migrate(config, change) }`
+     * @returns {SpawnManager} This instance for chaining
+     */
+    registerMigration(migration) {
+        this.migrator.register(migration);
+        return this;
+    }
+
+    // ========================================
+    // CONFIG PACKS
+    // ========================================
+
+    /**
+     * Merge a base config with packs (DLC, mods, per-level content).
+     * Packs apply in order; each may:
+     * - `nodes`: add nodes
+     * - `patch`: `{ nodeId: { name, config: {...} } }` - deep-merge fields into existing nodes
+     * - `removeRelationships`: relationship IDs or `{ sourceId, targetId, type }` matchers
+     * - `relationships`: add relationships
+     * - `appendTraits`: `{ layerId: [traitId, ...] }` - add traits to existing layers
+     * - `presets`: add presets
+     *
+     * With a `namespace`, IDs a pack adds become `namespace.id`, and references
+     * inside the pack to its own nodes (layerId, requires, formulas, ...) are
+     * qualified to match. References to anything else are left alone.
+     *
+     * Added nodes record their pack in `node.pack`; patched nodes list the
+     * packs that touched them in `node.patchedBy`. Nothing passed in is modified.
+     *
+     * @param {Object} base - Base config
+     * @param {Array<Object>} [packs=[]] - Packs, applied in order
+     * @returns {{config: Object, errors: Array<Object>, warnings: Array<Object>, sources: Object<string, string|null>}}
+     *   Merged config, collision/patch diagnostics (validateConfig shape, plus `packId`)
+     *   and the contributing pack of every node (null = base)
+     * @example
+     * const { config, errors } = manager.composeConfig(tavern, [{
+     *     id: 'winter_dlc',
+     *     namespace: 'winter',
+     *     nodes: [{ id: 'item_frostbitten', type: 'item', config: { layerId: 'layer_mood' } }],
+     *     appendTraits: { layer_mood: ['item_frostbitten'] },
+     *     patch: { attr_patience: { config: { max: 12 } } }
+     * }]);
+     * // config has node 'winter.item_frostbitten' with pack: 'winter_dlc'
+     */
+    composeConfig(base, packs = []) {
+        const config = JSON.parse(JSON.stringify(base));
+        config.nodes = config.nodes || [];
+        config.relationships = config.relationships || [];
+        config.presets = config.presets || [];
+
+        const errors = [];
+        const warnings = [];
+        const sources = {};
+        const nodeById = new Map();
+        for (const node of config.nodes) {
+            sources[node.id] = node.pack || null;
+            nodeById.set(node.id, node);
+        }
+        const sourceName = (id) => (sources[id] ? `pack "${sources[id]}"` : 'the base config');
+
+        packs.forEach((rawPack, p) => {
+            const pack = this.migrator.migrate(rawPack).config;
+            const packId = pack.id || `pack_${p}`;
+            const qualify = this._createPackQualifier(pack);
+            const report = (list, code, path, message, extra = {}) => {
+                const diagnostic = { severity: list === errors ? 'error' : 'warning', code, path, nodeId: null, message, packId, ...extra };
+                list.push(diagnostic);
+            };
+
+            (pack.nodes || []).forEach((rawNode, i) => {
+                const node = this._qualifyPackRefs(rawNode, qualify);
+                if (nodeById.has(node.id)) {
+                    report(errors, 'PACK_ID_COLLISION', `packs[${p}].nodes[${i}].id`,
+                        `Pack "${packId}" adds node "${node.id}", which already exists in ${sourceName(node.id)}`,
+                        { nodeId: node.id, suggestion: 'Give the pack a namespace, rename the node, or use "patch" to change the existing one' });
+                    return;
+                }
+                node.pack = packId;
+                config.nodes.push(node);
+                nodeById.set(node.id, node);
+                sources[node.id] = packId;
+            });
+
+            for (const [rawId, changes] of Object.entries(pack.patch || {})) {
+                const nodeId = qualify(rawId);
+                const node = nodeById.get(nodeId);
+                if (!node) {
+                    report(errors, 'PACK_PATCH_UNKNOWN_NODE', `packs[${p}].patch.${rawId}`,
+                        `Pack "${packId}" patches unknown node "${nodeId}"`, { nodeId });
+                    continue;
+                }
+                const fields = this._qualifyPackRefs(changes, qualify);
+                delete fields.id;
+                delete fields.type;
+                this._deepMerge(node, fields);
+                node.patchedBy = [...(node.patchedBy || []), packId];
+            }
+
+            (pack.removeRelationships || []).forEach((match, i) => {
+                const matches = (rel) => (typeof match === 'string'
+                    ? rel.id === match
+                    : (!match.sourceId || rel.sourceId === match.sourceId) &&
+                      (!match.targetId || rel.targetId === match.targetId) &&
+                      (!match.type || rel.type === match.type));
+                const before = config.relationships.length;
+                config.relationships = config.relationships.filter(rel => !matches(rel));
+                if (config.relationships.length === before) {
+                    report(warnings, 'PACK_REMOVE_UNKNOWN_RELATIONSHIP', `packs[${p}].removeRelationships[${i}]`,
+                        `Pack "${packId}" removes a relationship that does not exist: ${JSON.stringify(match)}`);
+                }
+            });
+
+            const relIds = new Set(config.relationships.map(r => r.id).filter(Boolean));
+            (pack.relationships || []).forEach((rawRel, i) => {
+                const rel = this._qualifyPackRefs(rawRel, qualify, pack.namespace);
+                if (rel.id && relIds.has(rel.id)) {
+                    report(errors, 'PACK_ID_COLLISION', `packs[${p}].relationships[${i}].id`,
+                        `Pack "${packId}" adds relationship "${rel.id}", which already exists`,
+                        { relationshipId: rel.id });
+                    return;
+                }
+                rel.pack = packId;
+                config.relationships.push(rel);
+                if (rel.id) relIds.add(rel.id);
+            });
+
+            for (const [rawLayerId, traitIds] of Object.entries(pack.appendTraits || {})) {
+                const layerId = qualify(rawLayerId);
+                const layer = nodeById.get(layerId);
+                if (!layer || layer.type !== 'layer') {
+                    report(errors, 'PACK_UNKNOWN_LAYER', `packs[${p}].appendTraits.${rawLayerId}`,
+                        `Pack "${packId}" appends traits to unknown layer "${layerId}"`, { nodeId: layerId });
+                    continue;
+                }
+                layer.config = layer.config || {};
+                const key = layer.config.itemIds && !layer.config.traitIds ? 'itemIds' : 'traitIds';
+                const list = layer.config[key] || (layer.config[key] = []);
+                for (const traitId of traitIds.map(qualify)) {
+                    if (!list.includes(traitId)) list.push(traitId);
+                    const trait = nodeById.get(traitId);
+                    if (trait) {
+                        trait.config = trait.config || {};
+                        if (!trait.config.layerId) trait.config.layerId = layerId;
+                    }
+                }
+                if (layer.pack !== packId) layer.patchedBy = [...(layer.patchedBy || []), packId];
+            }
+
+            const presetIds = new Set(config.presets.map(pr => pr.id));
+            (pack.presets || []).forEach((rawPreset, i) => {
+                const preset = this._qualifyPackRefs(rawPreset, qualify, pack.namespace);
+                if (presetIds.has(preset.id)) {
+                    report(errors, 'PACK_ID_COLLISION', `packs[${p}].presets[${i}].id`,
+                        `Pack "${packId}" adds preset "${preset.id}", which already exists`);
+                    return;
+                }
+                preset.pack = packId;
+                config.presets.push(preset);
+                presetIds.add(preset.id);
+            });
+        });
+
+        return { config, errors, warnings, sources };
+    }
+
+    /**
+     * Build the ID qualifier for a pack: pack-local IDs get the namespace
+     * prefix, everything else (base IDs, already-qualified IDs) passes through.
+     *
+     * @param {Object} pack - Pack definition
+     * @returns {function(string): string} Qualifier
+     * @private
+     */
+    _createPackQualifier(pack) {
+        if (!pack.namespace) return (id) => id;
+        const local = new Set((pack.nodes || []).map(n => n.id));
+        return (id) => (typeof id === 'string' && local.has(id) ? `${pack.namespace}.${id}` : id);
+    }
+
+    /**
+     * Deep-copy a pack node/relationship/preset, qualifying every ID reference.
+     * ID-bearing keys (id, layerId, target, sourceId, requires, ...) are rewritten
+     * with `qualify`, map keys of attribute/context overrides likewise, and
+     * formulas token by token.
+     *
+     * @param {*} value - Value to copy
+     * @param {function(string): string} qualify - From _createPackQualifier
+     * @param {string} [ownNamespace] - Prefix for the object's own `id` when it is
+     *   not a node (relationships, presets)
+     * @returns {*} Qualified copy
+     * @private
+     */
+    _qualifyPackRefs(value, qualify, ownNamespace = null) {
+        const copy = JSON.parse(JSON.stringify(value));
+        const refKeys = ['id', 'layerId', 'target', 'sourceId', 'targetId', 'perPointSource', 'curveSource', 'item', 'trait', 'modifier', 'tickSystemId'];
+        const listKeys = ['traitIds', 'itemIds', 'incompatibleWith', 'exclusiveWith', 'requires', 'forceTraits'];
+        const mapKeys = ['attributes', 'contexts', 'attributeOverrides', 'variableOverrides', 'correlations'];
+
+        const walk = (obj) => {
+            if (Array.isArray(obj)) {
+                obj.forEach(walk);
+                return;
+            }
+            if (!obj || typeof obj !== 'object') return;
+            for (const [key, val] of Object.entries(obj)) {
+                if (typeof val === 'string' && refKeys.includes(key)) {
+                    obj[key] = qualify(val);
+                } else if (typeof val === 'string' && key === 'formula') {
+                    obj[key] = this._qualifyFormula(val, qualify);
+                } else if (Array.isArray(val) && listKeys.includes(key)) {
+                    obj[key] = val.map(item => (typeof item === 'string' ? qualify(item) : item));
+                    obj[key].forEach(walk);
+                } else if (val && typeof val === 'object' && mapKeys.includes(key) && !Array.isArray(val)) {
+                    obj[key] = Object.fromEntries(Object.entries(val).map(([k, v]) => [qualify(k), v]));
+                    walk(obj[key]);
+                } else {
+                    walk(val);
+                }
+            }
+        };
+        walk(copy);
+
+        if (ownNamespace && copy.id && copy.id === value.id) {
+            copy.id = `${ownNamespace}.${copy.id}`;
+        }
+        return copy;
+    }
+
+    /**
+     * Qualify the identifiers in a formula, leaving everything else verbatim.
+     * Formulas that don't tokenize are returned unchanged (validateConfig reports them).
+     *
+     * @param {string} formula - Formula text
+     * @param {function(string): string} qualify - ID qualifier
+     * @returns {string} Rewritten formula
+     * @private
+     */
+    _qualifyFormula(formula, qualify) {
+        let tokens;
+        try {
+            tokens = FormulaCompiler.tokenize(formula);
+        } catch (e) {
+            return formula;
+        }
+        let result = formula;
+        for (const token of tokens.filter(t => t.type === 'id').reverse()) {
+            const qualified = qualify(token.value);
+            if (qualified !== token.value) {
+                result = result.slice(0, token.pos) + qualified + result.slice(token.pos + token.value.length);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Recursively merge plain objects from `source` into `target`.
+     * Arrays and primitives replace; `null` deletes the key.
+     *
+     * Pack JSON is untrusted: `__proto__`, `constructor` and `prototype` keys
+     * are skipped, and only the target's own plain-object fields are merged
+     * into, so a patch cannot reach Object.prototype.
+     *
+     * @param {Object} target - Object to modify
+     * @param {Object} source - Fields to merge in
+     * @returns {Object} target
+     * @private
+     */
+    _deepMerge(target, source) {
+        const isPlainObject = (value) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+            const proto = Object.getPrototypeOf(value);
+            return proto === Object.prototype || proto === null;
+        };
+        for (const [key, val] of Object.entries(source)) {
+            if (SpawnManager.UNSAFE_KEYS.includes(key)) continue;
+            if (val === null) {
+                delete target[key];
+            } else if (isPlainObject(val) && Object.prototype.hasOwnProperty.call(target, key) && isPlainObject(target[key])) {
+                this._deepMerge(target[key], val);
+            } else {
+                target[key] = val;
+            }
+        }
+        return target;
+    }
+
+    // ========================================
+    // CONFIG VALIDATION
+    // ========================================
+
+    /**
+     * Check a config for structural problems without loading it.
+     * Works on raw (un-normalized) config JSON, so it can vet imported or
+     * downloaded configs before they touch the engine.
+     *
+     * Each diagnostic has a stable `code`, a `path` into the config
+     * (e.g. 'nodes[4].config.layerId'), the `nodeId` it concerns (if any),
+     * a `message`, and optionally a `suggestion`.
+     *
+     * @param {Object} [config=this.config] - Config to check
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} Diagnostics
+     * @example
+     * const { valid, errors } = manager.validateConfig(importedConfig);
+     * if (!valid) errors.forEach(e => console.log(`${e.path}: ${e.message}`));
+     */
+    validateConfig(config = this.config) {
+        const errors = [];
+        const warnings = [];
+        const report = (list, code, path, message, extra = {}) => {
+            list.push({ severity: list === errors ? 'error' : 'warning', code, path, nodeId: null, message, ...extra });
+        };
+
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            report(errors, 'CONFIG_NOT_OBJECT', '', 'Config must be a JSON object');
+            return { valid: false, errors, warnings };
+        }
+        if (!Array.isArray(config.nodes)) {
+            report(errors, 'NODES_NOT_ARRAY', 'nodes', 'Config must have a "nodes" array');
+            return { valid: false, errors, warnings };
+        }
+        if (config.relationships !== undefined && !Array.isArray(config.relationships)) {
+            report(errors, 'RELATIONSHIPS_NOT_ARRAY', 'relationships', '"relationships" must be an array');
+        }
+
+        const nodes = new Map();
+        config.nodes.forEach((node, i) => {
+            const path = `nodes[${i}]`;
+            if (!node || typeof node !== 'object') {
+                report(errors, 'NODE_NOT_OBJECT', path, `Node ${i} is not an object`);
+                return;
+            }
+            if (!node.id) report(errors, 'NODE_MISSING_ID', `${path}.id`, `Node ${i} is missing "id"`);
+            if (!node.type) report(errors, 'NODE_MISSING_TYPE', `${path}.type`, `Node ${node.id || i} is missing "type"`, { nodeId: node.id || null });
+            if (!node.id) return;
+            if (nodes.has(node.id)) {
+                report(errors, 'NODE_DUPLICATE_ID', `${path}.id`, `Duplicate node id "${node.id}"`, { nodeId: node.id });
+                return;
+            }
+            nodes.set(node.id, { node, path });
+        });
+
+        const isType = (id, ...types) => nodes.has(id) && types.includes(nodes.get(id).node.type);
+        const isTraitNode = (node) => node.type === 'trait' || node.type === 'item';
+
+        for (const [id, { node, path }] of nodes) {
+            const cfg = node.config || {};
+
+            if (isTraitNode(node)) {
+                if (!cfg.layerId) {
+                    report(warnings, 'TRAIT_NO_LAYER', `${path}.config.layerId`, `Trait "${id}" has no layerId and can only be force-activated`, { nodeId: id, suggestion: 'Assign this trait to a layer' });
+                } else if (!isType(cfg.layerId, 'layer')) {
+                    report(errors, 'TRAIT_UNKNOWN_LAYER', `${path}.config.layerId`, `Trait "${id}" references unknown layer "${cfg.layerId}"`, { nodeId: id, suggestion: 'Fix the layerId or create the missing layer' });
+                }
+                (cfg.incompatibleWith || []).forEach((otherId, j) => {
+                    if (!nodes.has(otherId)) {
+                        report(errors, 'TRAIT_UNKNOWN_INCOMPATIBLE', `${path}.config.incompatibleWith[${j}]`, `Trait "${id}" is incompatible with unknown node "${otherId}"`, { nodeId: id });
+                    }
+                });
+            }
+
+            if (node.type === 'layer') {
+                const key = cfg.traitIds ? 'traitIds' : 'itemIds';
+                const traitIds = cfg[key] || [];
+                traitIds.forEach((traitId, j) => {
+                    if (!nodes.has(traitId)) {
+                        report(errors, 'LAYER_UNKNOWN_TRAIT', `${path}.config.${key}[${j}]`, `Layer "${id}" lists unknown trait "${traitId}"`, { nodeId: id });
+                    }
+                });
+                if (traitIds.length === 0) {
+                    report(warnings, 'LAYER_EMPTY', `${path}.config.${key}`, `Layer "${id}" has no traits`, { nodeId: id, suggestion: 'Add traits to this layer' });
+                }
+            }
+
+            if (node.type === 'compound') {
+                (cfg.requires || []).forEach((req, j) => {
+                    const reqId = typeof req === 'string' ? req : (req?.id || req?.item || req?.trait || req?.modifier);
+                    if (!reqId) return;
+                    if (!nodes.has(reqId)) {
+                        report(errors, 'COMPOUND_UNKNOWN_REQUIREMENT', `${path}.config.requires[${j}]`, `Compound "${id}" requires unknown node "${reqId}"`, { nodeId: id });
+                    } else if (req?.modifier && !isType(reqId, 'modifier')) {
+                        report(errors, 'COMPOUND_UNKNOWN_REQUIREMENT', `${path}.config.requires[${j}]`, `Compound "${id}" requires "${reqId}" as a modifier, but it is a ${nodes.get(reqId).node.type}`, { nodeId: id });
+                    }
+                });
+            }
+
+            if (node.type === 'modifier') {
+                const exclusiveWith = Array.isArray(cfg.exclusiveWith) ? cfg.exclusiveWith : (cfg.exclusiveWith ? [cfg.exclusiveWith] : []);
+                exclusiveWith.forEach((otherId, j) => {
+                    if (!nodes.has(otherId)) {
+                        report(warnings, 'MODIFIER_UNKNOWN_EXCLUSIVE', `${path}.config.exclusiveWith[${j}]`, `Modifier "${id}" is exclusive with unknown node "${otherId}"`, { nodeId: id });
+                    }
+                });
+                (cfg.tickBindings || []).forEach((binding, j) => {
+                    if (!isType(binding?.tickSystemId, 'ticksystem')) {
+                        report(errors, 'TICK_SYSTEM_UNKNOWN', `${path}.config.tickBindings[${j}].tickSystemId`, `Modifier "${id}" is bound to unknown tick system "${binding?.tickSystemId}"`, { nodeId: id, suggestion: 'Create the tick system or remove the binding' });
+                    }
+                });
+            }
+
+            if (node.type === 'attribute' && cfg.distribution) {
+                const dist = cfg.distribution;
+                const type = typeof dist === 'string'
+                    ? (/^\d*d\d+([+-]\d+)?$/i.test(dist.trim()) ? 'dice' : dist)
+                    : dist?.type;
+                const distributionTypes = ['uniform', 'normal', 'triangular', 'beta', 'buckets', 'dice'];
+                if (!distributionTypes.includes(type)) {
+                    report(errors, 'DISTRIBUTION_INVALID', `${path}.config.distribution`, `Attribute "${id}" has unknown distribution "${type}"`, { nodeId: id, suggestion: `Use one of: ${distributionTypes.join(', ')}, or dice notation like "3d6"` });
+                } else if (type === 'buckets' && !(dist.buckets?.length > 0)) {
+                    report(errors, 'DISTRIBUTION_INVALID', `${path}.config.distribution.buckets`, `Attribute "${id}" uses a buckets distribution without buckets`, { nodeId: id });
+                } else if (type === 'dice' && typeof dist === 'object' && !/^\d*d\d+([+-]\d+)?$/i.test(String(dist.dice || '').trim())) {
+                    report(errors, 'DISTRIBUTION_INVALID', `${path}.config.distribution.dice`, `Attribute "${id}" has invalid dice notation "${dist.dice}"`, { nodeId: id, suggestion: 'Use notation like "3d6" or "2d8+1"' });
+                }
+            }
+
+            if (node.type === 'attribute' && cfg.correlations) {
+                for (const [otherId, rho] of Object.entries(cfg.correlations)) {
+                    if (!isType(otherId, 'attribute')) {
+                        report(warnings, 'CORRELATION_INVALID', `${path}.config.correlations.${otherId}`, `Attribute "${id}" is correlated with unknown attribute "${otherId}"`, { nodeId: id });
+                    } else if (typeof rho !== 'number' || rho < -1 || rho > 1) {
+                        report(warnings, 'CORRELATION_INVALID', `${path}.config.correlations.${otherId}`, `Attribute "${id}" has correlation ${rho} with "${otherId}"; coefficients must be between -1 and 1`, { nodeId: id });
+                    }
+                }
+            }
+
+            if (cfg.tickSystemId && ['variable', 'modifier', 'action'].includes(node.type) && !isType(cfg.tickSystemId, 'ticksystem')) {
+                report(errors, 'TICK_SYSTEM_UNKNOWN', `${path}.config.tickSystemId`, `${node.type[0].toUpperCase()}${node.type.slice(1)} "${id}" is bound to unknown tick system "${cfg.tickSystemId}"`, { nodeId: id, suggestion: 'Create the tick system or remove the binding' });
+            }
+
+            if (node.type === 'variable' && cfg.rateFormula) {
+                try {
+                    const compiled = this.formulas.compile(cfg.rateFormula);
+                    for (const ident of compiled.identifiers) {
+                        if (ident !== 'rate' && ident !== 'value' && !isType(ident, 'attribute', 'variable', 'context')) {
+                            report(errors, 'FORMULA_UNKNOWN_IDENTIFIER', `${path}.config.rateFormula`, `Variable "${id}" rate formula references unknown ID "${ident}"`, { nodeId: id, suggestion: 'Rate formulas may reference rate, value, and attribute, variable and context IDs' });
+                        }
+                    }
+                } catch (e) {
+                    report(errors, 'FORMULA_SYNTAX', `${path}.config.rateFormula`, `Variable "${id}" rate formula: ${e.message}`, { nodeId: id, position: e.position ?? null });
+                }
+            }
+
+            if (node.type === 'variable' && cfg.dynamics) {
+                const type = typeof cfg.dynamics === 'string' ? cfg.dynamics : cfg.dynamics.type;
+                const dynamicsTypes = ['linear', 'decay', 'logistic'];
+                if (!dynamicsTypes.includes(type)) {
+                    report(errors, 'DYNAMICS_INVALID', `${path}.config.dynamics`, `Variable "${id}" has unknown dynamics "${type}"`, { nodeId: id, suggestion: `Use one of: ${dynamicsTypes.join(', ')}` });
+                }
+                for (const key of ['target', 'capacity']) {
+                    const ref = cfg.dynamics[key];
+                    if (typeof ref === 'string' && !isType(ref, 'attribute', 'variable', 'context', 'derived')) {
+                        report(errors, 'DYNAMICS_INVALID', `${path}.config.dynamics.${key}`, `Variable "${id}" dynamics ${key} references unknown node "${ref}"`, { nodeId: id });
+                    }
+                }
+            }
+
+            if (node.type === 'derived') {
+                if (!cfg.formula) {
+                    report(errors, 'FORMULA_MISSING', `${path}.config.formula`, `Derived value "${id}" has no formula`, { nodeId: id });
+                    continue;
+                }
+                let compiled;
+                try {
+                    compiled = this.formulas.compile(cfg.formula);
+                } catch (e) {
+                    report(errors, 'FORMULA_SYNTAX', `${path}.config.formula`, `Derived value "${id}": ${e.message}`, { nodeId: id, position: e.position ?? null });
+                    continue;
+                }
+                for (const ident of compiled.identifiers) {
+                    if (!isType(ident, 'attribute', 'variable', 'context')) {
+                        report(errors, 'FORMULA_UNKNOWN_IDENTIFIER', `${path}.config.formula`, `Derived value "${id}" references unknown ID "${ident}"`, { nodeId: id, suggestion: 'Formulas may only reference attribute, variable and context IDs' });
+                    }
+                }
+            }
+        }
+
+        const seenRelationships = new Set();
+        (Array.isArray(config.relationships) ? config.relationships : []).forEach((rel, i) => {
+            const path = `relationships[${i}]`;
+            const relId = rel?.id || null;
+            if (!nodes.has(rel?.sourceId)) {
+                report(errors, 'RELATIONSHIP_UNKNOWN_SOURCE', `${path}.sourceId`, `Relationship ${relId || i} has unknown source "${rel?.sourceId}"`, { relationshipId: relId, suggestion: 'Fix or remove this relationship' });
+            }
+            if (!nodes.has(rel?.targetId)) {
+                report(errors, 'RELATIONSHIP_UNKNOWN_TARGET', `${path}.targetId`, `Relationship ${relId || i} has unknown target "${rel?.targetId}"`, { relationshipId: relId, suggestion: 'Fix or remove this relationship' });
+            }
+            const key = `${rel?.sourceId}->${rel?.targetId}->${rel?.type}`;
+            if (seenRelationships.has(key)) {
+                report(warnings, 'RELATIONSHIP_DUPLICATE', path, `Duplicate ${rel?.type} relationship from "${rel?.sourceId}" to "${rel?.targetId}"`, { relationshipId: relId, suggestion: 'Consider merging these relationships' });
+            }
+            seenRelationships.add(key);
+
+            if (rel?.config?.scaling === 'curve') {
+                const curve = rel.config.curve;
+                const type = typeof curve === 'string' ? curve : curve?.type;
+                const curveTypes = ['linear', 'exponential', 'logarithmic', 'sigmoid', 'ease', 'step', 'piecewise'];
+                if (!curveTypes.includes(type)) {
+                    report(errors, 'CURVE_INVALID', `${path}.config.curve`, `Relationship ${relId || i} has unknown curve type "${type}"`, { relationshipId: relId, suggestion: `Use one of: ${curveTypes.join(', ')}` });
+                } else if ((type === 'step' || type === 'piecewise') && !(curve.points?.length > 0)) {
+                    report(errors, 'CURVE_INVALID', `${path}.config.curve.points`, `Relationship ${relId || i} uses a ${type} curve without points`, { relationshipId: relId });
+                }
+                const curveSource = rel.config.curveSource || rel.config.perPointSource;
+                if (curveSource && !nodes.has(curveSource)) {
+                    report(errors, 'CURVE_INVALID', `${path}.config.curveSource`, `Relationship ${relId || i} scales by unknown node "${curveSource}"`, { relationshipId: relId });
+                }
+            }
+        });
+
+        (config.presets || []).forEach((preset, i) => {
+            (preset.forceTraits || []).forEach((traitId, j) => {
+                if (!nodes.has(traitId)) {
+                    report(warnings, 'PRESET_UNKNOWN_TRAIT', `presets[${i}].forceTraits[${j}]`, `Preset "${preset.id}" forces unknown trait "${traitId}"`, { presetId: preset.id });
+                }
+            });
+        });
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    validateAndNormalize(config) {
+        const normalized = {
+            id: config.id || 'unnamed-config',
+            name: config.name || 'Unnamed Config',
+            version: config.version || ConfigMigrator.BASE_VERSION,
+            tier: config.tier || 'free',
+            description: config.description || '',
+            nodes: config.nodes || [],
+            relationships: config.relationships || [],
+            presetGroups: config.presetGroups || [],
+            presets: config.presets || [],
+            engineConfig: {
+                tickRate: config.engineConfig?.tickRate ?? 1000,
+                maxEntities: config.engineConfig?.maxEntities ?? config.engineConfig?.maxSpawns ?? null,
+                seed: config.engineConfig?.seed ?? null,
+                integrationStep: config.engineConfig?.integrationStep ?? 1
+            }
+        };
+
+        normalized.nodes = normalized.nodes.map(node => {
+            const normalizedNode = {
+                id: node.id,
+                name: node.name || node.id,
+                description: node.description || '',
+                type: node.type,
+                tags: node.tags || [],
+                taxonomy: node.taxonomy || null,  // Hierarchical categorization
+                position: node.position || null,
+                config: node.config || {}
+            };
+            // Provenance from composeConfig; omitted for base nodes so exports stay clean
+            if (node.pack) normalizedNode.pack = node.pack;
+            if (node.patchedBy) normalizedNode.patchedBy = node.patchedBy;
+
+            // Legacy modifier formats are upgraded by ConfigMigrator before this runs
+            if (node.type === 'modifier' && normalizedNode.config) {
+                const cfg = normalizedNode.config;
+
+                // Normalize exclusiveWith to always be an array
+                if (cfg.exclusiveWith) {
+                    if (!Array.isArray(cfg.exclusiveWith)) {
+                        cfg.exclusiveWith = [cfg.exclusiveWith];
+                    }
+                } else {
+                    cfg.exclusiveWith = [];
+                }
+            }
+
+            return normalizedNode;
+        });
+
+        normalized.relationships = normalized.relationships.map(rel => ({
+            id: rel.id || `rel_${rel.sourceId}_${rel.targetId}`,
+            sourceId: rel.sourceId,
+            targetId: rel.targetId,
+            type: rel.type,
+            config: {
+                operation: rel.config?.operation || 'add',
+                value: rel.config?.value ?? 0,
+                scaling: rel.config?.scaling || 'flat',
+                perPointSource: rel.config?.perPointSource || null,
+                ...(rel.config?.invert && { invert: true }),
+                ...(rel.config?.curve && { curve: rel.config.curve }),
+                ...(rel.config?.curveSource && { curveSource: rel.config.curveSource })
+            },
+            conditions: rel.conditions || [],
+            ...(rel.pack ? { pack: rel.pack } : {})
+        }));
+
+        // Normalize preset groups
+        normalized.presetGroups = normalized.presetGroups.map(group => ({
+            id: group.id,
+            name: group.name || group.id,
+            description: group.description || '',
+            parentId: group.parentId || null
+        }));
+
+        // Normalize presets
+        normalized.presets = normalized.presets.map(preset => ({
+            id: preset.id,
+            name: preset.name || preset.id,
+            description: preset.description || '',
+            group: preset.group || null,
+            tags: preset.tags || [],
+            attributes: preset.attributes || {},
+            contexts: preset.contexts || {},
+            forceTraits: preset.forceTraits || [],
+            traits: preset.traits || null,  // New structured trait selection
+            taxonomy: preset.taxonomy || null,  // Hierarchical categorization
+            actions: preset.actions || null,  // Action weight overrides
+            attributeOverrides: preset.attributeOverrides || null,
+            variableOverrides: preset.variableOverrides || null,
+            ...(preset.pack ? { pack: preset.pack } : {})
+        }));
+
+        return normalized;
+    }
+
+    buildIndexes() {
+        this._correlationGroups = null;
+        this._dependencyGraph = null;
+        this.nodeIndex.clear();
+        this.relationshipIndex.bySource.clear();
+        this.relationshipIndex.byTarget.clear();
+        this.relationshipIndex.byType.clear();
+        this._nodesByType.clear();
+
+        for (const node of this.config.nodes) {
+            this.nodeIndex.set(node.id, node);
+            // Group by type for O(1) lookups
+            if (!this._nodesByType.has(node.type)) {
+                this._nodesByType.set(node.type, []);
+            }
+            this._nodesByType.get(node.type).push(node);
+        }
+
+        // Combined trait cache (trait + item types)
+        this._nodesByType.set('_traits', [
+            ...(this._nodesByType.get('trait') || []),
+            ...(this._nodesByType.get('item') || [])
+        ]);
+
+        for (const rel of this.config.relationships) {
+            if (!this.relationshipIndex.bySource.has(rel.sourceId)) {
+                this.relationshipIndex.bySource.set(rel.sourceId, []);
+            }
+            this.relationshipIndex.bySource.get(rel.sourceId).push(rel);
+
+            if (!this.relationshipIndex.byTarget.has(rel.targetId)) {
+                this.relationshipIndex.byTarget.set(rel.targetId, []);
+            }
+            this.relationshipIndex.byTarget.get(rel.targetId).push(rel);
+
+            if (!this.relationshipIndex.byType.has(rel.type)) {
+                this.relationshipIndex.byType.set(rel.type, []);
+            }
+            this.relationshipIndex.byType.get(rel.type).push(rel);
+        }
+
+        // Pre-compute threshold modifiers (config-static)
+        this._thresholdModifiers = (this._nodesByType.get('modifier') || []).filter(n =>
+            n.config.trigger?.type === 'threshold'
+        );
+
+        // Pre-compute threshold traits grouped by target variable
+        this._thresholdTraitsByVar.clear();
+        const allTraits = this._nodesByType.get('_traits') || [];
+        for (const trait of allTraits) {
+            if (trait.config.selection?.mode === 'threshold') {
+                const targetVar = trait.config.selection?.trigger?.target;
+                if (targetVar) {
+                    if (!this._thresholdTraitsByVar.has(targetVar)) {
+                        this._thresholdTraitsByVar.set(targetVar, []);
+                    }
+                    this._thresholdTraitsByVar.get(targetVar).push(trait);
+                }
+            }
+        }
+
+        this._indexVariableDynamics();
+
+        // Pre-compute exclusive modifier groups
+        this._exclusiveGroups.clear();
+        for (const mod of this._thresholdModifiers) {
+            const exclusive = mod.config.exclusiveWith;
+            if (exclusive && exclusive.length > 0) {
+                if (!this._exclusiveGroups.has(mod.id)) this._exclusiveGroups.set(mod.id, new Set());
+                for (const partnerId of exclusive) {
+                    this._exclusiveGroups.get(mod.id).add(partnerId);
+                    if (!this._exclusiveGroups.has(partnerId)) this._exclusiveGroups.set(partnerId, new Set());
+                    this._exclusiveGroups.get(partnerId).add(mod.id);
+                }
+            }
+        }
+    }
+
+    // ========================================
+    // RANDOM STREAMS
+    // ========================================
+
+    /**
+     * Reseed the master random stream. Entities generated afterwards get
+     * streams forked from this seed, so the same seed reproduces the same spawns.
+     * The entity count in IDs keeps running, so reseeding (or reloading a
+     * seeded config) never reissues the ID of an entity that already exists.
+     *
+     * @param {number|string} seed - Numeric or string seed
+     * @returns {SpawnManager} This instance for chaining
+     * @example
+     * manager.setSeed('bug-1234');
+     * const a = manager.generate();
+     * manager.setSeed('bug-1234');
+     * const b = manager.generate(); // same attributes and traits as a
+     */
+    setSeed(seed) {
+        this.rng = new SeededRandom(seed);
+        return this;
+    }
+
+    /**
+     * Get the seed the master stream started from.
+     *
+     * @returns {number} Unsigned 32-bit seed
+     */
+    getSeed() {
+        return this.rng.seed;
+    }
+
+    /**
+     * Create a new per-entity stream.
+     *
+     * @param {number|string|null} [seed=null] - Explicit seed, or null to fork from the master stream
+     * @returns {SeededRandom} The new stream
+     */
+    createEntityRng(seed = null) {
+        const rng = seed === null || seed === undefined ? this.rng.fork() : new SeededRandom(seed);
+        this._entityRngs.set(rng.state, rng);
+        return rng;
+    }
+
+    /**
+     * Get the random stream for an entity. Entities without their own stream
+     * (hand-registered or imported from older exports) use the master stream.
+     *
+     * @param {Object|null} entity - The entity
+     * @returns {SeededRandom} The entity's stream
+     */
+    getRng(entity) {
+        const state = entity?._internal?.rng;
+        if (!state) return this.rng;
+
+        let rng = this._entityRngs.get(state);
+        if (!rng) {
+            rng = new SeededRandom(state);
+            this._entityRngs.set(state, rng);
+        }
+        return rng;
+    }
+
+    /**
+     * Generate a unique entity ID from a running count and a draw from
+     * `rng`, so the same seed gives the same IDs whatever the clock says.
+     *
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw the random suffix from
+     * @returns {string} Entity ID, e.g. 'entity_0_1kq9zro'
+     */
+    generateEntityId(rng = this.rng) {
+        const count = this.entityCount++;
+        return `entity_${count.toString(36)}_${rng.nextUint32().toString(36).padStart(7, '0')}`;
+    }
+
+    // ========================================
+    // NODE QUERIES
+    // ========================================
+
+    /**
+     * Get a node by its ID.
+     *
+     * @param {string} nodeId - The node ID to look up
+     * @returns {Object|null} The node object or null if not found
+     * @example
+     * const strengthNode = manager.getNode('attr_strength');
+     * console.log(strengthNode.name); // "Strength"
+     */
+    getNode(nodeId) {
+        return this.nodeIndex.get(nodeId) || null;
+    }
+
+    /**
+     * Get all nodes of a specific type.
+     *
+     * @param {string} type - Node type: 'attribute', 'variable', 'layer', 'trait', 'modifier', 'compound', 'derived'
+     * @returns {Array<Object>} Array of matching nodes
+     * @example
+     * const attributes = manager.getNodesByType('attribute');
+     * const traits = manager.getNodesByType('trait');
+     */
+    getNodesByType(type) {
+        return this._nodesByType.get(type) || [];
+    }
+
+    /** @returns {Array<Object>} All attribute nodes */
+    getAttributes() { return this.getNodesByType('attribute'); }
+    /** @returns {Array<Object>} All variable nodes */
+    getVariables() { return this.getNodesByType('variable'); }
+    /** @returns {Array<Object>} All context nodes */
+    getContexts() { return this.getNodesByType('context'); }
+    /** @returns {Array<Object>} All modifier nodes */
+    getModifiers() { return this.getNodesByType('modifier'); }
+    /** @returns {Array<Object>} All compound nodes */
+    getCompounds() { return this.getNodesByType('compound'); }
+    /** @returns {Array<Object>} All derived value nodes */
+    getDerived() { return this.getNodesByType('derived'); }
+
+    /**
+     * Get nodes matching a taxonomy filter.
+     * Taxonomy provides hierarchical categorization (type/subtype/variant).
+     *
+     * @param {Object} filter - Taxonomy criteria to match
+     * @returns {Array<Object>} Nodes matching all filter criteria
+     * @example
+     * // Get all humanoid items
+     * manager.getNodesByTaxonomy({ type: 'humanoid' });
+     *
+     * // Get goblin variants specifically
+     * manager.getNodesByTaxonomy({ type: 'humanoid', subtype: 'goblinoid' });
+     */
+    getNodesByTaxonomy(filter) {
+        if (!filter || Object.keys(filter).length === 0) return [];
+        return this.config.nodes.filter(n => {
+            if (!n.taxonomy) return false;
+            return Object.entries(filter).every(([key, value]) => n.taxonomy[key] === value);
+        });
+    }
+
+    /**
+     * Get all unique taxonomy values for a given level.
+     *
+     * @param {string} level - Taxonomy level ('type', 'subtype', 'variant')
+     * @returns {string[]} Unique values at that level
+     * @example
+     * manager.getTaxonomyValues('type'); // ['humanoid', 'beast', 'undead']
+     */
+    getTaxonomyValues(level) {
+        const values = new Set();
+        for (const node of this.config.nodes) {
+            if (node.taxonomy && node.taxonomy[level]) {
+                values.add(node.taxonomy[level]);
+            }
+        }
+        return Array.from(values).sort();
+    }
+
+    /**
+     * Get all layer nodes, sorted by order.
+     *
+     * @returns {Array<Object>} Layer nodes sorted by config.order
+     */
+    getLayers() {
+        return [...this.getNodesByType('layer')].sort((a, b) =>
+            (a.config.order || 0) - (b.config.order || 0)
+        );
+    }
+
+    /**
+     * Get all spawnable nodes (attributes and layers) sorted by spawn order.
+     * Used during entity generation to process nodes in the correct order,
+     * allowing earlier-spawning traits to influence later-spawning attributes.
+     *
+     * @returns {Array<Object>} Nodes with type and order info, sorted by spawn order
+     * @example
+     * // Returns: [{ node: layerNode, type: 'layer', order: 0 }, { node: attrNode, type: 'attribute', order: 1 }, ...]
+     */
+    getSpawnOrder() {
+        const items = [];
+
+        // Add attributes with their spawn order
+        for (const attr of this.getAttributes()) {
+            items.push({
+                node: attr,
+                type: 'attribute',
+                order: attr.config.spawnOrder ?? 0
+            });
+        }
+
+        // Add layers that spawn at create/spawn time (no timing = spawn, as in pool reuse)
+        for (const layer of this.getNodesByType('layer')) {
+            const rollAt = layer.config.timing?.rollAt || 'spawn';
+            if (rollAt === 'create' || rollAt === 'spawn') {
+                items.push({
+                    node: layer,
+                    type: 'layer',
+                    order: layer.config.order ?? 0
+                });
+            }
+        }
+
+        // Sort by order (lower = earlier)
+        return items.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Calculate attribute range modifiers from active traits.
+     * Used during spawn to allow traits to modify attribute rolls.
+     *
+     * @param {Object} entity - The entity being generated (may have partial state)
+     * @param {Object} attr - The attribute node
+     * @returns {Object} Modified range { min, max }
+     */
+    getModifiedAttributeRange(entity, attr) {
+        let { min, max } = this.getBaseAttributeRange(attr);
+
+        // Find value_modifier relationships targeting this attribute
+        const modifiers = this.getRelationshipsTo(attr.id)
+            .filter(r => r.type === 'value_modifier');
+
+        for (const rel of modifiers) {
+            // Check if source is active (trait, modifier, etc.)
+            if (!this.isNodeActive(entity, rel.sourceId)) continue;
+
+            // Check conditions if any
+            if (!this.evaluateConditions(entity, rel.conditions)) continue;
+
+            const value = this.calculateRelationshipValue(entity, rel);
+            const op = rel.config.operation || 'add';
+
+            if (op === 'add') {
+                min += value;
+                max += value;
+            } else if (op === 'multiply') {
+                min *= value;
+                max *= value;
+            }
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * The range an attribute rolls in before any value_modifiers:
+     * `defaultRange`, else `min`/`max`.
+     *
+     * @param {Object} attr - Attribute node
+     * @returns {{min: number, max: number}} Base range
+     */
+    getBaseAttributeRange(attr) {
+        const cfg = attr.config || {};
+        return {
+            min: cfg.defaultRange?.[0] ?? cfg.min ?? 1,
+            max: cfg.defaultRange?.[1] ?? cfg.max ?? 10
+        };
+    }
+
+    /** @returns {Array<Object>} All action nodes */
+    getActions() { return this.getNodesByType('action'); }
+    /** @returns {Array<Object>} All tick system nodes */
+    getTickSystems() { return this.getNodesByType('ticksystem'); }
+
+    /**
+     * Get all traits belonging to a layer.
+     *
+     * @param {string} layerId - The layer ID
+     * @returns {Array<Object>} Trait nodes in the layer
+     * @example
+     * const personalityTraits = manager.getLayerTraits('layer_personality');
+     */
+    getLayerTraits(layerId) {
+        const layer = this.getNode(layerId);
+        if (!layer || layer.type !== 'layer') return [];
+        const ids = layer.config.traitIds || layer.config.itemIds || [];
+        return ids.map(id => this.getNode(id)).filter(Boolean);
+    }
+
+    /**
+     * Get all traits in a layer.
+     * @deprecated Use getLayerTraits instead
+     * @param {string} layerId - The layer ID
+     * @returns {Array<Object>} Trait nodes
+     */
+    getLayerItems(layerId) { return this.getLayerTraits(layerId); }
+
+    /**
+     * Get all trait/item nodes in the configuration.
+     *
+     * @returns {Array<Object>} All trait and item nodes
+     */
+    getTraits() {
+        return this._nodesByType.get('_traits') || [];
+    }
+
+    /**
+     * Check if a node is a trait or item.
+     *
+     * @param {Object} node - Node to check
+     * @returns {boolean} True if node is a trait or item
+     */
+    isTrait(node) {
+        return node && (node.type === 'trait' || node.type === 'item');
+    }
+
+    // ========================================
+    // RELATIONSHIP QUERIES
+    // ========================================
+
+    /**
+     * Get all relationships where the given node is the source.
+     *
+     * @param {string} nodeId - Source node ID
+     * @returns {Array<Object>} Relationships originating from this node
+     * @example
+     * const effects = manager.getRelationshipsFrom('attr_strength');
+     * // Returns relationships where strength affects other nodes
+     */
+    getRelationshipsFrom(nodeId) {
+        return this.relationshipIndex.bySource.get(nodeId) || [];
+    }
+
+    /**
+     * Get all relationships where the given node is the target.
+     *
+     * @param {string} nodeId - Target node ID
+     * @returns {Array<Object>} Relationships affecting this node
+     * @example
+     * const influences = manager.getRelationshipsTo('trait_warrior');
+     * // Returns relationships that affect warrior selection weight
+     */
+    getRelationshipsTo(nodeId) {
+        return this.relationshipIndex.byTarget.get(nodeId) || [];
+    }
+
+    /**
+     * Get all relationships of a specific type.
+     *
+     * @param {string} type - Relationship type: 'weight_influence', 'rate_modifier', 'value_modifier'
+     * @returns {Array<Object>} Relationships of the given type
+     */
+    getRelationshipsByType(type) {
+        return this.relationshipIndex.byType.get(type) || [];
+    }
+
+    // ========================================
+    // MAIN SPAWN METHODS
+    // ========================================
+
+    /**
+     * Generate a new entity with random attributes and trait selection.
+     *
+     * This is the core generation method that:
+     * 1. Rolls attributes within configured ranges
+     * 2. Initializes variables with default values
+     * 3. Selects traits from layers based on weights and eligibility
+     * 4. Checks compound conditions
+     * 5. Calculates derived values
+     *
+     * @param {Object} [overrides={}] - Optional overrides for generation
+     * @param {string} [overrides.id] - Custom entity ID (default: auto-generated)
+     * @param {number|string} [overrides.seed] - Seed for this entity's random stream (default: forked from the master stream)
+     * @param {Object} [overrides.attributes] - Attribute value overrides
+     * @param {Object} [overrides.contexts] - Context value overrides
+     * @param {string[]} [overrides.forceTraits] - Trait IDs to force-activate
+     * @param {SeededRandom|null} [rng=null] - Stream to use instead of creating one (used by spawn())
+     * @returns {Object} The generated entity object
+     * @example
+     * // Basic random generation
+     * const entity = manager.generate();
+     *
+     * @example
+     * // Generation with attribute overrides
+     * const strong = manager.generate({
+     *   attributes: { attr_strength: 10 }
+     * });
+     *
+     * @example
+     * // Force specific traits
+     * const warrior = manager.generate({
+     *   forceTraits: ['trait_warrior', 'trait_brave']
+     * });
+     *
+     * @example
+     * // Reproduce an entity from a bug report
+     * const patron = manager.generate({ seed: reported._internal.rng.seed });
+     */
+    generate(overrides = {}, rng = null) {
+        if (!rng) rng = this.createEntityRng(overrides.seed);
+        const entityId = overrides.id || this.generateEntityId(rng);
+
+        const entity = {
+            id: entityId,
+            configId: this.config.id,
+            createdAt: this.clock.now(),
+            attributes: {},
+            variables: {},
+            contexts: {},
+            layers: {},
+            modifiers: [],
+            compounds: [],
+            derived: {},
+            actions: {},  // Action cooldown state
+            _internal: {
+                log: [],
+                lastTick: this.clock.now(),
+                rng: rng.state
+            }
+        };
+
+        // Initialize variables first (they don't depend on spawn order)
+        for (const varNode of this.getVariables()) {
+            const cfg = varNode.config;
+            entity.variables[varNode.id] = {
+                value: cfg.initial ?? 100,
+                baseRate: cfg.baseRate ?? 0,
+                currentRate: cfg.baseRate ?? 0,
+                min: cfg.min ?? 0,
+                max: cfg.max ?? 100,
+                changeMode: cfg.changeMode || 'manual',
+                direction: cfg.direction || 'none',
+                ...(cfg.tickSystemId && { tickSystemId: cfg.tickSystemId })
+            };
+        }
+
+        // Initialize contexts (they don't depend on spawn order)
+        for (const ctx of this.getContexts()) {
+            entity.contexts[ctx.id] = overrides.contexts?.[ctx.id] ?? ctx.config.default;
+        }
+
+        // Initialize all layer containers (needed before any rolls)
+        for (const layer of this.getLayers()) {
+            entity.layers[layer.id] = { active: [], lastRoll: null };
+        }
+
+        // Process spawnable nodes in spawn order
+        // This allows traits that spawn early to influence attributes that spawn later
+        const spawnOrder = this.getSpawnOrder();
+        const correlatedDraws = new Map();
+
+        for (const item of spawnOrder) {
+            if (item.type === 'attribute') {
+                const attr = item.node;
+                // Check if this attribute has an override
+                if (overrides.attributes?.[attr.id] !== undefined) {
+                    entity.attributes[attr.id] = overrides.attributes[attr.id];
+                } else {
+                    // Get range modified by any active traits
+                    const range = this.getModifiedAttributeRange(entity, attr);
+                    const draw = this._getCorrelatedDraw(attr.id, correlatedDraws, overrides.attributes, rng);
+                    entity.attributes[attr.id] = this.rollAttribute(attr, range, rng, draw);
+                }
+            } else if (item.type === 'layer') {
+                const layer = item.node;
+                const initialRolls = layer.config.selection?.initialRolls || 1;
+                for (let i = 0; i < initialRolls; i++) {
+                    this.rollLayer(entity, layer.id);
+                }
+            }
+        }
+
+        // Apply any remaining attribute overrides that weren't in spawn order
+        // (for attributes that might not exist in config but are passed as overrides)
+        if (overrides.attributes) {
+            for (const [attrId, value] of Object.entries(overrides.attributes)) {
+                if (entity.attributes[attrId] === undefined) {
+                    entity.attributes[attrId] = value;
+                }
+            }
+        }
+
+        // Forced traits go on top of whatever the layers rolled
+        for (const traitId of overrides.forceTraits || []) {
+            this.forceActivateTrait(entity, traitId);
+        }
+
+        this.checkCompounds(entity);
+        this.calculateDerived(entity);
+        this.recalculateRates(entity);
+
+        // Initialize action cooldowns
+        for (const action of this.getActions()) {
+            entity.actions[action.id] = { cooldownRemaining: 0 };
+        }
+
+        this.log(entity, 'generated', { overrides });
+        return entity;
+    }
+
+    spawn(presetId, overrides = {}) {
+        if (!this.entityManager) {
+            console.warn('SpawnManager: No EntityManager linked, cannot spawn presets');
+            return null;
+        }
+
+        const preset = this.entityManager.getPreset(presetId);
+        if (!preset) {
+            console.warn(`SpawnManager: Preset '${presetId}' not found`);
+            return null;
+        }
+
+        // Preset rolls draw from the entity's own stream so a seed reproduces them too
+        const rng = this.createEntityRng(overrides.seed);
+
+        const merged = {
+            ...overrides,
+            attributes: {
+                ...this.resolvePresetAttributes(preset.attributes, rng),
+                ...this.resolvePresetAttributes(overrides.attributes, rng)
+            },
+            contexts: { ...preset.contexts, ...overrides.contexts },
+            forceTraits: [
+                ...(preset.forceTraits || []),           // Legacy flat array
+                ...this.resolvePresetTraits(preset.traits, rng),  // New structured traits
+                ...(overrides.forceTraits || []),
+                ...this.resolvePresetTraits(overrides.traits, rng)
+            ]
+        };
+
+        const entity = this.generate(merged, rng);
+
+        entity.presetId = presetId;
+        entity.name = overrides.name || preset.name;
+
+        this.log(entity, 'spawned', { presetId, overrides });
+        return entity;
+    }
+
+    spawnWhere(query, overrides = {}) {
+        if (query.conditions && !this.evaluateSpawnConditions(query.conditions)) {
+            return null;
+        }
+
+        if (query.preset) {
+            return this.spawn(query.preset, overrides);
+        }
+
+        if (query.fromGroup && this.entityManager) {
+            const group = this.entityManager.getGroup(query.fromGroup);
+            if (!group || group.length === 0) return null;
+
+            let candidates = group;
+            if (query.where) {
+                candidates = group.filter(e => this.matchesWhere(e, query.where));
+            }
+            if (candidates.length === 0) return null;
+
+            const pick = query.pick || 'random';
+            let selected;
+
+            if (pick === 'random') {
+                selected = candidates[Math.floor(this.rng.next() * candidates.length)];
+            } else if (pick === 'first') {
+                selected = candidates[0];
+            } else if (pick === 'weighted' && query.weightBy) {
+                selected = this.weightedPick(candidates, query.weightBy);
+            }
+
+            return this.cloneEntity(selected, overrides);
+        }
+
+        if (query.withTraits || query.withAttributes) {
+            const entity = this.generate(overrides);
+            if (query.withTraits) {
+                for (const traitId of query.withTraits) {
+                    this.forceActivateTrait(entity, traitId);
+                }
+            }
+            return entity;
+        }
+
+        return this.generate(overrides);
+    }
+
+    evaluateSpawnConditions(conditions) {
+        const context = this.entityManager?.getSpawnContext() || {};
+        return this.evaluateConditionSet(conditions, context);
+    }
+
+    evaluateConditionSet(conditions, context) {
+        if (!conditions) return true;
+        if (conditions.all) {
+            return conditions.all.every(c => this.evaluateConditionSet(c, context));
+        }
+        if (conditions.any) {
+            return conditions.any.some(c => this.evaluateConditionSet(c, context));
+        }
+        if (conditions.not) {
+            return !this.evaluateConditionSet(conditions.not, context);
+        }
+
+        const { target, operator, value } = conditions;
+        const actual = this.getNestedValue(context, target);
+        return this.compareValues(actual, operator, value);
+    }
+
+    matchesWhere(entity, where) {
+        for (const [path, condition] of Object.entries(where)) {
+            const actual = this.getNestedValue(entity, path);
+            if (typeof condition === 'object') {
+                for (const [op, value] of Object.entries(condition)) {
+                    if (!this.compareValues(actual, op, value)) return false;
+                }
+            } else {
+                if (actual !== condition) return false;
+            }
+        }
+        return true;
+    }
+
+    getNestedValue(obj, path) {
+        return path.split('.').reduce((curr, key) => curr?.[key], obj);
+    }
+
+    weightedPick(candidates, weightBy, rng = this.rng) {
+        const weights = candidates.map(c => this.getNestedValue(c, weightBy) || 1);
+        const total = weights.reduce((a, b) => a + b, 0);
+        let roll = rng.next() * total;
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return candidates[i];
+        }
+        return candidates[0];
+    }
+
+    cloneEntity(entity, overrides = {}) {
+        const clone = JSON.parse(JSON.stringify(entity));
+        // A clone gets its own stream; sharing the source's would mirror its future rolls
+        const rng = this.createEntityRng(overrides.seed);
+        clone.id = this.generateEntityId(rng);
+        clone.createdAt = this.clock.now();
+        if (clone._internal) clone._internal.rng = rng.state;
+        clone.clonedFrom = entity.id;
+        if (overrides.attributes) Object.assign(clone.attributes, overrides.attributes);
+        if (overrides.contexts) Object.assign(clone.contexts, overrides.contexts);
+        return clone;
+    }
+
+    // ========================================
+    // LAYER SELECTION
+    // ========================================
+
+    rollLayer(entity, layerId) {
+        const layer = this.getNode(layerId);
+        if (!layer || layer.type !== 'layer') {
+            return { success: false, error: 'Invalid layer' };
+        }
+
+        const selection = layer.config.selection || {};
+        const mode = selection.mode || 'weighted';
+        const maxItems = selection.maxItems ?? 10;
+
+        const currentActive = entity.layers[layerId]?.active || [];
+        if (currentActive.length >= maxItems) {
+            return { success: false, error: 'Layer at capacity', maxItems };
+        }
+
+        let result;
+        switch (mode) {
+            case 'weighted': result = this.selectWeighted(entity, layerId); break;
+            case 'allMatching': result = this.selectAllMatching(entity, layerId); break;
+            case 'pickN': result = this.selectPickN(entity, layerId, selection.pickCount || 1); break;
+            case 'firstMatch': result = this.selectFirstMatch(entity, layerId); break;
+            default: result = this.selectWeighted(entity, layerId);
+        }
+
+        if (this.explainSelection) {
+            result.explanation = this.explainRoll(entity, layerId, result);
+            this.log(entity, 'selectionExplained', result.explanation);
+        }
+
+        if (result.selected && result.selected.length > 0) {
+            for (const traitId of result.selected) {
+                this.activateTrait(entity, traitId);
+            }
+            entity.layers[layerId].lastRoll = this.clock.now();
+        }
+
+        return result;
+    }
+
+    /**
+     * Roll an outcome layer - clears previous results and rolls fresh.
+     * Use for layers with timing.rollAt = 'manual', like attack/defense outcomes.
+     * @param {Object} entity - The entity to roll for
+     * @param {string} layerId - The layer to roll
+     * @param {number} [rolls=1] - Number of times to roll
+     * @returns {Object} Result with selected items
+     */
+    rollOutcome(entity, layerId, rolls = 1) {
+        const layer = this.getNode(layerId);
+        if (!layer || layer.type !== 'layer') {
+            return { success: false, error: 'Invalid layer' };
+        }
+
+        // Ensure the entity has this layer initialized
+        if (!entity.layers[layerId]) {
+            entity.layers[layerId] = { active: [], lastRoll: null };
+        }
+
+        // Clear previous active items from this layer
+        const previousActive = [...(entity.layers[layerId].active || [])];
+        for (const traitId of previousActive) {
+            this.deactivateTrait(entity, traitId);
+        }
+        entity.layers[layerId].active = [];
+
+        // Roll fresh
+        const allSelected = [];
+        for (let i = 0; i < rolls; i++) {
+            const result = this.rollLayer(entity, layerId);
+            if (result.success && result.selected) {
+                allSelected.push(...result.selected);
+            }
+        }
+
+        this.checkCompounds(entity);
+        this.calculateDerived(entity);
+
+        return {
+            success: allSelected.length > 0,
+            selected: allSelected,
+            previousActive,
+            layerId
+        };
+    }
+
+    selectWeighted(entity, layerId) {
+        const pool = this._buildWeightedPool(entity, layerId);
+
+        if (pool.length === 0) {
+            return { success: false, error: 'No eligible traits', pool: [] };
+        }
+
+        const totalWeight = pool.reduce((sum, p) => sum + p.weight, 0);
+        const draw = this.getRng(entity).next();
+        let roll = draw * totalWeight;
+        const rollInfo = { draw, value: roll, totalWeight };
+
+        for (const { trait, weight } of pool) {
+            roll -= weight;
+            if (roll <= 0) {
+                return {
+                    success: true,
+                    selected: [trait.id],
+                    pool: pool.map(p => ({ id: p.trait.id, weight: p.weight })),
+                    rolls: [rollInfo]
+                };
+            }
+        }
+
+        return { success: true, selected: [pool[0].trait.id], pool, rolls: [rollInfo] };
+    }
+
+    // Traits a weighted roll can pick right now, with their current weights
+    _buildWeightedPool(entity, layerId) {
+        const traits = this.getLayerTraits(layerId);
+        const currentActive = new Set(entity.layers[layerId]?.active || []);
+
+        const pool = [];
+        for (const trait of traits) {
+            if (currentActive.has(trait.id)) continue;
+            if (trait.config.selection?.mode === 'threshold') continue;
+            if (!this.checkEligibility(entity, trait)) continue;
+            if (this.hasIncompatibility(entity, trait)) continue;
+
+            const weight = this.calculateWeight(entity, trait);
+            if (weight > 0) pool.push({ trait, weight });
+        }
+        return pool;
+    }
+
+    selectAllMatching(entity, layerId) {
+        const traits = this.getLayerTraits(layerId);
+        const currentActive = new Set(entity.layers[layerId]?.active || []);
+        const selected = [];
+
+        for (const trait of traits) {
+            if (currentActive.has(trait.id)) continue;
+            if (!this.checkEligibility(entity, trait)) continue;
+            if (this.hasIncompatibility(entity, trait)) continue;
+            selected.push(trait.id);
+        }
+
+        return { success: true, selected };
+    }
+
+    selectPickN(entity, layerId, n) {
+        const result = this.selectWeighted(entity, layerId);
+        if (!result.pool || result.pool.length === 0) {
+            return { success: false, error: 'No eligible traits' };
+        }
+
+        const rng = this.getRng(entity);
+        const selected = [];
+        const rolls = [];
+        const remainingPool = [...result.pool];
+
+        for (let i = 0; i < n && remainingPool.length > 0; i++) {
+            const totalWeight = remainingPool.reduce((sum, p) => sum + p.weight, 0);
+            const draw = rng.next();
+            let roll = draw * totalWeight;
+            rolls.push({ draw, value: roll, totalWeight });
+
+            for (let j = 0; j < remainingPool.length; j++) {
+                roll -= remainingPool[j].weight;
+                if (roll <= 0) {
+                    selected.push(remainingPool[j].id);
+                    remainingPool.splice(j, 1);
+                    break;
+                }
+            }
+        }
+
+        return { success: true, selected, rolls };
+    }
+
+    selectFirstMatch(entity, layerId) {
+        const traits = this.getLayerTraits(layerId);
+        const currentActive = new Set(entity.layers[layerId]?.active || []);
+
+        for (const trait of traits) {
+            if (currentActive.has(trait.id)) continue;
+            if (!this.checkEligibility(entity, trait)) continue;
+            if (this.hasIncompatibility(entity, trait)) continue;
+            return { success: true, selected: [trait.id] };
+        }
+
+        return { success: false, error: 'No matching traits' };
+    }
+
+    // ========================================
+    // WEIGHT & ELIGIBILITY
+    // ========================================
+
+    /**
+     * Compute a trait's selection weight for an entity: `baseWeight`, then
+     * `weightModifiers`, then active `weight_influence` relationships, with the
+     * layer's diminishing returns and `weightFloor` applied.
+     *
+     * @param {Object} entity - The entity rolling
+     * @param {Object} trait - Trait node
+     * @param {Array<Object>|null} [breakdown=null] - If given, one entry per step that
+     *   changed the weight is pushed onto it ({ source, operation, value, delta, weight, ... })
+     * @returns {number} Final weight
+     */
+    calculateWeight(entity, trait, breakdown = null) {
+        const selection = trait.config.selection || {};
+        let weight = selection.baseWeight ?? 20;
+        const baseWeight = weight;
+
+        // Get layer config for diminishing returns / weight floor
+        const layerNode = trait.config.layerId ? this.getNode(trait.config.layerId) : null;
+        const layerSelection = layerNode?.config?.selection || {};
+        const useDR = layerSelection.diminishingReturns === true;
+
+        (selection.weightModifiers || []).forEach((mod, index) => {
+            if (this.evaluateCondition(entity, mod.condition)) {
+                const before = weight;
+                if (mod.operation === 'add') {
+                    let effect = mod.value;
+                    if (useDR && effect !== 0) {
+                        effect = Math.sign(effect) * Math.sqrt(Math.abs(effect)) * Math.sqrt(baseWeight);
+                    }
+                    weight += effect;
+                } else if (mod.operation === 'multiply') {
+                    weight *= mod.value;
+                }
+                breakdown?.push({
+                    source: 'weightModifier', index, condition: mod.condition,
+                    operation: mod.operation, value: mod.value, delta: weight - before, weight
+                });
+            }
+        });
+
+        const influences = this.getRelationshipsTo(trait.id)
+            .filter(r => r.type === 'weight_influence');
+
+        for (const rel of influences) {
+            if (!this.isNodeActive(entity, rel.sourceId)) continue;
+            if (!this.evaluateConditions(entity, rel.conditions)) continue;
+
+            const before = weight;
+            let value = this.calculateRelationshipValue(entity, rel);
+            if (rel.config.operation === 'add') {
+                if (useDR && value !== 0) {
+                    value = Math.sign(value) * Math.sqrt(Math.abs(value)) * Math.sqrt(baseWeight);
+                }
+                weight += value;
+            } else if (rel.config.operation === 'multiply') {
+                weight *= value;
+            }
+            breakdown?.push({
+                source: 'relationship', relationshipId: rel.id || null, sourceId: rel.sourceId,
+                operation: rel.config.operation, value, delta: weight - before, weight
+            });
+        }
+
+        const weightFloor = layerSelection.weightFloor ?? 0;
+        if (weight < weightFloor) {
+            breakdown?.push({ source: 'weightFloor', value: weightFloor, delta: weightFloor - weight, weight: weightFloor });
+        }
+        return Math.max(weightFloor, weight);
+    }
+
+    calculateRelationshipValue(entity, rel) {
+        if (rel.config.scaling === 'curve') {
+            return this._calculateCurveValue(entity, rel);
+        }
+
+        let value = rel.config.value;
+        if (rel.config.scaling === 'perPoint' && rel.config.perPointSource) {
+            let sourceValue = this.getNodeValue(entity, rel.config.perPointSource);
+
+            // Invert: use (max - value) instead of value directly
+            // Useful for "low sociability = high introvert chance" type relationships
+            if (rel.config.invert) {
+                const sourceNode = this.getNode(rel.config.perPointSource);
+                const max = sourceNode?.config?.max ?? 10;
+                sourceValue = max - sourceValue;
+            }
+
+            value = value * sourceValue;
+        }
+        return value;
+    }
+
+    // ========================================
+    // SCALING CURVES
+    // ========================================
+
+    /**
+     * Shape a source value with a scaling curve. Most curves work on the value
+     * normalized to 0-1 over [min, max] and return 0-1; `step` and `piecewise`
+     * tables are written in the source's own units and return their y values.
+     *
+     * - 'linear'
+     * - 'exponential' { k = 3 }: slow start, fast finish (negative k bends the other way)
+     * - 'logarithmic' { k = 9 }: fast start, then flattens out
+     * - 'sigmoid' { midpoint = 0.5, steepness = 10 }: S-curve around the midpoint
+     * - 'ease' { ease = 'inOut', power = 2 }: polynomial ease 'in', 'out' or 'inOut'
+     * - 'step' { points: [[x, y], ...] }: y of the last point at or below x (0 before the first)
+     * - 'piecewise' { points: [[x, y], ...] }: linear between points, flat past the ends
+     *
+     * @param {Object|string} curve - Curve definition, or just its type
+     * @param {number} x - Source value
+     * @param {number} [min=0] - Source minimum
+     * @param {number} [max=1] - Source maximum
+     * @returns {number} Curve output
+     * @example
+     * // "Patience matters a lot from 1-3 and barely after 7"
+     * const curve = { type: 'piecewise', points: [[1, 1], [3, 0.3], [7, 0.05], [10, 0]] };
+     * manager.evaluateCurve(curve, 2, 1, 10);   // 0.65
+     * manager.evaluateCurve('logarithmic', 5, 1, 10);
+     */
+    evaluateCurve(curve, x, min = 0, max = 1) {
+        const spec = typeof curve === 'string' ? { type: curve } : (curve || {});
+
+        if (spec.type === 'step' || spec.type === 'piecewise') {
+            const points = (spec.points || [])
+                .map(p => (Array.isArray(p) ? p : [p.x, p.y]))
+                .sort((a, b) => a[0] - b[0]);
+            if (points.length === 0) return 0;
+
+            if (spec.type === 'step') {
+                let y = 0;
+                for (const [px, py] of points) {
+                    if (x < px) break;
+                    y = py;
+                }
+                return y;
+            }
+
+            if (x <= points[0][0]) return points[0][1];
+            for (let i = 1; i < points.length; i++) {
+                const [x1, y1] = points[i];
+                if (x <= x1) {
+                    const [x0, y0] = points[i - 1];
+                    return x1 === x0 ? y1 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+                }
+            }
+            return points[points.length - 1][1];
+        }
+
+        const t = max > min ? Math.min(1, Math.max(0, (x - min) / (max - min))) : 0;
+
+        switch (spec.type) {
+            case 'linear':
+                return t;
+            case 'exponential': {
+                const k = spec.k ?? 3;
+                return k === 0 ? t : Math.expm1(k * t) / Math.expm1(k);
+            }
+            case 'logarithmic': {
+                const k = spec.k ?? 9;
+                return k <= 0 ? t : Math.log1p(k * t) / Math.log1p(k);
+            }
+            case 'sigmoid': {
+                const midpoint = spec.midpoint ?? 0.5;
+                const steepness = spec.steepness ?? 10;
+                const sigmoid = u => 1 / (1 + Math.exp(-steepness * (u - midpoint)));
+                const lo = sigmoid(0);
+                const hi = sigmoid(1);
+                return hi === lo ? t : (sigmoid(t) - lo) / (hi - lo);
+            }
+            case 'ease': {
+                const power = spec.power ?? 2;
+                switch (spec.ease || 'inOut') {
+                    case 'in': return t ** power;
+                    case 'out': return 1 - (1 - t) ** power;
+                    default:
+                        return t < 0.5
+                            ? 2 ** (power - 1) * t ** power
+                            : 1 - (2 - 2 * t) ** power / 2;
+                }
+            }
+            default:
+                if (!this._curveWarnings.has(spec.type)) {
+                    this._curveWarnings.add(spec.type);
+                    console.warn(`Unknown scaling curve "${spec.type}", using linear`);
+                }
+                return t;
+        }
+    }
+
+    // `scaling: 'curve'`: adds scale `value` by the curve; multiplies blend
+    // from 1 (curve at 0) to `value` (curve at 1)
+    _calculateCurveValue(entity, rel) {
+        const cfg = rel.config;
+        const sourceId = cfg.curveSource || cfg.perPointSource || rel.sourceId;
+        const { min, max } = this._getCurveRange(entity, sourceId, cfg.curve);
+
+        let x = this.getNodeValue(entity, sourceId);
+        if (cfg.invert) x = min + max - x;
+
+        const shaped = this.evaluateCurve(cfg.curve, x, min, max);
+        return cfg.operation === 'multiply' ? 1 + (cfg.value - 1) * shaped : cfg.value * shaped;
+    }
+
+    // Range a curve normalizes over: the curve's own min/max, else the source's
+    _getCurveRange(entity, nodeId, curve) {
+        const node = this.getNode(nodeId);
+        const varState = entity?.variables?.[nodeId];
+        const defaults = node?.type === 'attribute' ? [1, 10] : node?.type === 'variable' ? [0, 100] : [0, 1];
+        return {
+            min: curve?.min ?? varState?.min ?? node?.config?.min ?? defaults[0],
+            max: curve?.max ?? varState?.max ?? node?.config?.max ?? defaults[1]
+        };
+    }
+
+    checkEligibility(entity, trait) {
+        const eligibility = trait.config.eligibility || [];
+        return this.evaluateConditions(entity, eligibility);
+    }
+
+    hasIncompatibility(entity, trait) {
+        const incompatible = trait.config.incompatibleWith || [];
+        for (const incompId of incompatible) {
+            if (this.isNodeActive(entity, incompId)) return true;
+        }
+        return false;
+    }
+
+    // ========================================
+    // TRAIT ACTIVATION
+    // ========================================
+
+    activateTrait(entity, traitId) {
+        const trait = this.getNode(traitId);
+        if (!trait || !this.isTrait(trait)) return false;
+
+        const layerId = trait.config.layerId;
+        if (!entity.layers[layerId]) {
+            entity.layers[layerId] = { active: [], lastRoll: null };
+        }
+
+        if (entity.layers[layerId].active.includes(traitId)) return false;
+
+        const replaces = trait.config.selection?.replaces || [];
+        for (const replaceId of replaces) {
+            this.deactivateTrait(entity, replaceId);
+        }
+
+        entity.layers[layerId].active.push(traitId);
+        this.log(entity, 'traitActivated', { traitId, layerId });
+        return true;
+    }
+
+    // Backward compatibility
+    activateItem(entity, itemId) { return this.activateTrait(entity, itemId); }
+
+    forceActivateTrait(entity, traitId) {
+        const trait = this.getNode(traitId);
+        if (!trait || !this.isTrait(trait)) return false;
+
+        const layerId = trait.config.layerId;
+        if (!entity.layers[layerId]) {
+            entity.layers[layerId] = { active: [], lastRoll: null };
+        }
+
+        if (!entity.layers[layerId].active.includes(traitId)) {
+            entity.layers[layerId].active.push(traitId);
+        }
+        return true;
+    }
+
+    deactivateTrait(entity, traitId) {
+        const trait = this.getNode(traitId);
+        if (!trait || !this.isTrait(trait)) return false;
+
+        const layerId = trait.config.layerId;
+        if (!entity.layers[layerId]) return false;
+
+        const index = entity.layers[layerId].active.indexOf(traitId);
+        if (index === -1) return false;
+
+        entity.layers[layerId].active.splice(index, 1);
+        return true;
+    }
+
+    // Backward compatibility
+    deactivateItem(entity, itemId) { return this.deactivateTrait(entity, itemId); }
+
+    // ========================================
+    // COMPOUNDS & DERIVED
+    // ========================================
+
+    checkCompounds(entity) {
+        for (const compound of this.getCompounds()) {
+            this._updateCompound(entity, compound);
+        }
+    }
+
+    /**
+     * Add or drop one compound to match its requirements.
+     * @returns {boolean} Whether it toggled
+     * @private
+     */
+    _updateCompound(entity, compound) {
+        const isActive = entity.compounds.includes(compound.id);
+        const requirementsMet = this.checkCompoundRequirements(entity, compound);
+
+        if (requirementsMet && !isActive) {
+            entity.compounds.push(compound.id);
+            return true;
+        } else if (!requirementsMet && isActive) {
+            const index = entity.compounds.indexOf(compound.id);
+            if (index > -1) entity.compounds.splice(index, 1);
+            return true;
+        }
+        return false;
+    }
+
+    checkCompoundRequirements(entity, compound) {
+        const requires = compound.config.requires || [];
+        const logic = compound.config.requirementLogic || 'all';
+
+        if (requires.length === 0) return false;
+
+        const results = requires.map(req => this.checkCompoundRequirement(entity, req));
+
+        return logic === 'all' ? results.every(r => r) : results.some(r => r);
+    }
+
+    /**
+     * Check one entry of a compound's `requires` list.
+     * @param {Object} entity - The entity to check
+     * @param {string|Object} req - Node ID, threshold `{ id, operator, value }`,
+     *   or legacy `{ item | trait | modifier | condition | id }`
+     * @returns {boolean} Whether the requirement is met
+     */
+    checkCompoundRequirement(entity, req) {
+        // Handle string format (just node ID)
+        if (typeof req === 'string') {
+            return this.isNodeActive(entity, req);
+        }
+
+        // Handle threshold condition (object with id + operator + value)
+        if (req.id && req.operator && req.value !== undefined) {
+            const nodeValue = this.getNodeValue(entity, req.id);
+            if (nodeValue === null || nodeValue === undefined) return false;
+            return this.compareValues(nodeValue, req.operator, req.value);
+        }
+
+        // Handle legacy object formats
+        if (req.item || req.trait) {
+            return this.isNodeActive(entity, req.item || req.trait);
+        } else if (req.modifier) {
+            return entity.modifiers.includes(req.modifier);
+        } else if (req.condition) {
+            return this.evaluateCondition(entity, req.condition);
+        } else if (req.id) {
+            // Simple object with just id (no threshold)
+            return this.isNodeActive(entity, req.id);
+        }
+        return false;
+    }
+
+    /**
+     * Get the current numeric value of a node (attribute or variable).
+     * @param {Object} entity - The entity to check
+     * @param {string} nodeId - The node ID to get value from
+     * @returns {number|null} The current value, or null if not found
+     */
+    getNodeValue(entity, nodeId) {
+        // Check attributes
+        if (entity.attributes && entity.attributes[nodeId] !== undefined) {
+            return entity.attributes[nodeId];
+        }
+        // Check variables
+        if (entity.variables && entity.variables[nodeId]) {
+            return entity.variables[nodeId].value;
+        }
+        // Check derived
+        if (entity.derived && entity.derived[nodeId] !== undefined) {
+            return entity.derived[nodeId];
+        }
+        return null;
+    }
+
+    /**
+     * Compare two values using a comparison operator.
+     * @param {number} a - Left operand
+     * @param {string} operator - Comparison operator (<, <=, >, >=, =)
+     * @param {number} b - Right operand
+     * @returns {boolean} Result of comparison
+     */
+    compareValues(a, operator, b) {
+        switch (operator) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '=':
+            case '==':
+            case '===': return a === b;
+            default: return false;
+        }
+    }
+
+    calculateDerived(entity) {
+        for (const derived of this.getDerived()) {
+            this._updateDerived(entity, derived);
+        }
+    }
+
+    /**
+     * Recompute one derived value.
+     * @returns {boolean} Whether the value changed
+     * @private
+     */
+    _updateDerived(entity, derived) {
+        const cfg = derived.config;
+        const formula = cfg.formula;
+        const oldValue = entity.derived[derived.id];
+
+        try {
+            const context = {
+                ...entity.attributes,
+                ...Object.fromEntries(
+                    Object.entries(entity.variables).map(([k, v]) => [k, v.value])
+                ),
+                ...entity.contexts
+            };
+
+            const value = this.evaluateFormula(formula, context);
+            entity.derived[derived.id] = Math.max(
+                cfg.min ?? -Infinity,
+                Math.min(cfg.max ?? Infinity, value)
+            );
+        } catch (e) {
+            if (!this._formulaWarnings.has(formula)) {
+                this._formulaWarnings.add(formula);
+                console.warn(`Derived "${derived.id}": ${e.message}`);
+            }
+            entity.derived[derived.id] = 0;
+        }
+        return entity.derived[derived.id] !== oldValue;
+    }
+
+    recalculateRates(entity) {
+        for (const varNode of this.getVariables()) {
+            this._updateRate(entity, varNode);
+        }
+    }
+
+    /**
+     * Recompute one variable's current rate from its base rate, active
+     * rate_modifiers and rateFormula.
+     * @returns {boolean} Whether the rate changed
+     * @private
+     */
+    _updateRate(entity, varNode) {
+        const varState = entity.variables[varNode.id];
+        if (!varState) return false;
+
+        const oldRate = varState.currentRate;
+        let rate = varState.baseRate;
+
+        const rateRels = this.getRelationshipsTo(varNode.id)
+            .filter(r => r.type === 'rate_modifier');
+
+        for (const rel of rateRels) {
+            if (!this.isNodeActive(entity, rel.sourceId)) continue;
+            if (!this.evaluateConditions(entity, rel.conditions)) continue;
+
+            const value = this.calculateRelationshipValue(entity, rel);
+            if (rel.config.operation === 'add') rate += value;
+            else if (rel.config.operation === 'multiply') rate *= value;
+        }
+
+        if (varNode.config.rateFormula) {
+            rate = this._evaluateRateFormula(entity, varNode, rate);
+        }
+
+        varState.currentRate = rate;
+        return rate !== oldRate;
+    }
+
+    // rateFormula sees the rate so far as `rate`, the variable's own value as `value`,
+    // and every attribute, variable and context by ID
+    _evaluateRateFormula(entity, varNode, rate) {
+        const formula = varNode.config.rateFormula;
+        try {
+            return this.evaluateFormula(formula, {
+                ...entity.attributes,
+                ...Object.fromEntries(Object.entries(entity.variables).map(([k, v]) => [k, v.value])),
+                ...entity.contexts,
+                rate,
+                value: entity.variables[varNode.id].value
+            });
+        } catch (e) {
+            if (!this._formulaWarnings.has(formula)) {
+                this._formulaWarnings.add(formula);
+                console.warn(`Variable "${varNode.id}" rate formula: ${e.message}`);
+            }
+            return rate;
+        }
+    }
+
+    // ========================================
+    // VARIABLE DYNAMICS
+    // ========================================
+
+    /**
+     * How a timed variable moves between ticks (`config.dynamics`):
+     *
+     * - 'linear' (default): value += rate * dt
+     * - 'decay' { target, halfLife | rate }: relaxes exponentially toward `target`
+     *   (default: the initial value). The variable's rate adds a drift on top,
+     *   so the resting point is target + rate / k.
+     * - 'logistic' { capacity }: S-curve growth toward `capacity` (default: max),
+     *   using the variable's rate as the growth rate.
+     *
+     * `target` and `capacity` may be numbers or node IDs read each step.
+     *
+     * @param {Object|string} varNode - Variable node or ID
+     * @returns {{type: string, target?: number|string, capacity?: number|string, k?: number}} Normalized dynamics
+     * @example
+     * // Mood drifts back to 50 with a 30-second half-life
+     * { id: 'var_mood', type: 'variable', config: {
+     *     changeMode: 'timed', dynamics: { type: 'decay', target: 50, halfLife: 30 } } }
+     */
+    getVariableDynamics(varNode) {
+        const node = typeof varNode === 'string' ? this.getNode(varNode) : varNode;
+        const dynamics = node?.config?.dynamics;
+        if (!dynamics) return { type: 'linear' };
+
+        const spec = typeof dynamics === 'string' ? { type: dynamics } : dynamics;
+        if (spec.type === 'decay') {
+            const k = spec.rate ?? Math.LN2 / (spec.halfLife ?? 60);
+            return { type: 'decay', target: spec.target ?? node.config.initial ?? 100, k };
+        }
+        if (spec.type === 'logistic') {
+            return { type: 'logistic', capacity: spec.capacity ?? node.config.max ?? 100 };
+        }
+        return { type: 'linear' };
+    }
+
+    /**
+     * Where a variable will be after `dt` with its current rate held fixed.
+     * Decay and logistic use their closed-form solutions, so large steps stay
+     * stable; the result is clamped to the variable's min/max.
+     *
+     * @param {Object} entity - Entity
+     * @param {string} varId - Variable ID
+     * @param {number} dt - Elapsed time (seconds, or ticks for tick-bound variables)
+     * @returns {number} Projected value
+     */
+    projectVariable(entity, varId, dt) {
+        const varState = entity.variables[varId];
+        const v0 = varState.value;
+        const rate = varState.currentRate;
+        const dynamics = this.getVariableDynamics(varId);
+        let value;
+
+        switch (dynamics.type) {
+            case 'decay': {
+                const target = this._resolveDynamicsValue(entity, dynamics.target);
+                const rest = target + rate / dynamics.k;
+                value = rest + (v0 - rest) * Math.exp(-dynamics.k * dt);
+                break;
+            }
+            case 'logistic': {
+                const capacity = this._resolveDynamicsValue(entity, dynamics.capacity);
+                value = v0 <= 0 || capacity <= 0
+                    ? v0
+                    : capacity / (1 + ((capacity - v0) / v0) * Math.exp(-rate * dt));
+                break;
+            }
+            default:
+                value = v0 + rate * dt;
+        }
+        return Math.max(varState.min, Math.min(varState.max, value));
+    }
+
+    /**
+     * Values of a variable that threshold traits and threshold modifiers
+     * react to. The tick integrator stops at each crossing so reactions
+     * happen mid-step rather than at the end of a long step.
+     *
+     * @param {string} varId - Variable ID
+     * @returns {number[]} Sorted threshold values
+     */
+    getVariableThresholds(varId) {
+        return this._variableThresholds.get(varId) || [];
+    }
+
+    /**
+     * Whether any rate depends on variable values (rateFormula, variable-sourced
+     * rate_modifiers, variable conditions, or a dynamics target/capacity that is
+     * a variable). If so, ticks re-evaluate rates every `engineConfig.integrationStep`.
+     *
+     * @returns {boolean}
+     */
+    hasCoupledRates() {
+        return this._ratesCoupled;
+    }
+
+    _resolveDynamicsValue(entity, ref) {
+        return typeof ref === 'string' ? (this.getNodeValue(entity, ref) ?? 0) : ref;
+    }
+
+    // Build _variableThresholds and _ratesCoupled from the config
+    _indexVariableDynamics() {
+        this._variableThresholds.clear();
+        const variableIds = new Set((this._nodesByType.get('variable') || []).map(n => n.id));
+        const watch = (varId, value) => {
+            if (!variableIds.has(varId) || typeof value !== 'number') return;
+            if (!this._variableThresholds.has(varId)) this._variableThresholds.set(varId, []);
+            const list = this._variableThresholds.get(varId);
+            if (!list.includes(value)) list.push(value);
+        };
+        const collect = (cond) => {
+            if (!cond || typeof cond !== 'object') return;
+            if (Array.isArray(cond)) { cond.forEach(collect); return; }
+            if (cond.target) watch(cond.target, cond.value);
+            ['conditions', 'removeConditions', 'all', 'any'].forEach(key => collect(cond[key]));
+            collect(cond.not);
+        };
+
+        for (const [varId, traits] of this._thresholdTraitsByVar) {
+            for (const trait of traits) {
+                watch(varId, trait.config.selection.trigger?.value);
+                watch(varId, trait.config.selection.autoRemove?.value);
+            }
+        }
+        for (const mod of this._thresholdModifiers) collect(mod.config.trigger);
+        for (const list of this._variableThresholds.values()) list.sort((a, b) => a - b);
+
+        const variableRef = id => typeof id === 'string' && variableIds.has(id);
+        const readsVariable = (cond) => {
+            if (!cond || typeof cond !== 'object') return false;
+            if (Array.isArray(cond)) return cond.some(readsVariable);
+            return variableRef(cond.target) || readsVariable(cond.all) || readsVariable(cond.any) || readsVariable(cond.not);
+        };
+        this._ratesCoupled =
+            (this._nodesByType.get('variable') || []).some(n =>
+                Boolean(n.config.rateFormula) ||
+                variableRef(n.config.dynamics?.target) ||
+                variableRef(n.config.dynamics?.capacity)) ||
+            (this.relationshipIndex.byType.get('rate_modifier') || []).some(rel =>
+                (variableRef(rel.sourceId) && (rel.config?.scaling || 'flat') !== 'flat') ||
+                variableRef(rel.config?.perPointSource) ||
+                variableRef(rel.config?.curveSource) ||
+                readsVariable(rel.conditions));
+    }
+
+    // ========================================
+    // DEPENDENCY GRAPH (incremental cascade)
+    // ========================================
+
+    /**
+     * The cascade's dependency graph, built from the config on first use.
+     * Each graph node is one unit of cascade work:
+     *
+     * - 'threshold': a threshold modifier's trigger (run by EntityManager.checkModifierThresholds)
+     * - 'derived': a derived formula
+     * - 'compound': a compound's requirements
+     * - 'rate': a variable's current rate (rate_modifiers and rateFormula)
+     *
+     * and lists the node IDs it reads (`inputs`, or null when that cannot be
+     * worked out, e.g. a formula that does not compile). `order` holds the
+     * derived, compound and rate nodes so that each comes after what it reads.
+     *
+     * @returns {{order: Object[], thresholds: Object[], dependents: Map<string, Object[]>, wildcards: Object[]}}
+     */
+    getDependencyGraph() {
+        if (this._dependencyGraph) return this._dependencyGraph;
+
+        const conditionInputs = (cond, out) => {
+            if (!cond || typeof cond !== 'object') return;
+            if (Array.isArray(cond)) { cond.forEach(c => conditionInputs(c, out)); return; }
+            if (typeof cond.target === 'string') out.add(cond.target);
+            ['conditions', 'removeConditions', 'all', 'any', 'not'].forEach(key => conditionInputs(cond[key], out));
+        };
+        const formulaInputs = (formula, out) => {
+            try {
+                this.formulas.compile(formula).identifiers.forEach(id => out.add(id));
+                return out;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        const derived = this.getDerived().map(node => ({
+            kind: 'derived', id: node.id, node, inputs: formulaInputs(node.config.formula, new Set())
+        }));
+
+        const compounds = this.getCompounds().map(node => {
+            const inputs = new Set();
+            for (const req of node.config.requires || []) {
+                if (typeof req === 'string') { inputs.add(req); continue; }
+                [req?.id, req?.item, req?.trait, req?.modifier].forEach(id => { if (id) inputs.add(id); });
+                conditionInputs(req?.condition, inputs);
+            }
+            return { kind: 'compound', id: node.id, node, inputs };
+        });
+
+        const rates = this.getVariables().map(node => {
+            let inputs = new Set();
+            for (const rel of this.getRelationshipsTo(node.id)) {
+                if (rel.type !== 'rate_modifier') continue;
+                [rel.sourceId, rel.config?.perPointSource, rel.config?.curveSource].forEach(id => { if (id) inputs.add(id); });
+                conditionInputs(rel.conditions, inputs);
+            }
+            if (node.config.rateFormula) {
+                inputs.add(node.id);
+                inputs = formulaInputs(node.config.rateFormula, inputs);
+            }
+            return { kind: 'rate', id: node.id, node, inputs };
+        });
+
+        // A threshold modifier also re-checks when it or an exclusive partner comes or goes
+        const thresholds = this._thresholdModifiers.map(node => {
+            const inputs = new Set([node.id, ...(this._exclusiveGroups.get(node.id) || [])]);
+            conditionInputs(node.config.trigger, inputs);
+            return { kind: 'threshold', id: node.id, node, inputs };
+        });
+
+        // Compounds can require compounds: order them so requirements come first
+        const compoundIds = new Set(compounds.map(n => n.id));
+        const sorted = [];
+        const placed = new Set();
+        let pending = compounds;
+        while (pending.length > 0) {
+            const ready = pending.filter(n => !n.inputs ||
+                [...n.inputs].every(id => !compoundIds.has(id) || placed.has(id) || id === n.id));
+            // A requirement cycle keeps config order for what is left
+            const batch = ready.length > 0 ? ready : pending;
+            batch.forEach(n => { sorted.push(n); placed.add(n.id); });
+            pending = pending.filter(n => !placed.has(n.id));
+        }
+
+        const order = [...derived, ...sorted, ...rates];
+        order.forEach((n, rank) => { n.rank = rank; });
+
+        const dependents = new Map();
+        const wildcards = [];
+        for (const n of [...order, ...thresholds]) {
+            if (!n.inputs) { wildcards.push(n); continue; }
+            for (const id of n.inputs) {
+                if (!dependents.has(id)) dependents.set(id, []);
+                dependents.get(id).push(n);
+            }
+        }
+
+        this._dependencyGraph = {
+            order, thresholds, dependents, wildcards,
+            downstream: new Map(),
+            affectedThresholds: new Map()
+        };
+        return this._dependencyGraph;
+    }
+
+    /**
+     * Cascade work downstream of a node, by kind, e.g. to see what a modifier
+     * touches. Compounds and derived values that change pass the change on.
+     *
+     * @param {string} nodeId - Node ID
+     * @returns {{thresholds: string[], derived: string[], compounds: string[], rates: string[]}}
+     *   Node IDs (variable IDs for rates)
+     * @example
+     * manager.getDependents('mod_drunk');
+     * // { thresholds: ['mod_rowdy'], derived: [], compounds: ['comp_brawler'], rates: ['var_health'] }
+     */
+    getDependents(nodeId) {
+        const result = { thresholds: [], derived: [], compounds: [], rates: [] };
+        const keys = { threshold: 'thresholds', derived: 'derived', compound: 'compounds', rate: 'rates' };
+        const thresholds = this._getAffectedThresholds([nodeId]);
+        for (const n of this.getDependencyGraph().thresholds) {
+            if (thresholds.has(n.id)) result.thresholds.push(n.id);
+        }
+        for (const n of this._getDownstream([nodeId])) result[keys[n.kind]].push(n.id);
+        return result;
+    }
+
+    /**
+     * Recompute the derived values, compounds and rates downstream of the
+     * given changes, in dependency order. A node is only recomputed when one
+     * of its inputs actually changed, so an unchanged compound stops the
+     * cascade there. With `changedIds` null everything is recomputed.
+     *
+     * @param {Object} entity - Entity to update
+     * @param {string[]|null} [changedIds=null] - IDs of nodes whose value or active state changed
+     * @returns {string[]} IDs of compounds and derived values that changed
+     * @example
+     * // After a modifier is applied, only what reads it is recomputed
+     * manager.runCascade(entity, ['mod_drunk']);
+     */
+    runCascade(entity, changedIds = null) {
+        const graph = this.getDependencyGraph();
+        const stats = this.cascadeStats;
+        stats.cascades++;
+        if (changedIds === null) stats.fullCascades++;
+
+        const nodes = changedIds === null ? graph.order : this._getDownstream(changedIds);
+        const changed = new Set(changedIds || []);
+        const outputs = [];
+        let evaluated = 0;
+
+        for (const n of nodes) {
+            if (changedIds !== null && n.inputs && !this._readsAny(n.inputs, changed)) continue;
+
+            let didChange;
+            if (n.kind === 'derived') didChange = this._updateDerived(entity, n.node);
+            else if (n.kind === 'compound') didChange = this._updateCompound(entity, n.node);
+            else didChange = this._updateRate(entity, n.node);
+
+            evaluated++;
+            this._recordCascadeEvaluation(n.kind, n.id, didChange);
+            if (didChange && n.kind !== 'rate') {
+                changed.add(n.id);
+                outputs.push(n.id);
+            }
+        }
+
+        stats.skipped += graph.order.length - evaluated;
+        return outputs;
+    }
+
+    /**
+     * Threshold modifiers whose triggers read any of the given nodes, in
+     * config order, with their whole exclusive groups.
+     *
+     * @param {Iterable<string>} changedIds - Changed node IDs
+     * @returns {Object[]} Threshold modifier nodes
+     */
+    getAffectedThresholdModifiers(changedIds) {
+        const affected = this._getAffectedThresholds(changedIds);
+        return this._thresholdModifiers.filter(mod => affected.has(mod.id));
+    }
+
+    /**
+     * Profiling counters for the cascade since the last reset:
+     *
+     * - cascades / fullCascades: runCascade calls, and how many recomputed everything
+     * - evaluated: graph nodes recomputed (threshold triggers included)
+     * - changed: how many of those changed something
+     * - skipped: nodes a full recompute would have run but the incremental one did not
+     * - byNode: per `kind:id`, { evaluated, changed }
+     *
+     * @returns {Object} Counters snapshot
+     */
+    getCascadeStats() {
+        const stats = this.cascadeStats;
+        const byNode = {};
+        for (const [key, counts] of stats.byNode) byNode[key] = { ...counts };
+        return { ...stats, byNode };
+    }
+
+    /** @returns {SpawnManager} This instance for chaining */
+    resetCascadeStats() {
+        this.cascadeStats = this._emptyCascadeStats();
+        return this;
+    }
+
+    /** @private */
+    _emptyCascadeStats() {
+        return { cascades: 0, fullCascades: 0, evaluated: 0, changed: 0, skipped: 0, byNode: new Map() };
+    }
+
+    /** @private */
+    _recordCascadeEvaluation(kind, nodeId, changed) {
+        const stats = this.cascadeStats;
+        const key = `${kind}:${nodeId}`;
+        let counts = stats.byNode.get(key);
+        if (!counts) {
+            counts = { evaluated: 0, changed: 0 };
+            stats.byNode.set(key, counts);
+        }
+        stats.evaluated++;
+        counts.evaluated++;
+        if (changed) {
+            stats.changed++;
+            counts.changed++;
+        }
+    }
+
+    /**
+     * Every non-threshold graph node a change to these IDs can reach, in
+     * dependency order. Closures are cached per ID.
+     * @private
+     */
+    _getDownstream(changedIds) {
+        const graph = this.getDependencyGraph();
+        const reach = (nodeId) => {
+            let cached = graph.downstream.get(nodeId);
+            if (cached) return cached;
+
+            cached = new Set(graph.wildcards.filter(n => n.kind !== 'threshold'));
+            const queue = [nodeId, ...[...cached].map(n => n.id)];
+            while (queue.length > 0) {
+                for (const n of graph.dependents.get(queue.pop()) || []) {
+                    if (n.kind === 'threshold' || cached.has(n)) continue;
+                    cached.add(n);
+                    if (n.kind !== 'rate') queue.push(n.id);
+                }
+            }
+            graph.downstream.set(nodeId, cached);
+            return cached;
+        };
+
+        const ids = [...changedIds];
+        if (ids.length === 1) return [...reach(ids[0])].sort((a, b) => a.rank - b.rank);
+        const nodes = new Set();
+        for (const id of ids) reach(id).forEach(n => nodes.add(n));
+        return [...nodes].sort((a, b) => a.rank - b.rank);
+    }
+
+    /** @private */
+    _readsAny(inputs, changed) {
+        const [small, large] = inputs.size <= changed.size ? [inputs, changed] : [changed, inputs];
+        for (const id of small) {
+            if (large.has(id)) return true;
+        }
+        return false;
+    }
+
+    /** @private */
+    _getAffectedThresholds(changedIds) {
+        const graph = this.getDependencyGraph();
+        const affected = new Set();
+        for (const nodeId of changedIds) {
+            let cached = graph.affectedThresholds.get(nodeId);
+            if (!cached) {
+                cached = new Set();
+                const direct = [...(graph.dependents.get(nodeId) || []), ...graph.wildcards];
+                for (const n of direct) {
+                    if (n.kind !== 'threshold' || cached.has(n.id)) continue;
+                    // Exclusive groups are resolved together
+                    const queue = [n.id];
+                    while (queue.length > 0) {
+                        const id = queue.pop();
+                        if (cached.has(id)) continue;
+                        cached.add(id);
+                        queue.push(...(this._exclusiveGroups.get(id) || []));
+                    }
+                }
+                graph.affectedThresholds.set(nodeId, cached);
+            }
+            cached.forEach(id => affected.add(id));
+        }
+        return affected;
+    }
+
+    // ========================================
+    // CONDITION EVALUATION
+    // ========================================
+
+    evaluateConditions(entity, conditions) {
+        if (!conditions || conditions.length === 0) return true;
+        return conditions.every(cond => this.evaluateCondition(entity, cond));
+    }
+
+    evaluateCondition(entity, condition) {
+        if (!condition) return true;
+
+        if (condition.all) {
+            return condition.all.every(c => this.evaluateCondition(entity, c));
+        }
+        if (condition.any) {
+            return condition.any.some(c => this.evaluateCondition(entity, c));
+        }
+        if (condition.not) {
+            return !this.evaluateCondition(entity, condition.not);
+        }
+
+        const { type, target, operator, value } = condition;
+        let actualValue;
+
+        switch (type) {
+            case 'attribute': actualValue = entity.attributes[target]; break;
+            case 'variable': actualValue = entity.variables[target]?.value; break;
+            case 'context': actualValue = entity.contexts[target]; break;
+            case 'trait':
+            case 'item':
+                return this.isNodeActive(entity, target);
+            case 'modifier': return entity.modifiers.includes(target);
+            case 'compound': return entity.compounds.includes(target);
+            default: return false;
+        }
+
+        return this.compareValues(actualValue, operator, value);
+    }
+
+    compareValues(actual, operator, expected) {
+        switch (operator) {
+            case '<': case 'lt': return actual < expected;
+            case '<=': case 'lte': return actual <= expected;
+            case '>': case 'gt': return actual > expected;
+            case '>=': case 'gte': return actual >= expected;
+            case '==': case 'eq': return actual == expected;
+            case '===': return actual === expected;
+            case '!=': case 'ne': return actual != expected;
+            case '!==': return actual !== expected;
+            case 'in': return Array.isArray(expected) && expected.includes(actual);
+            case 'includes': return Array.isArray(actual) && actual.includes(expected);
+            default: return false;
+        }
+    }
+
+    // ========================================
+    // NODE STATE HELPERS
+    // ========================================
+
+    getNodeValue(entity, nodeId) {
+        const node = this.getNode(nodeId);
+        if (!node) return 0;
+
+        switch (node.type) {
+            case 'attribute': return entity.attributes[nodeId] ?? 0;
+            case 'variable': return entity.variables[nodeId]?.value ?? 0;
+            case 'context': return entity.contexts[nodeId] ?? 0;
+            default: return 0;
+        }
+    }
+
+    isNodeActive(entity, nodeId) {
+        const node = this.getNode(nodeId);
+        if (!node) return false;
+
+        if (this.isTrait(node)) {
+            const layerId = node.config.layerId;
+            return entity.layers[layerId]?.active?.includes(nodeId) || false;
+        }
+
+        switch (node.type) {
+            case 'modifier': return entity.modifiers.includes(nodeId);
+            case 'compound': return entity.compounds.includes(nodeId);
+            case 'attribute':
+            case 'variable':
+            case 'context':
+                return true;
+            default: return false;
+        }
+    }
+
+    // ========================================
+    // ATTRIBUTE DISTRIBUTIONS
+    // ========================================
+
+    /**
+     * Roll an attribute for a fresh entity. The attribute's `distribution` is
+     * sampled over its base range, then stretched onto `range` (the range after
+     * value_modifiers), so an add shifts the whole curve and a multiply scales it.
+     * Without a distribution this is a plain uniform rollRange.
+     *
+     * @param {Object} attr - Attribute node
+     * @param {{min: number, max: number}} range - Range to roll in (see getModifiedAttributeRange)
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw from
+     * @param {number|null} [draw=null] - Uniform draw in [0, 1) to use instead of the stream
+     *   (correlated attributes are drawn together up front)
+     * @returns {number} Rolled value
+     */
+    rollAttribute(attr, range, rng = this.rng, draw = null) {
+        const precision = attr.config.precision ?? 0;
+        const dist = this._normalizeDistribution(attr.config.distribution);
+        const u = draw ?? rng.next();
+
+        if (dist.type === 'uniform') {
+            return this.roundToPrecision(range.min + u * (range.max - range.min), precision);
+        }
+
+        const base = this.getBaseAttributeRange(attr);
+        const raw = this.sampleDistribution(dist, u, base.min, base.max);
+        const scale = base.max > base.min ? (range.max - range.min) / (base.max - base.min) : 1;
+        return this.roundToPrecision(range.min + (raw - base.min) * scale, precision);
+    }
+
+    /**
+     * Turn a uniform draw into a value from a distribution (inverse CDF), so
+     * every distribution costs exactly one draw. Results stay within [min, max].
+     *
+     * - 'uniform'
+     * - 'normal' { mean = middle, stdDev = range / 6 }, clamped to the range
+     * - 'triangular' { mode = middle }
+     * - 'beta' { alpha = 2, beta = 2 }, stretched over the range
+     * - 'buckets' { buckets: [{ min, max, weight } | { value, weight }] }: pick a bucket by
+     *   weight, then uniform inside it
+     * - 'dice' { dice: '3d6+2' }, also written as just the string '3d6+2'
+     *
+     * @param {Object|string} distribution - Distribution definition, or a type / dice string
+     * @param {number} u - Uniform draw in [0, 1)
+     * @param {number} min - Range minimum
+     * @param {number} max - Range maximum
+     * @returns {number} Unrounded value
+     * @example
+     * manager.sampleDistribution('3d6', rng.next(), 3, 18);
+     * manager.sampleDistribution({ type: 'normal', mean: 7, stdDev: 1.5 }, rng.next(), 1, 10);
+     */
+    sampleDistribution(distribution, u, min, max) {
+        const dist = this._normalizeDistribution(distribution);
+        const clamp = v => Math.min(max, Math.max(min, v));
+
+        switch (dist.type) {
+            case 'normal': {
+                const mean = dist.mean ?? (min + max) / 2;
+                const stdDev = dist.stdDev ?? (max - min) / 6;
+                return clamp(mean + stdDev * this._normalQuantile(this._clampUnit(u)));
+            }
+            case 'triangular': {
+                const mode = clamp(dist.mode ?? (min + max) / 2);
+                const span = max - min;
+                if (span <= 0) return min;
+                const split = (mode - min) / span;
+                return u < split
+                    ? min + Math.sqrt(u * span * (mode - min))
+                    : max - Math.sqrt((1 - u) * span * (max - mode));
+            }
+            case 'beta':
+                return min + (max - min) * this._betaQuantile(u, dist.alpha ?? 2, dist.beta ?? 2);
+            case 'buckets': {
+                const buckets = dist.buckets || [];
+                const total = buckets.reduce((sum, b) => sum + (b.weight ?? 1), 0);
+                if (total <= 0) return min + u * (max - min);
+                let roll = u * total;
+                for (const bucket of buckets) {
+                    const weight = bucket.weight ?? 1;
+                    if (roll < weight || bucket === buckets[buckets.length - 1]) {
+                        if (bucket.value !== undefined) return clamp(bucket.value);
+                        const within = Math.min(1, roll / weight);
+                        return clamp(bucket.min + within * (bucket.max - bucket.min));
+                    }
+                    roll -= weight;
+                }
+                return min;
+            }
+            case 'dice': {
+                const { offset, pmf } = this._getDicePmf(dist.dice);
+                let cumulative = 0;
+                for (let i = 0; i < pmf.length; i++) {
+                    cumulative += pmf[i];
+                    if (u < cumulative) return clamp(offset + i);
+                }
+                return clamp(offset + pmf.length - 1);
+            }
+            default:
+                return min + u * (max - min);
+        }
+    }
+
+    // Inverse of sampleDistribution: where a value sits in the distribution, in (0, 1)
+    _distributionCdf(distribution, x, min, max) {
+        const dist = this._normalizeDistribution(distribution);
+        const span = max - min;
+        let p;
+
+        switch (dist.type) {
+            case 'normal': {
+                const mean = dist.mean ?? (min + max) / 2;
+                const stdDev = dist.stdDev ?? span / 6;
+                p = stdDev > 0 ? this._normalCdf((x - mean) / stdDev) : 0.5;
+                break;
+            }
+            case 'triangular': {
+                const mode = dist.mode ?? (min + max) / 2;
+                if (x <= min) p = 0;
+                else if (x >= max) p = 1;
+                else if (x <= mode) p = (x - min) ** 2 / (span * (mode - min));
+                else p = 1 - (max - x) ** 2 / (span * (max - mode));
+                break;
+            }
+            case 'beta':
+                p = span > 0 ? this._betaCdf(Math.min(1, Math.max(0, (x - min) / span)), dist.alpha ?? 2, dist.beta ?? 2) : 0.5;
+                break;
+            case 'buckets': {
+                const buckets = dist.buckets || [];
+                const total = buckets.reduce((sum, b) => sum + (b.weight ?? 1), 0) || 1;
+                let below = 0;
+                p = 1;
+                for (const bucket of buckets) {
+                    const weight = (bucket.weight ?? 1) / total;
+                    const lo = bucket.value ?? bucket.min;
+                    const hi = bucket.value ?? bucket.max;
+                    if (x < lo) { p = below; break; }
+                    if (x <= hi) { p = below + weight * (hi > lo ? (x - lo) / (hi - lo) : 0.5); break; }
+                    below += weight;
+                }
+                break;
+            }
+            case 'dice': {
+                const { offset, pmf } = this._getDicePmf(dist.dice);
+                const index = Math.round(x) - offset;
+                p = 0;
+                for (let i = 0; i < Math.min(index, pmf.length); i++) p += pmf[i];
+                if (index >= 0 && index < pmf.length) p += pmf[index] / 2;
+                break;
+            }
+            default:
+                p = span > 0 ? (x - min) / span : 0.5;
+        }
+        return this._clampUnit(p);
+    }
+
+    // Accepts a definition, a type name or a dice string; missing = uniform
+    _normalizeDistribution(distribution) {
+        if (!distribution) return { type: 'uniform' };
+        if (typeof distribution === 'string') {
+            return /^\d*d\d+([+-]\d+)?$/i.test(distribution.trim())
+                ? { type: 'dice', dice: distribution.trim() }
+                : { type: distribution };
+        }
+        return distribution;
+    }
+
+    // Natural range of a distribution, for presets on unknown attributes
+    _getDistributionRange(dist) {
+        if (dist.type === 'dice') {
+            const { offset, pmf } = this._getDicePmf(dist.dice);
+            return { min: offset, max: offset + pmf.length - 1 };
+        }
+        if (dist.type === 'buckets' && dist.buckets?.length) {
+            const edges = dist.buckets.flatMap(b => (b.value !== undefined ? [b.value] : [b.min, b.max]));
+            return { min: Math.min(...edges), max: Math.max(...edges) };
+        }
+        return { min: dist.min ?? 1, max: dist.max ?? 10 };
+    }
+
+    // Probability of each total for 'NdS+K', starting at `offset` (the lowest total)
+    _getDicePmf(notation) {
+        if (!this._dicePmfs) this._dicePmfs = new Map();
+        const key = String(notation).trim().toLowerCase();
+        if (this._dicePmfs.has(key)) return this._dicePmfs.get(key);
+
+        const match = key.match(/^(\d*)d(\d+)([+-]\d+)?$/);
+        const count = match ? parseInt(match[1] || '1', 10) : 1;
+        const sides = match ? parseInt(match[2], 10) : 6;
+        const bonus = match?.[3] ? parseInt(match[3], 10) : 0;
+        if (!match) console.warn(`Invalid dice notation "${notation}", using 1d6`);
+
+        let pmf = [1];
+        for (let d = 0; d < count; d++) {
+            const next = new Array(pmf.length + sides - 1).fill(0);
+            pmf.forEach((p, i) => {
+                for (let face = 0; face < sides; face++) next[i + face] += p / sides;
+            });
+            pmf = next;
+        }
+        const result = { offset: count + bonus, pmf };
+        this._dicePmfs.set(key, result);
+        return result;
+    }
+
+    // Keep probabilities off exactly 0 or 1 so quantiles stay finite
+    _clampUnit(p) {
+        return Math.min(1 - 1e-9, Math.max(1e-9, p));
+    }
+
+    // Standard normal CDF (Abramowitz & Stegun 7.1.26)
+    _normalCdf(z) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-(z * z) / 2);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    // Standard normal quantile (Acklam's rational approximation)
+    _normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            const q = Math.sqrt(-2 * Math.log(1 - p));
+            return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    // Regularized incomplete beta I_x(a, b), continued fraction (Numerical Recipes betacf)
+    _betaCdf(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const logGamma = (z) => {
+            const g = [676.5203681218851, -1259.1392167224028, 771.3234287776531, -176.6150291621406,
+                12.507343278686905, -0.13857109526572012, 9.984369578019572e-6, 1.5056327351493116e-7];
+            if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+            z -= 1;
+            let sum = 0.99999999999980993;
+            g.forEach((coef, i) => { sum += coef / (z + i + 1); });
+            const t = z + g.length - 0.5;
+            return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+        };
+        const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+        const fraction = (x, a, b) => {
+            const tiny = 1e-30;
+            let c = 1;
+            let d = 1 - (a + b) * x / (a + 1);
+            if (Math.abs(d) < tiny) d = tiny;
+            d = 1 / d;
+            let h = d;
+            for (let m = 1; m <= 200; m++) {
+                const m2 = 2 * m;
+                let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+                d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+                c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+                d = 1 / d; h *= d * c;
+                aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+                d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+                c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+                d = 1 / d;
+                const delta = d * c;
+                h *= delta;
+                if (Math.abs(delta - 1) < 1e-12) break;
+            }
+            return h;
+        };
+        return x < (a + 1) / (a + b + 2)
+            ? front * fraction(x, a, b) / a
+            : 1 - front * fraction(1 - x, b, a) / b;
+    }
+
+    // Inverse of _betaCdf by bisection
+    _betaQuantile(p, a, b) {
+        let lo = 0;
+        let hi = 1;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (this._betaCdf(mid, a, b) < p) lo = mid;
+            else hi = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // ========================================
+    // CORRELATED ATTRIBUTES
+    // ========================================
+
+    /**
+     * Attributes linked by `correlations` (e.g. attr_charm: { correlations:
+     * { attr_sociability: 0.4 } }), as connected groups with their correlation
+     * matrices. Links are symmetric; declaring one side is enough.
+     *
+     * @returns {Map<string, Object>} attrId -> { ids, matrix }
+     */
+    getCorrelationGroups() {
+        if (this._correlationGroups) return this._correlationGroups;
+
+        const attributes = this.getAttributes();
+        const links = new Map();
+        const link = (a, b, rho) => {
+            if (!links.has(a)) links.set(a, new Map());
+            if (!links.get(a).has(b)) links.get(a).set(b, rho);
+        };
+        for (const attr of attributes) {
+            for (const [otherId, rho] of Object.entries(attr.config.correlations || {})) {
+                if (otherId === attr.id || this.getNode(otherId)?.type !== 'attribute') continue;
+                link(attr.id, otherId, rho);
+                link(otherId, attr.id, rho);
+            }
+        }
+
+        const groups = new Map();
+        for (const attr of attributes) {
+            if (groups.has(attr.id) || !links.has(attr.id)) continue;
+            const members = new Set([attr.id]);
+            const queue = [attr.id];
+            while (queue.length) {
+                for (const next of links.get(queue.shift())?.keys() || []) {
+                    if (!members.has(next)) { members.add(next); queue.push(next); }
+                }
+            }
+            const ids = attributes.map(a => a.id).filter(id => members.has(id));
+            const matrix = ids.map(a => ids.map(b => (a === b ? 1 : links.get(a)?.get(b) ?? 0)));
+            const group = { ids, matrix };
+            ids.forEach(id => groups.set(id, group));
+        }
+
+        this._correlationGroups = groups;
+        return groups;
+    }
+
+    // Uniform draw for an attribute in a correlation group, or null if it has none.
+    // The first member rolled draws for the whole group (Gaussian copula), conditioned
+    // on any members fixed by overrides.
+    _getCorrelatedDraw(attrId, draws, fixedValues, rng) {
+        if (draws.has(attrId)) return draws.get(attrId);
+        const group = this.getCorrelationGroups().get(attrId);
+        if (!group) return null;
+
+        const isFixed = id => fixedValues?.[id] !== undefined;
+        const order = [...group.ids.filter(isFixed), ...group.ids.filter(id => !isFixed(id))];
+        const matrix = order.map(a => order.map(b => group.matrix[group.ids.indexOf(a)][group.ids.indexOf(b)]));
+        const chol = this._cholesky(matrix);
+        if (!chol) {
+            if (!this._correlationWarned) {
+                this._correlationWarned = true;
+                console.warn(`Attribute correlations for ${group.ids.join(', ')} are inconsistent; rolling them independently`);
+            }
+            return null;
+        }
+
+        const independent = [];
+        order.forEach((id, i) => {
+            const mean = independent.reduce((sum, e, j) => sum + chol[i][j] * e, 0);
+            if (isFixed(id)) {
+                const node = this.getNode(id);
+                const { min, max } = this.getBaseAttributeRange(node);
+                const z = this._normalQuantile(this._distributionCdf(node.config.distribution, fixedValues[id], min, max));
+                independent.push(chol[i][i] > 0 ? (z - mean) / chol[i][i] : 0);
+            } else {
+                const e = this._normalQuantile(this._clampUnit(rng.next()));
+                independent.push(e);
+                draws.set(id, this._normalCdf(mean + chol[i][i] * e));
+            }
+        });
+        return draws.get(attrId) ?? null;
+    }
+
+    // Lower-triangular L with L * L^T = matrix, or null if not positive definite
+    _cholesky(matrix) {
+        const n = matrix.length;
+        const L = matrix.map(() => new Array(n).fill(0));
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+                if (i === j) {
+                    if (sum <= 0) return null;
+                    L[i][i] = Math.sqrt(sum);
+                } else {
+                    L[i][j] = sum / L[j][j];
+                }
+            }
+        }
+        return L;
+    }
+
+    // ========================================
+    // UTILITIES
+    // ========================================
+
+    /**
+     * Roll a uniform value in [min, max], rounded to the given precision.
+     *
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @param {number} [precision=0] - Decimal places
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw from
+     * @returns {number} Rolled value
+     */
+    rollRange(min, max, precision = 0, rng = this.rng) {
+        return this.roundToPrecision(min + rng.next() * (max - min), precision);
+    }
+
+    /**
+     * Round to a number of decimal places (0 = whole numbers).
+     *
+     * @param {number} value - Value to round
+     * @param {number} [precision=0] - Decimal places
+     * @returns {number} Rounded value
+     */
+    roundToPrecision(value, precision = 0) {
+        if (!precision) return Math.round(value);
+        const factor = Math.pow(10, precision);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Resolve a preset attribute value to a concrete number.
+     * Supports fixed values, min/max ranges, base +/- variance, and
+     * distributions (see sampleDistribution) including dice strings.
+     *
+     * @param {number|string|Object} attrValue - The attribute specification
+     * @param {number} [precision=0] - Decimal precision
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw from
+     * @param {Object|null} [attrNode=null] - Attribute node, for the default distribution range
+     * @returns {number} Resolved value
+     * @example
+     * // Fixed value
+     * resolvePresetAttributeValue(6) // => 6
+     *
+     * // Min/max range (uniform random)
+     * resolvePresetAttributeValue({ min: 5, max: 10 }) // => 5-10
+     *
+     * // Base with variance
+     * resolvePresetAttributeValue({ base: 50, variance: 10 }) // => 40-60
+     *
+     * // Distributions
+     * resolvePresetAttributeValue('3d6') // => 3-18, bell-shaped
+     * resolvePresetAttributeValue({ distribution: { type: 'normal', mean: 8, stdDev: 1 }, min: 1, max: 10 })
+     */
+    resolvePresetAttributeValue(attrValue, precision = 0, rng = this.rng, attrNode = null) {
+        if (typeof attrValue === 'number') {
+            return attrValue;  // Fixed value
+        }
+        if (typeof attrValue === 'string') {
+            attrValue = { distribution: attrValue };
+        }
+        if (typeof attrValue === 'object' && attrValue !== null && attrValue.distribution) {
+            const dist = this._normalizeDistribution(attrValue.distribution);
+            const base = attrNode ? this.getBaseAttributeRange(attrNode) : this._getDistributionRange(dist);
+            const min = attrValue.min ?? base.min;
+            const max = attrValue.max ?? base.max;
+            return this.roundToPrecision(this.sampleDistribution(dist, rng.next(), min, max), precision);
+        }
+        if (typeof attrValue === 'object' && attrValue !== null) {
+            // Min/max range
+            if (attrValue.min !== undefined && attrValue.max !== undefined) {
+                return this.rollRange(attrValue.min, attrValue.max, precision, rng);
+            }
+            // Base with variance
+            if (attrValue.base !== undefined) {
+                const variance = attrValue.variance || 0;
+                return this.rollRange(attrValue.base - variance, attrValue.base + variance, precision, rng);
+            }
+            // Object with just 'value' property (explicit fixed)
+            if (attrValue.value !== undefined) {
+                return attrValue.value;
+            }
+        }
+        return 0;  // Fallback
+    }
+
+    /**
+     * Resolve all preset attribute values to concrete numbers.
+     *
+     * @param {Object} attributes - Map of attributeId to value specification
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw from
+     * @returns {Object} Map of attributeId to resolved numeric values
+     */
+    resolvePresetAttributes(attributes, rng = this.rng) {
+        if (!attributes) return {};
+        const resolved = {};
+        for (const [attrId, value] of Object.entries(attributes)) {
+            const attrNode = this.getNode(attrId);
+            const precision = attrNode?.config?.precision ?? 0;
+            resolved[attrId] = this.resolvePresetAttributeValue(value, precision, rng, attrNode);
+        }
+        return resolved;
+    }
+
+    /**
+     * Resolve preset trait selections to concrete trait IDs.
+     * Supports multiple selection modes per layer.
+     *
+     * @param {Object} traits - Map of layerId to trait selection specification
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw from
+     * @returns {string[]} Array of trait IDs to force-activate
+     * @example
+     * // String: always force
+     * resolvePresetTraits({ layer_race: 'item_humanoid' })
+     *
+     * // Weighted pool
+     * resolvePresetTraits({
+     *   layer_behavior: {
+     *     mode: 'weighted',
+     *     pool: [{ id: 'item_aggressive', weight: 70 }, { id: 'item_tactical', weight: 30 }]
+     *   }
+     * })
+     *
+     * // Chance-based
+     * resolvePresetTraits({
+     *   layer_resistance: { mode: 'chance', chance: 0.3, pool: ['item_fire_resist'] }
+     * })
+     *
+     * // Pick N
+     * resolvePresetTraits({
+     *   layer_skills: { mode: 'pickN', count: 2, pool: ['skill_a', 'skill_b', 'skill_c'] }
+     * })
+     */
+    resolvePresetTraits(traits, rng = this.rng) {
+        if (!traits) return [];
+        const resolved = [];
+
+        for (const [layerId, spec] of Object.entries(traits)) {
+            // String: always force this trait
+            if (typeof spec === 'string') {
+                resolved.push(spec);
+                continue;
+            }
+
+            // Array: force all traits in array
+            if (Array.isArray(spec)) {
+                resolved.push(...spec);
+                continue;
+            }
+
+            // Object: mode-based selection
+            if (typeof spec === 'object' && spec !== null) {
+                const mode = spec.mode || 'weighted';
+                let pool = spec.pool || [];
+
+                // If taxonomyFilter is specified, build pool from matching nodes
+                if (spec.taxonomyFilter && Object.keys(spec.taxonomyFilter).length > 0) {
+                    const matchingNodes = this.getNodesByTaxonomy(spec.taxonomyFilter);
+                    // Filter to only items/traits that belong to this layer
+                    const layer = this.getNode(layerId);
+                    const layerItemIds = new Set(layer?.config?.itemIds || layer?.config?.traitIds || []);
+                    pool = matchingNodes
+                        .filter(n => layerItemIds.has(n.id))
+                        .map(n => ({ id: n.id, weight: n.config?.selection?.baseWeight || 1 }));
+                }
+
+                if (pool.length === 0) continue;
+
+                switch (mode) {
+                    case 'weighted': {
+                        const picked = this.selectWeightedFromPool(pool, rng);
+                        if (picked) resolved.push(picked);
+                        break;
+                    }
+
+                    case 'chance': {
+                        const chance = spec.chance ?? 0.5;
+                        if (rng.next() < chance) {
+                            // Pick one randomly from pool
+                            const idx = Math.floor(rng.next() * pool.length);
+                            const item = pool[idx];
+                            resolved.push(typeof item === 'string' ? item : item.id);
+                        }
+                        break;
+                    }
+
+                    case 'pickN': {
+                        const count = spec.count ?? 1;
+                        const picks = this.selectNFromPool(pool, count, rng);
+                        resolved.push(...picks);
+                        break;
+                    }
+
+                    case 'all': {
+                        // Force all traits in pool
+                        for (const item of pool) {
+                            resolved.push(typeof item === 'string' ? item : item.id);
+                        }
+                        break;
+                    }
+
+                    default:
+                        // Unknown mode, treat as weighted
+                        const picked = this.selectWeightedFromPool(pool, rng);
+                        if (picked) resolved.push(picked);
+                }
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Select one item from a weighted pool.
+     *
+     * @param {Array} pool - Array of items (strings or {id, weight} objects)
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw from
+     * @returns {string|null} Selected item ID or null if pool is empty
+     */
+    selectWeightedFromPool(pool, rng = this.rng) {
+        if (!pool || pool.length === 0) return null;
+
+        const total = pool.reduce((sum, item) => {
+            const weight = typeof item === 'string' ? 1 : (item.weight ?? 1);
+            return sum + weight;
+        }, 0);
+
+        let roll = rng.next() * total;
+
+        for (const item of pool) {
+            const weight = typeof item === 'string' ? 1 : (item.weight ?? 1);
+            roll -= weight;
+            if (roll <= 0) {
+                return typeof item === 'string' ? item : item.id;
+            }
+        }
+
+        // Fallback to first item
+        const first = pool[0];
+        return typeof first === 'string' ? first : first.id;
+    }
+
+    /**
+     * Select N items from a weighted pool without replacement.
+     *
+     * @param {Array} pool - Array of items (strings or {id, weight} objects)
+     * @param {number} n - Number of items to select
+     * @param {SeededRandom} [rng=this.rng] - Stream to draw from
+     * @returns {string[]} Array of selected item IDs
+     */
+    selectNFromPool(pool, n, rng = this.rng) {
+        if (!pool || pool.length === 0) return [];
+
+        const remaining = [...pool];
+        const picks = [];
+
+        for (let i = 0; i < n && remaining.length > 0; i++) {
+            const total = remaining.reduce((sum, item) => {
+                const weight = typeof item === 'string' ? 1 : (item.weight ?? 1);
+                return sum + weight;
+            }, 0);
+
+            let roll = rng.next() * total;
+
+            for (let j = 0; j < remaining.length; j++) {
+                const item = remaining[j];
+                const weight = typeof item === 'string' ? 1 : (item.weight ?? 1);
+                roll -= weight;
+                if (roll <= 0) {
+                    const picked = remaining.splice(j, 1)[0];
+                    picks.push(typeof picked === 'string' ? picked : picked.id);
+                    break;
+                }
+            }
+        }
+
+        return picks;
+    }
+
+    /**
+     * Evaluate a formula against a scope of values. Formulas are compiled
+     * once by the sandboxed FormulaCompiler and cached by source.
+     *
+     * @param {string} formula - Formula text, e.g. 'attr_charm * 2 + var_mood'
+     * @param {Object<string, number>} context - Identifier values
+     * @returns {number} Result
+     * @throws {FormulaError} On syntax errors or identifiers missing from context
+     */
+    evaluateFormula(formula, context) {
+        return this.formulas.evaluate(formula, context);
+    }
+
+    /**
+     * Compile a formula and check its identifiers against the loaded config
+     * (attribute, variable and context node IDs) without evaluating it.
+     *
+     * @param {string} formula - Formula text
+     * @returns {{source: string, identifiers: string[], evaluate: Function}} Compiled formula
+     * @throws {FormulaError} On syntax errors or identifiers that are not config nodes
+     * @example
+     * try {
+     *     manager.compileFormula('attr_charm * 2 + attr_wit');
+     * } catch (e) {
+     *     console.log(e.message); // 'Unknown identifier "attr_wit" at position 17'
+     * }
+     */
+    compileFormula(formula) {
+        const compiled = this.formulas.compile(formula);
+        for (const id of compiled.identifiers) {
+            const node = this.getNode(id);
+            if (!node || !['attribute', 'variable', 'context'].includes(node.type)) {
+                // Position from the tokenizer: IDs may hold characters a RegExp would misread
+                const token = FormulaCompiler.tokenize(compiled.source).find(t => t.type === 'id' && t.value === id);
+                throw new FormulaError(`Unknown identifier "${id}"`, compiled.source, token ? token.pos : null);
+            }
+        }
+        return compiled;
+    }
+
+    // ========================================
+    // ACTION SYSTEM
+    // ========================================
+
+    /**
+     * Check if an action is available for an entity.
+     *
+     * @param {Object} entity - The entity
+     * @param {string} actionId - The action ID
+     * @returns {boolean} True if action can be used
+     */
+    isActionAvailable(entity, actionId) {
+        const action = this.getNode(actionId);
+        if (!action || action.type !== 'action') return false;
+
+        const cfg = action.config || {};
+
+        // Check cooldown
+        if (entity.actions?.[actionId]?.cooldownRemaining > 0) return false;
+
+        // Check costs (can afford?)
+        for (const [varId, cost] of Object.entries(cfg.costs || {})) {
+            const varState = entity.variables[varId];
+            if (!varState || varState.value < cost) return false;
+        }
+
+        // Check requirements (traits that must be active)
+        for (const reqId of cfg.requirements || []) {
+            if (!this.isNodeActive(entity, reqId)) return false;
+        }
+
+        // Check blockedBy (traits that prevent use)
+        for (const blockId of cfg.blockedBy || []) {
+            if (this.isNodeActive(entity, blockId)) return false;
+        }
+
+        // Check eligibility conditions
+        if (cfg.eligibility && !this.evaluateConditions(entity, cfg.eligibility)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get all available actions for an entity with calculated weights.
+     *
+     * @param {Object} entity - The entity
+     * @returns {Array<{id: string, weight: number, action: Object}>} Available actions
+     */
+    getAvailableActions(entity) {
+        const available = [];
+
+        for (const action of this.getActions()) {
+            if (!this.isActionAvailable(entity, action.id)) continue;
+
+            let weight = action.config?.baseWeight ?? 50;
+
+            // Apply preset action weights if entity has preset
+            if (entity.presetId && this.entityManager) {
+                const preset = this.entityManager.getPreset(entity.presetId);
+                if (preset?.actions?.[action.id]) {
+                    const presetAction = preset.actions[action.id];
+                    if (typeof presetAction === 'number') {
+                        weight = presetAction;
+                    } else if (presetAction.weight !== undefined) {
+                        // Check condition if specified
+                        if (presetAction.condition) {
+                            if (this.evaluateCondition(entity, presetAction.condition)) {
+                                weight = presetAction.weight;
+                            }
+                        } else {
+                            weight = presetAction.weight;
+                        }
+                    }
+                }
+            }
+
+            // Apply relationship weight modifiers
+            const influences = this.getRelationshipsTo(action.id)
+                .filter(r => r.type === 'weight_influence');
+            for (const rel of influences) {
+                if (!this.isNodeActive(entity, rel.sourceId)) continue;
+                if (!this.evaluateConditions(entity, rel.conditions)) continue;
+
+                const value = this.calculateRelationshipValue(entity, rel);
+                if (rel.config.operation === 'add') weight += value;
+                else if (rel.config.operation === 'multiply') weight *= value;
+            }
+
+            if (weight > 0) {
+                available.push({ id: action.id, weight, action });
+            }
+        }
+
+        return available;
+    }
+
+    /**
+     * Select an action using weighted random selection.
+     *
+     * @param {Object} entity - The entity
+     * @returns {Object|null} Selected action {id, weight, action} or null
+     */
+    selectAction(entity) {
+        const available = this.getAvailableActions(entity);
+        if (available.length === 0) return null;
+
+        const total = available.reduce((sum, a) => sum + a.weight, 0);
+        let roll = this.getRng(entity).next() * total;
+
+        for (const a of available) {
+            roll -= a.weight;
+            if (roll <= 0) return a;
+        }
+
+        return available[0];
+    }
+
+    /**
+     * Execute an action, deducting costs and starting cooldown.
+     *
+     * @param {Object} entity - The entity
+     * @param {string} actionId - The action ID
+     * @returns {Object} Result {success, actionId, effects, action} or {success: false, reason}
+     */
+    executeAction(entity, actionId) {
+        if (!this.isActionAvailable(entity, actionId)) {
+            return { success: false, reason: 'Action not available' };
+        }
+
+        const action = this.getNode(actionId);
+        const cfg = action.config || {};
+
+        // Deduct costs
+        for (const [varId, cost] of Object.entries(cfg.costs || {})) {
+            if (entity.variables[varId]) {
+                entity.variables[varId].value = Math.max(
+                    entity.variables[varId].min,
+                    entity.variables[varId].value - cost
+                );
+            }
+        }
+
+        // Start cooldown
+        if (!entity.actions) entity.actions = {};
+        if (!entity.actions[actionId]) entity.actions[actionId] = {};
+        entity.actions[actionId].cooldownRemaining = cfg.cooldown || 0;
+
+        this.log(entity, 'actionExecuted', { actionId });
+
+        // Return action data for game code to handle effects
+        return {
+            success: true,
+            actionId,
+            effects: cfg.effects || {},
+            action
+        };
+    }
+
+    /**
+     * Get action cooldown status for an entity.
+     *
+     * @param {Object} entity - The entity
+     * @param {string} actionId - The action ID
+     * @returns {Object} {cooldownRemaining, cooldownTotal, ready}
+     */
+    getActionCooldown(entity, actionId) {
+        const action = this.getNode(actionId);
+        const cooldownTotal = action?.config?.cooldown || 0;
+        const cooldownRemaining = entity.actions?.[actionId]?.cooldownRemaining || 0;
+
+        return {
+            cooldownRemaining,
+            cooldownTotal,
+            ready: cooldownRemaining <= 0
+        };
+    }
+
+    log(entity, event, data = {}) {
+        entity._internal.log.push({ timestamp: this.clock.now(), event, data });
+        if (entity._internal.log.length > 1000) {
+            entity._internal.log = entity._internal.log.slice(-500);
+        }
+    }
+
+    // ========================================
+    // ANALYSIS (for editor)
+    // ========================================
+
+    getWeights(entity, layerId) {
+        const traits = this.getLayerTraits(layerId);
+        const currentActive = new Set(entity?.layers[layerId]?.active || []);
+
+        const result = [];
+        for (const trait of traits) {
+            const isActive = currentActive.has(trait.id);
+            const isThreshold = trait.config.selection?.mode === 'threshold';
+            const isEligible = entity ? this.checkEligibility(entity, trait) : true;
+            const hasIncompat = entity ? this.hasIncompatibility(entity, trait) : false;
+            const weight = entity ? this.calculateWeight(entity, trait) : trait.config.selection?.baseWeight ?? 20;
+
+            result.push({
+                id: trait.id,
+                name: trait.name,
+                isActive, isThreshold, isEligible, hasIncompat, weight,
+                baseWeight: trait.config.selection?.baseWeight ?? 20
+            });
+        }
+
+        const eligibleWeight = result
+            .filter(r => !r.isActive && !r.isThreshold && r.isEligible && !r.hasIncompat && r.weight > 0)
+            .reduce((sum, r) => sum + r.weight, 0);
+
+        for (const r of result) {
+            r.percentage = eligibleWeight > 0 ? (r.weight / eligibleWeight) * 100 : 0;
+        }
+
+        return result;
+    }
+
+    /**
+     * Exact outcome distribution for a layer's rolls, computed by dynamic
+     * programming over roll sequences instead of sampling. Each roll is
+     * resolved the way rollLayer would: `maxItems` capacity, `pickN` without
+     * replacement, `replaces`, and eligibility, `incompatibleWith` and
+     * weight influences re-evaluated against what earlier rolls activated.
+     *
+     * Pass an entity to roll on top of its other layers, or a plain
+     * `{ attrId: value }` map to probe a fresh spawn. A probe plays out the
+     * spawn order up to the layer, so it is averaged over every outcome of
+     * the layers that roll before it; attributes missing from the map sit at
+     * the middle of their range as modified by the traits rolled so far.
+     *
+     * @param {Object} entityOrAttrs - Entity, or attribute values for a probe entity
+     * @param {string} layerId - The layer to analyze
+     * @param {Object} [options={}]
+     * @param {number} [options.rolls] - Number of rolls (default: the layer's `initialRolls`)
+     * @param {boolean} [options.keepActive=false] - Roll on top of the entity's current
+     *   traits in this layer instead of starting from an empty layer
+     * @param {number} [options.maxStates=100000] - Give up (and return null) past this many
+     *   distinct intermediate states
+     * @returns {Object|null} { layerId, mode, rolls, traits: { traitId: probability },
+     *   combinations: [{ traits, probability }], expectedCount }, or null for an unknown layer
+     * @example
+     * const dist = manager.computeLayerDistribution({ attr_charisma: 8 }, 'layer_personality');
+     * dist.traits.trait_friendly;        // chance the patron ends up friendly
+     * dist.combinations[0];              // most likely final set of traits
+     */
+    computeLayerDistribution(entityOrAttrs, layerId, options = {}) {
+        const layer = this.getNode(layerId);
+        if (!layer || layer.type !== 'layer') return null;
+
+        const selection = layer.config.selection || {};
+        const mode = selection.mode || 'weighted';
+        const rolls = options.rolls ?? (selection.initialRolls || 1);
+        const maxStates = options.maxStates ?? 100000;
+
+        const isEntity = Boolean(entityOrAttrs?.layers);
+        const base = isEntity ? entityOrAttrs : this._createProbeEntity(entityOrAttrs || {});
+
+        let states;
+        if (isEntity) {
+            const layers = JSON.parse(JSON.stringify(base.layers));
+            if (!options.keepActive || !layers[layerId]) {
+                layers[layerId] = { active: [], lastRoll: null };
+            }
+            states = this._distributionStates(base, [{ attributes: base.attributes, layers, probability: 1 }]);
+        } else {
+            states = this._spawnStatesBefore(base, entityOrAttrs || {}, layerId, maxStates);
+            if (!states) return null;
+        }
+
+        states = this._rollDistribution(base, states, layerId, rolls, maxStates);
+        if (!states) return null;
+
+        const traits = Object.fromEntries(this.getLayerTraits(layerId).map(t => [t.id, 0]));
+        const combinations = new Map();
+        let expectedCount = 0;
+
+        for (const { layers, probability } of states.values()) {
+            const active = [...(layers[layerId]?.active || [])].sort();
+            for (const traitId of active) {
+                traits[traitId] = (traits[traitId] || 0) + probability;
+            }
+            const key = active.join(',');
+            combinations.set(key, (combinations.get(key) || 0) + probability);
+            expectedCount += probability * active.length;
+        }
+
+        return {
+            layerId,
+            mode,
+            rolls,
+            traits,
+            combinations: [...combinations.entries()]
+                .map(([key, probability]) => ({ traits: key ? key.split(',') : [], probability }))
+                .sort((a, b) => b.probability - a.probability),
+            expectedCount
+        };
+    }
+
+    // States of a fresh probe entity when layerId is about to roll at spawn:
+    // every layer earlier in spawn order rolled out, and attributes missing
+    // from the map set to the middle of their range as it stands at their turn
+    _spawnStatesBefore(base, attributes, layerId, maxStates) {
+        let states = this._distributionStates(base, [{ attributes: base.attributes, layers: base.layers, probability: 1 }]);
+
+        for (const item of this.getSpawnOrder()) {
+            if (item.type === 'attribute') {
+                if (attributes[item.node.id] !== undefined) continue;
+                states = this._distributionStates(base, [...states.values()].map(state => {
+                    const range = this.getModifiedAttributeRange(state.entity, item.node);
+                    return { ...state, attributes: { ...state.attributes, [item.node.id]: (range.min + range.max) / 2 } };
+                }));
+            } else {
+                if (item.node.id === layerId) break;
+                const rolls = item.node.config.selection?.initialRolls || 1;
+                states = this._rollDistribution(base, states, item.node.id, rolls, maxStates);
+                if (!states) return null;
+            }
+        }
+        return states;
+    }
+
+    // Roll layerId `rolls` times from every state, merging states that end up
+    // the same. Null (with a warning) past maxStates.
+    _rollDistribution(base, states, layerId, rolls, maxStates) {
+        for (let r = 0; r < rolls; r++) {
+            const next = [];
+            for (const { entity, attributes, layers, probability } of states.values()) {
+                for (const outcome of this._enumerateRollOutcomes(entity, layerId)) {
+                    const after = { ...entity, layers: JSON.parse(JSON.stringify(layers)), _internal: { log: [] } };
+                    for (const traitId of outcome.selected) {
+                        this.activateTrait(after, traitId);
+                    }
+                    next.push({ attributes, layers: after.layers, probability: probability * outcome.probability });
+                }
+            }
+            states = this._distributionStates(base, next);
+            if (states.size > maxStates) {
+                console.warn(`computeLayerDistribution: "${layerId}" exceeded ${maxStates} states after ${r + 1} rolls`);
+                return null;
+            }
+        }
+        return states;
+    }
+
+    // Merge { attributes, layers, probability } states that match, keyed by
+    // attribute values and active traits, each with a probe entity to roll on
+    _distributionStates(base, list) {
+        const states = new Map();
+        for (const { attributes, layers, probability } of list) {
+            const key = JSON.stringify(attributes) + '|' + Object.keys(layers).sort()
+                .map(id => `${id}:${[...layers[id].active].sort().join(',')}`).join('|');
+            const existing = states.get(key);
+            if (existing) {
+                existing.probability += probability;
+            } else {
+                const entity = { ...base, attributes, layers, _internal: { log: [] } };
+                states.set(key, { entity, attributes, layers, probability });
+            }
+        }
+        return states;
+    }
+
+    // Every way a single rollLayer call can go from this state, as
+    // [{ selected, probability }]. Mirrors rollLayer / the select* methods.
+    _enumerateRollOutcomes(entity, layerId) {
+        const selection = this.getNode(layerId).config.selection || {};
+        const maxItems = selection.maxItems ?? 10;
+        const nothing = [{ selected: [], probability: 1 }];
+
+        if ((entity.layers[layerId]?.active || []).length >= maxItems) return nothing;
+
+        switch (selection.mode || 'weighted') {
+            case 'allMatching':
+                return [{ selected: this.selectAllMatching(entity, layerId).selected, probability: 1 }];
+            case 'firstMatch':
+                return [{ selected: this.selectFirstMatch(entity, layerId).selected || [], probability: 1 }];
+            case 'pickN': {
+                const pool = this._buildWeightedPool(entity, layerId);
+                if (pool.length === 0) return nothing;
+
+                // Picks in a different order only lead to different states
+                // when one of the picked traits replaces another
+                const ordered = pool.some(p => p.trait.config.selection?.replaces?.length);
+                const picks = Math.min(selection.pickCount || 1, pool.length);
+                const outcomes = new Map();
+
+                const pick = (remaining, selected, probability) => {
+                    if (selected.length === picks) {
+                        const key = (ordered ? selected : [...selected].sort()).join(',');
+                        const existing = outcomes.get(key);
+                        if (existing) existing.probability += probability;
+                        else outcomes.set(key, { selected, probability });
+                        return;
+                    }
+                    const totalWeight = remaining.reduce((sum, p) => sum + p.weight, 0);
+                    remaining.forEach((p, i) => {
+                        const rest = remaining.filter((_, j) => j !== i);
+                        pick(rest, [...selected, p.trait.id], probability * p.weight / totalWeight);
+                    });
+                };
+                pick(pool, [], 1);
+                return [...outcomes.values()];
+            }
+            default: {
+                const pool = this._buildWeightedPool(entity, layerId);
+                if (pool.length === 0) return nothing;
+                const totalWeight = pool.reduce((sum, p) => sum + p.weight, 0);
+                return pool.map(p => ({ selected: [p.trait.id], probability: p.weight / totalWeight }));
+            }
+        }
+    }
+
+    // Bare entity with the given attributes and default variables/contexts,
+    // used to evaluate conditions and weights without rolling anything
+    _createProbeEntity(attributes = {}) {
+        const entity = {
+            id: '_probe',
+            configId: this.config.id,
+            attributes: {},
+            variables: {},
+            contexts: {},
+            layers: {},
+            modifiers: [],
+            compounds: [],
+            derived: {},
+            _internal: { log: [] }
+        };
+
+        for (const attr of this.getAttributes()) {
+            const range = this.getModifiedAttributeRange(entity, attr);
+            entity.attributes[attr.id] = attributes[attr.id] ?? (range.min + range.max) / 2;
+        }
+        for (const [attrId, value] of Object.entries(attributes)) {
+            if (entity.attributes[attrId] === undefined) entity.attributes[attrId] = value;
+        }
+        for (const varNode of this.getVariables()) {
+            const cfg = varNode.config;
+            entity.variables[varNode.id] = {
+                value: cfg.initial ?? 100,
+                min: cfg.min ?? 0,
+                max: cfg.max ?? 100
+            };
+        }
+        for (const ctx of this.getContexts()) {
+            entity.contexts[ctx.id] = ctx.config.default;
+        }
+        for (const layer of this.getLayers()) {
+            entity.layers[layer.id] = { active: [], lastRoll: null };
+        }
+
+        this.calculateDerived(entity);
+        return entity;
+    }
+
+    /**
+     * Break down a layer roll candidate by candidate. Must be called before the
+     * selected traits are activated, so it sees the same state the roll did.
+     * rollLayer calls this automatically while `explainSelection` is on.
+     *
+     * Candidate `status` is one of 'candidate', 'active' (already in the layer),
+     * 'threshold' (only activated by triggers), 'ineligible', 'incompatible' or
+     * 'zeroWeight'. Weighted candidates carry `baseWeight`, `contributions`
+     * (see calculateWeight), `weight` and `probability`.
+     *
+     * @param {Object} entity - The entity that rolled
+     * @param {string} layerId - The layer rolled
+     * @param {Object} [result={}] - The selection result ({ selected, rolls, error })
+     * @returns {Object} { layerId, mode, timestamp, selected, rolls, error, candidates }
+     */
+    explainRoll(entity, layerId, result = {}) {
+        const layer = this.getNode(layerId);
+        const mode = layer?.config?.selection?.mode || 'weighted';
+        const weighted = mode !== 'allMatching' && mode !== 'firstMatch';
+        const currentActive = new Set(entity.layers[layerId]?.active || []);
+        const selected = result.selected || [];
+
+        const candidates = this.getLayerTraits(layerId).map(trait => {
+            const entry = { traitId: trait.id, name: trait.name, status: 'candidate', selected: selected.includes(trait.id) };
+
+            if (currentActive.has(trait.id)) {
+                entry.status = 'active';
+            } else if (weighted && trait.config.selection?.mode === 'threshold') {
+                entry.status = 'threshold';
+            } else if (!this.checkEligibility(entity, trait)) {
+                entry.status = 'ineligible';
+                entry.failedConditions = (trait.config.eligibility || []).filter(c => !this.evaluateCondition(entity, c));
+            } else if (this.hasIncompatibility(entity, trait)) {
+                entry.status = 'incompatible';
+                entry.incompatibleWith = (trait.config.incompatibleWith || []).filter(id => this.isNodeActive(entity, id));
+            } else if (weighted) {
+                entry.baseWeight = trait.config.selection?.baseWeight ?? 20;
+                entry.contributions = [];
+                entry.weight = this.calculateWeight(entity, trait, entry.contributions);
+                if (entry.weight <= 0) entry.status = 'zeroWeight';
+            }
+            return entry;
+        });
+
+        const totalWeight = candidates
+            .filter(c => c.status === 'candidate' && weighted)
+            .reduce((sum, c) => sum + c.weight, 0);
+        for (const entry of candidates) {
+            if (entry.status !== 'candidate') entry.probability = 0;
+            else if (weighted) entry.probability = totalWeight > 0 ? entry.weight / totalWeight : 0;
+            else entry.probability = entry.selected ? 1 : 0;
+        }
+
+        return {
+            layerId,
+            mode,
+            timestamp: this.clock.now(),
+            selected,
+            rolls: result.rolls || [],
+            error: result.error || null,
+            candidates
+        };
+    }
+
+    /**
+     * Explain why a trait was (or wasn't) picked, from the explanations logged
+     * while `explainSelection` was on. Prefers the latest roll that selected the
+     * trait, else the latest roll it took part in.
+     *
+     * @param {Object} entity - The entity
+     * @param {string} traitId - Trait to explain
+     * @returns {Object|null} The roll explanation plus `trait` (this trait's candidate
+     *   entry), or null if no logged roll involved the trait
+     * @example
+     * manager.explainSelection = true;
+     * const patron = manager.generate();
+     * const why = manager.explainTrait(patron, 'item_grumpy');
+     * // why.trait → { status: 'candidate', baseWeight: 20, weight: 35, probability: 0.41,
+     * //              contributions: [{ source: 'relationship', sourceId: 'attr_patience', delta: 15, ... }] }
+     * // why.rolls → [{ draw: 0.27, value: 23.1, totalWeight: 85 }]
+     */
+    explainTrait(entity, traitId) {
+        const log = entity?._internal?.log || [];
+        let latest = null;
+
+        for (let i = log.length - 1; i >= 0; i--) {
+            if (log[i].event !== 'selectionExplained') continue;
+            const candidate = log[i].data.candidates.find(c => c.traitId === traitId);
+            if (!candidate) continue;
+            if (candidate.selected) return { ...log[i].data, trait: candidate };
+            if (!latest) latest = { ...log[i].data, trait: candidate };
+        }
+
+        return latest;
+    }
+
+    /**
+     * Explain a compound against the entity's current state: each requirement
+     * with its live value and pass/fail, combined under `requirementLogic`.
+     *
+     * @param {Object} entity - The entity
+     * @param {string} compoundId - Compound node ID
+     * @returns {Object|null} { nodeId, type, active, requirementLogic, satisfied, requirements }
+     * @example
+     * const why = manager.explainCompound(patron, 'comp_hangry');
+     * // why.requirements → [
+     * //   { index: 0, kind: 'threshold', nodeId: 'var_hunger', operator: '<=', value: 20, actual: 12, pass: true },
+     * //   { index: 1, kind: 'active', nodeId: 'item_grumpy', actual: false, pass: false }
+     * // ]
+     */
+    explainCompound(entity, compoundId) {
+        const compound = this.getNode(compoundId);
+        if (!compound || compound.type !== 'compound') return null;
+
+        const requires = compound.config.requires || [];
+        const logic = compound.config.requirementLogic || 'all';
+
+        const requirements = requires.map((req, index) => {
+            const pass = this.checkCompoundRequirement(entity, req);
+            if (typeof req === 'string') {
+                return { index, kind: 'active', nodeId: req, actual: this.isNodeActive(entity, req), pass };
+            }
+            if (req.id && req.operator && req.value !== undefined) {
+                return {
+                    index, kind: 'threshold', nodeId: req.id, operator: req.operator, value: req.value,
+                    actual: this.getNodeValue(entity, req.id), pass
+                };
+            }
+            if (req.condition) {
+                return { index, kind: 'condition', condition: this.explainCondition(entity, req.condition), pass };
+            }
+            const nodeId = req.item || req.trait || req.modifier || req.id || null;
+            return { index, kind: 'active', nodeId, actual: nodeId ? this.isNodeActive(entity, nodeId) : false, pass };
+        });
+
+        return {
+            nodeId: compoundId,
+            type: 'compound',
+            active: entity.compounds.includes(compoundId),
+            requirementLogic: logic,
+            satisfied: this.checkCompoundRequirements(entity, compound),
+            requirements
+        };
+    }
+
+    /**
+     * Explain an eligibility-style condition (`all` / `any` / `not` / typed leaf)
+     * as a tree whose nodes carry `pass` and whose leaves carry the live `actual` value.
+     *
+     * @param {Object} entity - The entity
+     * @param {Object} condition - Condition as accepted by evaluateCondition
+     * @returns {Object} Condition tree
+     */
+    explainCondition(entity, condition) {
+        const pass = this.evaluateCondition(entity, condition);
+        if (!condition) return { pass };
+
+        if (condition.all) return { all: condition.all.map(c => this.explainCondition(entity, c)), pass };
+        if (condition.any) return { any: condition.any.map(c => this.explainCondition(entity, c)), pass };
+        if (condition.not) return { not: this.explainCondition(entity, condition.not), pass };
+
+        const { type, target, operator, value } = condition;
+        let actual;
+        switch (type) {
+            case 'attribute': actual = entity.attributes[target]; break;
+            case 'variable': actual = entity.variables[target]?.value; break;
+            case 'context': actual = entity.contexts[target]; break;
+            default: actual = this.isNodeActive(entity, target);
+        }
+        return { type, target, operator, value, actual: actual ?? null, pass };
+    }
+
+    previewInfluences(nodeId) {
+        const incoming = this.getRelationshipsTo(nodeId);
+        const outgoing = this.getRelationshipsFrom(nodeId);
+
+        return {
+            incoming: incoming.map(r => ({
+                ...r,
+                sourceName: this.getNode(r.sourceId)?.name || r.sourceId
+            })),
+            outgoing: outgoing.map(r => ({
+                ...r,
+                targetName: this.getNode(r.targetId)?.name || r.targetId
+            }))
+        };
+    }
+
+    // ========================================
+    // POPULATION ANALYSIS
+    // ========================================
+
+    /**
+     * Generate a population in memory and summarize it for balancing. Entities
+     * go through the normal generate()/spawn() path, preset rolls included, but
+     * are never stored, so this is safe against a live engine and runs headless.
+     *
+     * Each entity gets its own seed drawn from `seed`, so a report is
+     * reproducible and doesn't advance the master stream or the entity ID
+     * count: IDs spawned afterwards are the same as without the analysis.
+     *
+     * Grouping (`groupBy`), with `count` entities per group:
+     * - 'preset': one group per preset (`preset` list, or every registered preset)
+     * - 'taxonomy.<level>': presets grouped by `taxonomy[level]`, sampled in turn
+     * - 'spawnContext': one group per entry of `spawnContexts` ({ label: contextValues }),
+     *   whose values override the entity's context nodes
+     *
+     * @param {Object} [options={}]
+     * @param {string|string[]} [options.preset] - Preset(s) to spawn from (default: plain generate)
+     * @param {number} [options.count=1000] - Entities per group
+     * @param {number|string} [options.seed] - Seed for the whole run (default: random)
+     * @param {string} [options.groupBy] - 'preset', 'taxonomy.<level>' or 'spawnContext'
+     * @param {Object} [options.spawnContexts] - Labeled context values for groupBy 'spawnContext'
+     * @param {number} [options.confidence=0.95] - Confidence level: 0.8, 0.9, 0.95 or 0.99
+     * @param {number} [options.bins=10] - Histogram bins for attributes and derived values
+     * @returns {Object|null} Report ({ seed, count, attributes, derived, traits, compounds,
+     *   cooccurrence }, plus `groupBy` and `groups` of the same shape when grouping), or null
+     *   for an unknown groupBy
+     * @example
+     * const report = manager.analyzePopulation({ count: 5000, seed: 'balance-pass' });
+     * report.traits.item_grumpy;       // { count: 1210, frequency: 0.242, ci: [0.230, 0.254] }
+     * report.attributes.attr_patience; // { mean, stdDev, min, max, ci, histogram }
+     *
+     * @example
+     * // Compare presets side by side
+     * const byPreset = manager.analyzePopulation({ groupBy: 'preset', count: 2000 });
+     * for (const [presetId, group] of Object.entries(byPreset.groups)) {
+     *   console.log(presetId, group.traits.item_grumpy.frequency);
+     * }
+     */
+    analyzePopulation(options = {}) {
+        // Probe entities take IDs like any spawn; give the count back so later IDs don't shift
+        const entityCount = this.entityCount;
+        try {
+            return this._analyzePopulation(options);
+        } finally {
+            this.entityCount = entityCount;
+        }
+    }
+
+    // analyzePopulation without restoring entityCount
+    _analyzePopulation(options) {
+        const count = options.count ?? 1000;
+        const master = new SeededRandom(options.seed ?? null);
+        const groupPlan = this._planPopulationGroups(options);
+        if (!groupPlan) return null;
+
+        const total = this._createPopulationTally();
+        const groups = {};
+
+        for (const group of groupPlan) {
+            const tally = this._createPopulationTally();
+            for (let i = 0; i < count; i++) {
+                const presetId = group.presets.length ? group.presets[i % group.presets.length] : null;
+                const overrides = {
+                    seed: master.nextUint32(),
+                    ...(group.contexts && { contexts: group.contexts })
+                };
+                const entity = presetId ? this.spawn(presetId, overrides) : this.generate(overrides);
+                if (!entity) continue;
+
+                this._tallyEntity(tally, entity);
+                if (options.groupBy) this._tallyEntity(total, entity);
+            }
+            if (!options.groupBy) {
+                return { seed: master.seed, ...this._summarizeTally(tally, options) };
+            }
+            groups[group.key] = this._summarizeTally(tally, options);
+        }
+
+        return {
+            seed: master.seed,
+            ...this._summarizeTally(total, options),
+            groupBy: options.groupBy,
+            groups
+        };
+    }
+
+    // [{ key, presets, contexts? }] for analyzePopulation
+    _planPopulationGroups(options) {
+        const presets = options.preset == null ? [] : [].concat(options.preset);
+        const groupBy = options.groupBy;
+        const registered = () => this.entityManager?.listPresets() || [];
+
+        const missing = presets.filter(id => !this.entityManager?.getPreset(id));
+        if (missing.length > 0) {
+            console.warn(`analyzePopulation: unknown preset(s) ${missing.join(', ')}`);
+            return null;
+        }
+
+        if (!groupBy) return [{ key: 'all', presets }];
+
+        if (groupBy === 'preset') {
+            const ids = presets.length ? presets : registered().map(p => p.id);
+            return ids.map(id => ({ key: id, presets: [id] }));
+        }
+
+        if (groupBy.startsWith('taxonomy.')) {
+            const level = groupBy.slice('taxonomy.'.length);
+            const pool = presets.length
+                ? presets.map(id => this.entityManager?.getPreset(id)).filter(Boolean)
+                : registered();
+            const byValue = new Map();
+            for (const preset of pool) {
+                const key = preset.taxonomy?.[level] ?? '(none)';
+                if (!byValue.has(key)) byValue.set(key, []);
+                byValue.get(key).push(preset.id);
+            }
+            return [...byValue].map(([key, ids]) => ({ key, presets: ids }));
+        }
+
+        if (groupBy === 'spawnContext') {
+            return Object.entries(options.spawnContexts || {})
+                .map(([key, contexts]) => ({ key, presets, contexts }));
+        }
+
+        console.warn(`analyzePopulation: unknown groupBy "${groupBy}"`);
+        return null;
+    }
+
+    _createPopulationTally() {
+        return { count: 0, attributes: {}, derived: {}, traits: {}, compounds: {}, pairs: {} };
+    }
+
+    _tallyEntity(tally, entity) {
+        tally.count++;
+        for (const [id, value] of Object.entries(entity.attributes)) {
+            if (!tally.attributes[id]) tally.attributes[id] = [];
+            tally.attributes[id].push(value);
+        }
+        for (const [id, value] of Object.entries(entity.derived)) {
+            if (!tally.derived[id]) tally.derived[id] = [];
+            tally.derived[id].push(value);
+        }
+        for (const id of entity.compounds) {
+            tally.compounds[id] = (tally.compounds[id] || 0) + 1;
+        }
+
+        const active = Object.values(entity.layers).flatMap(l => l.active);
+        for (const id of active) {
+            tally.traits[id] = (tally.traits[id] || 0) + 1;
+            if (!tally.pairs[id]) tally.pairs[id] = {};
+            const row = tally.pairs[id];
+            for (const other of active) {
+                if (other !== id) row[other] = (row[other] || 0) + 1;
+            }
+        }
+    }
+
+    _summarizeTally(tally, options) {
+        const n = tally.count;
+        const z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 }[options.confidence ?? 0.95] ?? 1.96;
+        const bins = options.bins ?? 10;
+
+        const frequencies = (ids, counts) => Object.fromEntries(ids.map(id => {
+            const c = counts[id] || 0;
+            return [id, { count: c, frequency: n > 0 ? c / n : 0, ci: this._wilsonInterval(c, n, z) }];
+        }));
+        const distributions = (values) => Object.fromEntries(
+            Object.entries(values).map(([id, list]) => [id, this._describeValues(list, z, bins)])
+        );
+
+        const traitIds = this.getTraits().map(t => t.id);
+        const counts = traitIds.map(a => traitIds.map(b =>
+            a === b ? (tally.traits[a] || 0) : (tally.pairs[a]?.[b] || 0)
+        ));
+
+        return {
+            count: n,
+            attributes: distributions(tally.attributes),
+            derived: distributions(tally.derived),
+            traits: frequencies(traitIds, tally.traits),
+            compounds: frequencies(this.getCompounds().map(c => c.id), tally.compounds),
+            cooccurrence: {
+                traits: traitIds,
+                counts,
+                frequencies: counts.map(row => row.map(c => (n > 0 ? c / n : 0)))
+            }
+        };
+    }
+
+    // Wilson score interval for a proportion
+    _wilsonInterval(successes, n, z) {
+        if (n === 0) return [0, 1];
+        const p = successes / n;
+        const z2 = z * z;
+        const denom = 1 + z2 / n;
+        const center = (p + z2 / (2 * n)) / denom;
+        const half = (z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / denom;
+        return [Math.max(0, center - half), Math.min(1, center + half)];
+    }
+
+    // Mean (with normal-approximation CI), spread and histogram of numeric samples
+    _describeValues(values, z, bins) {
+        const n = values.length;
+        let min = Infinity, max = -Infinity, sum = 0;
+        for (const v of values) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+            sum += v;
+        }
+        const mean = sum / n;
+        const variance = n > 1 ? values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1) : 0;
+        const stdDev = Math.sqrt(variance);
+        const margin = z * stdDev / Math.sqrt(n);
+
+        // Small integer ranges get one bin per value
+        let histogram;
+        if (values.every(Number.isInteger) && max - min + 1 <= bins) {
+            histogram = [];
+            for (let v = min; v <= max; v++) histogram.push({ from: v, to: v, count: 0 });
+            for (const v of values) histogram[v - min].count++;
+        } else {
+            const width = (max - min) / bins || 1;
+            histogram = Array.from({ length: bins }, (_, i) => ({
+                from: min + i * width, to: min + (i + 1) * width, count: 0
+            }));
+            for (const v of values) histogram[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+        }
+        for (const bin of histogram) bin.frequency = bin.count / n;
+
+        return { mean, stdDev, min, max, ci: [mean - margin, mean + margin], histogram };
+    }
+}
+
+/** Keys a pack patch may never set: they would reach object prototypes. */
+SpawnManager.UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// ============================================================================
+// STRUCT-OF-ARRAYS STORAGE - Typed-array backend for active entities
+// ============================================================================
+
+/**
+ * Optional storage backend that keeps active entities' variables in typed
+ * arrays, one column per variable indexed by entity slot, and their
+ * modifiers and traits in per-slot bitsets. Enable it with
+ * `entityManager.setStorage('soa')`.
+ *
+ * Entities stay ordinary objects: each `entity.variables[varId]` becomes a
+ * view whose `value`, `baseRate`, `currentRate`, `min` and `max` read and
+ * write the columns, so getEntity, getState, snapshots and events work as
+ * before. An entity gets a slot when activated and gives it back (its
+ * variables turned back into plain objects) when deactivated, so pooled
+ * entities reuse slots as they are released and acquired.
+ *
+ * With fixed deltas, tickAll moves linear timed variables one column at a
+ * time, but every entity still runs its own threshold checks, events and
+ * cascade, so ticking is no faster than with plain objects. Use it for
+ * reading columns directly and for bitset queries.
+ *
+ * @class StructOfArraysStorage
+ * @example
+ * engine.setStorage('soa', { capacity: 10000 });
+ * engine.createPool('bullets', { maxSize: 5000 });   // reserves slots up front
+ *
+ * // Read a column directly, e.g. for rendering
+ * const storage = engine.entityManager.storage;
+ * const heat = storage.getColumn('var_heat').value;
+ * for (const [entityId, slot] of storage.slots) draw(entityId, heat[slot]);
+ *
+ * storage.query({ modifiers: ['mod_burning'], without: ['mod_wet'] });   // entity IDs
+ */
+class StructOfArraysStorage {
+    /**
+     * @param {SpawnManager|null} spawnManager - Source of modifier and trait IDs for the bitsets
+     * @param {Object} [options={}]
+     * @param {number} [options.capacity=1024] - Initial slots (grows by doubling)
+     */
+    constructor(spawnManager, options = {}) {
+        /** @type {number} Allocated slots */
+        this.capacity = Math.max(1, options.capacity || 1024);
+        /** @type {Map<string, number>} Entity ID to slot */
+        this.slots = new Map();
+        /** @type {string[]} Slot to entity ID (undefined when free) */
+        this.ids = [];
+        /** @type {number} One past the highest slot ever used */
+        this.highWater = 0;
+        /** @type {number[]} Released slots, reused first */
+        this.free = [];
+        /** @type {Map<string, Object>} Variable ID to its column ({ value, baseRate, currentRate, min, max, moving }) */
+        this.columns = new Map();
+        /** @type {Object} Bitsets: { modifiers, traits }, each { index: Map<id, bit>, words, data } */
+        this.flags = {
+            modifiers: this._createBitset((spawnManager?.getModifiers() || []).map(n => n.id)),
+            traits: this._createBitset((spawnManager?.getTraits() || []).map(n => n.id))
+        };
+        /** @type {Uint8Array} Per-slot scratch flags for column ticks */
+        this.scratch = new Uint8Array(this.capacity);
+    }
+
+    /** @returns {number} Entities currently holding a slot */
+    get size() {
+        return this.slots.size;
+    }
+
+    /**
+     * Give an entity a slot and move its variables into the columns.
+     * Does nothing if it already has one.
+     *
+     * @param {Object} entity - Entity to attach
+     * @returns {number} Its slot
+     */
+    attach(entity) {
+        if (this.slots.has(entity.id)) return this.slots.get(entity.id);
+
+        let slot = this.free.pop();
+        if (slot === undefined) {
+            slot = this.highWater++;
+            if (slot >= this.capacity) this.reserve(this.capacity * 2);
+        }
+        this.slots.set(entity.id, slot);
+        this.ids[slot] = entity.id;
+
+        for (const [varId, varState] of Object.entries(entity.variables)) {
+            entity.variables[varId] = this._createView(this._getOrCreateColumn(varId), slot, varState);
+        }
+        this.syncFlags(entity);
+        return slot;
+    }
+
+    /**
+     * Copy an entity's variables back into plain objects and free its slot.
+     *
+     * @param {Object} entity - Entity to detach
+     * @returns {boolean} True if it had a slot
+     */
+    detach(entity) {
+        const slot = this.slots.get(entity.id);
+        if (slot === undefined) return false;
+
+        for (const [varId, view] of Object.entries(entity.variables)) {
+            entity.variables[varId] = { ...view };
+        }
+        for (const column of this.columns.values()) column.moving[slot] = 0;
+        for (const bitset of Object.values(this.flags)) {
+            bitset.data.fill(0, slot * bitset.words, (slot + 1) * bitset.words);
+        }
+        this.slots.delete(entity.id);
+        this.ids[slot] = undefined;
+        this.free.push(slot);
+        return true;
+    }
+
+    /**
+     * Make sure at least `capacity` slots exist, so a wave of spawns does
+     * not reallocate the columns mid-game.
+     *
+     * @param {number} capacity - Slots needed
+     * @returns {StructOfArraysStorage} This instance for chaining
+     */
+    reserve(capacity) {
+        if (capacity <= this.capacity) return this;
+        const grow = (array) => {
+            const grown = new array.constructor(capacity * (array.length / this.capacity));
+            grown.set(array);
+            return grown;
+        };
+        for (const column of this.columns.values()) {
+            for (const key of StructOfArraysStorage.FIELDS) column[key] = grow(column[key]);
+            column.moving = grow(column.moving);
+            column.previous = grow(column.previous);
+        }
+        for (const bitset of Object.values(this.flags)) bitset.data = grow(bitset.data);
+        this.scratch = new Uint8Array(capacity);
+        this.capacity = capacity;
+        return this;
+    }
+
+    /**
+     * The typed arrays for one variable, indexed by slot (see `slots`).
+     * Arrays are replaced when storage grows, so look them up again after spawning.
+     *
+     * @param {string} varId - Variable ID
+     * @returns {Object|null} { value, baseRate, currentRate, min, max: Float64Array, moving: Uint8Array }
+     *   (`previous` holds values from before the last column tick)
+     */
+    getColumn(varId) {
+        return this.columns.get(varId) || null;
+    }
+
+    /**
+     * @param {string} entityId - Entity ID
+     * @returns {number|null} The entity's slot, or null if it has none
+     */
+    slotOf(entityId) {
+        return this.slots.get(entityId) ?? null;
+    }
+
+    /**
+     * Refresh an entity's modifier and trait bits from its arrays.
+     *
+     * @param {Object} entity - Attached entity
+     * @param {string[]|null} [nodeIds=null] - Only these modifiers/traits, or null for all
+     */
+    syncFlags(entity, nodeIds = null) {
+        const slot = this.slots.get(entity.id);
+        if (slot === undefined) return;
+
+        const { modifiers, traits } = this.flags;
+        const activeTraits = (traitId) => Object.values(entity.layers || {}).some(l => l.active?.includes(traitId));
+        if (nodeIds === null) {
+            for (const bitset of [modifiers, traits]) {
+                bitset.data.fill(0, slot * bitset.words, (slot + 1) * bitset.words);
+            }
+            for (const modId of entity.modifiers) this._setBit(modifiers, slot, modId, true);
+            for (const layer of Object.values(entity.layers || {})) {
+                for (const traitId of layer.active || []) this._setBit(traits, slot, traitId, true);
+            }
+            return;
+        }
+        for (const id of nodeIds) {
+            if (modifiers.index.has(id)) this._setBit(modifiers, slot, id, entity.modifiers.includes(id));
+            else if (traits.index.has(id)) this._setBit(traits, slot, id, activeTraits(id));
+        }
+    }
+
+    /**
+     * @param {string} entityId - Entity ID
+     * @param {string} modifierId - Modifier ID
+     * @returns {boolean} Whether the modifier's bit is set
+     */
+    hasModifier(entityId, modifierId) {
+        return this._getBit(this.flags.modifiers, this.slots.get(entityId), modifierId);
+    }
+
+    /**
+     * @param {string} entityId - Entity ID
+     * @param {string} traitId - Trait ID
+     * @returns {boolean} Whether the trait's bit is set
+     */
+    hasTrait(entityId, traitId) {
+        return this._getBit(this.flags.traits, this.slots.get(entityId), traitId);
+    }
+
+    /**
+     * Entities with all of the given modifiers/traits and none of `without`,
+     * answered from the bitsets without touching entity objects.
+     *
+     * @param {Object} [filter={}]
+     * @param {string[]} [filter.modifiers=[]] - Required modifier IDs
+     * @param {string[]} [filter.traits=[]] - Required trait IDs
+     * @param {string[]} [filter.without=[]] - Excluded modifier or trait IDs
+     * @returns {string[]} Entity IDs, in slot order
+     */
+    query(filter = {}) {
+        const { modifiers, traits } = this.flags;
+        const required = [
+            ...(filter.modifiers || []).map(id => [modifiers, id]),
+            ...(filter.traits || []).map(id => [traits, id])
+        ];
+        const excluded = (filter.without || []).map(id => [modifiers.index.has(id) ? modifiers : traits, id]);
+
+        const result = [];
+        for (let slot = 0; slot < this.highWater; slot++) {
+            if (this.ids[slot] === undefined) continue;
+            if (!required.every(([bitset, id]) => this._getBit(bitset, slot, id))) continue;
+            if (excluded.some(([bitset, id]) => this._getBit(bitset, slot, id))) continue;
+            result.push(this.ids[slot]);
+        }
+        return result;
+    }
+
+    /** @private */
+    _getOrCreateColumn(varId) {
+        let column = this.columns.get(varId);
+        if (!column) {
+            column = { moving: new Uint8Array(this.capacity), previous: new Float64Array(this.capacity) };
+            for (const key of StructOfArraysStorage.FIELDS) column[key] = new Float64Array(this.capacity);
+            this.columns.set(varId, column);
+        }
+        return column;
+    }
+
+    /**
+     * A variable state object whose numeric fields live in the column.
+     * Accessors are own and enumerable, so spreading or serializing the view
+     * copies current values.
+     * @private
+     */
+    _createView(column, slot, varState) {
+        const view = { ...varState };
+        for (const key of StructOfArraysStorage.FIELDS) {
+            column[key][slot] = varState[key] ?? 0;
+            Object.defineProperty(view, key, {
+                get: () => column[key][slot],
+                set: (v) => { column[key][slot] = v; },
+                enumerable: true,
+                configurable: true
+            });
+        }
+        // Linear timed variables can be advanced by the column loop
+        column.moving[slot] = varState.changeMode === 'timed' && !varState.tickSystemId &&
+            (varState.direction || 'none') !== 'none' ? 1 : 0;
+        return view;
+    }
+
+    /** @private */
+    _createBitset(ids) {
+        const index = new Map(ids.map((id, bit) => [id, bit]));
+        const words = Math.max(1, Math.ceil(ids.length / 32));
+        return { index, words, data: new Uint32Array(this.capacity * words) };
+    }
+
+    /** @private */
+    _setBit(bitset, slot, id, on) {
+        const bit = bitset.index.get(id);
+        if (bit === undefined) return;
+        const word = slot * bitset.words + (bit >>> 5);
+        if (on) bitset.data[word] |= (1 << (bit & 31));
+        else bitset.data[word] &= ~(1 << (bit & 31));
+    }
+
+    /** @private */
+    _getBit(bitset, slot, id) {
+        const bit = bitset.index.get(id);
+        if (bit === undefined || slot === undefined) return false;
+        return (bitset.data[slot * bitset.words + (bit >>> 5)] & (1 << (bit & 31))) !== 0;
+    }
+}
+
+/** Variable state fields kept in typed arrays. */
+StructOfArraysStorage.FIELDS = ['value', 'baseRate', 'currentRate', 'min', 'max'];
+
+
+// ============================================================================
+// ENTITY MANAGER - Storage & Runtime State
+// ============================================================================
+
+/**
+ * Runtime state manager for entities.
+ * Handles storage, activation, ticking, modifiers, and events.
+ * Works with SpawnManager for generation or can be used standalone.
+ *
+ * @class EntityManager
+ * @fires EntityManager#variableChanged - When a variable value changes
+ * @fires EntityManager#modifierApplied - When a modifier is applied
+ * @fires EntityManager#modifierRemoved - When a modifier is removed
+ * @fires EntityManager#compoundActivated - When a compound becomes active
+ * @fires EntityManager#compoundDeactivated - When a compound becomes inactive
+ * @fires EntityManager#entityStored - When an entity is stored
+ * @fires EntityManager#entityActivated - When an entity is activated
+ * @fires EntityManager#entityRemoved - When an entity is removed
+ * @example
+ * const manager = new EntityManager();
+ * manager.store(entity);
+ * manager.activate(entity.id);
+ * manager.tick(entity.id, 1); // Tick for 1 second
+ */
+class EntityManager {
+    /**
+     * Create a new EntityManager instance.
+     *
+     * @param {SpawnManager|null} [spawnManager=null] - SpawnManager to link for generation
+     */
+    constructor(spawnManager = null) {
+        /** @type {SpawnManager|null} Linked SpawnManager */
+        this.spawnManager = spawnManager;
+        /** @type {Map<string, Object>} Registered presets */
+        this.presets = new Map();
+        /** @type {Map<string, Object>} Preset groups */
+        this.presetGroups = new Map();
+        /** @type {Map<string, Object>} Entity groups */
+        this.groups = new Map();
+        /** @type {Map<string, Object>} All stored entities */
+        this.stored = new Map();
+        /** @type {Map<string, Object>} Currently active entities */
+        this.active = new Map();
+        /** @type {Map<string, Array>} Entity state history */
+        this.history = new Map();
+        /** @type {Object} Global spawn context */
+        this.spawnContext = {};
+        /** @type {Object} Manager configuration */
+        this.config = {
+            tickRate: 1000,
+            maxHistory: 50,
+            maxEntities: null
+        };
+        /** @type {number|null} Auto-tick interval ID */
+        this.tickInterval = null;
+        /** @type {Object} Time source for modifier expiry, tick deltas and history */
+        this.clock = spawnManager?.clock || new RealtimeClock();
+        /** @type {Map<string, Object>} Tick system state ({ id, tick, running, lastAdvanced }) */
+        this.tickSystems = new Map();
+        /** @type {Map<string, Set>} Event listeners */
+        this.listeners = new Map();
+        /** @type {boolean} When true, cascade recalculations are deferred */
+        this._batchingCascade = false;
+        /** @type {Set<string>|null} Node IDs changed while batching ('*' = everything), null if clean */
+        this._cascadeDirty = null;
+        /** @type {Object|null} Entity reference for deferred cascade */
+        this._cascadeEntity = null;
+        /** @type {Object|null} Simulated clock and compound tracking while fastForward runs */
+        this._fastForward = null;
+        /** @type {TickScheduler|null} Fixed-step scheduler (see getScheduler) */
+        this.scheduler = null;
+        /** @type {Function|null} (op, args, run) => result; records scheduler and auto-tick steps in a journal */
+        this.stepRecorder = null;
+        /** @type {Object|null} Level-of-detail tiers and assignments (see setLodTiers) */
+        this.lod = null;
+        /** @type {StructOfArraysStorage|null} Typed-array storage for active entities (see setStorage) */
+        this.storage = null;
+        /** @type {Object|null} Authority side: patch sequence and last-sent state (see createPatch) */
+        this.replication = null;
+        /** @type {number|null} Replica side: sequence number of the last patch applied */
+        this.replicaSeq = null;
+        /** @type {Object|null} Open transaction: entity, starting state, held events (see transaction) */
+        this._transaction = null;
+
+        // ========================================
+        // ENTITY POOLING (Multi-Pool System)
+        // ========================================
+
+        /** @type {Map<string, Object>} Named pools registry */
+        this.pools = new Map();
+        /** @type {string} Default pool ID for backward compatibility */
+        this.defaultPoolId = 'default';
+
+        // Legacy single-pool references (for backward compatibility)
+        // These now proxy to the default pool
+        /** @type {Array<Object>} @deprecated Use pools.get('default').entities instead */
+        this.pool = [];
+        /** @type {Object} @deprecated Use pools.get('default').config instead */
+        this.poolConfig = {
+            maxSize: 100,
+            preWarm: 0,
+            preWarmPreset: null,
+            shrinkThreshold: 0.5,
+            shrinkDelay: 30000
+        };
+        /** @type {Object} @deprecated Use pools.get('default').stats instead */
+        this.poolStats = {
+            size: 0,
+            available: 0,
+            inUse: 0,
+            totalAcquired: 0,
+            totalReleased: 0,
+            totalCreated: 0
+        };
+        /** @type {number|null} Shrink timeout ID */
+        this._shrinkTimeout = null;
+
+        // Initialize default pool
+        this._initDefaultPool();
+    }
+
+    /**
+     * Initialize the default pool for backward compatibility.
+     * @private
+     */
+    _initDefaultPool() {
+        this.pools.set(this.defaultPoolId, {
+            id: this.defaultPoolId,
+            name: 'Default Pool',
+            description: 'Default entity pool',
+            config: { ...this.poolConfig },
+            stats: { ...this.poolStats },
+            entities: this.pool, // Share array reference for backward compat
+            rules: null, // Default pool catches all unmatched entities
+            _shrinkTimeout: null
+        });
+    }
+
+    /**
+     * Link a SpawnManager for generation integration.
+     *
+     * @param {SpawnManager} spawnManager - The SpawnManager to link
+     * @returns {EntityManager} This instance for chaining
+     */
+    linkSpawnManager(spawnManager) {
+        this.spawnManager = spawnManager;
+        spawnManager.linkEntityManager(this);
+        spawnManager.clock = this.clock;
+        return this;
+    }
+
+    /**
+     * Replace the time source used for modifier expiry, tick deltas,
+     * timestamps and history. The linked SpawnManager shares the same clock.
+     *
+     * @param {Object} clock - Any object with `now()` returning milliseconds
+     *   (RealtimeClock, ManualClock, ScaledClock or your own)
+     * @returns {EntityManager} This instance for chaining
+     * @example
+     * const clock = new ManualClock();
+     * entityManager.setClock(clock);
+     * entityManager.tickAll(60); // timed modifiers see 60 simulated seconds
+     */
+    setClock(clock) {
+        this.clock = clock;
+        if (this.spawnManager) this.spawnManager.clock = clock;
+        // Timed tick systems measure from the new clock's epoch
+        for (const system of this.tickSystems.values()) {
+            system.lastAdvanced = clock.now();
+        }
+        this.emit('clockChanged', { clock });
+        return this;
+    }
+
+    /**
+     * Advance the clock if it is a virtual one (has `advance()`).
+     * Real-time clocks are left alone.
+     *
+     * @param {number} deltaSeconds - Seconds to advance
+     * @returns {EntityManager} This instance for chaining
+     */
+    advanceTime(deltaSeconds) {
+        if (typeof this.clock.advance === 'function') {
+            this.clock.advance(deltaSeconds);
+        }
+        return this;
+    }
+
+    // ========================================
+    // PRESETS
+    // ========================================
+
+    /**
+     * Register a spawn preset template.
+     *
+     * @param {string} id - Unique preset ID
+     * @param {Object} template - Preset template
+     * @param {string} [template.name] - Display name
+     * @param {Object} [template.attributes] - Attribute overrides
+     * @param {string[]} [template.forceTraits] - Traits to force-activate
+     * @returns {EntityManager} This instance for chaining
+     * @fires EntityManager#presetRegistered
+     * @example
+     * manager.registerPreset('tavern_regular', {
+     *   name: 'Regular Patron',
+     *   attributes: { patience: 5 },
+     *   forceTraits: ['trait_social']
+     * });
+     */
+    registerPreset(id, template) {
+        this.presets.set(id, {
+            id,
+            name: template.name || id,
+            description: template.description || '',
+            attributes: template.attributes || {},
+            contexts: template.contexts || {},
+            forceTraits: template.forceTraits || [],
+            tags: template.tags || [],
+            ...template
+        });
+        this.emit('presetRegistered', { id, template });
+        return this;
+    }
+
+    registerPresets(presets) {
+        for (const [id, template] of Object.entries(presets)) {
+            this.registerPreset(id, template);
+        }
+        return this;
+    }
+
+    getPreset(id) { return this.presets.get(id) || null; }
+
+    listPresets(filter = null) {
+        let presets = Array.from(this.presets.values());
+        if (filter) {
+            if (filter.group) {
+                presets = presets.filter(p => p.group === filter.group);
+            }
+            if (filter.tags) {
+                presets = presets.filter(p => filter.tags.some(tag => p.tags.includes(tag)));
+            }
+            if (filter.taxonomy) {
+                presets = presets.filter(p => {
+                    if (!p.taxonomy) return false;
+                    return Object.entries(filter.taxonomy).every(([k, v]) => p.taxonomy[k] === v);
+                });
+            }
+            if (filter.search) {
+                const search = filter.search.toLowerCase();
+                presets = presets.filter(p =>
+                    p.name.toLowerCase().includes(search) || p.id.toLowerCase().includes(search)
+                );
+            }
+        }
+        return presets;
+    }
+
+    /**
+     * Get presets matching a taxonomy filter.
+     *
+     * @param {Object} filter - Taxonomy criteria to match
+     * @returns {Array<Object>} Presets matching all criteria
+     * @example
+     * manager.getPresetsByTaxonomy({ type: 'humanoid' });
+     */
+    getPresetsByTaxonomy(filter) {
+        return this.listPresets({ taxonomy: filter });
+    }
+
+    removePreset(id) {
+        const existed = this.presets.delete(id);
+        if (existed) this.emit('presetRemoved', { id });
+        return existed;
+    }
+
+    // ========================================
+    // PRESET GROUPS
+    // ========================================
+
+    registerPresetGroup(id, metadata = {}) {
+        this.presetGroups.set(id, {
+            id,
+            name: metadata.name || id,
+            description: metadata.description || ''
+        });
+        this.emit('presetGroupRegistered', { id, metadata });
+        return this;
+    }
+
+    getPresetGroup(id) { return this.presetGroups.get(id) || null; }
+
+    listPresetGroups() {
+        return Array.from(this.presetGroups.values());
+    }
+
+    listPresetsByGroup(groupId) {
+        return Array.from(this.presets.values()).filter(p => p.group === groupId);
+    }
+
+    removePresetGroup(id) {
+        const existed = this.presetGroups.delete(id);
+        if (existed) this.emit('presetGroupRemoved', { id });
+        return existed;
+    }
+
+    // ========================================
+    // GROUPS (Entity Groups)
+    // ========================================
+
+    createGroup(groupId, metadata = {}) {
+        if (!this.groups.has(groupId)) {
+            this.groups.set(groupId, {
+                id: groupId,
+                name: metadata.name || groupId,
+                description: metadata.description || '',
+                entities: new Set(),
+                ...metadata
+            });
+            this.emit('groupCreated', { groupId, metadata });
+        }
+        return this;
+    }
+
+    addToGroup(groupId, entityId) {
+        if (!this.groups.has(groupId)) this.createGroup(groupId);
+        this.groups.get(groupId).entities.add(entityId);
+        this.emit('addedToGroup', { groupId, entityId });
+        return this;
+    }
+
+    removeFromGroup(groupId, entityId) {
+        const group = this.groups.get(groupId);
+        if (group) {
+            group.entities.delete(entityId);
+            this.emit('removedFromGroup', { groupId, entityId });
+        }
+        return this;
+    }
+
+    getGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return [];
+        return Array.from(group.entities)
+            .map(id => this.stored.get(id) || this.active.get(id))
+            .filter(Boolean);
+    }
+
+    getGroupInfo(groupId) { return this.groups.get(groupId) || null; }
+
+    listGroups() {
+        return Array.from(this.groups.values()).map(g => ({
+            id: g.id, name: g.name, description: g.description, count: g.entities.size
+        }));
+    }
+
+    deleteGroup(groupId) {
+        const existed = this.groups.delete(groupId);
+        if (existed) this.emit('groupDeleted', { groupId });
+        return existed;
+    }
+
+    // ========================================
+    // STORAGE
+    // ========================================
+
+    store(entity, options = {}) {
+        if (this.config.maxEntities !== null && this.stored.size >= this.config.maxEntities) {
+            this.emit('storageLimitReached', { limit: this.config.maxEntities });
+            return null;
+        }
+
+        this.stored.set(entity.id, entity);
+
+        if (options.groups) {
+            for (const groupId of options.groups) {
+                this.addToGroup(groupId, entity.id);
+            }
+        }
+
+        if (entity.configId) {
+            this.addToGroup(`config:${entity.configId}`, entity.id);
+        }
+
+        this.emit('entityStored', { entity, options });
+        return entity;
+    }
+
+    retrieve(entityId) {
+        return this.stored.get(entityId) || this.active.get(entityId) || null;
+    }
+
+    /** Alias for retrieve(), matching SpawnEngine.getEntity */
+    getEntity(entityId) { return this.retrieve(entityId); }
+
+    remove(entityId) {
+        const entity = this.stored.get(entityId) || this.active.get(entityId);
+        if (!entity) return false;
+
+        this.stored.delete(entityId);
+        this.active.delete(entityId);
+        this.history.delete(entityId);
+        this.lod?.entityTiers.delete(entityId);
+        if (this.storage) this.storage.detach(entity);
+
+        for (const group of this.groups.values()) {
+            group.entities.delete(entityId);
+        }
+
+        this.emit('entityRemoved', { entityId, entity });
+        return true;
+    }
+
+    getAllStored() { return Array.from(this.stored.values()); }
+
+    // ========================================
+    // ACTIVE ENTITIES
+    // ========================================
+
+    activate(entityOrId) {
+        const entity = typeof entityOrId === 'string' ? this.stored.get(entityOrId) : entityOrId;
+        if (!entity) return null;
+
+        if (!this.stored.has(entity.id)) this.store(entity);
+
+        this.active.set(entity.id, entity);
+        entity._internal.lastTick = this.clock.now();
+        if (this.storage) this.storage.attach(entity);
+        // Time stands still while inactive, so nothing is owed from before
+        entity._internal.lod = null;
+
+        this.emit('entityActivated', { entity });
+        return entity;
+    }
+
+    deactivate(entityId) {
+        const entity = this.active.get(entityId);
+        if (!entity) return false;
+
+        this.active.delete(entityId);
+        if (this.storage) this.storage.detach(entity);
+        this.emit('entityDeactivated', { entityId, entity });
+        return true;
+    }
+
+    getActive(entityId) { return this.active.get(entityId) || null; }
+    getAllActive() { return Array.from(this.active.values()); }
+    isActive(entityId) { return this.active.has(entityId); }
+
+    // ========================================
+    // SPAWN CONTEXT
+    // ========================================
+
+    setSpawnContext(context) {
+        this.spawnContext = { ...this.spawnContext, ...context };
+        this.emit('spawnContextUpdated', { context: this.spawnContext });
+        return this;
+    }
+
+    getSpawnContext() { return { ...this.spawnContext }; }
+    clearSpawnContext() { this.spawnContext = {}; return this; }
+
+    // ========================================
+    // STATE HISTORY
+    // ========================================
+
+    /**
+     * Record an entity's complete runtime state in its history: every field,
+     * including modifier states (stacks, expiry, tick countdowns), action
+     * cooldowns, variable rates and `_internal` apart from the log and
+     * per-tick caches. Parts unchanged since the previous snapshot are shared
+     * with it rather than copied, so a snapshot costs roughly what changed and
+     * `maxHistory` can be raised freely. Snapshot state is frozen for that
+     * reason.
+     *
+     * @param {string} entityId - Entity ID
+     * @returns {Object|null} { timestamp, state }, or null if not found
+     * @fires EntityManager#snapshotTaken
+     * @example
+     * const before = manager.snapshot(patron.id);
+     * manager.applyModifier(patron.id, 'mod_drunk');
+     * manager.rollback(patron.id, before.timestamp); // drunk state fully undone
+     */
+    snapshot(entityId) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return null;
+
+        if (!this.history.has(entityId)) this.history.set(entityId, []);
+
+        const snapshots = this.history.get(entityId);
+        const previous = snapshots.length > 0 ? snapshots[snapshots.length - 1].state : null;
+        const snapshot = {
+            timestamp: this.clock.now(),
+            state: this._captureState(entity, previous)
+        };
+
+        snapshots.push(snapshot);
+        if (snapshots.length > this.config.maxHistory) {
+            snapshots.splice(0, snapshots.length - this.config.maxHistory);
+        }
+
+        this.emit('snapshotTaken', { entityId, snapshot });
+        return snapshot;
+    }
+
+    getHistory(entityId) { return this.history.get(entityId) || []; }
+
+    /**
+     * Restore an entity exactly as it was in its latest snapshot at or before
+     * `timestamp`. Fields added since are removed; the log and the time of
+     * the last tick are kept.
+     *
+     * @param {string} entityId - Entity ID
+     * @param {number} timestamp - Clock time to roll back to
+     * @returns {boolean} True if a snapshot was restored
+     * @fires EntityManager#entityRolledBack
+     */
+    rollback(entityId, timestamp) {
+        const entity = this.retrieve(entityId);
+        const snapshots = this.history.get(entityId);
+
+        if (!entity || !snapshots) return false;
+
+        const snapshot = [...snapshots].reverse().find(s => s.timestamp <= timestamp);
+        if (!snapshot) return false;
+
+        // The clock has moved on; keep integrating from the last real tick
+        const lastTick = entity._internal.lastTick;
+        this._restoreState(entity, snapshot.state);
+        entity._internal.lastTick = lastTick;
+
+        this.emit('entityRolledBack', { entityId, timestamp, snapshot });
+        return true;
+    }
+
+    /**
+     * Frozen copy of an entity's state, reusing the parts of `previous` (the
+     * last snapshot's state) that are unchanged, down to single variables,
+     * layers and modifier states.
+     * @private
+     */
+    _captureState(entity, previous) {
+        const state = {};
+        for (const [key, value] of Object.entries(entity)) {
+            if (key === 'id') continue;
+            let live = value;
+            if (key === '_internal') {
+                live = {};
+                for (const [internalKey, internalValue] of Object.entries(value)) {
+                    if (!EntityManager.TRANSIENT_INTERNALS.includes(internalKey)) live[internalKey] = internalValue;
+                }
+            }
+            state[key] = this._shareOrFreeze(live, previous?.[key], 2);
+        }
+        return Object.freeze(state);
+    }
+
+    /**
+     * `prior` itself when it equals `value`; otherwise a frozen copy of
+     * `value` whose entries are shared with `prior` where they match, for
+     * `depth` levels of plain objects.
+     * @private
+     */
+    _shareOrFreeze(value, prior, depth) {
+        if (prior !== undefined && this._sameValue(value, prior)) return prior;
+        if (value === null || typeof value !== 'object') return value;
+
+        if (depth > 0 && !Array.isArray(value) && prior && typeof prior === 'object' && !Array.isArray(prior)) {
+            const copy = {};
+            for (const [key, entry] of Object.entries(value)) {
+                copy[key] = this._shareOrFreeze(entry, prior[key], depth - 1);
+            }
+            return Object.freeze(copy);
+        }
+
+        const copy = Array.isArray(value) ? value.map(entry => this._shareOrFreeze(entry, undefined, 0)) : {};
+        if (!Array.isArray(value)) {
+            for (const [key, entry] of Object.entries(value)) copy[key] = this._shareOrFreeze(entry, undefined, 0);
+        }
+        return Object.freeze(copy);
+    }
+
+    /**
+     * Deep equality over plain data (undefined-valued keys count).
+     * @private
+     */
+    _sameValue(a, b) {
+        if (a === b) return true;
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+            return Number.isNaN(a) && Number.isNaN(b);
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length) return false;
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(b, key) || !this._sameValue(a[key], b[key])) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Mutable deep copy of frozen snapshot data.
+     * @private
+     */
+    _thaw(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(entry => this._thaw(entry));
+        const copy = {};
+        for (const [key, entry] of Object.entries(value)) copy[key] = this._thaw(entry);
+        return copy;
+    }
+
+    // ========================================
+    // TRANSACTIONS
+    // ========================================
+
+    /**
+     * Make several changes to one entity as a single step. The cascade and
+     * threshold checks run once when `callback` returns, against the final
+     * state, and every event from the callback is held until then, so
+     * listeners never see the intermediate states. If `callback` throws, the
+     * entity is restored exactly as it was (log included), its held events
+     * are dropped and the error is rethrown.
+     *
+     * `tx` has the manager's mutation methods with the entity ID already
+     * bound (see TRANSACTION_METHODS), plus `tx.entity`. Changes made to the
+     * entity some other way inside the callback are covered too. The callback
+     * must be synchronous. A transaction on the same entity inside a
+     * transaction joins the outer one; one on another entity throws, which
+     * rolls back the outer one too.
+     *
+     * `tx.tick` only moves the entity's own time, never the shared clock
+     * (see tick), so a restore also puts the entity back in step with it.
+     *
+     * @param {string} entityId - Entity ID
+     * @param {Function} callback - (tx) => result
+     * @param {Object} [target=this] - Object whose methods `tx` calls
+     * @returns {*} What `callback` returned, or null if the entity was not found
+     * @throws {Error} If another entity's transaction is open, or whatever `callback` throws
+     * @fires EntityManager#transactionCommitted
+     * @example
+     * manager.transaction(patron.id, tx => {
+     *     tx.modifyVariable('var_hunger', 40);
+     *     tx.modifyVariable('var_gold', -12);
+     *     tx.applyModifier('mod_well_fed');
+     * }); // one cascade, then the events
+     */
+    transaction(entityId, callback, target = this) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return null;
+
+        const outer = this._transaction;
+        if (outer) {
+            if (outer.entity === entity) return callback(this._createTransactionHandle(entity, target));
+            throw new Error(`EntityManager: cannot open a transaction on "${entityId}" while "${outer.entity.id}" has one open`);
+        }
+
+        const { log } = entity._internal;
+        const logLength = log.length;
+        const tx = { entity, state: this._captureState(entity, null), dirty: new Set(), events: [], committing: false };
+        this._transaction = tx;
+
+        let result;
+        try {
+            result = callback(this._createTransactionHandle(entity, target));
+            this._commitTransaction(tx);
+        } catch (error) {
+            this._restoreState(entity, tx.state);
+            // log() replaces the array when trimming, so the original is intact
+            entity._internal.log = log;
+            log.length = logLength;
+            this._transaction = null;
+            // Other entities keep their changes, so they keep their events
+            this._flushEvents(tx.events.filter(([, data]) => (data?.entityId || data?.entity?.id) !== entity.id));
+            throw error;
+        }
+
+        this._transaction = null;
+        this._flushEvents(tx.events);
+        this.emit('transactionCommitted', { entityId });
+        return result;
+    }
+
+    /**
+     * Whether cascades and threshold checks for `entity` wait for its
+     * transaction to commit.
+     * @private
+     */
+    _inTransaction(entity) {
+        const tx = this._transaction;
+        return tx !== null && tx.entity === entity && !tx.committing;
+    }
+
+    /**
+     * The `tx` object passed to a transaction callback.
+     * @private
+     */
+    _createTransactionHandle(entity, target) {
+        const tx = { entity };
+        for (const method of EntityManager.TRANSACTION_METHODS) {
+            if (typeof target[method] === 'function') tx[method] = (...args) => target[method](entity.id, ...args);
+        }
+        return tx;
+    }
+
+    /**
+     * Settle a transaction: variable thresholds for every variable whose
+     * value moved, then one cascade over everything that changed.
+     * @private
+     */
+    _commitTransaction(tx) {
+        const { entity, state, dirty } = tx;
+        tx.committing = true;
+
+        const movedVars = Object.keys(entity.variables)
+            .filter(varId => entity.variables[varId].value !== state.variables?.[varId]?.value);
+        for (const varId of movedVars) dirty.add(varId);
+        if (dirty.size === 0) return;
+
+        // Traits switched by variable thresholds join the same cascade
+        const { _batchingCascade: batching, _cascadeDirty: batchDirty, _cascadeEntity: batchEntity } = this;
+        this._batchingCascade = true;
+        this._cascadeDirty = dirty;
+        try {
+            for (const varId of movedVars) this.checkThresholds(entity, varId);
+        } finally {
+            this._batchingCascade = batching;
+            this._cascadeDirty = batchDirty;
+            this._cascadeEntity = batchEntity;
+        }
+
+        this.recalculate(entity.id, dirty.has('*') ? null : [...dirty]);
+    }
+
+    /**
+     * Put an entity back to a state from `_captureState`, removing fields
+     * added since. The log is kept.
+     * @private
+     */
+    _restoreState(entity, snapshotState) {
+        // Typed-array views would keep the current values; re-attach afterwards
+        const attached = this.storage !== null && this.storage.slotOf(entity.id) !== null;
+        if (attached) this.storage.detach(entity);
+
+        const { _internal: internal, ...state } = snapshotState;
+        for (const key of Object.keys(entity)) {
+            if (key !== 'id' && key !== '_internal' && !(key in state)) delete entity[key];
+        }
+        for (const [key, value] of Object.entries(state)) {
+            entity[key] = this._thaw(value);
+        }
+        for (const key of Object.keys(entity._internal)) {
+            if (!EntityManager.TRANSIENT_INTERNALS.includes(key) && !(key in internal)) delete entity._internal[key];
+        }
+        Object.assign(entity._internal, this._thaw(internal));
+
+        // Anything may differ from what the last threshold check saw
+        entity._internal.changes = null;
+        entity._internal.lod = null;
+        if (attached) this.storage.attach(entity);
+    }
+
+    /**
+     * Emit events held back by a transaction, in order.
+     * @private
+     */
+    _flushEvents(events) {
+        for (const [event, data] of events) this.emit(event, data);
+    }
+
+    // ========================================
+    // RUNTIME - TICK
+    // ========================================
+
+    /**
+     * Advance one active entity: timed variables, modifier expiry and
+     * action cooldowns. Without a delta, elapsed time is read from the clock.
+     * A delta never moves the shared clock (tickAll and the scheduler do that,
+     * once per step); with a virtual clock the entity's own time runs
+     * `deltaSeconds` past its last tick, and expiry is checked against that.
+     *
+     * @param {string} entityId - Active entity ID
+     * @param {number|null} [deltaSeconds=null] - Elapsed seconds, or null to use the clock
+     * @param {number} [frames=1] - Ticks the delta stands for; tick-count modifiers
+     *   count down by this many (used when a reduced LOD tier catches up)
+     * @returns {Object|null} The entity, or null if not active
+     */
+    tick(entityId, deltaSeconds = null, frames = 1) {
+        const entity = this.active.get(entityId);
+        if (!entity) return null;
+
+        const now = this._entityTime(entity, deltaSeconds);
+        if (deltaSeconds === null) {
+            deltaSeconds = (now - entity._internal.lastTick) / 1000;
+        }
+        entity._internal.lastTick = now;
+
+        // Variables bound to a tick system move in advanceTickSystem instead
+        const changed = new Set();
+        this._integrateVariables(entity, deltaSeconds, null, changed);
+
+        return this._finishTick(entity, deltaSeconds, now, frames, [...changed]);
+    }
+
+    /**
+     * The rest of a tick once variables have moved: modifier expiry,
+     * thresholds and cascade, cooldowns.
+     * @private
+     */
+    _finishTick(entity, deltaSeconds, now, frames, changedVarIds) {
+        const expiredModifiers = [];
+        for (let i = entity.modifiers.length - 1; i >= 0; i--) {
+            const modId = entity.modifiers[i];
+            const modState = entity._modifierStates?.[modId];
+
+            if (modState) {
+                // Skip duration countdown for static modifiers
+                if (modState.isStatic) continue;
+
+                if (modState.expiresAt && now >= modState.expiresAt) {
+                    expiredModifiers.push(modId);
+                } else if (modState.ticksRemaining !== undefined) {
+                    modState.ticksRemaining -= frames;
+                    if (modState.ticksRemaining <= 0) expiredModifiers.push(modId);
+                } else if (this._countDownStoppedBindings(modId, modState, frames)) {
+                    expiredModifiers.push(modId);
+                }
+            }
+        }
+
+        for (const modId of expiredModifiers) {
+            this.removeModifier(entity.id, modId);
+        }
+
+        // Check static modifier thresholds after variable updates
+        this._settleChanges(entity, changedVarIds);
+
+        // Decrement action cooldowns (tick-bound cooldowns count down in advanceTickSystem)
+        if (entity.actions) {
+            for (const [actionId, state] of Object.entries(entity.actions)) {
+                if (this._getActionTickSystem(actionId)) continue;
+                if (state.cooldownRemaining > 0) {
+                    state.cooldownRemaining = Math.max(0, state.cooldownRemaining - deltaSeconds);
+                }
+            }
+        }
+
+        this.emit('tick', { entityId: entity.id, deltaSeconds });
+        return entity;
+    }
+
+    /**
+     * Advance every active entity, then timed tick systems. Entities on a
+     * reduced LOD tier (see setLodTiers) only tick every few calls, with the
+     * deltas in between added up.
+     *
+     * @param {number|null} [deltaSeconds=null] - Elapsed seconds, or null to use the clock
+     */
+    tickAll(deltaSeconds = null) {
+        if (deltaSeconds !== null) this.advanceTime(deltaSeconds);
+        if (this.storage && !this.lod && deltaSeconds > 0 && !this.spawnManager?.hasCoupledRates()) {
+            this._tickColumns(deltaSeconds);
+        } else {
+            if (this.lod) this.lod.frame++;
+            for (const entityId of this.active.keys()) {
+                this._tickAtLod(entityId, deltaSeconds);
+            }
+        }
+        this._advanceTimedTickSystems();
+    }
+
+    /**
+     * An entity's simulated time at the end of a tick of `deltaSeconds` (or
+     * now, for null). Real-time clocks give the clock's time. On a virtual
+     * clock an entity ticked on its own runs ahead of the clock, so this is
+     * its last tick plus the delta when that is later.
+     * @private
+     */
+    _entityTime(entity, deltaSeconds = null) {
+        const now = this.clock.now();
+        if (typeof this.clock.advance !== 'function') return now;
+        const lastTick = entity._internal.lastTick ?? now;
+        return Math.max(now, lastTick + (deltaSeconds ?? 0) * 1000);
+    }
+
+    /**
+     * tickAll over struct-of-arrays storage: move linear timed variables one
+     * column at a time, then finish each entity's tick. Entities that would
+     * cross a threshold this step, or have decay/logistic variables, take the
+     * regular per-entity path so crossings still happen mid-step. Threshold
+     * checks, events and the cascade still run per entity.
+     * @private
+     */
+    _tickColumns(deltaSeconds) {
+        const storage = this.storage;
+        const sm = this.spawnManager;
+        const n = storage.highWater;
+        const slow = storage.scratch;
+        slow.fill(0, 0, n);
+
+        const columns = [];
+        for (const [varId, column] of storage.columns) {
+            columns.push({
+                varId,
+                column,
+                dynamic: Boolean(sm?.getNode(varId)?.config.dynamics),
+                thresholds: sm ? sm.getVariableThresholds(varId) : []
+            });
+        }
+
+        // Pass 1: slots that need exact per-entity integration
+        for (const { column, dynamic, thresholds } of columns) {
+            if (!dynamic && thresholds.length === 0) continue;
+            const { value, currentRate, min, max, moving } = column;
+            for (let slot = 0; slot < n; slot++) {
+                if (slow[slot] || storage.ids[slot] === undefined) continue;
+                if (dynamic) { slow[slot] = 1; continue; }
+                if (!moving[slot]) continue;
+                const from = value[slot];
+                const to = Math.max(min[slot], Math.min(max[slot], from + currentRate[slot] * deltaSeconds));
+                for (const threshold of thresholds) {
+                    if ((from < threshold && to >= threshold) || (from > threshold && to <= threshold)) {
+                        slow[slot] = 1;
+                        break;
+                    }
+                }
+            }
+        }
+
+        // Pass 2: advance everything else, keeping the old values for events
+        for (const { column } of columns) {
+            const { value, currentRate, min, max, moving, previous } = column;
+            for (let slot = 0; slot < n; slot++) {
+                const from = value[slot];
+                previous[slot] = from;
+                if (!moving[slot] || slow[slot]) continue;
+                value[slot] = Math.max(min[slot], Math.min(max[slot], from + currentRate[slot] * deltaSeconds));
+            }
+        }
+
+        for (const entity of [...this.active.values()]) {
+            const slot = storage.slots.get(entity.id);
+            if (slot === undefined || slow[slot]) {
+                this.tick(entity.id, deltaSeconds);
+                continue;
+            }
+            const now = this._entityTime(entity, deltaSeconds);
+            entity._internal.lastTick = now;
+
+            const changed = [];
+            for (const { varId, column } of columns) {
+                if (!column.moving[slot]) continue;
+                const oldValue = column.previous[slot];
+                const newValue = column.value[slot];
+                if (newValue === oldValue) continue;
+                this.checkThresholds(entity, varId);
+                this._markChanged(entity, [varId]);
+                changed.push(varId);
+                this.emit('variableChanged', { entityId: entity.id, varId, oldValue, newValue });
+            }
+            this._finishTick(entity, deltaSeconds, now, 1, changed);
+        }
+    }
+
+    // ========================================
+    // RUNTIME - LEVEL OF DETAIL
+    // ========================================
+
+    /**
+     * Define level-of-detail tiers: how many tickAll() calls (or scheduler
+     * steps) apart entities on each tier are ticked. Skipped deltas add up and
+     * are applied in one tick, so variables, cooldowns and tick-count modifiers
+     * end up where full-rate ticking would have put them; timed modifiers may
+     * expire up to one interval late. The built-in `full` tier ticks every call.
+     *
+     * An entity's tier is, in order: its own assignment (setEntityLod), the
+     * resolver callback (setLodResolver), the fastest tier among its groups
+     * (setGroupLod), the `lodTier` of its pool's rules (setPoolRules), then
+     * `defaultTier`. Entities sharing a tier are staggered across the interval,
+     * and an entity moving to a faster tier is caught up at once.
+     *
+     * Pass null to turn LOD off; entities are caught up first. Tick-system
+     * bound state keeps moving with its tick system.
+     *
+     * @param {Object<string, number|Object>|null} tiers - Tier name to interval
+     *   in ticks, or to `{ interval }`
+     * @param {Object} [options={}]
+     * @param {string} [options.defaultTier='full'] - Tier for unassigned entities
+     * @returns {EntityManager} This instance for chaining
+     * @fires EntityManager#lodTiersChanged
+     * @example
+     * manager.setLodTiers({ near: 4, far: 16 }, { defaultTier: 'far' });
+     * manager.setGroupLod('bar_patrons', 'full');
+     * manager.setLodResolver(entity => inView(entity) ? 'near' : null);
+     */
+    setLodTiers(tiers, options = {}) {
+        if (!tiers) {
+            if (this.lod) {
+                for (const entityId of this.active.keys()) this.flushLod(entityId);
+                this.lod = null;
+                this.emit('lodTiersChanged', { tiers: null, defaultTier: null });
+            }
+            return this;
+        }
+
+        const normalized = { full: 1 };
+        for (const [name, tier] of Object.entries(tiers)) {
+            const interval = Math.floor(typeof tier === 'number' ? tier : tier?.interval);
+            if (!(interval >= 1)) {
+                console.warn(`LOD tier '${name}' needs an interval of at least 1 tick.`);
+                continue;
+            }
+            normalized[name] = interval;
+        }
+
+        let defaultTier = options.defaultTier || 'full';
+        if (normalized[defaultTier] === undefined) {
+            console.warn(`Unknown LOD tier '${defaultTier}', defaulting to 'full'.`);
+            defaultTier = 'full';
+        }
+
+        const previous = this.lod;
+        this.lod = {
+            tiers: normalized,
+            defaultTier,
+            entityTiers: previous?.entityTiers || new Map(),
+            groupTiers: previous?.groupTiers || new Map(),
+            resolver: previous?.resolver || null,
+            frame: previous?.frame || 0,
+            nextPhase: previous?.nextPhase || 0
+        };
+        this.emit('lodTiersChanged', { tiers: { ...normalized }, defaultTier });
+        return this;
+    }
+
+    /**
+     * Assign an entity its own LOD tier, overriding resolver, groups and
+     * pools; null clears it. Moving to a faster tier catches it up at once.
+     *
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string|null} tier - Tier name, or null to clear
+     * @returns {EntityManager} This instance for chaining
+     */
+    setEntityLod(entityOrId, tier) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId.id;
+        if (!this._checkLodTier(tier)) return this;
+
+        if (tier === null || tier === undefined) this.lod.entityTiers.delete(entityId);
+        else this.lod.entityTiers.set(entityId, tier);
+        this._refreshLod(entityId);
+        return this;
+    }
+
+    /**
+     * Assign a LOD tier to every entity in a group; null clears it. An entity
+     * in several tiered groups gets the fastest of their tiers.
+     *
+     * @param {string} groupId - Entity group ID (see createGroup)
+     * @param {string|null} tier - Tier name, or null to clear
+     * @returns {EntityManager} This instance for chaining
+     */
+    setGroupLod(groupId, tier) {
+        if (!this._checkLodTier(tier)) return this;
+
+        if (tier === null || tier === undefined) this.lod.groupTiers.delete(groupId);
+        else this.lod.groupTiers.set(groupId, tier);
+        for (const entityId of this.groups.get(groupId)?.entities || []) {
+            this._refreshLod(entityId);
+        }
+        return this;
+    }
+
+    /**
+     * Pick tiers with a callback, e.g. by distance to the camera. It runs for
+     * every active entity on every tickAll(), so keep it cheap; returning null
+     * or an unknown tier falls through to groups, pools and the default.
+     *
+     * @param {Function|null} resolver - `(entity, manager) => tierName|null`, or null to remove
+     * @returns {EntityManager} This instance for chaining
+     * @example
+     * manager.setLodResolver(entity => {
+     *     const d = distance(entity.attributes.x, entity.attributes.y, player);
+     *     return d < 10 ? 'full' : d < 40 ? 'near' : 'far';
+     * });
+     */
+    setLodResolver(resolver) {
+        if (!this._checkLodTier(null)) return this;
+        this.lod.resolver = typeof resolver === 'function' ? resolver : null;
+        return this;
+    }
+
+    /**
+     * The LOD tier an entity ticks at right now.
+     *
+     * @param {string} entityId - Entity ID
+     * @returns {string|null} Tier name, or null when LOD is off
+     */
+    getEntityLod(entityId) {
+        const lod = this.lod;
+        if (!lod) return null;
+        if (lod.entityTiers.has(entityId)) return lod.entityTiers.get(entityId);
+
+        const entity = this.retrieve(entityId);
+        if (entity && lod.resolver) {
+            const tier = lod.resolver(entity, this);
+            if (tier && lod.tiers[tier] !== undefined) return tier;
+        }
+
+        let fastest = null;
+        for (const [groupId, tier] of lod.groupTiers) {
+            if (!this.groups.get(groupId)?.entities.has(entityId)) continue;
+            if (fastest === null || lod.tiers[tier] < lod.tiers[fastest]) fastest = tier;
+        }
+        if (fastest !== null) return fastest;
+
+        if (entity) {
+            const poolTier = this._getPoolLodTier(entity);
+            if (poolTier) return poolTier;
+        }
+        return lod.defaultTier;
+    }
+
+    /**
+     * Bring an entity on a reduced tier up to the current time now rather
+     * than at its next scheduled tick, e.g. before showing it in the UI.
+     *
+     * @param {string} entityId - Active entity ID
+     * @returns {Object|null} The entity, or null if not active
+     */
+    flushLod(entityId) {
+        const entity = this.active.get(entityId);
+        if (!entity) return null;
+        if (!entity._internal.lod?.frames) return entity;
+
+        // The clock already stands at the end of the owed time
+        return this._flushLodState(entity);
+    }
+
+    /**
+     * Tick an entity if its tier is due this frame, otherwise bank the delta.
+     * Caller advances the clock and bumps lod.frame.
+     * @private
+     */
+    _tickAtLod(entityId, deltaSeconds) {
+        if (!this.lod) return this.tick(entityId, deltaSeconds);
+        const entity = this.active.get(entityId);
+        if (!entity) return null;
+
+        let state = entity._internal.lod;
+        if (!state) {
+            state = { tier: null, pending: 0, frames: 0, phase: this.lod.nextPhase++ };
+            entity._internal.lod = state;
+        }
+
+        const tier = this.getEntityLod(entityId);
+        const interval = this.lod.tiers[tier];
+        const promoted = state.tier !== null && interval < this.lod.tiers[state.tier];
+        if (tier !== state.tier) {
+            this.emit('lodChanged', { entityId, from: state.tier, to: tier });
+            state.tier = tier;
+        }
+
+        state.frames++;
+        // Clock-driven frames are settled from lastTick, so nothing to add up
+        if (deltaSeconds === null) state.pending = null;
+        else if (state.pending !== null) state.pending += deltaSeconds;
+
+        if (!promoted && (this.lod.frame + state.phase) % interval !== 0) return entity;
+        return this._flushLodState(entity);
+    }
+
+    /** @private */
+    _flushLodState(entity) {
+        const state = entity._internal.lod;
+        const deltaSeconds = state.pending;
+        const frames = state.frames;
+        state.pending = 0;
+        state.frames = 0;
+        // Pool rules may match differently once the entity has moved on
+        state.poolId = undefined;
+        return this.tick(entity.id, deltaSeconds, frames);
+    }
+
+    /**
+     * Catch an entity up if its tier just became faster.
+     * @private
+     */
+    _refreshLod(entityId) {
+        const state = this.active.get(entityId)?._internal.lod;
+        if (!state || state.tier === null) return;
+
+        const tier = this.getEntityLod(entityId);
+        if (tier === state.tier) return;
+        const promoted = this.lod.tiers[tier] < this.lod.tiers[state.tier];
+        this.emit('lodChanged', { entityId, from: state.tier, to: tier });
+        state.tier = tier;
+        if (promoted) this.flushLod(entityId);
+    }
+
+    /**
+     * The `lodTier` of the pool an entity's rules place it in. The pool is
+     * cached on the entity until its next tick.
+     * @private
+     */
+    _getPoolLodTier(entity) {
+        let tiered = false;
+        for (const pool of this.pools.values()) {
+            if (pool.rules?.lodTier) { tiered = true; break; }
+        }
+        if (!tiered) return null;
+
+        const state = entity._internal.lod;
+        let poolId = state?.poolId;
+        if (poolId === undefined) {
+            poolId = this.getPoolForEntity(entity);
+            if (state) state.poolId = poolId;
+        }
+        const tier = this.pools.get(poolId)?.rules?.lodTier;
+        return tier && this.lod.tiers[tier] !== undefined ? tier : null;
+    }
+
+    /**
+     * Warn and return false unless LOD is on and the tier (if any) exists.
+     * @private
+     */
+    _checkLodTier(tier) {
+        if (!this.lod) {
+            console.warn('LOD is off. Call setLodTiers() first.');
+            return false;
+        }
+        if (tier !== null && tier !== undefined && this.lod.tiers[tier] === undefined) {
+            console.warn(`Unknown LOD tier '${tier}'.`);
+            return false;
+        }
+        return true;
+    }
+
+    // ========================================
+    // RUNTIME - STORAGE
+    // ========================================
+
+    /**
+     * Choose how active entities keep their runtime state. With 'soa', the
+     * numeric fields of every variable live in typed-array columns indexed by
+     * entity slot, and modifiers and traits are mirrored into bitsets (see
+     * StructOfArraysStorage). Entity objects stay valid: their variables become
+     * views onto the columns, so getEntity, getState and direct writes behave
+     * as before. tickAll then moves linear variables a column at a time.
+     *
+     * The per-entity path is still used for entities about to cross a
+     * threshold, decay/logistic variables, coupled rates, LOD tiers and tick
+     * systems. Every entity also finishes its tick on its own, so this does
+     * not make ticking faster. Stored (inactive) entities stay plain objects.
+     *
+     * Pass null to go back to plain objects; values are copied out first.
+     *
+     * @param {string|null} type - 'soa', or null for plain objects
+     * @param {Object} [options={}]
+     * @param {number} [options.capacity] - Slots to allocate up front; defaults
+     *   to enough for every pool at its maxSize
+     * @returns {EntityManager} This instance for chaining
+     * @fires EntityManager#storageChanged
+     * @example
+     * manager.setStorage('soa', { capacity: 20000 });
+     * manager.storage.query({ modifiers: ['buff_haste'] }); // => entity IDs
+     */
+    setStorage(type, options = {}) {
+        if (type && type !== 'soa') {
+            console.warn(`Unknown storage type '${type}'. Use 'soa' or null.`);
+            return this;
+        }
+        if (this.storage) {
+            for (const entity of this.active.values()) this.storage.detach(entity);
+            this.storage = null;
+        }
+
+        if (type === 'soa') {
+            let poolCapacity = 0;
+            for (const pool of this.pools.values()) poolCapacity += pool.config.maxSize;
+            const capacity = Math.max(options.capacity || 0, poolCapacity, this.active.size);
+            this.storage = new StructOfArraysStorage(this.spawnManager, { capacity });
+            for (const entity of this.active.values()) this.storage.attach(entity);
+        }
+
+        this.emit('storageChanged', { type: type || null });
+        return this;
+    }
+
+    // ========================================
+    // FAST-FORWARD
+    // ========================================
+
+    /**
+     * Catch an entity up on a long stretch of time (e.g. while the player was
+     * offline) without the distortions of one giant tick. Time advances event
+     * by event:
+     *
+     * - timed variables move to the exact moment they cross a threshold, where
+     *   threshold traits and modifiers trigger and the new rates take over
+     * - timed modifiers expire at their `expiresAt`; tick-count modifiers expire
+     *   after that many `tickRate` intervals (`engineConfig.tickRate`)
+     * - compound changes are reported as they happen
+     *
+     * Every event fired meanwhile carries `simulatedTime` (ms), the simulated
+     * moment it happened. With a virtual clock the simulation starts at the
+     * entity's last tick, and the entity is left that far ahead of the shared
+     * clock (which only tickAll and the scheduler move); a real-time clock
+     * cannot move, so the simulation covers the `seconds` up to now.
+     * Variables, modifiers and cooldowns bound to a tick system are left to that system.
+     *
+     * @param {string} entityId - Active entity ID
+     * @param {number} seconds - Seconds to simulate
+     * @returns {Object|null} The entity, or null if not active
+     * @fires EntityManager#fastForwarded
+     * @example
+     * const away = (Date.now() - save.lastSeen) / 1000;
+     * manager.on('modifierRemoved', e => log(`${e.modifierId} wore off at ${new Date(e.simulatedTime)}`));
+     * manager.fastForward(patron.id, away);
+     */
+    fastForward(entityId, seconds) {
+        const entity = this.active.get(entityId);
+        if (!entity) return null;
+        if (!(seconds > 0)) return entity;
+
+        const virtual = typeof this.clock.advance === 'function';
+        const start = virtual ? entity._internal.lastTick : this.clock.now() - seconds * 1000;
+        const end = start + seconds * 1000;
+        const tickMs = this.spawnManager?.config.engineConfig.tickRate || this.config.tickRate || 1000;
+        const clock = new ManualClock(start);
+        const realClock = this.clock;
+
+        this._fastForward = { entity, clock, compounds: [...entity.compounds] };
+        this.clock = clock;
+        if (this.spawnManager) this.spawnManager.clock = clock;
+
+        let events = 0;
+        let ticksCounted = 0;
+        try {
+            while (clock.now() < end) {
+                const now = clock.now();
+                const scheduled = Math.min(end, this._nextScheduledChange(entity, now, start, ticksCounted, tickMs));
+                const covered = this._integrateVariables(entity, (scheduled - now) / 1000);
+                // A threshold crossing ends the step early; it may have scheduled something new
+                const nextAt = covered * 1000 < scheduled - now ? now + covered * 1000 : scheduled;
+                const stepSeconds = (nextAt - now) / 1000;
+                clock.set(nextAt);
+
+                if (entity.actions) {
+                    for (const [actionId, state] of Object.entries(entity.actions)) {
+                        if (state.cooldownRemaining > 0 && !this._getActionTickSystem(actionId)) {
+                            state.cooldownRemaining = Math.max(0, state.cooldownRemaining - stepSeconds);
+                        }
+                    }
+                }
+
+                // Whole tickRate intervals since the start count down tick-based modifiers
+                const ticks = Math.floor((nextAt - start) / tickMs + 1e-9) - ticksCounted;
+                ticksCounted += ticks;
+
+                const expired = [];
+                for (const modId of entity.modifiers) {
+                    const modState = entity._modifierStates?.[modId];
+                    if (!modState || modState.isStatic) continue;
+                    if (modState.expiresAt && nextAt >= modState.expiresAt) {
+                        expired.push(modId);
+                    } else if (modState.ticksRemaining !== undefined && ticks > 0) {
+                        modState.ticksRemaining -= ticks;
+                        if (modState.ticksRemaining <= 0) expired.push(modId);
+                    }
+                }
+                for (const modId of expired) this.removeModifier(entity.id, modId);
+
+                this.checkModifierThresholds(entity);
+                if (this.spawnManager) this.spawnManager.calculateDerived(entity);
+                this._emitCompoundChanges(entity);
+                events++;
+            }
+        } finally {
+            this._fastForward = null;
+            this.clock = realClock;
+            if (this.spawnManager) this.spawnManager.clock = realClock;
+        }
+
+        entity._internal.lastTick = end;
+
+        this.emit('fastForwarded', { entityId: entity.id, seconds, steps: events });
+        return entity;
+    }
+
+    /**
+     * Earliest moment after `now` when a modifier is due to expire
+     * (timed or tick-count), or Infinity if none is.
+     * @private
+     */
+    _nextScheduledChange(entity, now, start, ticksCounted, tickMs) {
+        let next = Infinity;
+        for (const modId of entity.modifiers) {
+            const modState = entity._modifierStates?.[modId];
+            if (!modState || modState.isStatic) continue;
+            if (modState.expiresAt) {
+                next = Math.min(next, Math.max(now, modState.expiresAt));
+            } else if (modState.ticksRemaining !== undefined) {
+                next = Math.min(next, start + (ticksCounted + Math.max(1, modState.ticksRemaining)) * tickMs);
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Emit compoundActivated / compoundDeactivated for changes since the last
+     * call during a fastForward.
+     * @private
+     */
+    _emitCompoundChanges(entity) {
+        const ff = this._fastForward;
+        if (!ff) return;
+        const before = new Set(ff.compounds);
+        const after = new Set(entity.compounds);
+        for (const compoundId of after) {
+            if (!before.has(compoundId)) this.emit('compoundActivated', { entityId: entity.id, compoundId });
+        }
+        for (const compoundId of before) {
+            if (!after.has(compoundId)) this.emit('compoundDeactivated', { entityId: entity.id, compoundId });
+        }
+        ff.compounds = [...entity.compounds];
+    }
+
+    /**
+     * The fixed-step scheduler for this manager, created on first use.
+     * Options apply on creation and update an existing scheduler.
+     *
+     * @param {Object} [options={}] - See TickScheduler
+     * @returns {TickScheduler} The scheduler
+     */
+    getScheduler(options = {}) {
+        if (!this.scheduler) {
+            this.scheduler = new TickScheduler(this, options);
+        } else {
+            if (options.step !== undefined) this.scheduler.step = options.step;
+            if (options.maxSteps !== undefined) this.scheduler.maxSteps = options.maxSteps;
+            if (options.timeScale !== undefined) this.scheduler.setTimeScale(options.timeScale);
+        }
+        return this.scheduler;
+    }
+
+    /**
+     * One scheduler step: advance the clock, tick each active entity by its
+     * scaled share of the step (subject to its LOD tier), then advance timed
+     * tick systems. TickScheduler calls this; journal replay calls it with
+     * the recorded scales.
+     *
+     * @param {number} deltaSeconds - Step length in seconds
+     * @param {Object<string, number>} [scales={}] - Time scale per entity ID; unlisted entities run at 1
+     */
+    runScheduledStep(deltaSeconds, scales = {}) {
+        this.advanceTime(deltaSeconds);
+
+        if (this.lod) this.lod.frame++;
+        for (const entity of [...this.active.values()]) {
+            const scale = scales[entity.id] ?? 1;
+            if (scale > 0) this._tickAtLod(entity.id, deltaSeconds * scale);
+            else entity._internal.lastTick = this.clock.now();
+            // Keep timed modifiers on the entity's own clock
+            if (scale !== 1) this._shiftTimedExpiry(entity, deltaSeconds * (1 - scale) * 1000);
+        }
+        this._advanceTimedTickSystems();
+    }
+
+    /**
+     * Run a step the manager takes on its own (scheduler, auto-tick) through
+     * stepRecorder, so a journal sees it.
+     * @private
+     */
+    _recordStep(op, args, run) {
+        return this.stepRecorder ? this.stepRecorder(op, args, run) : run();
+    }
+
+    /**
+     * Move an entity's timed modifier expiries by `ms`, e.g. to hold them while
+     * the entity's time is paused or slowed.
+     * @private
+     */
+    _shiftTimedExpiry(entity, ms) {
+        for (const modId of entity.modifiers) {
+            const modState = entity._modifierStates?.[modId];
+            if (modState?.expiresAt) modState.expiresAt += ms;
+        }
+    }
+
+    /**
+     * Tick all active entities every `rate` ms using wall-clock deltas.
+     * For fixed steps, time scaling and pausing use getScheduler() instead.
+     * @param {number|null} [rate=null] - Interval in ms (default: config.tickRate)
+     */
+    startAutoTick(rate = null) {
+        if (this.tickInterval) return;
+        const tickRate = rate || this.config.tickRate;
+        this.tickInterval = setInterval(() => this._recordStep('autoTick', [], () => this.tickAll()), tickRate);
+        this.emit('autoTickStarted', { rate: tickRate });
+    }
+
+    stopAutoTick() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+            this.emit('autoTickStopped');
+        }
+    }
+
+    // ========================================
+    // RUNTIME - TICK SYSTEMS
+    // ========================================
+
+    /**
+     * Get the runtime state of a tick system, creating it on first use.
+     * Tick systems are `ticksystem` nodes in the loaded config; each keeps its
+     * own tick count, independent of the clock and of every other system.
+     *
+     * @param {string} systemId - Tick system node ID
+     * @returns {Object|null} { id, tick, running, lastAdvanced }, or null if unknown
+     */
+    getTickSystem(systemId) {
+        if (this.tickSystems.has(systemId)) return this.tickSystems.get(systemId);
+
+        const node = this.spawnManager?.getNode(systemId);
+        if (!node || node.type !== 'ticksystem') return null;
+
+        const state = { id: systemId, tick: 0, running: true, lastAdvanced: this.clock.now() };
+        this.tickSystems.set(systemId, state);
+        return state;
+    }
+
+    /**
+     * Advance one tick system. Only what is bound to it moves: variables with
+     * `tickSystemId` change by `currentRate` per tick, modifier tick bindings
+     * count down, and bound action cooldowns drop by one per tick. Everything
+     * else (real-time variables, timed modifiers) is left alone.
+     *
+     * Advancing a stopped system starts it again.
+     *
+     * @param {string} systemId - Tick system node ID
+     * @param {number} [ticks=1] - Number of ticks to advance
+     * @returns {boolean} True if the system exists
+     * @example
+     * // End of a combat round: turn-based buffs tick, hunger doesn't
+     * engine.advanceTickSystem('tick_combat');
+     *
+     * // Sleep through the night
+     * engine.advanceTickSystem('tick_day', 1);
+     */
+    advanceTickSystem(systemId, ticks = 1) {
+        const system = this.getTickSystem(systemId);
+        if (!system) {
+            console.warn(`EntityManager: Unknown tick system '${systemId}'`);
+            return false;
+        }
+        if (!system.running) this.startTickSystem(systemId);
+
+        // One tick at a time so expiries and threshold crossings land on the right tick
+        for (let i = 0; i < ticks; i++) {
+            system.tick++;
+            for (const entity of this.active.values()) {
+                this._tickEntityForSystem(entity, systemId);
+            }
+        }
+        system.lastAdvanced = this.clock.now();
+
+        this.emit('tickSystemAdvanced', { systemId, ticks, tick: system.tick });
+        return true;
+    }
+
+    /**
+     * Resume a stopped tick system.
+     * @param {string} systemId - Tick system node ID
+     * @returns {boolean} True if the system exists
+     */
+    startTickSystem(systemId) {
+        const system = this.getTickSystem(systemId);
+        if (!system) return false;
+        if (system.running) return true;
+
+        system.running = true;
+        // Timed systems don't catch up on the time they spent stopped
+        system.lastAdvanced = this.clock.now();
+        this.emit('tickSystemStarted', { systemId, tick: system.tick });
+        return true;
+    }
+
+    /**
+     * Stop a tick system (e.g. combat ended). Modifier bindings react through
+     * their `fallbackBehavior`: 'pause' (default) freezes the countdown until the
+     * system resumes, 'expire' removes the modifier now, and 'continue' counts
+     * down once per tick() call while the system is stopped.
+     *
+     * @param {string} systemId - Tick system node ID
+     * @returns {boolean} True if the system exists
+     */
+    stopTickSystem(systemId) {
+        const system = this.getTickSystem(systemId);
+        if (!system) return false;
+        if (!system.running) return true;
+
+        system.running = false;
+
+        for (const entity of this.active.values()) {
+            const expired = entity.modifiers.filter(modId => {
+                if (entity._modifierStates?.[modId]?.tickSystems?.[systemId] === undefined) return false;
+                const binding = this._getModifierTickBinding(modId, systemId);
+                return binding?.fallbackBehavior === 'expire';
+            });
+            for (const modId of expired) {
+                this.removeModifier(entity.id, modId);
+            }
+        }
+
+        this.emit('tickSystemStopped', { systemId, tick: system.tick });
+        return true;
+    }
+
+    /**
+     * Apply one tick of a tick system to one entity.
+     * @param {Object} entity - Active entity
+     * @param {string} systemId - Tick system node ID
+     * @private
+     */
+    _tickEntityForSystem(entity, systemId) {
+        const changed = new Set();
+        this._integrateVariables(entity, 1, systemId, changed);
+
+        const expiredModifiers = [];
+        for (const modId of entity.modifiers) {
+            const countdowns = entity._modifierStates?.[modId]?.tickSystems;
+            if (countdowns?.[systemId] === undefined) continue;
+            countdowns[systemId]--;
+            if (countdowns[systemId] <= 0) expiredModifiers.push(modId);
+        }
+        for (const modId of expiredModifiers) {
+            this.removeModifier(entity.id, modId);
+        }
+
+        this._settleChanges(entity, [...changed]);
+
+        if (entity.actions) {
+            for (const [actionId, state] of Object.entries(entity.actions)) {
+                if (state.cooldownRemaining > 0 && this._getActionTickSystem(actionId) === systemId) {
+                    state.cooldownRemaining = Math.max(0, state.cooldownRemaining - 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Move an entity's timed variables forward (see SpawnManager.getVariableDynamics).
+     *
+     * The step is cut at the first threshold crossing so threshold traits and
+     * modifiers react at that moment (emitting 'thresholdCrossed'), then the rest
+     * of the step continues with the updated rates. When rates depend on other
+     * variables, they are re-evaluated every `engineConfig.integrationStep`.
+     * 'variableChanged' fires once per variable with its start and end values.
+     * During fastForward it stops at the first crossing instead, so the caller
+     * can schedule anything that crossing started.
+     *
+     * @param {Object} entity - Active entity
+     * @param {number} delta - Seconds, or ticks for tick-bound variables
+     * @param {string|null} [systemId=null] - Only variables bound to this tick system
+     * @param {Set<string>|null} [changed=null] - Collects IDs of variables whose value changed
+     * @returns {number} How much of `delta` was covered
+     * @private
+     */
+    _integrateVariables(entity, delta, systemId = null, changed = null) {
+        const ff = this._fastForward?.entity === entity && systemId === null ? this._fastForward : null;
+        const sm = this.spawnManager;
+        const moving = Object.keys(entity.variables).filter(varId => {
+            const varState = entity.variables[varId];
+            if ((varState.tickSystemId || null) !== systemId || varState.changeMode !== 'timed') return false;
+            return varState.direction !== 'none' || Boolean(sm?.getNode(varId)?.config.dynamics);
+        });
+        if (moving.length === 0 || !(delta > 0)) return delta;
+
+        const project = (varId, dt) => {
+            if (sm) return sm.projectVariable(entity, varId, dt);
+            const varState = entity.variables[varId];
+            return Math.max(varState.min, Math.min(varState.max, varState.value + varState.currentRate * dt));
+        };
+        const startValues = moving.map(varId => entity.variables[varId].value);
+        const coupled = sm?.hasCoupledRates() ?? false;
+        const maxStep = coupled ? (sm.config.engineConfig.integrationStep || 1) : Infinity;
+        let remaining = delta;
+        let elapsed = 0;
+        let stopped = false;
+
+        for (let steps = 0; remaining > 1e-9 && steps < EntityManager.MAX_INTEGRATION_STEPS; steps++) {
+            if (coupled) sm.recalculateRates(entity);
+
+            let step = Math.min(remaining, maxStep);
+            const crossing = sm ? this._findThresholdCrossing(entity, moving, step, project) : null;
+            if (crossing) step = crossing.dt;
+
+            const next = moving.map(varId => project(varId, step));
+            moving.forEach((varId, i) => { entity.variables[varId].value = next[i]; });
+            remaining -= step;
+            elapsed += step;
+            if (ff) ff.clock.advance(step);
+
+            if (crossing) {
+                this.emit('thresholdCrossed', {
+                    entityId: entity.id,
+                    varId: crossing.varId,
+                    threshold: crossing.threshold,
+                    direction: crossing.direction,
+                    offset: elapsed
+                });
+                this.checkThresholds(entity, crossing.varId);
+                this._markChanged(entity, moving);
+                this.checkModifierThresholds(entity);
+                if (ff) {
+                    this._emitCompoundChanges(entity);
+                    stopped = true;
+                    break;
+                }
+            }
+        }
+
+        // Step budget used up: cover what is left in one go
+        if (remaining > 1e-9 && !stopped) {
+            const next = moving.map(varId => project(varId, remaining));
+            moving.forEach((varId, i) => { entity.variables[varId].value = next[i]; });
+        }
+
+        moving.forEach((varId, i) => {
+            const oldValue = startValues[i];
+            const newValue = entity.variables[varId].value;
+            if (newValue !== oldValue) {
+                this.checkThresholds(entity, varId);
+                this._markChanged(entity, [varId]);
+                if (changed) changed.add(varId);
+                this.emit('variableChanged', { entityId: entity.id, varId, oldValue, newValue });
+            }
+        });
+        return stopped ? elapsed : delta;
+    }
+
+    /**
+     * Earliest point within `step` where a moving variable reaches one of its
+     * thresholds. Every dynamics model is monotonic while its rate is held, so a
+     * crossing is found by comparing the step's endpoints and bisecting.
+     * @private
+     */
+    _findThresholdCrossing(entity, varIds, step, project) {
+        let earliest = null;
+        for (const varId of varIds) {
+            const thresholds = this.spawnManager.getVariableThresholds(varId);
+            if (thresholds.length === 0) continue;
+
+            const from = entity.variables[varId].value;
+            const to = project(varId, step);
+            for (const threshold of thresholds) {
+                const up = from < threshold && to >= threshold;
+                if (!up && !(from > threshold && to <= threshold)) continue;
+
+                const reached = dt => (up ? project(varId, dt) >= threshold : project(varId, dt) <= threshold);
+                let lo = 0;
+                let hi = step;
+                for (let i = 0; i < 60 && hi - lo > step * 1e-12; i++) {
+                    const mid = (lo + hi) / 2;
+                    if (reached(mid)) hi = mid;
+                    else lo = mid;
+                }
+                if (!earliest || hi < earliest.dt) {
+                    earliest = { varId, threshold, direction: up ? 'up' : 'down', dt: hi };
+                }
+            }
+        }
+        return earliest;
+    }
+
+    /**
+     * Advance running tick systems whose `tickUnit.type` is 'timed' by however
+     * many whole intervals (`tickUnit.value`, ms) the clock has moved past.
+     * @private
+     */
+    _advanceTimedTickSystems() {
+        if (!this.spawnManager) return;
+        const now = this.clock.now();
+
+        for (const node of this.spawnManager.getTickSystems()) {
+            const unit = node.config?.tickUnit;
+            if (unit?.type !== 'timed') continue;
+
+            const system = this.getTickSystem(node.id);
+            if (!system.running) continue;
+
+            const interval = unit.value || 1000;
+            const ticks = Math.floor((now - system.lastAdvanced) / interval);
+            if (ticks > 0) {
+                this.advanceTickSystem(node.id, ticks);
+                // Keep the remainder so intervals don't drift
+                system.lastAdvanced = now - ((now - system.lastAdvanced) % interval);
+            }
+        }
+    }
+
+    /**
+     * Normalize a modifier config into tick bindings. Accepts the editor's
+     * `tickBindings` list and the `durationType: 'ticks'` + `tickSystemId` shorthand.
+     * @param {Object} config - Modifier config
+     * @returns {Array<Object>} [{ tickSystemId, duration, fallbackBehavior }]
+     * @private
+     */
+    _getTickBindings(config) {
+        if (Array.isArray(config.tickBindings) && config.tickBindings.length > 0) {
+            return config.tickBindings
+                .filter(b => b?.tickSystemId)
+                .map(b => ({ fallbackBehavior: 'pause', ...b, duration: b.duration ?? 1 }));
+        }
+        if (config.durationType === 'ticks' && config.tickSystemId && config.duration) {
+            return [{ tickSystemId: config.tickSystemId, duration: config.duration, fallbackBehavior: 'pause' }];
+        }
+        return [];
+    }
+
+    /** @private */
+    _getModifierTickBinding(modifierId, systemId) {
+        const config = this.spawnManager?.getNode(modifierId)?.config || {};
+        return this._getTickBindings(config).find(b => b.tickSystemId === systemId) || null;
+    }
+
+    /** @private */
+    _getActionTickSystem(actionId) {
+        return this.spawnManager?.getNode(actionId)?.config?.tickSystemId || null;
+    }
+
+    /**
+     * Count down 'continue' bindings whose tick system is stopped, once per tick() call.
+     * @param {string} modifierId - Modifier node ID
+     * @param {Object} modState - Modifier runtime state
+     * @param {number} [frames=1] - Ticks to count down
+     * @returns {boolean} True if a countdown ran out
+     * @private
+     */
+    _countDownStoppedBindings(modifierId, modState, frames = 1) {
+        if (!modState.tickSystems) return false;
+        let expired = false;
+        for (const systemId of Object.keys(modState.tickSystems)) {
+            if (this.tickSystems.get(systemId)?.running !== false) continue;
+            if (this._getModifierTickBinding(modifierId, systemId)?.fallbackBehavior !== 'continue') continue;
+            modState.tickSystems[systemId] -= frames;
+            if (modState.tickSystems[systemId] <= 0) expired = true;
+        }
+        return expired;
+    }
+
+    // ========================================
+    // RUNTIME - VARIABLES
+    // ========================================
+
+    modifyVariable(entityId, varId, delta) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return false;
+
+        const varState = entity.variables[varId];
+        if (!varState) return false;
+
+        const oldValue = varState.value;
+        varState.value = Math.max(varState.min, Math.min(varState.max, varState.value + delta));
+
+        if (varState.value !== oldValue) {
+            this.checkThresholds(entity, varId);
+            this._settleChanges(entity, [varId]);
+            this.emit('variableChanged', { entityId, varId, oldValue, newValue: varState.value });
+        }
+
+        return true;
+    }
+
+    setVariable(entityId, varId, value) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return false;
+
+        const varState = entity.variables[varId];
+        if (!varState) return false;
+
+        const oldValue = varState.value;
+        varState.value = Math.max(varState.min, Math.min(varState.max, value));
+
+        if (varState.value !== oldValue) {
+            this.checkThresholds(entity, varId);
+            this._settleChanges(entity, [varId]);
+            this.emit('variableChanged', { entityId, varId, oldValue, newValue: varState.value });
+        }
+
+        return true;
+    }
+
+    // ========================================
+    // RUNTIME - MODIFIERS
+    // ========================================
+
+    applyModifier(entityId, modifierId, config = {}) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return false;
+
+        if (!entity._modifierStates) entity._modifierStates = {};
+
+        const existing = entity.modifiers.includes(modifierId);
+        // Expiry is checked against the entity's own time (see _entityTime)
+        const now = this._entityTime(entity);
+        const isStatic = config.isStatic || config.trigger?.static || false;
+
+        const tickBindings = isStatic ? [] : this._getTickBindings(config);
+        const tickCountdowns = () => Object.fromEntries(tickBindings.map(b => [b.tickSystemId, b.duration]));
+
+        if (existing && entity._modifierStates[modifierId]) {
+            const modState = entity._modifierStates[modifierId];
+            if (config.stacking === 'refresh') {
+                modState.appliedAt = now;
+                if (!isStatic && config.duration && config.durationType === 'timed') {
+                    modState.expiresAt = now + (config.duration * 1000);
+                }
+                if (tickBindings.length > 0) modState.tickSystems = tickCountdowns();
+            } else if (config.stacking === 'stack') {
+                modState.stacks = Math.min((modState.stacks || 1) + 1, config.maxStacks || 99);
+            }
+        } else {
+            entity.modifiers.push(modifierId);
+            entity._modifierStates[modifierId] = {
+                appliedAt: now,
+                stacks: 1,
+                isStatic: isStatic,
+                // Static modifiers don't have duration - they expire based on removal conditions
+                expiresAt: !isStatic && config.durationType === 'timed' && config.duration
+                    ? now + (config.duration * 1000) : null,
+                // Unbound tick durations count tick() calls; bound ones count their system's ticks
+                ticksRemaining: !isStatic && config.durationType === 'ticks' && !config.tickSystemId
+                    ? config.duration : undefined,
+                ...(tickBindings.length > 0 && { tickSystems: tickCountdowns() })
+            };
+        }
+
+        this._runCascade(entity, [modifierId]);
+
+        this.emit('modifierApplied', { entityId, modifierId });
+        return true;
+    }
+
+    removeModifier(entityId, modifierId) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return false;
+
+        const index = entity.modifiers.indexOf(modifierId);
+        if (index === -1) return false;
+
+        entity.modifiers.splice(index, 1);
+        if (entity._modifierStates) delete entity._modifierStates[modifierId];
+
+        this._runCascade(entity, [modifierId]);
+
+        this.emit('modifierRemoved', { entityId, modifierId });
+        return true;
+    }
+
+    // ========================================
+    // RUNTIME - TRAITS
+    // ========================================
+
+    activateTrait(entityId, traitId) {
+        const entity = this.retrieve(entityId);
+        if (!entity || !this.spawnManager) return false;
+
+        const result = this.spawnManager.activateTrait(entity, traitId);
+        if (result) {
+            this._runCascade(entity, [traitId]);
+            this.emit('traitActivated', { entityId, traitId });
+        }
+        return result;
+    }
+
+    deactivateTrait(entityId, traitId) {
+        const entity = this.retrieve(entityId);
+        if (!entity || !this.spawnManager) return false;
+
+        const result = this.spawnManager.deactivateTrait(entity, traitId);
+        if (result) {
+            this._runCascade(entity, [traitId]);
+            this.emit('traitDeactivated', { entityId, traitId });
+        }
+        return result;
+    }
+
+    /**
+     * Recompute the derived values, compounds and rates downstream of the
+     * changed nodes (see SpawnManager.runCascade). If batching is active,
+     * collects the changes and defers execution.
+     * @param {Object} entity - The entity to recalculate
+     * @param {string[]|null} [changedIds=null] - Changed node IDs, or null for everything
+     */
+    _runCascade(entity, changedIds = null) {
+        this._markChanged(entity, changedIds);
+        if (this.storage) this.storage.syncFlags(entity, changedIds);
+        if (this._inTransaction(entity)) {
+            for (const id of changedIds || ['*']) this._transaction.dirty.add(id);
+            return;
+        }
+        if (this._batchingCascade) {
+            if (!this._cascadeDirty) this._cascadeDirty = new Set();
+            for (const id of changedIds || ['*']) this._cascadeDirty.add(id);
+            this._cascadeEntity = entity;
+            return;
+        }
+        if (!this.spawnManager) return;
+        this._markChanged(entity, this.spawnManager.runCascade(entity, changedIds));
+    }
+
+    /**
+     * After variables change: re-check the threshold modifiers that read
+     * anything changed, then run the cascade downstream of the variables.
+     * @private
+     */
+    _settleChanges(entity, varIds) {
+        this._markChanged(entity, varIds);
+        if (this._inTransaction(entity)) return; // settled at commit
+        this.checkModifierThresholds(entity);
+        if (this.spawnManager) this._markChanged(entity, this.spawnManager.runCascade(entity, varIds));
+    }
+
+    /**
+     * Note nodes that changed since the entity's last threshold check.
+     * `_internal.changes` null means unknown, so the next check is a full one.
+     * @private
+     */
+    _markChanged(entity, nodeIds) {
+        if (this.replication) this._markReplicated(entity.id);
+        const changes = entity._internal.changes;
+        if (!changes) return;
+        if (nodeIds === null) entity._internal.changes = null;
+        else for (const id of nodeIds) changes.add(id);
+    }
+
+    /**
+     * Take the changes noted since the last threshold check (null = all).
+     * @private
+     */
+    _takeChanges(entity) {
+        const changes = entity._internal.changes;
+        entity._internal.changes = new Set();
+        return changes || null;
+    }
+
+    /**
+     * Bring an entity fully up to date after its state was changed directly
+     * (e.g. `entity.contexts.weather = 'storm'`) rather than through the API:
+     * re-check threshold modifiers and recompute what depends on the changed
+     * nodes, or on everything when no IDs are given.
+     *
+     * @param {string} entityId - Entity ID
+     * @param {string[]|null} [changedIds=null] - Node IDs that changed
+     * @returns {Object|null} The entity, or null if not found
+     * @example
+     * patron.contexts.ctx_weather = 2;
+     * manager.recalculate(patron.id, ['ctx_weather']);
+     */
+    recalculate(entityId, changedIds = null) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return null;
+
+        this._markChanged(entity, changedIds);
+        this.checkModifierThresholds(entity);
+        this._runCascade(entity, changedIds);
+        return entity;
+    }
+
+    // ========================================
+    // THRESHOLDS
+    // ========================================
+
+    checkThresholds(entity, varId) {
+        if (!this.spawnManager || this._inTransaction(entity)) return;
+
+        const varState = entity.variables[varId];
+
+        const traits = this.spawnManager._thresholdTraitsByVar.get(varId) || [];
+
+        for (const trait of traits) {
+            const trigger = trait.config.selection.trigger;
+            const autoRemove = trait.config.selection.autoRemove;
+            const layerId = trait.config.layerId;
+            const isActive = entity.layers[layerId]?.active?.includes(trait.id);
+
+            if (!isActive && this.evaluateThreshold(varState.value, trigger)) {
+                this.activateTrait(entity.id, trait.id);
+            }
+
+            if (isActive && autoRemove && this.evaluateThreshold(varState.value, autoRemove)) {
+                this.deactivateTrait(entity.id, trait.id);
+            }
+        }
+    }
+
+    evaluateThreshold(value, condition) {
+        if (!condition) return false;
+        const threshold = condition.value;
+        switch (condition.operator || condition.op) {
+            case '<': return value < threshold;
+            case '<=': return value <= threshold;
+            case '>': return value > threshold;
+            case '>=': return value >= threshold;
+            case '=':
+            case '==': return value === threshold;
+            case '!=': return value !== threshold;
+            default: return false;
+        }
+    }
+
+    /**
+     * Get the current numeric value of a node (delegates to SpawnManager).
+     * Needed by evaluateSingleCondition for threshold comparisons.
+     */
+    getNodeValue(entity, nodeId) {
+        if (this.spawnManager) {
+            return this.spawnManager.getNodeValue(entity, nodeId);
+        }
+        // Fallback: check entity directly
+        if (entity.attributes && entity.attributes[nodeId] !== undefined) return entity.attributes[nodeId];
+        if (entity.variables && entity.variables[nodeId]) return entity.variables[nodeId].value;
+        if (entity.derived && entity.derived[nodeId] !== undefined) return entity.derived[nodeId];
+        return null;
+    }
+
+    /**
+     * Evaluate multi-condition trigger with per-expression connectors
+     * Supports both new format (connector per condition) and legacy format (global logic)
+     * @param {Object} entity - The entity to evaluate against
+     * @param {Object} trigger - The trigger config with conditions array
+     * @returns {boolean} - Whether the trigger conditions are met
+     */
+    evaluateModifierTrigger(entity, trigger) {
+        if (!trigger) return false;
+
+        // Multi-condition format
+        if (trigger.conditions && trigger.conditions.length > 0) {
+            return this.evaluateConditionsWithConnectors(entity, trigger.conditions, trigger.logic);
+        }
+
+        // Single condition (backwards compatibility)
+        if (trigger.target) {
+            const value = this.getNodeValue(entity, trigger.target);
+            if (value === null || value === undefined) return false;
+            return this.evaluateThreshold(value, trigger);
+        }
+
+        return false;
+    }
+
+    /**
+     * Evaluate a list of conditions with per-expression connectors
+     * @param {Object} entity - The entity to evaluate against
+     * @param {Array} conditions - Array of conditions with optional connector property
+     * @param {string} fallbackLogic - Fallback logic if no connectors (legacy format)
+     * @returns {boolean} - Whether the conditions are met
+     */
+    evaluateConditionsWithConnectors(entity, conditions, fallbackLogic = 'all') {
+        if (!conditions || conditions.length === 0) return false;
+
+        // Evaluate first condition
+        let result = this.evaluateConditionOrGroup(entity, conditions[0]);
+
+        // Combine with subsequent conditions using their connectors
+        for (let i = 1; i < conditions.length; i++) {
+            const cond = conditions[i];
+            const condResult = this.evaluateConditionOrGroup(entity, cond);
+
+            // Use condition's connector, or fallback to global logic (for backwards compat)
+            const connector = cond.connector || (fallbackLogic === 'any' ? 'OR' : 'AND');
+
+            if (connector === 'OR') {
+                result = result || condResult;
+            } else {
+                // AND
+                result = result && condResult;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Evaluate removal conditions for static modifiers
+     * For static modifiers without explicit removeConditions, removal happens when apply conditions are no longer met
+     * @param {Object} entity - The entity to evaluate against
+     * @param {Object} trigger - The trigger config
+     * @returns {boolean} - Whether the removal conditions are met
+     */
+    evaluateRemoveConditions(entity, trigger) {
+        if (!trigger) return false;
+
+        // If explicit removeConditions exist, evaluate them
+        if (trigger.removeConditions && trigger.removeConditions.length > 0) {
+            return this.evaluateConditionsWithConnectors(entity, trigger.removeConditions, trigger.removeLogic);
+        }
+
+        // For static modifiers without explicit remove conditions,
+        // removal happens when apply conditions are NO LONGER met (inverse)
+        if (trigger.static && trigger.conditions && trigger.conditions.length > 0) {
+            return !this.evaluateConditionsWithConnectors(entity, trigger.conditions, trigger.logic);
+        }
+
+        return false;
+    }
+
+    /**
+     * Evaluate a single condition or a condition group
+     * Groups use per-expression connectors (AND/OR between each condition)
+     * @param {Object} entity - The entity to evaluate against
+     * @param {Object} cond - A condition or condition group
+     * @returns {boolean} - Whether the condition is met
+     */
+    evaluateConditionOrGroup(entity, cond) {
+        // Check if this is a group
+        if (cond.type === 'group' && cond.conditions && cond.conditions.length > 0) {
+            // Use per-expression connectors within the group
+            let result = this.evaluateSingleCondition(entity, cond.conditions[0]);
+
+            for (let i = 1; i < cond.conditions.length; i++) {
+                const innerCond = cond.conditions[i];
+                const innerResult = this.evaluateSingleCondition(entity, innerCond);
+
+                // Use connector from condition, default to OR inside groups (common pattern)
+                const connector = innerCond.connector || 'OR';
+
+                if (connector === 'OR') {
+                    result = result || innerResult;
+                } else {
+                    result = result && innerResult;
+                }
+            }
+
+            return result;
+        }
+
+        // Single condition
+        return this.evaluateSingleCondition(entity, cond);
+    }
+
+    /**
+     * Evaluate a single condition (not a group)
+     * Supports 'active'/'inactive' operators for checking node state
+     * @param {Object} entity - The entity to evaluate against
+     * @param {Object} cond - The condition with target, operator, value
+     * @returns {boolean} - Whether the condition is met
+     */
+    evaluateSingleCondition(entity, cond) {
+        if (!cond || !cond.target) return false;
+
+        // Check for 'active'/'inactive' operators (for traits, modifiers, compounds)
+        if (cond.operator === 'active') {
+            return this.isNodeActive(entity, cond.target);
+        }
+        if (cond.operator === 'inactive') {
+            return !this.isNodeActive(entity, cond.target);
+        }
+
+        // Numeric comparison
+        const value = this.getNodeValue(entity, cond.target);
+        if (value === null || value === undefined) return false;
+        return this.evaluateThreshold(value, cond);
+    }
+
+    /**
+     * Check if a node (trait, modifier, compound) is active on an entity
+     * @param {Object} entity - The entity to check
+     * @param {string} nodeId - The node ID to check
+     * @returns {boolean} - Whether the node is active
+     */
+    isNodeActive(entity, nodeId) {
+        if (!this.spawnManager) return false;
+        return this.spawnManager.isNodeActive(entity, nodeId);
+    }
+
+    /**
+     * Check static modifier thresholds and auto-apply/remove as needed.
+     * Only triggers that read something changed since the entity's last check
+     * are evaluated (all of them on the first check).
+     * Called after variable updates in tick()
+     * @param {Object} entity - The entity to check
+     */
+    checkModifierThresholds(entity) {
+        if (!this.spawnManager) return;
+
+        const sm = this.spawnManager;
+        const changes = this._takeChanges(entity);
+        const modifiers = changes === null ? sm._thresholdModifiers : sm.getAffectedThresholdModifiers(changes);
+        sm.cascadeStats.skipped += sm._thresholdModifiers.length - modifiers.length;
+        if (modifiers.length === 0) return;
+
+        // Use pre-computed exclusive groups
+        const exclusiveGroups = this.spawnManager._exclusiveGroups;
+
+        // Resolve exclusive groups first (pick winner per group)
+        const groupWinners = this.resolveExclusiveGroups(entity, exclusiveGroups, modifiers);
+
+        // Batch cascade: defer recalculations until all modifier changes are resolved
+        this._batchingCascade = true;
+        this._cascadeDirty = null;
+
+        for (const modifier of modifiers) {
+            const trigger = modifier.config.trigger;
+            const isActive = entity.modifiers.includes(modifier.id);
+            const isStatic = trigger.static || false;
+            const shouldApply = this.evaluateModifierTrigger(entity, trigger);
+
+            // Check if this modifier is in an exclusive group
+            const groupResult = groupWinners.get(modifier.id);
+
+            if (groupResult !== undefined) {
+                // Exclusive group member — only the winner applies
+                if (groupResult === true && !isActive) {
+                    this.applyModifier(entity.id, modifier.id, {
+                        ...modifier.config,
+                        isStatic: isStatic
+                    });
+                } else if (groupResult === false && isActive) {
+                    this.removeModifier(entity.id, modifier.id);
+                }
+            } else {
+                // Not in an exclusive group — original behavior
+                if (!isActive && shouldApply) {
+                    this.applyModifier(entity.id, modifier.id, {
+                        ...modifier.config,
+                        isStatic: isStatic
+                    });
+                } else if (isActive && isStatic) {
+                    const shouldRemove = this.evaluateRemoveConditions(entity, trigger);
+                    if (shouldRemove) {
+                        this.removeModifier(entity.id, modifier.id);
+                    }
+                }
+            }
+            sm._recordCascadeEvaluation('threshold', modifier.id, entity.modifiers.includes(modifier.id) !== isActive);
+        }
+
+        // Flush: run cascade once if any modifiers changed
+        this._batchingCascade = false;
+        if (this._cascadeDirty) {
+            const dirty = this._cascadeDirty;
+            this._cascadeDirty = null;
+            this._cascadeEntity = null;
+            this._runCascade(entity, dirty.has('*') ? null : [...dirty]);
+        }
+    }
+
+    /**
+     * Build exclusive groups from modifier exclusiveWith config
+     * Returns a Map of modId -> Set of exclusive partner mod IDs
+     */
+    buildExclusiveGroups(modifiers) {
+        const groups = new Map();
+        for (const mod of modifiers) {
+            const exclusive = mod.config.exclusiveWith;
+            if (exclusive && exclusive.length > 0) {
+                if (!groups.has(mod.id)) groups.set(mod.id, new Set());
+                for (const partnerId of exclusive) {
+                    groups.get(mod.id).add(partnerId);
+                    // Ensure bidirectional: partner also knows about this modifier
+                    if (!groups.has(partnerId)) groups.set(partnerId, new Set());
+                    groups.get(partnerId).add(mod.id);
+                }
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Resolve exclusive groups: for each group, evaluate all members and pick the winner.
+     * Returns a Map of modId -> true (winner) | false (loser) for all group members.
+     * Modifiers not in any group are not included in the map.
+     */
+    resolveExclusiveGroups(entity, exclusiveMap, modifiers) {
+        const results = new Map();
+        const visited = new Set();
+
+        for (const modId of exclusiveMap.keys()) {
+            if (visited.has(modId)) continue;
+
+            const group = this._collectExclusiveGroup(exclusiveMap, modId);
+
+            // Mark all as visited
+            for (const id of group) visited.add(id);
+
+            // Groups outside the modifiers being checked keep their state
+            if (!modifiers.some(m => group.has(m.id))) continue;
+
+            // Evaluate which members' conditions are currently met
+            const candidates = [];
+            for (const id of group) {
+                const mod = modifiers.find(m => m.id === id);
+                if (mod && this.evaluateModifierTrigger(entity, mod.config.trigger)) {
+                    candidates.push(mod);
+                }
+            }
+
+            if (candidates.length === 0) {
+                // No conditions met — all losers (remove any active)
+                for (const id of group) results.set(id, false);
+            } else if (candidates.length === 1) {
+                // Only one qualifies — it wins
+                for (const id of group) results.set(id, id === candidates[0].id);
+            } else {
+                // Multiple qualify — pick most specific
+                const winner = this.getMostSpecificModifier(candidates);
+                for (const id of group) results.set(id, id === winner.id);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Collect a modifier's full exclusive group (transitive closure of exclusiveWith).
+     * @param {Map<string, Set<string>>} exclusiveMap - modId -> partner IDs
+     * @param {string} modId - Any member of the group
+     * @returns {Set<string>} All member IDs, including modId
+     * @private
+     */
+    _collectExclusiveGroup(exclusiveMap, modId) {
+        const group = new Set([modId]);
+        const queue = [modId];
+        while (queue.length > 0) {
+            const current = queue.pop();
+            const currentPartners = exclusiveMap.get(current);
+            if (currentPartners) {
+                for (const p of currentPartners) {
+                    if (!group.has(p)) {
+                        group.add(p);
+                        queue.push(p);
+                    }
+                }
+            }
+        }
+        return group;
+    }
+
+    /**
+     * Among multiple modifiers whose conditions are all met,
+     * pick the most specific (narrowest threshold).
+     * For same-variable same-operator: <= uses lowest value, >= uses highest value.
+     * Falls back to config node order.
+     */
+    getMostSpecificModifier(candidates) {
+        return this._pickMostSpecificModifier(candidates).modifier;
+    }
+
+    /**
+     * getMostSpecificModifier, plus which rule decided it.
+     * @param {Array<Object>} candidates - Modifier nodes whose conditions are met
+     * @returns {{modifier: Object, reason: string}} reason is 'narrowestThreshold' or 'configOrder'
+     * @private
+     */
+    _pickMostSpecificModifier(candidates) {
+        // Try to auto-detect specificity from single-condition triggers on same variable
+        const singleCondCandidates = candidates.filter(m =>
+            m.config.trigger?.conditions?.length === 1
+        );
+
+        if (singleCondCandidates.length === candidates.length) {
+            const conds = singleCondCandidates.map(m => ({
+                mod: m,
+                cond: m.config.trigger.conditions[0]
+            }));
+
+            // Check if all target the same variable
+            const targets = new Set(conds.map(c => c.cond.target));
+            if (targets.size === 1) {
+                // Group by operator direction
+                const leOps = conds.filter(c => c.cond.operator === '<=' || c.cond.operator === '<');
+                const geOps = conds.filter(c => c.cond.operator === '>=' || c.cond.operator === '>');
+
+                if (leOps.length === conds.length) {
+                    // All <= or <: lowest threshold value is most specific
+                    leOps.sort((a, b) => a.cond.value - b.cond.value);
+                    return { modifier: leOps[0].mod, reason: 'narrowestThreshold' };
+                }
+                if (geOps.length === conds.length) {
+                    // All >= or >: highest threshold value is most specific
+                    geOps.sort((a, b) => b.cond.value - a.cond.value);
+                    return { modifier: geOps[0].mod, reason: 'narrowestThreshold' };
+                }
+            }
+        }
+
+        // Fallback: first candidate in config node order (already filtered from modifiers array)
+        return { modifier: candidates[0], reason: 'configOrder' };
+    }
+
+    // ========================================
+    // STATE EXPLANATION
+    // ========================================
+
+    /**
+     * Explain why a node is (or isn't) active on an entity, from its current state.
+     * - Modifiers: trigger condition tree with live values, removal conditions,
+     *   and the exclusive-group contest (see explainModifier)
+     * - Compounds: each requirement under `requirementLogic` (see SpawnManager#explainCompound)
+     * - Traits: the logged selection breakdown, if explain mode was on (see SpawnManager#explainTrait)
+     * - Anything else: `{ nodeId, type, active, value }`
+     *
+     * @param {string} entityId - Entity ID
+     * @param {string} nodeId - Node to explain
+     * @returns {Object|null} Explanation, or null if the entity or node is unknown
+     * @example
+     * const why = entityManager.explainState(patron.id, 'comp_hangry');
+     * if (!why.satisfied) {
+     *   console.log(why.requirements.filter(r => !r.pass));
+     * }
+     */
+    explainState(entityId, nodeId) {
+        const entity = this.retrieve(entityId);
+        const node = this.spawnManager?.getNode(nodeId);
+        if (!entity || !node) return null;
+
+        if (node.type === 'modifier') return this.explainModifier(entity, nodeId);
+        if (node.type === 'compound') return this.spawnManager.explainCompound(entity, nodeId);
+
+        const active = this.isNodeActive(entity, nodeId);
+        if (this.spawnManager.isTrait(node)) {
+            return { nodeId, type: node.type, active, selection: this.spawnManager.explainTrait(entity, nodeId) };
+        }
+        return { nodeId, type: node.type, active, value: this.getNodeValue(entity, nodeId) };
+    }
+
+    /**
+     * Explain a modifier: its trigger as a condition tree (each leaf with the
+     * live `actual` value and `pass`), its removal conditions if static, its
+     * runtime state, and, for exclusive groups, every rival and why the winner won.
+     *
+     * @param {Object} entity - The entity
+     * @param {string} modifierId - Modifier node ID
+     * @returns {Object|null} { nodeId, type, active, state, trigger, isStatic, removeConditions, exclusiveGroup }
+     */
+    explainModifier(entity, modifierId) {
+        const modifier = this.spawnManager?.getNode(modifierId);
+        if (!modifier || modifier.type !== 'modifier') return null;
+
+        const trigger = modifier.config.trigger || null;
+        const isStatic = trigger?.static || false;
+        const hasRemoveConditions = isStatic && trigger.removeConditions?.length > 0;
+
+        return {
+            nodeId: modifierId,
+            type: 'modifier',
+            active: entity.modifiers.includes(modifierId),
+            state: entity._modifierStates?.[modifierId] ? { ...entity._modifierStates[modifierId] } : null,
+            trigger: trigger ? this.explainModifierTrigger(entity, trigger) : null,
+            isStatic,
+            removeConditions: hasRemoveConditions
+                ? this._explainConditionList(entity, trigger.removeConditions, trigger.removeLogic)
+                : null,
+            exclusiveGroup: this._explainExclusiveGroup(entity, modifierId)
+        };
+    }
+
+    /**
+     * Condition tree for a modifier trigger, mirroring evaluateModifierTrigger.
+     * @param {Object} entity - The entity
+     * @param {Object} trigger - Trigger config
+     * @returns {Object} { logic, pass, conditions }
+     */
+    explainModifierTrigger(entity, trigger) {
+        const pass = this.evaluateModifierTrigger(entity, trigger);
+        if (trigger?.conditions?.length > 0) {
+            return { logic: trigger.logic || 'all', pass, conditions: this._explainConditionList(entity, trigger.conditions, trigger.logic).conditions };
+        }
+        if (trigger?.target) {
+            // Legacy single-target trigger
+            const actual = this.getNodeValue(entity, trigger.target);
+            return {
+                logic: 'all',
+                pass,
+                conditions: [{ target: trigger.target, operator: trigger.operator, value: trigger.value, actual, pass }]
+            };
+        }
+        return { logic: 'all', pass, conditions: [] };
+    }
+
+    /**
+     * Explain a connector-joined condition list, mirroring evaluateConditionsWithConnectors.
+     * @private
+     */
+    _explainConditionList(entity, conditions, fallbackLogic = 'all') {
+        const explained = conditions.map((cond, i) => {
+            const connector = i === 0 ? null : (cond.connector || (fallbackLogic === 'any' ? 'OR' : 'AND'));
+            if (cond.type === 'group' && cond.conditions?.length > 0) {
+                return {
+                    type: 'group',
+                    connector,
+                    pass: this.evaluateConditionOrGroup(entity, cond),
+                    conditions: cond.conditions.map((inner, j) => ({
+                        ...this._explainSingleCondition(entity, inner),
+                        connector: j === 0 ? null : (inner.connector || 'OR')
+                    }))
+                };
+            }
+            return { ...this._explainSingleCondition(entity, cond), connector };
+        });
+        return { pass: this.evaluateConditionsWithConnectors(entity, conditions, fallbackLogic), conditions: explained };
+    }
+
+    /** @private */
+    _explainSingleCondition(entity, cond) {
+        const byState = cond?.operator === 'active' || cond?.operator === 'inactive';
+        const actual = !cond?.target ? null
+            : byState ? this.isNodeActive(entity, cond.target) : this.getNodeValue(entity, cond.target);
+        return {
+            target: cond?.target ?? null,
+            operator: cond?.operator ?? null,
+            value: cond?.value,
+            actual: actual ?? null,
+            pass: this.evaluateSingleCondition(entity, cond)
+        };
+    }
+
+    /**
+     * Re-run the exclusive-group contest for the modifier's group and report it.
+     * @returns {Object|null} { members, winner, reason, message }, or null if not in a group
+     * @private
+     */
+    _explainExclusiveGroup(entity, modifierId) {
+        const exclusiveMap = this.spawnManager._exclusiveGroups;
+        if (!exclusiveMap.has(modifierId)) return null;
+
+        const modifiers = this.spawnManager._thresholdModifiers;
+        const group = this._collectExclusiveGroup(exclusiveMap, modifierId);
+        const members = [];
+        const candidates = [];
+        for (const id of group) {
+            const mod = modifiers.find(m => m.id === id);
+            const conditionsMet = mod ? this.evaluateModifierTrigger(entity, mod.config.trigger) : false;
+            if (conditionsMet) candidates.push(mod);
+            members.push({ modifierId: id, conditionsMet, active: entity.modifiers.includes(id) });
+        }
+
+        let winner = null;
+        let reason = 'noCandidates';
+        let message = 'No member of the group has its conditions met';
+        if (candidates.length === 1) {
+            winner = candidates[0].id;
+            reason = 'onlyCandidate';
+            message = `Only "${winner}" has its conditions met`;
+        } else if (candidates.length > 1) {
+            const pick = this._pickMostSpecificModifier(candidates);
+            winner = pick.modifier.id;
+            reason = pick.reason;
+            message = reason === 'narrowestThreshold'
+                ? `"${winner}" has the narrowest threshold on ${pick.modifier.config.trigger.conditions[0].target}`
+                : `Several members qualify; "${winner}" comes first in config order`;
+        }
+
+        for (const member of members) {
+            member.outcome = member.modifierId === winner ? 'won' : 'lost';
+        }
+        return { members, winner, reason, message };
+    }
+
+    // ========================================
+    // QUERYING
+    // ========================================
+
+    query(filter = {}) {
+        let results = [];
+
+        if (filter.fromGroup) {
+            results = this.getGroup(filter.fromGroup);
+        } else if (filter.fromActive) {
+            results = this.getAllActive();
+        } else {
+            results = this.getAllStored();
+        }
+
+        if (filter.where) {
+            results = results.filter(entity => this.matchesWhere(entity, filter.where));
+        }
+
+        if (filter.sortBy) {
+            const desc = filter.sortDesc || false;
+            results.sort((a, b) => {
+                const aVal = this.getNestedValue(a, filter.sortBy) || 0;
+                const bVal = this.getNestedValue(b, filter.sortBy) || 0;
+                return desc ? bVal - aVal : aVal - bVal;
+            });
+        }
+
+        if (filter.limit) {
+            results = results.slice(0, filter.limit);
+        }
+
+        return results;
+    }
+
+    matchesWhere(entity, where) {
+        for (const [path, condition] of Object.entries(where)) {
+            const actual = this.getNestedValue(entity, path);
+            if (typeof condition === 'object' && condition !== null) {
+                for (const [op, value] of Object.entries(condition)) {
+                    if (!this.compareValues(actual, op, value)) return false;
+                }
+            } else {
+                if (actual !== condition) return false;
+            }
+        }
+        return true;
+    }
+
+    getNestedValue(obj, path) {
+        return path.split('.').reduce((curr, key) => curr?.[key], obj);
+    }
+
+    compareValues(actual, op, expected) {
+        switch (op) {
+            case 'eq': return actual === expected;
+            case 'ne': return actual !== expected;
+            case 'gt': return actual > expected;
+            case 'gte': return actual >= expected;
+            case 'lt': return actual < expected;
+            case 'lte': return actual <= expected;
+            case 'in': return Array.isArray(expected) && expected.includes(actual);
+            case 'includes': return Array.isArray(actual) && actual.includes(expected);
+            default: return false;
+        }
+    }
+
+    // ========================================
+    // STATE SUMMARY
+    // ========================================
+
+    getState(entityId) {
+        const entity = this.retrieve(entityId);
+        if (!entity) return null;
+
+        const activeTraits = [];
+        for (const [layerId, layerState] of Object.entries(entity.layers)) {
+            for (const traitId of layerState.active) {
+                const trait = this.spawnManager?.getNode(traitId);
+                activeTraits.push({ id: traitId, name: trait?.name || traitId, layerId });
+            }
+        }
+
+        const activeModifiers = entity.modifiers.map(modId => {
+            const mod = this.spawnManager?.getNode(modId);
+            const state = entity._modifierStates?.[modId] || {};
+            return { id: modId, name: mod?.name || modId, stacks: state.stacks, expiresAt: state.expiresAt };
+        });
+
+        const activeCompounds = entity.compounds.map(compId => {
+            const comp = this.spawnManager?.getNode(compId);
+            return { id: compId, name: comp?.name || compId };
+        });
+
+        return {
+            id: entity.id,
+            name: entity.name,
+            presetId: entity.presetId,
+            createdAt: entity.createdAt,
+            isActive: this.active.has(entity.id),
+            attributes: { ...entity.attributes },
+            variables: Object.fromEntries(
+                Object.entries(entity.variables).map(([k, v]) => [k, {
+                    value: v.value, rate: v.currentRate, min: v.min, max: v.max
+                }])
+            ),
+            contexts: { ...entity.contexts },
+            activeTraits,
+            activeModifiers,
+            activeCompounds,
+            derived: { ...entity.derived }
+        };
+    }
+
+    // ========================================
+    // ENTITY POOLING
+    // ========================================
+
+    /**
+     * Configure the entity pool for reuse/recycling.
+     * Useful for scenarios with frequent spawn/despawn (JRPG combat, bullet hell, etc.)
+     *
+     * @param {Object} config - Pool configuration
+     * @param {number} [config.maxSize=100] - Maximum entities to keep in pool
+     * @param {number} [config.preWarm=0] - Number of entities to pre-create
+     * @param {string} [config.preWarmPreset=null] - Preset to use for pre-warming
+     * @param {number} [config.shrinkThreshold=0.5] - Shrink pool when usage below this ratio
+     * @param {number} [config.shrinkDelay=30000] - Delay before shrinking (ms)
+     * @returns {EntityManager} This instance for chaining
+     * @example
+     * // JRPG combat setup
+     * entityManager.configurePool({
+     *   maxSize: 50,
+     *   preWarm: 10,
+     *   preWarmPreset: 'enemy_goblin'
+     * });
+     */
+    configurePool(config) {
+        this.poolConfig = { ...this.poolConfig, ...config };
+
+        // Pre-warm if requested
+        if (config.preWarm && config.preWarm > 0) {
+            this.preWarmPool(config.preWarm, config.preWarmPreset);
+        }
+
+        return this;
+    }
+
+    /**
+     * Acquire an entity from the pool or create a new one.
+     * Faster than spawn() for high-frequency scenarios.
+     *
+     * @param {string|Object} [presetIdOrOverrides] - Preset ID or override object
+     * @param {Object} [overrides={}] - Additional overrides when using preset
+     * @returns {Object} The acquired entity
+     * @example
+     * // Acquire enemy for combat
+     * const enemy = entityManager.acquire('enemy_goblin');
+     *
+     * // Acquire with overrides
+     * const boss = entityManager.acquire('enemy_goblin', {
+     *   attributes: { strength: 20 }
+     * });
+     *
+     * // When combat ends, release back to pool
+     * entityManager.release(enemy);
+     */
+    acquire(presetIdOrOverrides, overrides = {}) {
+        let entity;
+        let fromPool = false;
+
+        // Try to get from pool first
+        if (this.pool.length > 0) {
+            entity = this.pool.pop();
+            fromPool = true;
+
+            // Reset entity state for reuse
+            this._resetEntityForReuse(entity, presetIdOrOverrides, overrides);
+
+            this.poolStats.available--;
+        } else {
+            // Create new entity
+            if (!this.spawnManager) {
+                throw new Error('EntityManager requires a linked SpawnManager for acquire()');
+            }
+
+            if (typeof presetIdOrOverrides === 'string') {
+                entity = this.spawnManager.spawn(presetIdOrOverrides, overrides);
+            } else {
+                entity = this.spawnManager.generate(presetIdOrOverrides || overrides);
+            }
+
+            this.poolStats.totalCreated++;
+        }
+
+        if (entity) {
+            // Store and activate
+            this.store(entity);
+            this.activate(entity);
+
+            this.poolStats.inUse++;
+            this.poolStats.totalAcquired++;
+
+            this.emit('entityAcquired', { entityId: entity.id, fromPool });
+        }
+
+        return entity;
+    }
+
+    /**
+     * Release an entity back to the pool for reuse.
+     * Entity is deactivated and removed from active tracking.
+     *
+     * @param {Object|string} entityOrId - Entity or entity ID to release
+     * @returns {boolean} True if released to pool, false if pool full or entity not found
+     * @example
+     * // Release enemy after combat
+     * entityManager.release(enemy);
+     * entityManager.release('entity_123');
+     */
+    release(entityOrId) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId?.id;
+        const entity = this.stored.get(entityId);
+
+        if (!entity) return false;
+
+        // Deactivate and remove from tracking
+        this.deactivate(entityId);
+        this.stored.delete(entityId);
+        this.active.delete(entityId);
+
+        // Clear history for this entity
+        this.history.delete(entityId);
+
+        // Remove from all groups
+        for (const group of this.groups.values()) {
+            group.entities.delete(entityId);
+        }
+
+        this.poolStats.inUse = Math.max(0, this.poolStats.inUse - 1);
+        this.poolStats.totalReleased++;
+
+        // Add to pool if not full
+        if (this.pool.length < this.poolConfig.maxSize) {
+            // Clean up entity for pooling
+            this._prepareEntityForPool(entity);
+            this.pool.push(entity);
+            this.poolStats.available++;
+            this.poolStats.size = this.pool.length;
+
+            this.emit('entityReleased', { entityId, toPool: true });
+
+            // Schedule shrink check
+            this._scheduleShrinkCheck();
+
+            return true;
+        }
+
+        this.emit('entityReleased', { entityId, toPool: false });
+        return false;
+    }
+
+    /**
+     * Pre-warm the pool by creating entities ahead of time.
+     * Useful to avoid spawn hitches during gameplay.
+     *
+     * @param {number} count - Number of entities to pre-create
+     * @param {string} [presetId] - Preset to use (random if not specified)
+     * @returns {EntityManager} This instance for chaining
+     * @example
+     * // Pre-warm for wave-based combat
+     * entityManager.preWarmPool(20, 'enemy_basic');
+     */
+    preWarmPool(count, presetId = null) {
+        if (!this.spawnManager) {
+            console.warn('EntityManager requires a linked SpawnManager for preWarmPool()');
+            return this;
+        }
+
+        const toCreate = Math.min(count, this.poolConfig.maxSize - this.pool.length);
+
+        for (let i = 0; i < toCreate; i++) {
+            let entity;
+            if (presetId) {
+                entity = this.spawnManager.spawn(presetId);
+            } else {
+                entity = this.spawnManager.generate();
+            }
+
+            if (entity) {
+                this._prepareEntityForPool(entity);
+                this.pool.push(entity);
+                this.poolStats.totalCreated++;
+            }
+        }
+
+        this.poolStats.size = this.pool.length;
+        this.poolStats.available = this.pool.length;
+
+        return this;
+    }
+
+    /**
+     * Clear all entities from the pool.
+     *
+     * @returns {EntityManager} This instance for chaining
+     */
+    clearPool() {
+        this.pool = [];
+        this.poolStats.size = 0;
+        this.poolStats.available = 0;
+
+        if (this._shrinkTimeout) {
+            clearTimeout(this._shrinkTimeout);
+            this._shrinkTimeout = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Get current pool statistics.
+     *
+     * @returns {Object} Pool stats
+     * @example
+     * const stats = entityManager.getPoolStats();
+     * console.log(`Pool: ${stats.available}/${stats.size} available, ${stats.inUse} in use`);
+     */
+    getPoolStats() {
+        return {
+            ...this.poolStats,
+            size: this.pool.length,
+            available: this.pool.length
+        };
+    }
+
+    /**
+     * Reset an entity's state for reuse from pool.
+     * @private
+     */
+    _resetEntityForReuse(entity, presetIdOrOverrides, overrides = {}) {
+        if (!this.spawnManager) return;
+
+        // Get preset or overrides
+        let preset = null;
+        let finalOverrides = overrides;
+
+        if (typeof presetIdOrOverrides === 'string') {
+            preset = this.getPreset(presetIdOrOverrides);
+        } else if (presetIdOrOverrides) {
+            finalOverrides = { ...presetIdOrOverrides, ...overrides };
+        }
+
+        // Fresh random stream and ID, as if newly generated
+        const rng = this.spawnManager.createEntityRng(finalOverrides.seed);
+        entity.id = this.spawnManager.generateEntityId(rng);
+        entity.createdAt = this.clock.now();
+        entity.presetId = preset?.id || null;
+
+        // Re-roll attributes
+        const attributes = this.spawnManager.getAttributes();
+        const attributeOverrides = { ...finalOverrides.attributes, ...preset?.attributes };
+        const fixedValues = Object.fromEntries(
+            Object.entries(attributeOverrides).filter(([, value]) => typeof value === 'number')
+        );
+        const correlatedDraws = new Map();
+        for (const attr of attributes) {
+            const cfg = attr.config;
+            const range = cfg.defaultRange || [cfg.min, cfg.max];
+
+            // Check for override (supports fixed values, ranges, variance and distributions)
+            if (attributeOverrides[attr.id] !== undefined) {
+                entity.attributes[attr.id] = this.spawnManager.resolvePresetAttributeValue(
+                    attributeOverrides[attr.id],
+                    cfg.precision ?? 0,
+                    rng,
+                    attr
+                );
+            } else {
+                const draw = this.spawnManager._getCorrelatedDraw(attr.id, correlatedDraws, fixedValues, rng);
+                entity.attributes[attr.id] = this.spawnManager.rollAttribute(attr, { min: range[0], max: range[1] }, rng, draw);
+            }
+        }
+
+        // Reset variables to initial
+        const variables = this.spawnManager.getVariables();
+        for (const varNode of variables) {
+            const cfg = varNode.config;
+            entity.variables[varNode.id] = {
+                value: cfg.initial ?? cfg.min ?? 0,
+                baseRate: cfg.baseRate ?? 0,
+                currentRate: cfg.baseRate ?? 0,
+                min: cfg.min ?? 0,
+                max: cfg.max ?? 100,
+                changeMode: cfg.changeMode || 'manual',
+                direction: cfg.direction || 'none',
+                ...(cfg.tickSystemId && { tickSystemId: cfg.tickSystemId })
+            };
+        }
+
+        // Clear layers
+        for (const layerId of Object.keys(entity.layers)) {
+            entity.layers[layerId] = { active: [], lastRoll: null };
+        }
+
+        // Clear modifiers and compounds
+        entity.modifiers = [];
+        entity.compounds = [];
+        entity._modifierStates = {};
+
+        // Clear derived
+        entity.derived = {};
+
+        // Clear internal log
+        entity._internal = {
+            log: [],
+            lastTick: this.clock.now(),
+            rng: rng.state
+        };
+
+        // Re-roll initial layers
+        const layers = this.spawnManager.getLayers();
+        for (const layer of layers) {
+            const timing = layer.config?.timing?.rollAt || 'spawn';
+            if (timing === 'spawn' || timing === 'create') {
+                this.spawnManager.rollLayer(entity, layer.id);
+            }
+        }
+
+        // Force traits if specified (supports both legacy forceTraits and new traits object)
+        const forceTraits = [
+            ...(preset?.forceTraits || []),
+            ...this.spawnManager.resolvePresetTraits(preset?.traits, rng),
+            ...(finalOverrides.forceTraits || []),
+            ...this.spawnManager.resolvePresetTraits(finalOverrides.traits, rng)
+        ];
+        for (const traitId of forceTraits) {
+            this.spawnManager.forceActivateTrait(entity, traitId);
+        }
+
+        // Recalculate
+        this._runCascade(entity);
+    }
+
+    /**
+     * Prepare an entity for storage in the pool.
+     * @private
+     */
+    _prepareEntityForPool(entity) {
+        // Clear most state but keep structure
+        entity._internal = { log: [], lastTick: 0 };
+        entity.modifiers = [];
+        entity.compounds = [];
+        entity._modifierStates = {};
+
+        // Clear layer actives but keep structure
+        for (const layerId of Object.keys(entity.layers)) {
+            entity.layers[layerId] = { active: [], lastRoll: null };
+        }
+    }
+
+    /**
+     * Schedule a pool shrink check (legacy - delegates to default pool).
+     * @private
+     * @deprecated Use _scheduleShrinkCheckForPool() instead
+     */
+    _scheduleShrinkCheck() {
+        this._scheduleShrinkCheckForPool(this.defaultPoolId);
+    }
+
+    /**
+     * Check if pool should shrink.
+     * @private
+     * @param {string} [poolId] - Pool to check (defaults to default pool)
+     */
+    _checkPoolShrink(poolId = this.defaultPoolId) {
+        const pool = this.pools.get(poolId);
+        if (!pool) return;
+
+        const usage = pool.stats.inUse / (pool.stats.inUse + pool.entities.length);
+
+        if (usage < pool.config.shrinkThreshold && pool.entities.length > 10) {
+            // Shrink to half size
+            const targetSize = Math.max(10, Math.floor(pool.entities.length / 2));
+            while (pool.entities.length > targetSize) {
+                pool.entities.pop();
+            }
+            pool.stats.size = pool.entities.length;
+            pool.stats.available = pool.entities.length;
+
+            // Sync legacy references for default pool
+            if (poolId === this.defaultPoolId) {
+                this.poolStats.size = pool.stats.size;
+                this.poolStats.available = pool.stats.available;
+            }
+        }
+    }
+
+    /**
+     * Schedule a pool shrink check for a specific pool.
+     * @private
+     * @param {string} [poolId] - Pool to schedule check for
+     */
+    _scheduleShrinkCheckForPool(poolId = this.defaultPoolId) {
+        const pool = this.pools.get(poolId);
+        if (!pool || pool._shrinkTimeout) return;
+        if (!pool.config.shrinkDelay) return;
+
+        pool._shrinkTimeout = setTimeout(() => {
+            pool._shrinkTimeout = null;
+            this._checkPoolShrink(poolId);
+        }, pool.config.shrinkDelay);
+    }
+
+    // ========================================
+    // MULTI-POOL MANAGEMENT
+    // ========================================
+
+    /**
+     * Create a new named entity pool.
+     *
+     * @param {string} poolId - Unique pool identifier
+     * @param {Object} [options={}] - Pool configuration
+     * @param {string} [options.name] - Display name for the pool
+     * @param {string} [options.description] - Pool description
+     * @param {number} [options.maxSize=100] - Maximum entities in pool
+     * @param {number} [options.preWarm=0] - Entities to pre-create
+     * @param {string} [options.preWarmPreset] - Preset for pre-warming
+     * @param {number} [options.shrinkThreshold=0.5] - Shrink when usage below ratio
+     * @param {number} [options.shrinkDelay=30000] - Delay before shrinking (ms)
+     * @param {Object} [options.rules] - Assignment rules for this pool
+     * @returns {Object} The created pool instance
+     * @fires EntityManager#poolCreated
+     * @example
+     * manager.createPool('enemies', {
+     *   name: 'Enemy Pool',
+     *   maxSize: 50,
+     *   preWarm: 10,
+     *   preWarmPreset: 'goblin',
+     *   rules: { conditions: [{ source: 'preset', match: 'enemy_*' }] }
+     * });
+     */
+    createPool(poolId, options = {}) {
+        if (this.pools.has(poolId)) {
+            console.warn(`Pool '${poolId}' already exists. Use configurePool() to modify.`);
+            return this.pools.get(poolId);
+        }
+
+        const pool = {
+            id: poolId,
+            name: options.name || poolId,
+            description: options.description || '',
+            config: {
+                maxSize: options.maxSize ?? 100,
+                preWarm: options.preWarm ?? 0,
+                preWarmPreset: options.preWarmPreset ?? null,
+                shrinkThreshold: options.shrinkThreshold ?? 0.5,
+                shrinkDelay: options.shrinkDelay ?? 30000
+            },
+            stats: {
+                size: 0,
+                available: 0,
+                inUse: 0,
+                totalAcquired: 0,
+                totalReleased: 0,
+                totalCreated: 0
+            },
+            entities: [],
+            rules: options.rules || null,
+            _shrinkTimeout: null
+        };
+
+        this.pools.set(poolId, pool);
+        // Room for the whole pool to be active at once
+        if (this.storage) this.storage.reserve(this.storage.highWater + pool.config.maxSize);
+        this.emit('poolCreated', { poolId, pool });
+
+        // Pre-warm if requested
+        if (pool.config.preWarm > 0) {
+            this.preWarmPool(pool.config.preWarm, pool.config.preWarmPreset, poolId);
+        }
+
+        return pool;
+    }
+
+    /**
+     * Get a pool by ID.
+     *
+     * @param {string} poolId - Pool identifier
+     * @returns {Object|null} The pool instance or null if not found
+     */
+    getPool(poolId) {
+        return this.pools.get(poolId) || null;
+    }
+
+    /**
+     * List all pools.
+     *
+     * @returns {Array<Object>} Array of pool summaries
+     * @example
+     * const pools = manager.listPools();
+     * // [{ id: 'default', name: 'Default Pool', stats: {...} }, ...]
+     */
+    listPools() {
+        return Array.from(this.pools.values()).map(pool => ({
+            id: pool.id,
+            name: pool.name,
+            description: pool.description,
+            stats: { ...pool.stats },
+            hasRules: !!pool.rules
+        }));
+    }
+
+    /**
+     * Remove a pool. Entities in the pool are moved to default pool.
+     *
+     * @param {string} poolId - Pool to remove
+     * @returns {boolean} True if removed, false if not found or is default
+     * @fires EntityManager#poolRemoved
+     */
+    removePool(poolId) {
+        if (poolId === this.defaultPoolId) {
+            console.warn('Cannot remove the default pool.');
+            return false;
+        }
+
+        const pool = this.pools.get(poolId);
+        if (!pool) return false;
+
+        // Move pooled entities to default pool
+        const defaultPool = this.pools.get(this.defaultPoolId);
+        for (const entity of pool.entities) {
+            if (defaultPool.entities.length < defaultPool.config.maxSize) {
+                entity.poolId = this.defaultPoolId;
+                defaultPool.entities.push(entity);
+                defaultPool.stats.available++;
+                defaultPool.stats.size++;
+            }
+        }
+
+        // Clear timeout
+        if (pool._shrinkTimeout) {
+            clearTimeout(pool._shrinkTimeout);
+        }
+
+        this.pools.delete(poolId);
+        this.emit('poolRemoved', { poolId });
+
+        // Sync legacy references
+        this.poolStats.size = defaultPool.stats.size;
+        this.poolStats.available = defaultPool.stats.available;
+
+        return true;
+    }
+
+    /**
+     * Configure a specific pool (or default pool for backward compatibility).
+     *
+     * @param {string|Object} poolIdOrConfig - Pool ID or config object (for backward compat)
+     * @param {Object} [config] - Configuration when poolId is provided
+     * @returns {EntityManager} This instance for chaining
+     * @example
+     * // New API - configure named pool
+     * manager.configurePool('enemies', { maxSize: 50 });
+     *
+     * // Legacy API - configure default pool
+     * manager.configurePool({ maxSize: 100 });
+     */
+    configurePool(poolIdOrConfig, config = null) {
+        let poolId, poolConfig;
+
+        // Backward compatibility: single object = default pool config
+        if (typeof poolIdOrConfig === 'object') {
+            poolId = this.defaultPoolId;
+            poolConfig = poolIdOrConfig;
+        } else {
+            poolId = poolIdOrConfig;
+            poolConfig = config || {};
+        }
+
+        const pool = this.pools.get(poolId);
+        if (!pool) {
+            console.warn(`Pool '${poolId}' not found. Use createPool() first.`);
+            return this;
+        }
+
+        // Update config
+        pool.config = { ...pool.config, ...poolConfig };
+
+        // Sync legacy references for default pool
+        if (poolId === this.defaultPoolId) {
+            this.poolConfig = { ...pool.config };
+        }
+
+        // Pre-warm if requested
+        if (poolConfig.preWarm && poolConfig.preWarm > 0) {
+            this.preWarmPool(poolConfig.preWarm, poolConfig.preWarmPreset, poolId);
+        }
+
+        this.emit('poolConfigured', { poolId, config: pool.config });
+        return this;
+    }
+
+    /**
+     * Acquire an entity from a specific pool or determine pool via rules.
+     *
+     * @param {string|Object} [presetIdOrOverrides] - Preset ID or override object
+     * @param {Object} [overrides={}] - Additional overrides
+     * @param {string} [targetPoolId] - Specific pool to acquire from (auto-determined if omitted)
+     * @returns {Object} The acquired entity
+     * @fires EntityManager#entityAcquired
+     * @example
+     * // Acquire from auto-determined pool
+     * const entity = manager.acquire('enemy_goblin');
+     *
+     * // Acquire from specific pool
+     * const entity = manager.acquire('enemy_goblin', {}, 'enemies');
+     */
+    acquire(presetIdOrOverrides, overrides = {}, targetPoolId = null) {
+        let entity;
+        let fromPool = false;
+        let poolId;
+
+        // Determine target pool
+        if (targetPoolId) {
+            poolId = targetPoolId;
+        } else {
+            // Will be determined after entity generation if rules exist
+            poolId = this.defaultPoolId;
+        }
+
+        const pool = this.pools.get(poolId);
+        if (!pool) {
+            console.warn(`Pool '${poolId}' not found, using default.`);
+            poolId = this.defaultPoolId;
+        }
+
+        const actualPool = this.pools.get(poolId);
+
+        // Try to get from pool first
+        if (actualPool.entities.length > 0) {
+            entity = actualPool.entities.pop();
+            fromPool = true;
+
+            // Reset entity state for reuse
+            this._resetEntityForReuse(entity, presetIdOrOverrides, overrides);
+
+            actualPool.stats.available--;
+        } else {
+            // Create new entity
+            if (!this.spawnManager) {
+                throw new Error('EntityManager requires a linked SpawnManager for acquire()');
+            }
+
+            if (typeof presetIdOrOverrides === 'string') {
+                entity = this.spawnManager.spawn(presetIdOrOverrides, overrides);
+            } else {
+                entity = this.spawnManager.generate(presetIdOrOverrides || overrides);
+            }
+
+            actualPool.stats.totalCreated++;
+        }
+
+        if (entity) {
+            // Determine final pool if rules exist and no explicit target
+            if (!targetPoolId) {
+                const determinedPoolId = this.getPoolForEntity(entity);
+                if (determinedPoolId !== poolId) {
+                    // Entity belongs to a different pool based on rules
+                    poolId = determinedPoolId;
+                }
+            }
+
+            // Set pool association on entity
+            entity.poolId = poolId;
+
+            // Store and activate
+            this.store(entity);
+            this.activate(entity);
+
+            actualPool.stats.inUse++;
+            actualPool.stats.totalAcquired++;
+
+            // Sync legacy stats for default pool
+            if (poolId === this.defaultPoolId) {
+                this.poolStats.inUse = actualPool.stats.inUse;
+                this.poolStats.totalAcquired = actualPool.stats.totalAcquired;
+                this.poolStats.totalCreated = actualPool.stats.totalCreated;
+            }
+
+            this.emit('entityAcquired', { entityId: entity.id, fromPool, poolId });
+        }
+
+        return entity;
+    }
+
+    /**
+     * Release an entity back to its pool (or specified pool).
+     *
+     * @param {Object|string} entityOrId - Entity or entity ID
+     * @param {string} [targetPoolId] - Pool to release to (uses entity's poolId if omitted)
+     * @returns {boolean} True if released to pool
+     * @fires EntityManager#entityReleased
+     */
+    release(entityOrId, targetPoolId = null) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId?.id;
+        const entity = this.stored.get(entityId);
+
+        if (!entity) return false;
+
+        // Determine pool
+        const poolId = targetPoolId || entity.poolId || this.defaultPoolId;
+        const pool = this.pools.get(poolId) || this.pools.get(this.defaultPoolId);
+
+        // Deactivate and remove from tracking
+        this.deactivate(entityId);
+        this.stored.delete(entityId);
+        this.active.delete(entityId);
+
+        // Clear history for this entity
+        this.history.delete(entityId);
+
+        // Remove from all groups
+        for (const group of this.groups.values()) {
+            group.entities.delete(entityId);
+        }
+
+        pool.stats.inUse = Math.max(0, pool.stats.inUse - 1);
+        pool.stats.totalReleased++;
+
+        // Sync legacy stats for default pool
+        if (poolId === this.defaultPoolId) {
+            this.poolStats.inUse = pool.stats.inUse;
+            this.poolStats.totalReleased = pool.stats.totalReleased;
+        }
+
+        // Add to pool if not full
+        if (pool.entities.length < pool.config.maxSize) {
+            // Clean up entity for pooling
+            this._prepareEntityForPool(entity);
+            entity.poolId = poolId;
+            pool.entities.push(entity);
+            pool.stats.available++;
+            pool.stats.size = pool.entities.length;
+
+            // Sync legacy stats
+            if (poolId === this.defaultPoolId) {
+                this.poolStats.available = pool.stats.available;
+                this.poolStats.size = pool.stats.size;
+            }
+
+            this.emit('entityReleased', { entityId, toPool: true, poolId });
+
+            // Schedule shrink check
+            this._scheduleShrinkCheckForPool(poolId);
+
+            return true;
+        }
+
+        this.emit('entityReleased', { entityId, toPool: false, poolId });
+        return false;
+    }
+
+    /**
+     * Move an entity from one pool to another.
+     *
+     * @param {Object|string} entityOrId - Entity or entity ID
+     * @param {string} targetPoolId - Pool to move to
+     * @returns {boolean} True if moved successfully
+     * @fires EntityManager#entityMovedPool
+     */
+    moveToPool(entityOrId, targetPoolId) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId?.id;
+        const entity = this.stored.get(entityId);
+
+        if (!entity) return false;
+
+        const targetPool = this.pools.get(targetPoolId);
+        if (!targetPool) {
+            console.warn(`Target pool '${targetPoolId}' not found.`);
+            return false;
+        }
+
+        const fromPoolId = entity.poolId || this.defaultPoolId;
+        if (fromPoolId === targetPoolId) return true; // Already in target pool
+
+        const fromPool = this.pools.get(fromPoolId);
+
+        // Update pool stats
+        if (fromPool) {
+            fromPool.stats.inUse = Math.max(0, fromPool.stats.inUse - 1);
+        }
+        targetPool.stats.inUse++;
+
+        // Update entity's pool association
+        entity.poolId = targetPoolId;
+
+        this.emit('entityMovedPool', { entityId, fromPool: fromPoolId, toPool: targetPoolId });
+        return true;
+    }
+
+    /**
+     * Pre-warm a specific pool.
+     *
+     * @param {number} count - Number of entities to pre-create
+     * @param {string} [presetId] - Preset to use
+     * @param {string} [poolId] - Pool to warm (defaults to default)
+     * @returns {EntityManager} This instance for chaining
+     */
+    preWarmPool(count, presetId = null, poolId = null) {
+        const targetPoolId = poolId || this.defaultPoolId;
+        const pool = this.pools.get(targetPoolId);
+
+        if (!pool) {
+            console.warn(`Pool '${targetPoolId}' not found.`);
+            return this;
+        }
+
+        if (!this.spawnManager) {
+            console.warn('EntityManager requires a linked SpawnManager for preWarmPool()');
+            return this;
+        }
+
+        const toCreate = Math.min(count, pool.config.maxSize - pool.entities.length);
+
+        for (let i = 0; i < toCreate; i++) {
+            let entity;
+            if (presetId) {
+                entity = this.spawnManager.spawn(presetId);
+            } else {
+                entity = this.spawnManager.generate();
+            }
+
+            if (entity) {
+                this._prepareEntityForPool(entity);
+                entity.poolId = targetPoolId;
+                pool.entities.push(entity);
+                pool.stats.totalCreated++;
+            }
+        }
+
+        pool.stats.size = pool.entities.length;
+        pool.stats.available = pool.entities.length;
+
+        // Sync legacy stats for default pool
+        if (targetPoolId === this.defaultPoolId) {
+            this.poolStats.size = pool.stats.size;
+            this.poolStats.available = pool.stats.available;
+            this.poolStats.totalCreated = pool.stats.totalCreated;
+        }
+
+        return this;
+    }
+
+    /**
+     * Clear a specific pool.
+     *
+     * @param {string} [poolId] - Pool to clear (defaults to default)
+     * @returns {EntityManager} This instance for chaining
+     */
+    clearPool(poolId = null) {
+        const targetPoolId = poolId || this.defaultPoolId;
+        const pool = this.pools.get(targetPoolId);
+
+        if (!pool) return this;
+
+        pool.entities.length = 0;
+        pool.stats.size = 0;
+        pool.stats.available = 0;
+
+        if (pool._shrinkTimeout) {
+            clearTimeout(pool._shrinkTimeout);
+            pool._shrinkTimeout = null;
+        }
+
+        // Sync legacy references for default pool
+        if (targetPoolId === this.defaultPoolId) {
+            this.pool.length = 0;
+            this.poolStats.size = 0;
+            this.poolStats.available = 0;
+        }
+
+        return this;
+    }
+
+    /**
+     * Get statistics for a specific pool.
+     *
+     * @param {string} [poolId] - Pool ID (defaults to default for backward compat)
+     * @returns {Object} Pool statistics
+     */
+    getPoolStats(poolId = null) {
+        const targetPoolId = poolId || this.defaultPoolId;
+        const pool = this.pools.get(targetPoolId);
+
+        if (!pool) {
+            return { size: 0, available: 0, inUse: 0, totalAcquired: 0, totalReleased: 0, totalCreated: 0 };
+        }
+
+        return {
+            ...pool.stats,
+            size: pool.entities.length,
+            available: pool.entities.length
+        };
+    }
+
+    /**
+     * Get statistics for all pools.
+     *
+     * @returns {Object} Map of poolId to stats
+     */
+    getAllPoolStats() {
+        const stats = {};
+        for (const [poolId, pool] of this.pools) {
+            stats[poolId] = this.getPoolStats(poolId);
+        }
+        return stats;
+    }
+
+    /**
+     * Set assignment rules for a pool.
+     *
+     * @param {string} poolId - Pool to configure
+     * @param {Object} rules - Assignment rules
+     * @param {Array<Object>} [rules.conditions] - Rule conditions
+     * @param {string} [rules.fallback='default'] - Fallback pool if no match
+     * @param {string} [rules.lodTier] - LOD tier for entities the rules match (see setLodTiers)
+     * @returns {EntityManager} This instance for chaining
+     * @example
+     * manager.setPoolRules('enemies', {
+     *   conditions: [
+     *     { source: 'preset', match: 'enemy_*' },
+     *     { source: 'trait', match: 'hostile' }
+     *   ]
+     * });
+     */
+    setPoolRules(poolId, rules) {
+        const pool = this.pools.get(poolId);
+        if (!pool) {
+            console.warn(`Pool '${poolId}' not found.`);
+            return this;
+        }
+
+        pool.rules = rules;
+        this.emit('poolRulesUpdated', { poolId, rules });
+        return this;
+    }
+
+    /**
+     * Determine which pool an entity should belong to based on rules.
+     *
+     * @param {Object} entity - Entity to evaluate
+     * @returns {string} Pool ID the entity should belong to
+     */
+    getPoolForEntity(entity) {
+        // 1. Check for explicit pool assignment
+        if (entity.poolId && this.pools.has(entity.poolId)) {
+            return entity.poolId;
+        }
+
+        // 2. Evaluate rules for each pool
+        const matches = [];
+        for (const [poolId, pool] of this.pools) {
+            if (poolId === this.defaultPoolId || !pool.rules?.conditions) continue;
+
+            const score = this._evaluatePoolRules(entity, pool.rules);
+            if (score > 0) {
+                matches.push({ poolId, score, priority: pool.rules.priority || 0 });
+            }
+        }
+
+        // Sort by priority then score
+        if (matches.length > 0) {
+            matches.sort((a, b) => {
+                if (a.priority !== b.priority) return b.priority - a.priority;
+                return b.score - a.score;
+            });
+            return matches[0].poolId;
+        }
+
+        // 3. Fallback to default pool
+        return this.defaultPoolId;
+    }
+
+    /**
+     * Evaluate pool rules against an entity.
+     * @private
+     */
+    _evaluatePoolRules(entity, rules) {
+        if (!rules?.conditions || rules.conditions.length === 0) return 0;
+
+        let score = 0;
+        for (const condition of rules.conditions) {
+            if (this._evaluatePoolCondition(entity, condition)) {
+                score += condition.weight || 1;
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Evaluate a single pool condition.
+     * @private
+     */
+    _evaluatePoolCondition(entity, condition) {
+        const { source, match, operator, value } = condition;
+
+        switch (source) {
+            case 'preset':
+                // Match preset ID (supports glob-like * patterns)
+                if (!entity.presetId) return false;
+                return this._matchPattern(entity.presetId, match);
+
+            case 'trait':
+                // Check if entity has an active trait
+                for (const layer of Object.values(entity.layers || {})) {
+                    if (layer.active?.includes(match)) return true;
+                }
+                return false;
+
+            case 'attribute':
+                // Check attribute value
+                const attrValue = entity.attributes?.[match];
+                if (attrValue === undefined) return false;
+                return this._evaluateOperator(attrValue, operator || 'eq', value);
+
+            case 'variable':
+                // Check variable value
+                const varState = entity.variables?.[match];
+                if (!varState) return false;
+                return this._evaluateOperator(varState.value, operator || 'eq', value);
+
+            case 'modifier':
+                // Check if modifier is active
+                return entity.modifiers?.some(m =>
+                    typeof m === 'string' ? m === match : m.id === match
+                );
+
+            case 'compound':
+                // Check if compound is active
+                return entity.compounds?.some(c =>
+                    typeof c === 'string' ? c === match : c.id === match
+                );
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Match a string against a glob-like pattern.
+     * @private
+     */
+    _matchPattern(str, pattern) {
+        if (!pattern.includes('*')) return str === pattern;
+
+        // Convert glob to regex
+        const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
+        return regex.test(str);
+    }
+
+    /**
+     * Evaluate a comparison operator.
+     * @private
+     */
+    _evaluateOperator(value, operator, target) {
+        switch (operator) {
+            case 'eq': return value === target;
+            case 'ne': return value !== target;
+            case 'gt': return value > target;
+            case 'gte': return value >= target;
+            case 'lt': return value < target;
+            case 'lte': return value <= target;
+            default: return false;
+        }
+    }
+
+    // ========================================
+    // SERIALIZATION
+    // ========================================
+
+    export() {
+        // Export pools (excluding entities array and timeout)
+        const poolsExport = Array.from(this.pools.entries()).map(([id, pool]) => [id, {
+            id: pool.id,
+            name: pool.name,
+            description: pool.description,
+            config: { ...pool.config },
+            stats: { ...pool.stats },
+            rules: pool.rules ? JSON.parse(JSON.stringify(pool.rules)) : null
+        }]);
+
+        return {
+            presets: Array.from(this.presets.entries()),
+            groups: Array.from(this.groups.entries()).map(([id, g]) => [id, {
+                ...g, entities: Array.from(g.entities)
+            }]),
+            stored: Array.from(this.stored.entries()),
+            active: Array.from(this.active.keys()),
+            spawnContext: this.spawnContext,
+            config: this.config,
+            pools: poolsExport,
+            time: this.clock.now(),
+            tickSystems: Array.from(this.tickSystems.entries()).map(([id, ts]) => [id, { ...ts }])
+        };
+    }
+
+    import(data) {
+        if (data.presets) this.presets = new Map(data.presets);
+        if (data.groups) {
+            this.groups = new Map(data.groups.map(([id, g]) => [id, {
+                ...g, entities: new Set(g.entities)
+            }]));
+        }
+        if (data.stored) {
+            this.stored = new Map(data.stored);
+            // Change sets don't survive JSON; null means the next check is a full one
+            for (const entity of this.stored.values()) {
+                if (entity._internal && !(entity._internal.changes instanceof Set)) entity._internal.changes = null;
+            }
+        }
+        if (data.active) {
+            for (const entityId of data.active) {
+                const entity = this.stored.get(entityId);
+                if (entity) this.active.set(entityId, entity);
+            }
+        }
+        if (data.spawnContext) this.spawnContext = data.spawnContext;
+        if (data.config) this.config = { ...this.config, ...data.config };
+        // Virtual clocks resume from the exported time so expiresAt stays meaningful
+        if (data.time !== undefined && typeof this.clock.set === 'function') {
+            this.clock.set(data.time);
+        }
+        if (data.tickSystems) {
+            this.tickSystems = new Map(data.tickSystems.map(([id, ts]) => [id, { ...ts }]));
+        }
+
+        // Import pools
+        if (data.pools) {
+            for (const [poolId, poolData] of data.pools) {
+                if (poolId === this.defaultPoolId) {
+                    // Update default pool
+                    const defaultPool = this.pools.get(this.defaultPoolId);
+                    defaultPool.name = poolData.name || defaultPool.name;
+                    defaultPool.description = poolData.description || '';
+                    defaultPool.config = { ...defaultPool.config, ...poolData.config };
+                    defaultPool.rules = poolData.rules || null;
+                    // Sync legacy references
+                    this.poolConfig = { ...defaultPool.config };
+                } else {
+                    // Create or update other pools
+                    this.createPool(poolId, {
+                        name: poolData.name,
+                        description: poolData.description,
+                        ...poolData.config,
+                        rules: poolData.rules
+                    });
+                }
+            }
+        }
+
+        this.emit('dataImported', { data });
+        return this;
+    }
+
+    // ========================================
+    // REPLICATION
+    // ========================================
+
+    /**
+     * Ordered change set of everything that changed since the previous call,
+     * for replicas to mirror with applyPatch(). Call it once per tick on the
+     * authoritative side and send the result to every replica.
+     *
+     * Changes are listed per entity in this order: `spawn` (the full entity),
+     * `active`, `attribute`, `context`, `trait`, `layer`, `modifier`,
+     * `compound`, `variable` (only the fields that moved), `derived`, `action`,
+     * and finally `despawn`. Every change states the new value rather than a
+     * delta, so applying one twice is harmless. The first call lists every
+     * stored entity as a spawn.
+     *
+     * Entities are picked up through events and the cascade. After writing to
+     * one directly, call recalculate() so it is included.
+     *
+     * @returns {Object} { seq, time, changes: Array<Object> }
+     * @example
+     * engine.tickAll(dt);
+     * socket.send(JSON.stringify(engine.entityManager.createPatch()));
+     */
+    createPatch() {
+        const replication = this._getReplication();
+        const entityIds = replication.dirty === null
+            ? new Set([...replication.shadows.keys(), ...this.stored.keys()])
+            : replication.dirty;
+        replication.dirty = new Set();
+
+        const changes = [];
+        const despawns = [];
+        for (const entityId of entityIds) {
+            const entity = this.stored.get(entityId);
+            const previous = replication.shadows.get(entityId);
+            if (!entity) {
+                if (previous) {
+                    replication.shadows.delete(entityId);
+                    despawns.push({ type: 'despawn', entityId });
+                }
+                continue;
+            }
+
+            const next = this._replicationShadow(entity);
+            if (previous) {
+                this._diffReplicationShadow(entityId, previous, next, changes);
+            } else {
+                changes.push({ type: 'spawn', entity: this._cloneForReplication(entity), active: next.active });
+            }
+            replication.shadows.set(entityId, next);
+        }
+
+        replication.seq++;
+        return { seq: replication.seq, time: this.clock.now(), changes: changes.concat(despawns) };
+    }
+
+    /**
+     * Full resync for a replica that is new or has missed a patch: every
+     * stored entity as a spawn, stamped with the last patch's sequence number
+     * so the replica carries on with the next one.
+     *
+     * @returns {Object} { seq, full: true, time, changes: Array<Object> }
+     */
+    createFullSync() {
+        const replication = this._getReplication();
+        const changes = [];
+        for (const entity of this.stored.values()) {
+            changes.push({ type: 'spawn', entity: this._cloneForReplication(entity), active: this.active.has(entity.id) });
+        }
+        return { seq: replication.seq, full: true, time: this.clock.now(), changes };
+    }
+
+    /**
+     * Mirror a patch from createPatch() or createFullSync(). Nothing is
+     * simulated here: state is copied as given. A full sync replaces every
+     * entity. Patches must arrive in sequence, starting from 1 or from a full
+     * sync; after a gap the patch is refused with `resync: true`, and the
+     * authority should send a full sync. Old patches are ignored.
+     * Virtual clocks are moved to the patch's time.
+     *
+     * @param {Object} patch - Patch or full sync
+     * @returns {{applied: boolean, resync: boolean, seq: number|null}} Outcome and the sequence number now held
+     * @fires EntityManager#patchApplied
+     * @fires EntityManager#replicationGap
+     * @example
+     * const { resync } = replica.applyPatch(JSON.parse(message));
+     * if (resync) socket.send('resync');
+     */
+    applyPatch(patch) {
+        if (!patch.full) {
+            // A fresh replica can start from the authority's first patch
+            const expected = (this.replicaSeq ?? 0) + 1;
+            if (patch.seq < expected) return { applied: false, resync: false, seq: this.replicaSeq };
+            if (patch.seq > expected) {
+                this.emit('replicationGap', { expected, received: patch.seq });
+                return { applied: false, resync: true, seq: this.replicaSeq };
+            }
+        }
+
+        if (patch.full) {
+            const kept = new Set(patch.changes.map(change => change.entity.id));
+            for (const entityId of [...this.stored.keys()]) {
+                if (!kept.has(entityId)) this.remove(entityId);
+            }
+        }
+        if (patch.time !== undefined && typeof this.clock.set === 'function') {
+            this.clock.set(patch.time);
+        }
+
+        const touched = new Set();
+        for (const change of patch.changes) {
+            this._applyReplicationChange(change, touched);
+        }
+        if (this.storage) {
+            for (const entityId of touched) {
+                const entity = this.active.get(entityId);
+                if (entity) this.storage.syncFlags(entity);
+            }
+        }
+
+        this.replicaSeq = patch.seq;
+        this.emit('patchApplied', { seq: patch.seq, full: Boolean(patch.full), changes: patch.changes.length });
+        return { applied: true, resync: false, seq: this.replicaSeq };
+    }
+
+    /** @private */
+    _getReplication() {
+        if (!this.replication) {
+            // dirty null: nothing seen yet, so the first patch looks at everything
+            this.replication = { seq: 0, shadows: new Map(), dirty: null };
+        }
+        return this.replication;
+    }
+
+    /** @private */
+    _markReplicated(entityId) {
+        if (entityId && this.replication?.dirty) this.replication.dirty.add(entityId);
+    }
+
+    /**
+     * Entity as sent in a spawn change: a JSON copy with only the parts of
+     * `_internal` a replica can use.
+     * @private
+     */
+    _cloneForReplication(entity) {
+        const { _internal, ...rest } = entity;
+        const clone = JSON.parse(JSON.stringify(rest));
+        clone._internal = {
+            log: [],
+            lastTick: _internal.lastTick,
+            rng: _internal.rng ? { ..._internal.rng } : undefined
+        };
+        return clone;
+    }
+
+    /**
+     * The replicated parts of an entity, in a form cheap to compare.
+     * @private
+     */
+    _replicationShadow(entity) {
+        const variables = {};
+        for (const [varId, varState] of Object.entries(entity.variables)) {
+            const fields = {};
+            for (const field of EntityManager.REPLICATED_VARIABLE_FIELDS) fields[field] = varState[field];
+            variables[varId] = fields;
+        }
+        const layers = {};
+        for (const [layerId, layerState] of Object.entries(entity.layers)) {
+            layers[layerId] = { active: [...layerState.active], lastRoll: layerState.lastRoll };
+        }
+        const modifiers = {};
+        for (const modId of entity.modifiers) {
+            modifiers[modId] = JSON.stringify(entity._modifierStates?.[modId] || {});
+        }
+        const json = record => Object.fromEntries(Object.entries(record || {}).map(([key, value]) => [key, JSON.stringify(value)]));
+
+        return {
+            active: this.active.has(entity.id),
+            attributes: json(entity.attributes),
+            contexts: json(entity.contexts),
+            layers,
+            modifiers,
+            compounds: [...entity.compounds],
+            variables,
+            derived: json(entity.derived),
+            actions: json(entity.actions)
+        };
+    }
+
+    /** @private */
+    _diffReplicationShadow(entityId, previous, next, changes) {
+        if (previous.active !== next.active) changes.push({ type: 'active', entityId, active: next.active });
+
+        // attribute, context, derived and action entries: JSON per key
+        const diffRecord = (type, key, before, after) => {
+            for (const [id, value] of Object.entries(after)) {
+                if (before[id] !== value) changes.push({ type, entityId, [key]: id, value: JSON.parse(value) });
+            }
+            for (const id of Object.keys(before)) {
+                if (!(id in after)) changes.push({ type, entityId, [key]: id, deleted: true });
+            }
+        };
+        diffRecord('attribute', 'attributeId', previous.attributes, next.attributes);
+        diffRecord('context', 'contextId', previous.contexts, next.contexts);
+
+        for (const [layerId, layer] of Object.entries(next.layers)) {
+            const before = previous.layers[layerId] || { active: [], lastRoll: null };
+            for (const traitId of before.active) {
+                if (!layer.active.includes(traitId)) changes.push({ type: 'trait', entityId, layerId, traitId, active: false });
+            }
+            for (const traitId of layer.active) {
+                if (!before.active.includes(traitId)) changes.push({ type: 'trait', entityId, layerId, traitId, active: true });
+            }
+            if (before.lastRoll !== layer.lastRoll) changes.push({ type: 'layer', entityId, layerId, lastRoll: layer.lastRoll });
+        }
+
+        for (const modId of Object.keys(previous.modifiers)) {
+            if (!(modId in next.modifiers)) changes.push({ type: 'modifier', entityId, modifierId: modId, active: false });
+        }
+        for (const [modId, state] of Object.entries(next.modifiers)) {
+            if (previous.modifiers[modId] !== state) {
+                changes.push({ type: 'modifier', entityId, modifierId: modId, active: true, state: JSON.parse(state) });
+            }
+        }
+
+        for (const compoundId of previous.compounds) {
+            if (!next.compounds.includes(compoundId)) changes.push({ type: 'compound', entityId, compoundId, active: false });
+        }
+        for (const compoundId of next.compounds) {
+            if (!previous.compounds.includes(compoundId)) changes.push({ type: 'compound', entityId, compoundId, active: true });
+        }
+
+        for (const [varId, fields] of Object.entries(next.variables)) {
+            const before = previous.variables[varId] || {};
+            let change = null;
+            for (const field of EntityManager.REPLICATED_VARIABLE_FIELDS) {
+                if (before[field] === fields[field]) continue;
+                if (!change) change = { type: 'variable', entityId, varId };
+                change[field] = fields[field];
+            }
+            if (change) changes.push(change);
+        }
+
+        diffRecord('derived', 'derivedId', previous.derived, next.derived);
+        diffRecord('action', 'actionId', previous.actions, next.actions);
+    }
+
+    /** @private */
+    _applyReplicationChange(change, touched) {
+        if (change.type === 'spawn') {
+            const entity = JSON.parse(JSON.stringify(change.entity));
+            if (this.stored.has(entity.id)) this.remove(entity.id);
+            this.store(entity);
+            if (change.active) this.activate(entity);
+            touched.add(entity.id);
+            return;
+        }
+        if (change.type === 'despawn') {
+            this.remove(change.entityId);
+            return;
+        }
+
+        const entity = this.stored.get(change.entityId);
+        if (!entity) {
+            console.warn(`Patch change '${change.type}' for unknown entity '${change.entityId}'.`);
+            return;
+        }
+        touched.add(entity.id);
+        const setRecord = (record, id) => {
+            if (change.deleted) delete record[id];
+            else record[id] = change.value;
+        };
+
+        switch (change.type) {
+            case 'active':
+                if (change.active) this.activate(entity);
+                else this.deactivate(entity.id);
+                break;
+            case 'attribute':
+                setRecord(entity.attributes, change.attributeId);
+                break;
+            case 'context':
+                setRecord(entity.contexts, change.contextId);
+                break;
+            case 'trait': {
+                if (!entity.layers[change.layerId]) entity.layers[change.layerId] = { active: [], lastRoll: null };
+                const active = entity.layers[change.layerId].active;
+                const index = active.indexOf(change.traitId);
+                if (change.active && index === -1) active.push(change.traitId);
+                else if (!change.active && index !== -1) active.splice(index, 1);
+                break;
+            }
+            case 'layer':
+                if (!entity.layers[change.layerId]) entity.layers[change.layerId] = { active: [], lastRoll: null };
+                entity.layers[change.layerId].lastRoll = change.lastRoll;
+                break;
+            case 'modifier': {
+                const index = entity.modifiers.indexOf(change.modifierId);
+                if (!entity._modifierStates) entity._modifierStates = {};
+                if (change.active) {
+                    if (index === -1) entity.modifiers.push(change.modifierId);
+                    entity._modifierStates[change.modifierId] = change.state;
+                } else {
+                    if (index !== -1) entity.modifiers.splice(index, 1);
+                    delete entity._modifierStates[change.modifierId];
+                }
+                break;
+            }
+            case 'compound': {
+                const index = entity.compounds.indexOf(change.compoundId);
+                if (change.active && index === -1) entity.compounds.push(change.compoundId);
+                else if (!change.active && index !== -1) entity.compounds.splice(index, 1);
+                break;
+            }
+            case 'variable': {
+                const varState = entity.variables[change.varId];
+                if (!varState) break;
+                for (const field of EntityManager.REPLICATED_VARIABLE_FIELDS) {
+                    if (field in change) varState[field] = change[field];
+                }
+                break;
+            }
+            case 'derived':
+                setRecord(entity.derived, change.derivedId);
+                break;
+            case 'action':
+                if (!entity.actions) entity.actions = {};
+                setRecord(entity.actions, change.actionId);
+                break;
+            default:
+                console.warn(`Unknown patch change type '${change.type}'.`);
+        }
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) { this.listeners.get(event)?.delete(callback); }
+
+    emit(event, data = {}) {
+        if (this.replication) this._markReplicated(data.entityId || data.entity?.id);
+        if (this._transaction) {
+            this._transaction.events.push([event, data]);
+            return;
+        }
+        if (this._fastForward) data = { ...data, simulatedTime: this._fastForward.clock.now() };
+        this.listeners.get(event)?.forEach(cb => {
+            try { cb(data); } catch (e) { console.error(`EntityManager event error (${event}):`, e); }
+        });
+    }
+}
+
+/** Most integration steps one tick takes per entity before finishing in a single step. */
+EntityManager.MAX_INTEGRATION_STEPS = 1000;
+
+/** `_internal` entries that snapshots leave out: the log and per-tick caches. */
+EntityManager.TRANSIENT_INTERNALS = ['log', 'changes', 'lod'];
+
+/** Methods a transaction's `tx` object offers, where its target has them. */
+EntityManager.TRANSACTION_METHODS = [
+    'modifyVariable', 'setVariable', 'applyModifier', 'removeModifier',
+    'activateTrait', 'deactivateTrait', 'executeAction', 'rollLayer', 'tick'
+];
+
+/** Variable fields carried by replication patches. */
+EntityManager.REPLICATED_VARIABLE_FIELDS = ['value', 'baseRate', 'currentRate', 'min', 'max'];
+
+
+// ============================================================================
+// SPAWN ENGINE - Convenience Wrapper (Backward Compatible)
+// ============================================================================
+
+/**
+ * Main entry point combining SpawnManager and EntityManager into a unified API.
+ * This is the recommended class for most use cases.
+ *
+ * Provides convenient methods for:
+ * - Spawning entities (random or from presets)
+ * - Managing entity lifecycle (activate, tick, despawn)
+ * - Modifying runtime state (variables, modifiers, traits)
+ * - Querying entity state
+ * - Subscribing to events
+ *
+ * @class SpawnEngine
+ * @example
+ * // Create engine with config
+ * const engine = new SpawnEngine(config);
+ *
+ * // Spawn entities
+ * const entity = engine.spawn();
+ * const warrior = engine.spawn('preset_warrior');
+ *
+ * // Tick in game loop
+ * engine.tickAll(deltaTime);
+ *
+ * // Listen for events
+ * engine.on('compoundActivated', (data) => {
+ *   console.log('Compound activated:', data.compoundId);
+ * });
+ *
+ * // Modify state
+ * engine.modifyVariable(entity, 'var_hunger', -20);
+ * engine.applyModifier(entity, 'mod_well_fed');
+ *
+ * // Query state
+ * const state = engine.getState(entity.id);
+ */
+class SpawnEngine {
+    /**
+     * Create a new SpawnEngine instance.
+     *
+     * @param {Object|null} [config=null] - Configuration object to load
+     * @example
+     * const engine = new SpawnEngine(config);
+     */
+    constructor(config = null) {
+        /** @type {SpawnManager} The SpawnManager for generation logic */
+        this.spawnManager = new SpawnManager(config);
+        /** @type {EntityManager} The EntityManager for runtime state */
+        this.entityManager = new EntityManager();
+        this.entityManager.linkSpawnManager(this.spawnManager);
+
+        /** @type {Map<string, Object>} Internal entity storage for backward compatibility */
+        this.entities = new Map();
+        /** @type {Object|null} Command journal being recorded (see startJournal) */
+        this.journal = null;
+        this._journalCommands = null;
+        this._journalDepth = 0;
+
+        // Auto-load presets if config was provided
+        if (config) {
+            this._loadPresetsFromConfig();
+        }
+    }
+
+    // ========================================
+    // CONFIG (backward compatible)
+    // ========================================
+
+    /**
+     * Load a configuration and register its presets.
+     *
+     * @param {Object} config - Configuration object
+     * @param {Object} [options={}] - Passed to SpawnManager.loadConfig (e.g. `{ strict: true }`)
+     * @returns {SpawnEngine} This instance for chaining
+     * @throws {ConfigValidationError} In strict mode, when the config has errors
+     */
+    loadConfig(config, options = {}) {
+        this.spawnManager.loadConfig(config, options);
+
+        // Auto-register presets from config
+        this._loadPresetsFromConfig();
+
+        return this;
+    }
+
+    /**
+     * Merge a config pack over the loaded config and reload, including its presets.
+     * @see SpawnManager#composeConfig
+     *
+     * @param {Object} pack - Pack definition
+     * @param {Object} [options={}] - loadConfig options
+     * @returns {SpawnEngine} This instance for chaining
+     * @example
+     * engine.loadPack({ id: 'winter_dlc', namespace: 'winter', nodes: [...] });
+     */
+    loadPack(pack, options = {}) {
+        this.spawnManager.loadPack(pack, options);
+        this._loadPresetsFromConfig();
+        return this;
+    }
+
+    _loadPresetsFromConfig() {
+        const cfg = this.spawnManager.config;
+        if (!cfg) return;
+
+        // Clear existing presets first (they may be from previous config)
+        this.entityManager.presets.clear();
+        this.entityManager.presetGroups.clear();
+
+        // Register preset groups
+        if (cfg.presetGroups && cfg.presetGroups.length > 0) {
+            for (const group of cfg.presetGroups) {
+                this.entityManager.presetGroups.set(group.id, {
+                    id: group.id,
+                    name: group.name || group.id,
+                    description: group.description || ''
+                });
+            }
+        }
+
+        // Register presets
+        if (cfg.presets && cfg.presets.length > 0) {
+            for (const preset of cfg.presets) {
+                this.entityManager.registerPreset(preset.id, preset);
+            }
+        }
+    }
+
+    get config() {
+        return this.spawnManager.config;
+    }
+
+    /**
+     * Check a config (default: the loaded one) for structural problems.
+     * @see SpawnManager#validateConfig
+     *
+     * @param {Object} [config] - Config to check
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} Diagnostics
+     */
+    validateConfig(config = this.spawnManager.config) {
+        return this.spawnManager.validateConfig(config);
+    }
+
+    /**
+     * Reseed the engine. Spawns after this call are reproducible from the seed.
+     *
+     * @param {number|string} seed - Numeric or string seed
+     * @returns {SpawnEngine} This instance for chaining
+     * @example
+     * engine.setSeed('patron-bug-42');
+     * const patron = engine.spawn('preset_regular');
+     */
+    setSeed(seed) {
+        this.spawnManager.setSeed(seed);
+        return this;
+    }
+
+    /** @returns {number} The seed of the engine's master random stream */
+    getSeed() {
+        return this.spawnManager.getSeed();
+    }
+
+    /**
+     * Replace the simulation clock used by both managers.
+     *
+     * @param {Object} clock - RealtimeClock, ManualClock, ScaledClock or any `{ now() }`
+     * @returns {SpawnEngine} This instance for chaining
+     * @example
+     * // Headless test: time only moves when ticked
+     * engine.setClock(new ManualClock());
+     * engine.applyModifier(patron, 'mod_drunk'); // config: 10s timed duration
+     * engine.tickAll(60);                          // mod_drunk has expired
+     */
+    setClock(clock) {
+        this.entityManager.setClock(clock);
+        return this;
+    }
+
+    /** @returns {Object} The current simulation clock */
+    getClock() {
+        return this.entityManager.clock;
+    }
+
+    // ========================================
+    // TICK SYSTEMS
+    // ========================================
+
+    /**
+     * Advance a tick system (combat turns, in-game days, ...). Only variables,
+     * modifier bindings and action cooldowns bound to it move.
+     *
+     * @param {string} systemId - Tick system node ID
+     * @param {number} [ticks=1] - Number of ticks
+     * @returns {boolean} True if the system exists
+     * @example
+     * // mod_haste: { tickBindings: [{ tickSystemId: 'tick_combat', duration: 3 }] }
+     * engine.applyModifier(hero, 'mod_haste');
+     * engine.advanceTickSystem('tick_combat', 3); // mod_haste expires
+     * engine.tickAll(5);                          // real-time hunger keeps draining
+     */
+    advanceTickSystem(systemId, ticks = 1) {
+        return this._recordCommand('advanceTickSystem', [systemId, ticks], () => this.entityManager.advanceTickSystem(systemId, ticks));
+    }
+
+    /** @returns {boolean} True if the system exists */
+    startTickSystem(systemId) { return this.entityManager.startTickSystem(systemId); }
+    /** @returns {boolean} True if the system exists */
+    stopTickSystem(systemId) { return this.entityManager.stopTickSystem(systemId); }
+    /** @returns {Object|null} { id, tick, running, lastAdvanced } */
+    getTickSystem(systemId) { return this.entityManager.getTickSystem(systemId); }
+    /** @returns {Array<Object>} All tick system nodes */
+    getTickSystems() { return this.spawnManager.getTickSystems(); }
+
+    // ========================================
+    // GENERATION
+    // ========================================
+
+    /**
+     * Spawn a new entity, optionally from a preset.
+     *
+     * @param {string|Object} [presetIdOrOverrides] - Preset ID or override object
+     * @param {Object} [overrides={}] - Additional overrides when using preset
+     * @param {Object} [overrides.attributes] - Attribute value overrides
+     * @param {Object} [overrides.contexts] - Context value overrides
+     * @param {string[]} [overrides.forceTraits] - Trait IDs to force-activate
+     * @returns {Object} The spawned entity
+     * @example
+     * // Random generation
+     * const entity = engine.spawn();
+     *
+     * // From preset
+     * const patron = engine.spawn('preset_tavern_regular');
+     *
+     * // With overrides
+     * const custom = engine.spawn({ attributes: { strength: 10 } });
+     *
+     * // Preset with overrides
+     * const strong = engine.spawn('preset_warrior', { attributes: { strength: 10 } });
+     */
+    spawn(presetIdOrOverrides, overrides = {}) {
+        return this._recordCommand('spawn', [presetIdOrOverrides, overrides], () => {
+            let entity;
+
+            if (presetIdOrOverrides == null) {
+                // No args = random generation (backward compatible)
+                entity = this.spawnManager.generate();
+            } else if (typeof presetIdOrOverrides === 'string') {
+                // String = preset ID
+                entity = this.spawnManager.spawn(presetIdOrOverrides, overrides);
+                if (!entity) {
+                    // Fallback to generate if preset not found
+                    entity = this.spawnManager.generate(overrides);
+                }
+            } else {
+                // Object = overrides for generation
+                entity = this.spawnManager.generate(presetIdOrOverrides);
+            }
+
+            if (entity) {
+                this.entities.set(entity.id, entity);
+                this.entityManager.store(entity);
+                this.entityManager.activate(entity);
+                this.emit('entitySpawned', { entity });
+            }
+
+            return entity;
+        });
+    }
+
+    generate(overrides = {}) {
+        const entity = this.spawnManager.generate(overrides);
+        if (entity) {
+            this.entities.set(entity.id, entity);
+            this.entityManager.store(entity);
+        }
+        return entity;
+    }
+
+    spawnWhere(query, overrides = {}) {
+        const entity = this.spawnManager.spawnWhere(query, overrides);
+        if (entity) {
+            this.entities.set(entity.id, entity);
+            this.entityManager.store(entity);
+            this.entityManager.activate(entity);
+            this.emit('entitySpawned', { entity });
+        }
+        return entity;
+    }
+
+    createSnapshot(overrides = {}) {
+        return this.spawnManager.generate(overrides);
+    }
+
+    // ========================================
+    // ENTITY ACCESS (backward compatible)
+    // ========================================
+
+    getEntity(entityId) {
+        return this.entities.get(entityId) || this.entityManager.retrieve(entityId);
+    }
+
+    getAllEntities() {
+        return Array.from(this.entities.values());
+    }
+
+    despawn(entityId) {
+        return this._recordCommand('despawn', [entityId], () => {
+            this.entities.delete(entityId);
+            const removed = this.entityManager.remove(entityId);
+            if (removed) this.emit('entityDespawned', { entityId });
+            return removed;
+        });
+    }
+
+    register(entity) {
+        if (!entity.id) {
+            entity.id = this.spawnManager.generateEntityId();
+        }
+        this.entities.set(entity.id, entity);
+        this.entityManager.store(entity);
+        return entity;
+    }
+
+    // ========================================
+    // PRESETS & GROUPS
+    // ========================================
+
+    registerPreset(id, template) {
+        this.entityManager.registerPreset(id, template);
+        return this;
+    }
+
+    registerPresets(presets) {
+        this.entityManager.registerPresets(presets);
+        return this;
+    }
+
+    getPreset(id) { return this.entityManager.getPreset(id); }
+    listPresets(filter) { return this.entityManager.listPresets(filter); }
+
+    createGroup(groupId, metadata = {}) {
+        this.entityManager.createGroup(groupId, metadata);
+        return this;
+    }
+
+    addToGroup(groupId, entityId) {
+        this.entityManager.addToGroup(groupId, entityId);
+        return this;
+    }
+
+    getGroup(groupId) { return this.entityManager.getGroup(groupId); }
+    listGroups() { return this.entityManager.listGroups(); }
+
+    // ========================================
+    // SPAWN CONTEXT
+    // ========================================
+
+    setSpawnContext(context) {
+        this.entityManager.setSpawnContext(context);
+        return this;
+    }
+
+    getSpawnContext() { return this.entityManager.getSpawnContext(); }
+
+    // ========================================
+    // RUNTIME (backward compatible)
+    // ========================================
+
+    tick(entityOrId, deltaSeconds = null) {
+        return this._recordCommand('tick', [entityOrId, deltaSeconds], () => {
+            const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
+            if (!entity) return null;
+
+            // Ensure entity is active for ticking
+            if (!this.entityManager.isActive(entity.id)) {
+                this.entityManager.activate(entity);
+            }
+
+            return this.entityManager.tick(entity.id, deltaSeconds);
+        });
+    }
+
+    tickAll(deltaSeconds = null) {
+        return this._recordCommand('tickAll', [deltaSeconds], () => {
+            // Activate all entities for ticking
+            for (const entity of this.entities.values()) {
+                if (!this.entityManager.isActive(entity.id)) {
+                    this.entityManager.activate(entity);
+                }
+            }
+            this.entityManager.tickAll(deltaSeconds);
+        });
+    }
+
+    /**
+     * Simulate a long absence for one entity, processing threshold crossings,
+     * modifier triggers and expiries in order (see EntityManager.fastForward).
+     *
+     * @param {Object|string} entityOrId - Entity or entity ID
+     * @param {number} seconds - Seconds to simulate
+     * @returns {Object|null} The entity, or null if not found
+     * @example
+     * engine.fastForward(patron, 8 * 60 * 60);
+     */
+    fastForward(entityOrId, seconds) {
+        return this._recordCommand('fastForward', [entityOrId, seconds], () => {
+            const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
+            if (!entity) return null;
+
+            if (!this.entityManager.isActive(entity.id)) {
+                this.entityManager.activate(entity);
+            }
+            return this.entityManager.fastForward(entity.id, seconds);
+        });
+    }
+
+    startAutoTick() {
+        this.entityManager.startAutoTick(this.config.engineConfig.tickRate);
+    }
+
+    /**
+     * Fixed-step scheduler with global, group and entity time scales
+     * (see TickScheduler). The step defaults to `engineConfig.tickRate`.
+     *
+     * @param {Object} [options={}] - { step, timeScale, maxSteps }
+     * @returns {TickScheduler} The scheduler
+     * @example
+     * const scheduler = engine.getScheduler({ step: 0.05 });
+     * scheduler.setGroupTimeScale('frozen_hall', 0);
+     * scheduler.advance(16.7);   // from requestAnimationFrame
+     */
+    getScheduler(options = {}) {
+        if (!this.entityManager.scheduler && options.step === undefined) {
+            options = { ...options, step: this.config.engineConfig.tickRate / 1000 };
+        }
+        return this.entityManager.getScheduler(options);
+    }
+
+    /**
+     * Level-of-detail tiers for ticking (see EntityManager.setLodTiers).
+     *
+     * @param {Object<string, number|Object>|null} tiers - Tier name to interval in ticks, or null to turn LOD off
+     * @param {Object} [options={}] - { defaultTier }
+     * @returns {SpawnEngine} This instance for chaining
+     * @example
+     * engine.setLodTiers({ near: 4, far: 16 }, { defaultTier: 'far' });
+     * engine.setEntityLod(patronAtTheBar, 'full');
+     */
+    setLodTiers(tiers, options = {}) {
+        this.entityManager.setLodTiers(tiers, options);
+        return this;
+    }
+
+    setEntityLod(entityOrId, tier) {
+        this.entityManager.setEntityLod(entityOrId, tier);
+        return this;
+    }
+
+    setGroupLod(groupId, tier) {
+        this.entityManager.setGroupLod(groupId, tier);
+        return this;
+    }
+
+    setLodResolver(resolver) {
+        this.entityManager.setLodResolver(resolver);
+        return this;
+    }
+
+    getEntityLod(entityOrId) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId.id;
+        return this.entityManager.getEntityLod(entityId);
+    }
+
+    flushLod(entityOrId) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId.id;
+        return this.entityManager.flushLod(entityId);
+    }
+
+    /**
+     * Storage backend for active entities (see EntityManager.setStorage).
+     *
+     * @param {string|null} type - 'soa' for struct-of-arrays, or null for plain objects
+     * @param {Object} [options={}] - { capacity }
+     * @returns {SpawnEngine} This instance for chaining
+     * @example
+     * engine.setStorage('soa', { capacity: 20000 });
+     */
+    setStorage(type, options = {}) {
+        this.entityManager.setStorage(type, options);
+        return this;
+    }
+
+    /**
+     * Re-run thresholds and the cascade after changing an entity directly
+     * (see EntityManager.recalculate).
+     *
+     * @param {Object|string} entityOrId - Entity or entity ID
+     * @param {string[]|null} [changedIds=null] - Node IDs that changed, or null for everything
+     * @returns {Object|null} The entity, or null if not found
+     */
+    recalculate(entityOrId, changedIds = null) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId.id;
+        return this.entityManager.recalculate(entityId, changedIds);
+    }
+
+    getDependents(nodeId) { return this.spawnManager.getDependents(nodeId); }
+
+    /**
+     * Cascade profiling counters (see SpawnManager.getCascadeStats).
+     *
+     * @returns {Object} { cascades, fullCascades, evaluated, changed, skipped, byNode }
+     * @example
+     * engine.resetCascadeStats();
+     * engine.tickAll(1);
+     * const { evaluated, skipped } = engine.getCascadeStats();
+     */
+    getCascadeStats() { return this.spawnManager.getCascadeStats(); }
+
+    resetCascadeStats() {
+        this.spawnManager.resetCascadeStats();
+        return this;
+    }
+
+    stopAutoTick() {
+        this.entityManager.stopAutoTick();
+    }
+
+    modifyVariable(entity, varId, delta) {
+        return this._recordCommand('modifyVariable', [entity, varId, delta], () => {
+            const entityObj = typeof entity === 'string' ? this.getEntity(entity) : entity;
+            if (!entityObj) return false;
+            return this.entityManager.modifyVariable(entityObj.id, varId, delta);
+        });
+    }
+
+    setVariable(entity, varId, value) {
+        return this._recordCommand('setVariable', [entity, varId, value], () => {
+            const entityObj = typeof entity === 'string' ? this.getEntity(entity) : entity;
+            if (!entityObj) return false;
+            return this.entityManager.setVariable(entityObj.id, varId, value);
+        });
+    }
+
+    applyModifier(entity, modifierId) {
+        return this._recordCommand('applyModifier', [entity, modifierId], () => {
+            const entityObj = typeof entity === 'string' ? this.getEntity(entity) : entity;
+            if (!entityObj) return false;
+
+            const modifier = this.spawnManager.getNode(modifierId);
+            const config = modifier?.config || {};
+
+            return this.entityManager.applyModifier(entityObj.id, modifierId, config);
+        });
+    }
+
+    removeModifier(entity, modifierId) {
+        return this._recordCommand('removeModifier', [entity, modifierId], () => {
+            const entityObj = typeof entity === 'string' ? this.getEntity(entity) : entity;
+            if (!entityObj) return false;
+            return this.entityManager.removeModifier(entityObj.id, modifierId);
+        });
+    }
+
+    activateTrait(entity, traitId) {
+        return this._recordCommand('activateTrait', [entity, traitId], () => {
+            const entityObj = typeof entity === 'string' ? this.getEntity(entity) : entity;
+            if (!entityObj) return false;
+            return this.entityManager.activateTrait(entityObj.id, traitId);
+        });
+    }
+
+    // Backward compatibility alias
+    activateItem(entity, itemId) {
+        return this.activateTrait(entity, itemId);
+    }
+
+    deactivateTrait(entity, traitId) {
+        return this._recordCommand('deactivateTrait', [entity, traitId], () => {
+            const entityObj = typeof entity === 'string' ? this.getEntity(entity) : entity;
+            if (!entityObj) return false;
+            return this.entityManager.deactivateTrait(entityObj.id, traitId);
+        });
+    }
+
+    // Backward compatibility alias
+    deactivateItem(entity, itemId) {
+        return this.deactivateTrait(entity, itemId);
+    }
+
+    /**
+     * Change an entity several ways as one step: a single cascade when the
+     * callback returns, events only after that, and a full restore if it
+     * throws (see EntityManager.transaction). `tx` has this engine's
+     * modifyVariable, setVariable, applyModifier, removeModifier,
+     * activateTrait, deactivateTrait, executeAction, rollLayer and tick with
+     * the entity already bound.
+     *
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {Function} callback - (tx) => result, synchronous
+     * @returns {*} What `callback` returned, or null if the entity was not found
+     * @example
+     * // Serve a meal: no flicker of 'starving' between the steps
+     * engine.transaction(patron, tx => {
+     *     tx.modifyVariable('var_hunger', 40);
+     *     tx.modifyVariable('var_gold', -12);
+     *     tx.removeModifier('mod_waiting');
+     *     tx.applyModifier('mod_well_fed');
+     * });
+     */
+    transaction(entityOrId, callback) {
+        return this._recordCommand('transaction', [entityOrId, callback], () => {
+            const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
+            if (!entity) return null;
+            return this.entityManager.transaction(entity.id, callback, this);
+        });
+    }
+
+    // ========================================
+    // STATE
+    // ========================================
+
+    getState(entityId) {
+        return this.entityManager.getState(entityId);
+    }
+
+    snapshot(entityId) { return this.entityManager.snapshot(entityId); }
+    getHistory(entityId) { return this.entityManager.getHistory(entityId); }
+    rollback(entityId, timestamp) { return this.entityManager.rollback(entityId, timestamp); }
+    query(filter) { return this.entityManager.query(filter); }
+
+    // ========================================
+    // NODE QUERIES (backward compatible)
+    // ========================================
+
+    getNode(nodeId) { return this.spawnManager.getNode(nodeId); }
+    getNodesByType(type) { return this.spawnManager.getNodesByType(type); }
+    getAttributes() { return this.spawnManager.getAttributes(); }
+    getVariables() { return this.spawnManager.getVariables(); }
+    getContexts() { return this.spawnManager.getContexts(); }
+    getLayers() { return this.spawnManager.getLayers(); }
+    getLayerTraits(layerId) { return this.spawnManager.getLayerTraits(layerId); }
+    getLayerItems(layerId) { return this.spawnManager.getLayerTraits(layerId); }
+    getTraits() { return this.spawnManager.getTraits(); }
+    getModifiers() { return this.spawnManager.getModifiers(); }
+    getCompounds() { return this.spawnManager.getCompounds(); }
+    getDerived() { return this.spawnManager.getDerived(); }
+    getActions() { return this.spawnManager.getActions(); }
+    getNodesByTaxonomy(filter) { return this.spawnManager.getNodesByTaxonomy(filter); }
+    getTaxonomyValues(level) { return this.spawnManager.getTaxonomyValues(level); }
+
+    // ========================================
+    // ACTION SYSTEM
+    // ========================================
+
+    /**
+     * Check if an action is available for an entity.
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string} actionId - Action ID
+     * @returns {boolean}
+     */
+    isActionAvailable(entityOrId, actionId) {
+        const entity = typeof entityOrId === 'string'
+            ? this.entityManager.getEntity(entityOrId)
+            : entityOrId;
+        return this.spawnManager.isActionAvailable(entity, actionId);
+    }
+
+    /**
+     * Get all available actions for an entity.
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @returns {Array<{id, weight, action}>}
+     */
+    getAvailableActions(entityOrId) {
+        const entity = typeof entityOrId === 'string'
+            ? this.entityManager.getEntity(entityOrId)
+            : entityOrId;
+        return this.spawnManager.getAvailableActions(entity);
+    }
+
+    /**
+     * Select an action using weighted random.
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @returns {Object|null} {id, weight, action} or null
+     */
+    selectAction(entityOrId) {
+        const entity = typeof entityOrId === 'string'
+            ? this.entityManager.getEntity(entityOrId)
+            : entityOrId;
+        return this.spawnManager.selectAction(entity);
+    }
+
+    /**
+     * Execute an action, deducting costs and starting cooldown.
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string} actionId - Action ID
+     * @returns {Object} {success, actionId, effects, action} or {success: false, reason}
+     */
+    executeAction(entityOrId, actionId) {
+        return this._recordCommand('executeAction', [entityOrId, actionId], () => {
+            const entity = typeof entityOrId === 'string'
+                ? this.entityManager.getEntity(entityOrId)
+                : entityOrId;
+            return this.spawnManager.executeAction(entity, actionId);
+        });
+    }
+
+    /**
+     * Get action cooldown status.
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string} actionId - Action ID
+     * @returns {Object} {cooldownRemaining, cooldownTotal, ready}
+     */
+    getActionCooldown(entityOrId, actionId) {
+        const entity = typeof entityOrId === 'string'
+            ? this.entityManager.getEntity(entityOrId)
+            : entityOrId;
+        return this.spawnManager.getActionCooldown(entity, actionId);
+    }
+
+    // ========================================
+    // OUTCOME LAYERS
+    // ========================================
+
+    /**
+     * Roll an outcome layer - clears previous results and rolls fresh.
+     * Use for layers with timing.rollAt = 'manual', like attack/defense outcomes.
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string} layerId - The layer to roll
+     * @param {number} [rolls=1] - Number of times to roll
+     * @returns {Object} {success, selected, previousActive, layerId}
+     * @example
+     * // Define attack outcome layer with timing.rollAt = 'manual'
+     * // Then roll outcomes during combat
+     * const result = engine.rollOutcome(attacker, 'layer_attack_outcome');
+     * if (result.selected.includes('item_critical')) {
+     *   damage *= 2;
+     * }
+     */
+    rollOutcome(entityOrId, layerId, rolls = 1) {
+        const entity = typeof entityOrId === 'string'
+            ? this.entityManager.getEntity(entityOrId)
+            : entityOrId;
+        return this.spawnManager.rollOutcome(entity, layerId, rolls);
+    }
+
+    /**
+     * Roll a layer and add to existing active items (doesn't clear first).
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string} layerId - The layer to roll
+     * @returns {Object} Roll result
+     */
+    rollLayer(entityOrId, layerId) {
+        return this._recordCommand('rollLayer', [entityOrId, layerId], () => {
+            const entity = typeof entityOrId === 'string'
+                ? this.entityManager.getEntity(entityOrId)
+                : entityOrId;
+            return this.spawnManager.rollLayer(entity, layerId);
+        });
+    }
+
+    // ========================================
+    // RELATIONSHIP QUERIES (backward compatible)
+    // ========================================
+
+    getRelationshipsFrom(nodeId) { return this.spawnManager.getRelationshipsFrom(nodeId); }
+    getRelationshipsTo(nodeId) { return this.spawnManager.getRelationshipsTo(nodeId); }
+    getRelationshipsByType(type) { return this.spawnManager.getRelationshipsByType(type); }
+
+    // ========================================
+    // ANALYSIS
+    // ========================================
+
+    getWeights(entity, layerId) { return this.spawnManager.getWeights(entity, layerId); }
+    previewInfluences(nodeId) { return this.spawnManager.previewInfluences(nodeId); }
+
+    /**
+     * Generate a population without storing it and summarize attributes, derived
+     * values, trait/compound frequencies and trait co-occurrence.
+     * @see SpawnManager#analyzePopulation
+     *
+     * @param {Object} [options={}] - { preset, count, seed, groupBy, spawnContexts, confidence, bins }
+     * @returns {Object|null} Population report
+     * @example
+     * // Node: batch balance report
+     * const { SpawnEngine } = require('./spawn-engine.js');
+     * const engine = new SpawnEngine(require('./tavern-patron.json'));
+     * const report = engine.analyzePopulation({ count: 10000, seed: 42, groupBy: 'preset' });
+     * console.table(Object.fromEntries(
+     *   Object.entries(report.traits).map(([id, t]) => [id, t.frequency])
+     * ));
+     */
+    analyzePopulation(options = {}) {
+        return this.spawnManager.analyzePopulation(options);
+    }
+
+    /**
+     * Exact probabilities for a layer's rolls (see SpawnManager#computeLayerDistribution).
+     *
+     * @param {string|Object} entityOrAttrs - Entity, entity ID, or attribute values to probe
+     * @param {string} layerId - The layer to analyze
+     * @param {Object} [options={}] - { rolls, keepActive, maxStates }
+     * @returns {Object|null} { layerId, mode, rolls, traits, combinations, expectedCount }
+     * @example
+     * const dist = engine.computeLayerDistribution({ attr_charisma: 3 }, 'layer_mood');
+     * console.log(`${(dist.traits.item_grumpy * 100).toFixed(1)}% grumpy`);
+     */
+    computeLayerDistribution(entityOrAttrs, layerId, options = {}) {
+        const target = typeof entityOrAttrs === 'string'
+            ? this.entityManager.getEntity(entityOrAttrs)
+            : entityOrAttrs;
+        if (!target) return null;
+        return this.spawnManager.computeLayerDistribution(target, layerId, options);
+    }
+
+    /**
+     * Turn selection explanations on or off. While on, every layer roll logs a
+     * per-candidate breakdown on the entity for explainTrait.
+     *
+     * @param {boolean} [enabled=true] - Whether to record explanations
+     * @returns {SpawnEngine} This instance for chaining
+     */
+    setExplainSelection(enabled = true) {
+        this.spawnManager.explainSelection = enabled;
+        return this;
+    }
+
+    /**
+     * Explain why an entity ended up with (or without) a trait.
+     *
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string} traitId - Trait to explain
+     * @returns {Object|null} Roll explanation with `trait`, or null if none was recorded
+     * @example
+     * engine.setExplainSelection(true);
+     * const patron = engine.spawn();
+     * const why = engine.explainTrait(patron.id, 'item_grumpy');
+     * for (const c of why.trait.contributions) {
+     *   console.log(c.source, c.sourceId ?? c.index, c.delta);
+     * }
+     */
+    explainTrait(entityOrId, traitId) {
+        const entity = typeof entityOrId === 'string'
+            ? this.entityManager.getEntity(entityOrId)
+            : entityOrId;
+        return this.spawnManager.explainTrait(entity, traitId);
+    }
+
+    /**
+     * Explain why a modifier, compound or trait is (or isn't) active on an entity.
+     *
+     * @param {string|Object} entityOrId - Entity or entity ID
+     * @param {string} nodeId - Node to explain
+     * @returns {Object|null} Explanation (see EntityManager#explainState)
+     * @example
+     * const why = engine.explainState(patron.id, 'mod_starving');
+     * // why.trigger.conditions → [{ target: 'var_hunger', operator: '<=', value: 10, actual: 8, pass: true }]
+     * // why.exclusiveGroup → { winner: 'mod_starving', reason: 'narrowestThreshold',
+     * //                        members: [{ modifierId: 'mod_hungry', conditionsMet: true, outcome: 'lost' }, ...] }
+     */
+    explainState(entityOrId, nodeId) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId?.id;
+        return this.entityManager.explainState(entityId, nodeId);
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    on(event, callback) {
+        return this.entityManager.on(event, callback);
+    }
+
+    emit(event, data) {
+        this.entityManager.emit(event, data);
+    }
+
+    // ========================================
+    // SERIALIZATION
+    // ========================================
+
+    /**
+     * Export an entity as a JSON-safe clone.
+     * Includes the entity's random stream state (`_internal.rng`), so an
+     * imported copy continues rolling exactly where the original left off.
+     *
      * @param {string} entityId - Entity ID
-     * @returns {boolean} True if removed
+     * @returns {Object|null} Entity clone or null if not found
      */
-    despawn(entityId) {
-        const existed = this.entities.delete(entityId);
-        if (existed) this.emit('entityDespawned', { entityId });
-        return existed;
+    exportEntity(entityId) {
+        const entity = this.getEntity(entityId);
+        if (!entity) return null;
+        return JSON.parse(JSON.stringify(entity));
     }
 
-    /**
-     * Get an entity by ID.
-     * @param {string} entityId - Entity ID
-     * @returns {Object|null} The entity or null
-     */
-    getEntity(entityId) {
-        return this.entities.get(entityId) || null;
+    importEntity(data) {
+        const entity = JSON.parse(JSON.stringify(data));
+        this.entities.set(entity.id, entity);
+        this.entityManager.store(entity);
+        return entity.id;
     }
 
-    /**
-     * Get all spawned entities.
-     * @returns {Object[]} All entities
-     */
-    getAllEntities() {
-        return Array.from(this.entities.values());
+    export() {
+        return {
+            config: this.spawnManager.config,
+            entityManager: this.entityManager.export(),
+            rng: this.spawnManager.rng.getState(),
+            entityCount: this.spawnManager.entityCount
+        };
+    }
+
+    import(data) {
+        if (data.config) this.spawnManager.loadConfig(data.config);
+        if (data.entityManager) this.entityManager.import(data.entityManager);
+        if (data.rng) this.spawnManager.rng.setState(data.rng);
+        if (data.entityCount !== undefined) this.spawnManager.entityCount = data.entityCount;
+        return this;
     }
 
     // ========================================
-    // TRAIT SELECTION
+    // REPLICATION
     // ========================================
 
     /**
-     * Roll a layer to select a trait.
-     * @param {Object} entity - The entity
-     * @param {string} layerId - Layer ID
-     * @returns {Object} Result with selected trait
+     * Change set since the previous call (see EntityManager.createPatch).
+     *
+     * @returns {Object} { seq, time, changes }
+     * @example
+     * // Server, once per tick
+     * server.tickAll(dt);
+     * broadcast(server.createPatch());
      */
-    rollLayer(entity, layerId) {
-        const layer = this.getNode(layerId);
-        if (!layer || layer.type !== 'layer') {
-            return { success: false, error: 'Invalid layer' };
-        }
+    createPatch() { return this.entityManager.createPatch(); }
 
-        const selection = layer.config.selection || {};
-        const maxItems = selection.maxItems ?? 10;
-        const currentActive = entity.layers[layerId]?.active || [];
+    createFullSync() { return this.entityManager.createFullSync(); }
 
-        if (currentActive.length >= maxItems) {
-            return { success: false, error: 'Layer at capacity' };
-        }
+    /**
+     * Mirror a patch or full sync from an authoritative engine
+     * (see EntityManager.applyPatch).
+     *
+     * @param {Object} patch - From createPatch() or createFullSync()
+     * @returns {{applied: boolean, resync: boolean, seq: number|null}} Outcome
+     * @example
+     * // Client
+     * if (replica.applyPatch(patch).resync) requestFullSync();
+     */
+    applyPatch(patch) {
+        const result = this.entityManager.applyPatch(patch);
+        if (!result.applied) return result;
 
-        const traits = this.getLayerTraits(layerId);
-        const pool = [];
+        if (patch.full) {
+            for (const entityId of [...this.entities.keys()]) {
+                if (!this.entityManager.stored.has(entityId)) this.entities.delete(entityId);
+            }
+        }
+        for (const change of patch.changes) {
+            if (change.type === 'spawn') this.entities.set(change.entity.id, this.entityManager.retrieve(change.entity.id));
+            else if (change.type === 'despawn') this.entities.delete(change.entityId);
+        }
+        return result;
+    }
 
-        for (const trait of traits) {
-            if (currentActive.includes(trait.id)) continue;
-            if (trait.config.selection?.mode === 'threshold') continue;
-            if (!this._checkEligibility(entity, trait)) continue;
-            if (this._hasIncompatibility(entity, trait)) continue;
+    // ========================================
+    // JOURNAL & REPLAY
+    // ========================================
 
-            const weight = this._calculateWeight(entity, trait);
-            if (weight > 0) pool.push({ trait, weight });
+    /**
+     * Start recording every mutation made through this engine (see
+     * JOURNALED_METHODS) as a command in an append-only journal. The journal
+     * begins with a full export, so `replay()` can rebuild the same state
+     * and event stream from it. Needs a virtual clock (ManualClock) to be
+     * deterministic; each command records the clock time it ran at.
+     *
+     * Transactions are recorded as one command holding the commands made
+     * inside them; one that throws is left out. Calls the engine makes to
+     * itself are not recorded separately. Steps the entity manager takes on
+     * its own are recorded too: `schedulerStep` (with the step and the
+     * entity time scales it ran at) and `autoTick`.
+     *
+     * @param {Object} [options={}]
+     * @param {boolean} [options.hashes=false] - Store hashState() after each command, for replay to verify
+     * @returns {Object} The live journal: { version, hashes, start, commands: [{ time, op, args, hash? }] };
+     *   stopJournal() adds `endTime` and `endHash`
+     * @example
+     * engine.setClock(new ManualClock()).setSeed('bug-1234');
+     * const journal = engine.startJournal({ hashes: true });
+     * // ... play ...
+     * saveFile('bug-1234.journal.json', JSON.stringify(engine.stopJournal()));
+     */
+    startJournal(options = {}) {
+        if (typeof this.getClock().advance !== 'function') {
+            console.warn('SpawnEngine: journaling with a real-time clock; replay will not be exact');
         }
+        this.journal = {
+            version: SpawnEngine.JOURNAL_VERSION,
+            hashes: options.hashes || false,
+            start: JSON.parse(JSON.stringify(this.export())),
+            commands: []
+        };
+        this._journalCommands = this.journal.commands;
+        this.entityManager.stepRecorder = (op, args, run) => this._recordCommand(op, args, run);
+        return this.journal;
+    }
 
-        if (pool.length === 0) {
-            return { success: false, error: 'No eligible traits' };
+    /**
+     * Stop recording. The journal gets `endTime` and `endHash`, the clock
+     * time and hashState() it ended at, which replay() checks after the last
+     * command.
+     *
+     * @returns {Object|null} The finished journal, or null if none was running
+     */
+    stopJournal() {
+        const journal = this.journal;
+        if (journal) {
+            journal.endTime = this.getClock().now();
+            journal.endHash = this.hashState();
         }
+        this.journal = null;
+        this._journalCommands = null;
+        this.entityManager.stepRecorder = null;
+        return journal;
+    }
 
-        // Weighted random selection
-        const totalWeight = pool.reduce((sum, p) => sum + p.weight, 0);
-        let roll = Math.random() * totalWeight;
-
-        for (const { trait, weight } of pool) {
-            roll -= weight;
-            if (roll <= 0) {
-                this._activateTrait(entity, trait.id);
-                return { success: true, selected: [trait.id] };
+    /**
+     * Rebuild state by running a journal's commands. Starting from the first
+     * command, the engine is reset to the journal's start (entities, presets,
+     * groups, tick systems, config and random stream); replay into a fresh
+     * engine to compare event streams, since listeners see the reset too.
+     * Commands that carry a hash are checked, and replay stops at the first
+     * one that differs. After the last command the clock is set to the
+     * journal's `endTime` and the state is checked against its `endHash`, so
+     * changes made outside journaled calls show up as a mismatch with
+     * `index` equal to the number of commands.
+     *
+     * @param {Object} journal - From startJournal()/stopJournal(), e.g. parsed from a file
+     * @param {Object} [options={}]
+     * @param {number} [options.to] - Stop after this many commands (default all)
+     * @param {number} [options.from=0] - Continue from this command without resetting,
+     *   after an earlier replay stopped there
+     * @returns {{steps: number, hash: string, mismatch: Object|null}} Commands run so far,
+     *   the resulting hash, and { index, expected, actual } if a hash differed
+     * @example
+     * const replay = new SpawnEngine();
+     * replay.on('modifierApplied', log);
+     * const { mismatch } = replay.replay(journal);
+     * if (mismatch) console.log(`diverged at command ${mismatch.index}`);
+     *
+     * // Step through: state just before command 40
+     * replay.replay(journal, { to: 40 });
+     * replay.replay(journal, { from: 40, to: 41 });
+     */
+    replay(journal, options = {}) {
+        const from = options.from ?? 0;
+        const to = Math.min(options.to ?? journal.commands.length, journal.commands.length);
+        this.stopJournal();
+
+        if (from === 0) this._resetToJournalStart(journal);
+
+        for (let index = from; index < to; index++) {
+            const command = journal.commands[index];
+            this._runCommand(command);
+            if (command.hash === undefined) continue;
+            const actual = this.hashState();
+            if (actual !== command.hash) {
+                return { steps: index + 1, hash: actual, mismatch: { index, expected: command.hash, actual } };
             }
         }
 
-        return { success: true, selected: [pool[0].trait.id] };
+        const end = journal.commands.length;
+        if (to === end && journal.endHash !== undefined) {
+            const clock = this.getClock();
+            if (typeof clock.set === 'function') clock.set(journal.endTime);
+            const actual = this.hashState();
+            if (actual !== journal.endHash) {
+                return { steps: Math.max(from, to), hash: actual, mismatch: { index: end, expected: journal.endHash, actual } };
+            }
+        }
+        return { steps: Math.max(from, to), hash: this.hashState(), mismatch: null };
     }
 
-    _calculateWeight(entity, trait) {
-        const selection = trait.config.selection || {};
-        let weight = selection.baseWeight ?? 20;
+    /**
+     * Short hash of all entity state, the clock and the random stream. Two
+     * engines with the same hash are in the same state, whatever their
+     * storage backend. Logs and per-tick caches are not included.
+     *
+     * @returns {string} 8 hex digits (FNV-1a over canonical JSON)
+     * @example
+     * assert(replayed.hashState() === recordedHash);
+     */
+    hashState() {
+        const em = this.entityManager;
+        const entities = [...em.stored.values()]
+            .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+            .map(({ _internal, ...entity }) => {
+                const internal = {};
+                for (const [key, value] of Object.entries(_internal || {})) {
+                    if (!EntityManager.TRANSIENT_INTERNALS.includes(key)) internal[key] = value;
+                }
+                return { ...entity, _internal: internal, active: em.isActive(entity.id) };
+            });
+        // Sorted keys, so key order (plain objects vs storage views) does not matter
+        const text = JSON.stringify(
+            {
+                time: this.getClock().now(),
+                rng: this.spawnManager.rng.getState(),
+                entityCount: this.spawnManager.entityCount,
+                entities
+            },
+            (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+                ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+                : value)
+        );
+        return SeededRandom.normalizeSeed(text).toString(16).padStart(8, '0');
+    }
 
-        // Apply weight modifiers from conditions
-        for (const mod of selection.weightModifiers || []) {
-            if (this._evaluateCondition(entity, mod.condition)) {
-                if (mod.operation === 'add') weight += mod.value;
-                else if (mod.operation === 'multiply') weight *= mod.value;
+    /**
+     * Record one call to a journaled method, or just run it when nested.
+     * @private
+     */
+    _recordCommand(op, args, run) {
+        if (!this._journalCommands || this._journalDepth > 0) return run();
+
+        const commands = this._journalCommands;
+        const command = { time: this.getClock().now(), op };
+        let result;
+
+        if (op === 'transaction') {
+            // The callback can't be stored; the calls made through tx are
+            command.args = [this._journalArg(args[0])];
+            command.commands = [];
+            this._journalCommands = command.commands;
+            try {
+                result = run();
+            } finally {
+                this._journalCommands = commands;
+            }
+        } else {
+            while (args.length > 0 && args[args.length - 1] === undefined) args = args.slice(0, -1);
+            command.args = args.map(arg => this._journalArg(arg));
+            this._journalDepth++;
+            try {
+                result = run();
+            } finally {
+                this._journalDepth--;
             }
         }
 
-        // Apply relationship-based weight influences
-        const influences = this.getRelationshipsTo(trait.id)
-            .filter(r => r.type === 'weight_influence');
+        if (this.journal?.hashes && commands === this.journal.commands) command.hash = this.hashState();
+        commands.push(command);
+        return result;
+    }
 
-        for (const rel of influences) {
-            if (!this._isNodeActive(entity, rel.sourceId)) continue;
-            if (!this._evaluateConditions(entity, rel.conditions)) continue;
+    /**
+     * JSON-safe journal argument; entities are stored as their ID.
+     * @private
+     */
+    _journalArg(arg) {
+        if (arg && typeof arg === 'object' && typeof arg.id === 'string' && this.getEntity(arg.id) === arg) return arg.id;
+        return arg === undefined ? null : JSON.parse(JSON.stringify(arg));
+    }
 
-            const value = this._calculateRelationshipValue(entity, rel);
-            if (rel.config.operation === 'add') weight += value;
-            else if (rel.config.operation === 'multiply') weight *= value;
+    /**
+     * Run one journal command at its recorded time.
+     * @private
+     */
+    _runCommand(command) {
+        const clock = this.getClock();
+        if (typeof clock.set === 'function') clock.set(command.time);
+
+        if (command.op === 'transaction') {
+            this.transaction(command.args[0], () => {
+                for (const inner of command.commands) this._runCommand(inner);
+            });
+        } else if (command.op === 'schedulerStep') {
+            this.entityManager.runScheduledStep(...command.args);
+        } else if (command.op === 'autoTick') {
+            this.entityManager.tickAll();
+        } else if (SpawnEngine.JOURNALED_METHODS.includes(command.op)) {
+            this[command.op](...command.args);
+        } else {
+            console.warn(`SpawnEngine: unknown journal command "${command.op}" skipped`);
         }
-
-        return Math.max(0, weight);
     }
 
-    _checkEligibility(entity, trait) {
-        return this._evaluateConditions(entity, trait.config.eligibility || []);
-    }
+    /**
+     * Replace everything with a journal's starting export.
+     * @private
+     */
+    _resetToJournalStart(journal) {
+        for (const entityId of [...this.entityManager.stored.keys()]) this.entityManager.remove(entityId);
+        this.entities.clear();
 
-    _hasIncompatibility(entity, trait) {
-        for (const incompId of trait.config.incompatibleWith || []) {
-            if (this._isNodeActive(entity, incompId)) return true;
-        }
-        return false;
+        if (typeof this.getClock().set !== 'function') this.setClock(new ManualClock());
+        this.import(JSON.parse(JSON.stringify(journal.start)));
+        for (const [entityId, entity] of this.entityManager.stored) this.entities.set(entityId, entity);
     }
 
     // ========================================
-    // TRAIT ACTIVATION
+    // ENTITY POOLING
     // ========================================
 
     /**
-     * Activate a trait for an entity.
-     * @param {string|Object} entityOrId - Entity or ID
-     * @param {string} traitId - Trait ID
-     * @returns {boolean} Success
+     * Configure the entity pool for high-frequency spawn/despawn scenarios.
+     *
+     * @param {Object} config - Pool configuration
+     * @param {number} [config.maxSize=100] - Maximum entities to keep in pool
+     * @param {number} [config.preWarm=0] - Number of entities to pre-create
+     * @param {string} [config.preWarmPreset=null] - Preset to use for pre-warming
+     * @returns {SpawnEngine} This instance for chaining
+     * @example
+     * // Setup for JRPG combat
+     * engine.configurePool({
+     *   maxSize: 50,
+     *   preWarm: 10,
+     *   preWarmPreset: 'enemy_basic'
+     * });
+     *
+     * // Combat loop
+     * const enemy = engine.acquire('enemy_goblin');
+     * // ... combat ...
+     * engine.release(enemy);
      */
-    activateTrait(entityOrId, traitId) {
-        const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
-        if (!entity) return false;
+    configurePool(config) {
+        this.entityManager.configurePool(config);
+        return this;
+    }
 
-        const result = this._activateTrait(entity, traitId);
-        if (result) {
-            this._recalculateRates(entity);
-            this._checkCompounds(entity);
-            this._calculateDerived(entity);
-            this.emit('traitActivated', { entityId: entity.id, traitId });
+    /**
+     * Acquire an entity from pool or create new.
+     * Faster than spawn() for frequent spawn/despawn patterns.
+     *
+     * @param {string|Object} [presetIdOrOverrides] - Preset ID or overrides
+     * @param {Object} [overrides={}] - Additional overrides
+     * @returns {Object} The acquired entity (active and ready to use)
+     * @example
+     * // Start combat encounter
+     * const enemies = [
+     *   engine.acquire('enemy_goblin'),
+     *   engine.acquire('enemy_goblin'),
+     *   engine.acquire('enemy_orc', { attributes: { strength: 15 } })
+     * ];
+     */
+    acquire(presetIdOrOverrides, overrides = {}) {
+        const entity = this.entityManager.acquire(presetIdOrOverrides, overrides);
+        if (entity) {
+            this.entities.set(entity.id, entity);
         }
-        return result;
+        return entity;
     }
 
     /**
-     * Deactivate a trait for an entity.
-     * @param {string|Object} entityOrId - Entity or ID
-     * @param {string} traitId - Trait ID
-     * @returns {boolean} Success
+     * Release an entity back to the pool for reuse.
+     *
+     * @param {Object|string} entityOrId - Entity or entity ID
+     * @returns {boolean} True if released to pool
+     * @example
+     * // Enemy defeated
+     * engine.release(enemy);
+     *
+     * // Release all enemies after combat
+     * enemies.forEach(e => engine.release(e));
      */
-    deactivateTrait(entityOrId, traitId) {
-        const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
-        if (!entity) return false;
-
-        const result = this._deactivateTrait(entity, traitId);
-        if (result) {
-            this._recalculateRates(entity);
-            this._checkCompounds(entity);
-            this._calculateDerived(entity);
-            this.emit('traitDeactivated', { entityId: entity.id, traitId });
-        }
-        return result;
+    release(entityOrId) {
+        const entityId = typeof entityOrId === 'string' ? entityOrId : entityOrId?.id;
+        this.entities.delete(entityId);
+        return this.entityManager.release(entityOrId);
     }
 
-    _activateTrait(entity, traitId) {
-        const trait = this.getNode(traitId);
-        if (!trait || (trait.type !== 'trait' && trait.type !== 'item')) return false;
+    /**
+     * Pre-warm the pool with entities.
+     *
+     * @param {number} count - Number of entities to pre-create
+     * @param {string} [presetId] - Preset to use
+     * @param {string} [poolId] - Target pool (defaults to default)
+     * @returns {SpawnEngine} This instance for chaining
+     * @example
+     * // Before wave-based combat
+     * engine.preWarmPool(30, 'enemy_basic');
+     *
+     * // Pre-warm specific pool
+     * engine.preWarmPool(20, 'goblin', 'enemies');
+     */
+    preWarmPool(count, presetId = null, poolId = null) {
+        this.entityManager.preWarmPool(count, presetId, poolId);
+        return this;
+    }
 
-        const layerId = trait.config.layerId;
-        if (!entity.layers[layerId]) {
-            entity.layers[layerId] = { active: [], lastRoll: null };
-        }
+    /**
+     * Get current pool statistics.
+     *
+     * @param {string} [poolId] - Pool ID (defaults to default pool)
+     * @returns {Object} Pool stats (size, available, inUse, totals)
+     */
+    getPoolStats(poolId = null) {
+        return this.entityManager.getPoolStats(poolId);
+    }
 
-        if (entity.layers[layerId].active.includes(traitId)) return false;
+    // ========================================
+    // MULTI-POOL MANAGEMENT
+    // ========================================
 
-        // Handle replacements
-        for (const replaceId of trait.config.selection?.replaces || []) {
-            this._deactivateTrait(entity, replaceId);
-        }
+    /**
+     * Create a new named entity pool.
+     *
+     * @param {string} poolId - Unique pool identifier
+     * @param {Object} [options={}] - Pool configuration
+     * @returns {Object} The created pool instance
+     * @example
+     * engine.createPool('enemies', {
+     *   name: 'Enemy Pool',
+     *   maxSize: 50,
+     *   preWarm: 10,
+     *   preWarmPreset: 'goblin',
+     *   rules: { conditions: [{ source: 'preset', match: 'enemy_*' }] }
+     * });
+     */
+    createPool(poolId, options = {}) {
+        return this.entityManager.createPool(poolId, options);
+    }
 
-        entity.layers[layerId].active.push(traitId);
-        return true;
+    /**
+     * Get a pool by ID.
+     *
+     * @param {string} poolId - Pool identifier
+     * @returns {Object|null} The pool instance or null
+     */
+    getPool(poolId) {
+        return this.entityManager.getPool(poolId);
     }
 
-    _forceActivateTrait(entity, traitId) {
-        const trait = this.getNode(traitId);
-        if (!trait || (trait.type !== 'trait' && trait.type !== 'item')) return false;
+    /**
+     * List all pools.
+     *
+     * @returns {Array<Object>} Array of pool summaries
+     */
+    listPools() {
+        return this.entityManager.listPools();
+    }
 
-        const layerId = trait.config.layerId;
-        if (!entity.layers[layerId]) {
-            entity.layers[layerId] = { active: [], lastRoll: null };
-        }
+    /**
+     * Remove a pool. Entities are moved to default pool.
+     *
+     * @param {string} poolId - Pool to remove
+     * @returns {boolean} True if removed
+     */
+    removePool(poolId) {
+        return this.entityManager.removePool(poolId);
+    }
 
-        if (!entity.layers[layerId].active.includes(traitId)) {
-            entity.layers[layerId].active.push(traitId);
-        }
-        return true;
+    /**
+     * Move an entity to a different pool.
+     *
+     * @param {Object|string} entityOrId - Entity or entity ID
+     * @param {string} targetPoolId - Target pool
+     * @returns {boolean} True if moved
+     */
+    moveToPool(entityOrId, targetPoolId) {
+        return this.entityManager.moveToPool(entityOrId, targetPoolId);
     }
 
-    _deactivateTrait(entity, traitId) {
-        const trait = this.getNode(traitId);
-        if (!trait || (trait.type !== 'trait' && trait.type !== 'item')) return false;
+    /**
+     * Set assignment rules for a pool.
+     *
+     * @param {string} poolId - Pool to configure
+     * @param {Object} rules - Assignment rules
+     * @returns {SpawnEngine} This instance for chaining
+     */
+    setPoolRules(poolId, rules) {
+        this.entityManager.setPoolRules(poolId, rules);
+        return this;
+    }
 
-        const layerId = trait.config.layerId;
-        if (!entity.layers[layerId]) return false;
+    /**
+     * Determine which pool an entity should belong to.
+     *
+     * @param {Object} entity - Entity to evaluate
+     * @returns {string} Pool ID
+     */
+    getPoolForEntity(entity) {
+        return this.entityManager.getPoolForEntity(entity);
+    }
 
-        const index = entity.layers[layerId].active.indexOf(traitId);
-        if (index === -1) return false;
+    /**
+     * Get statistics for all pools.
+     *
+     * @returns {Object} Map of poolId to stats
+     */
+    getAllPoolStats() {
+        return this.entityManager.getAllPoolStats();
+    }
 
-        entity.layers[layerId].active.splice(index, 1);
-        return true;
+    /**
+     * Clear a specific pool.
+     *
+     * @param {string} [poolId] - Pool to clear (defaults to default)
+     * @returns {SpawnEngine} This instance for chaining
+     */
+    clearPool(poolId = null) {
+        this.entityManager.clearPool(poolId);
+        return this;
     }
+}
 
-    // ========================================
-    // TICK SYSTEM
-    // ========================================
+/** Journal format version written by startJournal(). */
+SpawnEngine.JOURNAL_VERSION = 1;
+
+/** Engine methods recorded in the command journal (each calls _recordCommand). */
+SpawnEngine.JOURNALED_METHODS = [
+    'spawn', 'despawn', 'tick', 'tickAll', 'fastForward', 'advanceTickSystem',
+    'modifyVariable', 'setVariable', 'applyModifier', 'removeModifier',
+    'activateTrait', 'deactivateTrait', 'rollLayer', 'executeAction', 'transaction'
+];
+
+
+// ============================================================================
+// WORKER MODE - Engine Host & Main-Thread Proxy
+// ============================================================================
 
+/**
+ * Runs a SpawnEngine inside a Web Worker (or a Node `worker_threads` worker)
+ * on behalf of a SpawnEngineProxy on the main thread.
+ *
+ * Calls from the proxy run against the real engine; entity results go back as
+ * getState() summaries. Entity changes are not cloned whole: after each call,
+ * and after autonomous ticking (startAutoTick), the host sends one batch with
+ * a per-entity diff against what it last sent, plus the events the proxy
+ * subscribed to.
+ *
+ * A worker script only has to load this file and call `listen()`; see
+ * reference/spawn-worker.js, or src/worker.js for the ES module.
+ *
+ * @class EngineWorkerHost
+ * @example
+ * // Worker script (browser)
+ * importScripts('spawn-engine.js');
+ * EngineWorkerHost.listen(self);
+ *
+ * // Worker script (Node)
+ * const { parentPort } = require('worker_threads');
+ * require('./spawn-engine.js').EngineWorkerHost.listen(parentPort);
+ */
+class EngineWorkerHost {
     /**
-     * Advance time for an entity, updating variables.
-     * @param {string|Object} entityOrId - Entity or ID
-     * @param {number} [deltaSeconds] - Time delta (auto-calculated if omitted)
-     * @returns {Object|null} Updated entity
+     * @param {Object} port - Channel back to the main thread: the worker's
+     *   `self`, a Node `parentPort`, or any object with postMessage()
      */
-    tick(entityOrId, deltaSeconds = null) {
-        const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
-        if (!entity) return null;
-
-        const now = Date.now();
-        if (deltaSeconds === null) {
-            deltaSeconds = (now - entity._internal.lastTick) / 1000;
-        }
-        entity._internal.lastTick = now;
+    constructor(port) {
+        /** @type {Object} Where results and batches are posted */
+        this.port = port;
+        /** @type {SpawnEngine|null} Created by the proxy's init message */
+        this.engine = null;
+        /** @type {Set<string>} Entities that may have changed since the last batch */
+        this.dirty = new Set();
+        /** @type {Map<string, Object>} Per entity: the last state sent, as JSON per key */
+        this.sent = new Map();
+        /** @type {Map<string, Function>} Forwarded event -> unsubscribe function */
+        this.forwarded = new Map();
+        /** @type {Array<Object>} Forwarded events waiting for the next batch */
+        this.events = [];
+        /** @type {number} Sequence number of the last batch */
+        this.seq = 0;
+
+        this._inCall = false;
+        this._flushQueued = false;
+    }
 
-        // Update timed variables
-        for (const [varId, varState] of Object.entries(entity.variables)) {
-            if (varState.changeMode === 'timed' && varState.direction !== 'none') {
-                const oldValue = varState.value;
-                varState.value += varState.currentRate * deltaSeconds;
-                varState.value = Math.max(varState.min, Math.min(varState.max, varState.value));
-
-                if (varState.value !== oldValue) {
-                    this._checkThresholds(entity, varId);
-                    this.emit('variableChanged', {
-                        entityId: entity.id, varId, oldValue, newValue: varState.value
-                    });
-                }
-            }
-        }
+    /**
+     * Create a host that answers messages arriving on `port`.
+     *
+     * @param {Object} port - Worker `self` or Node `parentPort`
+     * @returns {EngineWorkerHost} The host
+     */
+    static listen(port) {
+        const host = new EngineWorkerHost(port);
+        EngineWorkerHost.onMessage(port, message => host.handle(message));
+        return host;
+    }
 
-        // Expire modifiers
-        const expiredModifiers = [];
-        for (const modId of entity.modifiers) {
-            const modState = entity._modifierStates[modId];
-            if (modState?.expiresAt && now >= modState.expiresAt) {
-                expiredModifiers.push(modId);
-            } else if (modState?.ticksRemaining !== undefined) {
-                modState.ticksRemaining--;
-                if (modState.ticksRemaining <= 0) expiredModifiers.push(modId);
-            }
+    /**
+     * Subscribe to messages on a Web Worker, Node worker, or message port,
+     * receiving the message data either way.
+     *
+     * @param {Object} target - Worker, `self`, `parentPort` or MessagePort
+     * @param {Function} handler - Called with each message's data
+     */
+    static onMessage(target, handler) {
+        if (typeof target.on === 'function') {
+            target.on('message', handler);
+        } else {
+            target.addEventListener('message', event => handler(event.data));
+            if (typeof target.start === 'function') target.start();
         }
+    }
 
-        for (const modId of expiredModifiers) {
-            this.removeModifier(entity, modId);
+    /**
+     * Handle one message from the proxy.
+     *
+     * @param {Object} message - { type: 'init'|'call'|'subscribe'|'unsubscribe', ... }
+     */
+    handle(message) {
+        switch (message?.type) {
+            case 'init':
+                this._respond(message.id, () => this._init(message.config, message.options || {}));
+                break;
+            case 'call':
+                this._respond(message.id, () => this._call(message.method, message.args || []));
+                break;
+            case 'subscribe':
+                this._forward(message.event, true);
+                break;
+            case 'unsubscribe':
+                this._forward(message.event, false);
+                break;
+            default:
+                console.warn(`EngineWorkerHost: unknown message type '${message?.type}'.`);
         }
-
-        this._calculateDerived(entity);
-        this.emit('tick', { entityId: entity.id, deltaSeconds });
-
-        return entity;
     }
 
     /**
-     * Advance time for all entities.
-     * @param {number} [deltaSeconds] - Time delta
+     * Send pending entity diffs and events as one batch, if there are any.
      */
-    tickAll(deltaSeconds = null) {
-        for (const entityId of this.entities.keys()) {
-            this.tick(entityId, deltaSeconds);
+    flush() {
+        if (!this.engine) return;
+        const patches = [];
+        const removed = [];
+
+        for (const entityId of this.dirty) {
+            const state = this.engine.getState(entityId);
+            if (!state) {
+                if (this.sent.delete(entityId)) removed.push(entityId);
+                continue;
+            }
+            const patch = this._diff(entityId, state);
+            if (patch) patches.push(patch);
         }
+        this.dirty.clear();
+
+        if (patches.length === 0 && removed.length === 0 && this.events.length === 0) return;
+        const events = this.events;
+        this.events = [];
+        this.port.postMessage({ type: 'batch', seq: ++this.seq, patches, removed, events });
     }
 
     // ========================================
-    // VARIABLES
+    // INTERNAL
     // ========================================
 
     /**
-     * Modify a variable by a delta amount.
-     * @param {string|Object} entityOrId - Entity or ID
-     * @param {string} varId - Variable ID
-     * @param {number} delta - Change amount
-     * @returns {boolean} Success
+     * Run a request, flush the batch it caused, then post its result, so the
+     * proxy's mirror is current by the time the promise resolves.
+     * @private
      */
-    modifyVariable(entityOrId, varId, delta) {
-        const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
-        if (!entity) return false;
+    _respond(id, fn) {
+        let reply;
+        this._inCall = true;
+        try {
+            reply = { type: 'result', id, ...fn() };
+        } catch (e) {
+            reply = { type: 'error', id, name: e.name, message: e.message };
+        } finally {
+            this._inCall = false;
+        }
+        this.flush();
+        this.port.postMessage(reply);
+    }
 
-        const varState = entity.variables[varId];
-        if (!varState) return false;
+    /** @private */
+    _init(config, options) {
+        if (this.engine) throw new Error('Worker engine is already initialised.');
+        this.engine = new SpawnEngine(config);
+        if (options.manualClock) this.engine.setClock(new ManualClock());
+        for (const event of EngineWorkerHost.STATE_EVENTS) {
+            this.engine.on(event, data => this._markDirty(event, data));
+        }
+        return { value: true };
+    }
 
-        const oldValue = varState.value;
-        varState.value = Math.max(varState.min, Math.min(varState.max, varState.value + delta));
+    /** @private */
+    _call(method, args) {
+        const engine = this.engine;
+        if (!engine) throw new Error('Worker engine is not initialised.');
+        if (method.startsWith('_') || typeof engine[method] !== 'function') {
+            throw new Error(`Unknown engine method '${method}'.`);
+        }
 
-        if (varState.value !== oldValue) {
-            this._checkThresholds(entity, varId);
-            this._calculateDerived(entity);
-            this.emit('variableChanged', { entityId: entity.id, varId, oldValue, newValue: varState.value });
+        const result = engine[method](...args);
+        // Entities named in the call are re-checked even if nothing was emitted
+        for (const arg of args) {
+            if (typeof arg === 'string' && (this.sent.has(arg) || engine.entityManager.stored.has(arg))) {
+                this.dirty.add(arg);
+            }
         }
 
-        return true;
+        if (result === engine || result === engine.entityManager || result === engine.spawnManager) {
+            return { self: true };
+        }
+        try {
+            return { value: this._serialize(result) };
+        } catch (e) {
+            throw new Error(`Result of '${method}' cannot be sent to the main thread: ${e.message}`);
+        }
     }
 
     /**
-     * Set a variable to an absolute value.
-     * @param {string|Object} entityOrId - Entity or ID
-     * @param {string} varId - Variable ID
-     * @param {number} value - New value
-     * @returns {boolean} Success
+     * Stored entities become getState() summaries; everything else a JSON copy.
+     * @private
      */
-    setVariable(entityOrId, varId, value) {
-        const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
-        if (!entity) return false;
-
-        const varState = entity.variables[varId];
-        if (!varState) return false;
-
-        const oldValue = varState.value;
-        varState.value = Math.max(varState.min, Math.min(varState.max, value));
+    _serialize(value) {
+        if (Array.isArray(value)) return value.map(item => this._serialize(item));
+        if (value && typeof value === 'object' && typeof value.id === 'string' &&
+            this.engine.entityManager.stored.get(value.id) === value) {
+            return this.engine.getState(value.id);
+        }
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
 
-        if (varState.value !== oldValue) {
-            this._checkThresholds(entity, varId);
-            this._calculateDerived(entity);
-            this.emit('variableChanged', { entityId: entity.id, varId, oldValue, newValue: varState.value });
+    /** @private */
+    _forward(event, enabled) {
+        if (!this.engine) return;
+        if (enabled && !this.forwarded.has(event)) {
+            this.forwarded.set(event, this.engine.on(event, data => {
+                this.events.push({ event, data: this._serialize(data) });
+                this._queueFlush();
+            }));
+        } else if (!enabled && this.forwarded.has(event)) {
+            this.forwarded.get(event)();
+            this.forwarded.delete(event);
         }
+    }
 
-        return true;
+    /** @private */
+    _markDirty(event, data) {
+        if (event === 'dataImported') {
+            for (const entityId of this.engine.entityManager.stored.keys()) this.dirty.add(entityId);
+            for (const entityId of this.sent.keys()) this.dirty.add(entityId);
+        } else {
+            const entityId = data?.entityId || data?.entity?.id;
+            if (entityId) this.dirty.add(entityId);
+        }
+        this._queueFlush();
     }
 
-    // ========================================
-    // MODIFIERS
-    // ========================================
+    /**
+     * Outside a call (auto-tick, timers) changes are batched per microtask.
+     * @private
+     */
+    _queueFlush() {
+        if (this._inCall || this._flushQueued) return;
+        this._flushQueued = true;
+        Promise.resolve().then(() => {
+            this._flushQueued = false;
+            this.flush();
+        });
+    }
 
     /**
-     * Apply a modifier to an entity.
-     * @param {string|Object} entityOrId - Entity or ID
-     * @param {string} modifierId - Modifier ID
-     * @returns {boolean} Success
+     * Keys of `state` whose JSON differs from the last send. Object-valued
+     * keys (MERGED_KEYS) are compared and sent per entry; keys that have gone
+     * are listed in `unset` as paths.
+     * @private
      */
-    applyModifier(entityOrId, modifierId) {
-        const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
-        if (!entity) return false;
-
-        const modifier = this.getNode(modifierId);
-        if (!modifier || modifier.type !== 'modifier') return false;
-
-        const config = modifier.config || {};
-        const existing = entity.modifiers.includes(modifierId);
-
-        if (existing && entity._modifierStates[modifierId]) {
-            const modState = entity._modifierStates[modifierId];
-            if (config.stacking === 'refresh' && config.duration) {
-                modState.appliedAt = Date.now();
-                if (config.durationType === 'timed') {
-                    modState.expiresAt = Date.now() + (config.duration * 1000);
+    _diff(entityId, state) {
+        const last = this.sent.get(entityId) || {};
+        const next = {};
+        const changes = {};
+        const unset = [];
+
+        // Round-trip first so undefined values drop out as they do for results
+        for (const [key, value] of Object.entries(JSON.parse(JSON.stringify(state)))) {
+            if (EngineWorkerHost.MERGED_KEYS.includes(key) && value && typeof value === 'object') {
+                const previous = typeof last[key] === 'object' ? last[key] : null;
+                const entries = {};
+                next[key] = {};
+                for (const [subKey, subValue] of Object.entries(value)) {
+                    const json = JSON.stringify(subValue);
+                    next[key][subKey] = json;
+                    if (previous?.[subKey] !== json) entries[subKey] = subValue;
                 }
-            } else if (config.stacking === 'stack') {
-                modState.stacks = Math.min((modState.stacks || 1) + 1, config.maxStacks || 99);
+                if (!previous) changes[key] = entries;
+                else if (Object.keys(entries).length > 0) changes[key] = entries;
+                for (const subKey of Object.keys(previous || {})) {
+                    if (!(subKey in value)) unset.push([key, subKey]);
+                }
+            } else {
+                const json = JSON.stringify(value);
+                next[key] = json;
+                if (last[key] !== json) changes[key] = value;
             }
-        } else {
-            entity.modifiers.push(modifierId);
-            entity._modifierStates[modifierId] = {
-                appliedAt: Date.now(),
-                stacks: 1,
-                expiresAt: config.durationType === 'timed' && config.duration
-                    ? Date.now() + (config.duration * 1000) : null,
-                ticksRemaining: config.durationType === 'ticks' ? config.duration : undefined
-            };
         }
+        for (const key of Object.keys(last)) {
+            if (!(key in next)) unset.push([key]);
+        }
+        this.sent.set(entityId, next);
 
-        this._recalculateRates(entity);
-        this._checkCompounds(entity);
-        this._calculateDerived(entity);
-        this.emit('modifierApplied', { entityId: entity.id, modifierId });
-
-        return true;
+        if (Object.keys(changes).length === 0 && unset.length === 0) return null;
+        const patch = { id: entityId, changes };
+        if (unset.length > 0) patch.unset = unset;
+        return patch;
     }
+}
 
+/** Events that mark their entity for re-diffing. */
+EngineWorkerHost.STATE_EVENTS = [
+    'entitySpawned', 'entityStored', 'entityActivated', 'entityDeactivated', 'entityRemoved',
+    'entityDespawned', 'entityRolledBack', 'variableChanged', 'modifierApplied', 'modifierRemoved',
+    'traitActivated', 'traitDeactivated', 'compoundActivated', 'compoundDeactivated', 'tick',
+    'fastForwarded', 'dataImported'
+];
+
+/** getState() keys diffed per entry rather than as a whole. */
+EngineWorkerHost.MERGED_KEYS = ['variables', 'derived', 'attributes', 'contexts'];
+
+/**
+ * Main-thread stand-in for a SpawnEngine running in a worker (see
+ * EngineWorkerHost). It has the same method names, but every call returns a
+ * promise. Entities are addressed by ID (or by their mirrored state), and
+ * entity results arrive as getState() summaries.
+ *
+ * `entities` is a local mirror of every entity's getState(), kept current by
+ * the batches the worker sends, so rendering can read it synchronously.
+ * Listeners added with on() receive events after the mirror has been updated.
+ * Arguments must be cloneable, so callbacks such as LOD resolvers cannot be
+ * passed.
+ *
+ * @class SpawnEngineProxy
+ * @example
+ * const engine = new SpawnEngineProxy(new Worker('spawn-worker.js'), config);
+ * await engine.ready;
+ * const patron = await engine.spawn('preset_regular');
+ * engine.on('compoundActivated', ({ entityId, compoundId }) => log(entityId, compoundId));
+ * await engine.tickAll(1);
+ * draw(engine.entities.get(patron.id).variables.var_thirst.value);
+ */
+class SpawnEngineProxy {
     /**
-     * Remove a modifier from an entity.
-     * @param {string|Object} entityOrId - Entity or ID
-     * @param {string} modifierId - Modifier ID
-     * @returns {boolean} Success
+     * @param {Object} worker - Web Worker, Node Worker or MessagePort running EngineWorkerHost
+     * @param {Object|null} [config=null] - Configuration to load in the worker
+     * @param {Object} [options={}]
+     * @param {boolean} [options.manualClock=false] - Use a ManualClock in the worker
      */
-    removeModifier(entityOrId, modifierId) {
-        const entity = typeof entityOrId === 'string' ? this.getEntity(entityOrId) : entityOrId;
-        if (!entity) return false;
-
-        const index = entity.modifiers.indexOf(modifierId);
-        if (index === -1) return false;
+    constructor(worker, config = null, options = {}) {
+        /** @type {Object} The worker (or port) the engine runs behind */
+        this.worker = worker;
+        /** @type {Map<string, Object>} Mirrored getState() per entity */
+        this.entities = new Map();
+        /** @type {number} Sequence number of the last batch applied */
+        this.seq = 0;
+        /** @type {Map<string, Set<Function>>} Local event listeners */
+        this.listeners = new Map();
 
-        entity.modifiers.splice(index, 1);
-        delete entity._modifierStates[modifierId];
+        this._pending = new Map();
+        this._nextId = 1;
 
-        this._recalculateRates(entity);
-        this._checkCompounds(entity);
-        this._calculateDerived(entity);
-        this.emit('modifierRemoved', { entityId: entity.id, modifierId });
+        EngineWorkerHost.onMessage(worker, message => this._receive(message));
+        const onError = error => this._failAll(error instanceof Error ? error : new Error(error?.message || 'Worker error'));
+        if (typeof worker.on === 'function') worker.on('error', onError);
+        else if (typeof worker.addEventListener === 'function') worker.addEventListener('error', onError);
 
-        return true;
+        /** @type {Promise<boolean>} Resolves once the worker engine is created */
+        this.ready = this._request({ type: 'init', config, options });
     }
 
-    // ========================================
-    // STATE QUERIES
-    // ========================================
+    /**
+     * Call any SpawnEngine method in the worker. The named methods
+     * (spawn, tick, getState, ...) are shorthands for this.
+     *
+     * @param {string} method - SpawnEngine method name
+     * @param {...*} args - Arguments; mirrored entities are sent as their ID
+     * @returns {Promise<*>} The result; methods that chain resolve to the proxy
+     * @example
+     * await engine.call('applyModifier', patronId, 'mod_drunk');
+     */
+    call(method, ...args) {
+        return this._request({ type: 'call', method, args: args.map(arg => this._toArg(arg)) });
+    }
 
     /**
-     * Get a summarized state view of an entity.
+     * Latest mirrored state of an entity, without a round trip.
+     *
      * @param {string} entityId - Entity ID
-     * @returns {Object|null} State summary
+     * @returns {Object|null} getState() as of the last batch
      */
-    getState(entityId) {
-        const entity = this.getEntity(entityId);
-        if (!entity) return null;
-
-        const activeTraits = [];
-        for (const [layerId, layerState] of Object.entries(entity.layers)) {
-            for (const traitId of layerState.active) {
-                const trait = this.getNode(traitId);
-                activeTraits.push({ id: traitId, name: trait?.name || traitId, layerId });
-            }
-        }
-
-        const activeModifiers = entity.modifiers.map(modId => {
-            const mod = this.getNode(modId);
-            const state = entity._modifierStates[modId] || {};
-            return { id: modId, name: mod?.name || modId, stacks: state.stacks };
-        });
-
-        const activeCompounds = entity.compounds.map(compId => {
-            const comp = this.getNode(compId);
-            return { id: compId, name: comp?.name || compId };
-        });
-
-        return {
-            id: entity.id,
-            createdAt: entity.createdAt,
-            attributes: { ...entity.attributes },
-            variables: Object.fromEntries(
-                Object.entries(entity.variables).map(([k, v]) => [k, {
-                    value: v.value,
-                    min: v.min,
-                    max: v.max,
-                    currentRate: v.currentRate
-                }])
-            ),
-            activeTraits,
-            activeModifiers,
-            activeCompounds,
-            derived: { ...entity.derived }
-        };
+    getCachedState(entityId) {
+        return this.entities.get(entityId) || null;
     }
 
-    // ========================================
-    // EVENTS
-    // ========================================
-
     /**
-     * Subscribe to an event.
+     * Listen for an engine event. The worker only forwards events that have a
+     * listener.
+     *
      * @param {string} event - Event name
-     * @param {Function} callback - Handler function
+     * @param {Function} callback - Called with the event data
      * @returns {Function} Unsubscribe function
      */
     on(event, callback) {
         if (!this.listeners.has(event)) {
-            this.listeners.set(event, []);
+            this.listeners.set(event, new Set());
+            this.worker.postMessage({ type: 'subscribe', event });
         }
-        this.listeners.get(event).push(callback);
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
 
-        return () => {
-            const callbacks = this.listeners.get(event);
-            const index = callbacks.indexOf(callback);
-            if (index > -1) callbacks.splice(index, 1);
-        };
+    off(event, callback) {
+        const set = this.listeners.get(event);
+        if (!set || !set.delete(callback) || set.size > 0) return;
+        this.listeners.delete(event);
+        this.worker.postMessage({ type: 'unsubscribe', event });
     }
 
     /**
-     * Emit an event.
-     * @param {string} event - Event name
-     * @param {Object} data - Event data
+     * Stop the worker (or close the port). Calls still waiting are rejected.
+     *
+     * @returns {*} Whatever the worker's terminate() returns
      */
-    emit(event, data) {
-        const callbacks = this.listeners.get(event) || [];
-        for (const callback of callbacks) {
+    terminate() {
+        this._failAll(new Error('Worker engine was terminated.'));
+        if (typeof this.worker.terminate === 'function') return this.worker.terminate();
+        if (typeof this.worker.close === 'function') return this.worker.close();
+        return undefined;
+    }
+
+    // ========================================
+    // INTERNAL
+    // ========================================
+
+    /** @private */
+    _request(message) {
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
             try {
-                callback(data);
+                this.worker.postMessage({ ...message, id });
             } catch (e) {
-                console.error(`Error in event handler for '${event}':`, e);
+                this._pending.delete(id);
+                reject(e);
             }
-        }
+        });
     }
 
-    // ========================================
-    // INTERNAL HELPERS
-    // ========================================
+    /** @private */
+    _toArg(arg) {
+        if (arg && typeof arg === 'object' && typeof arg.id === 'string' && Array.isArray(arg.activeModifiers)) {
+            return arg.id;
+        }
+        return arg;
+    }
 
-    _checkCompounds(entity) {
-        for (const compound of this.getCompounds()) {
-            const isActive = entity.compounds.includes(compound.id);
-            const requirementsMet = this._checkCompoundRequirements(entity, compound);
+    /** @private */
+    _receive(message) {
+        if (message?.type === 'batch') {
+            this._applyBatch(message);
+            return;
+        }
+        const pending = this._pending.get(message?.id);
+        if (!pending) return;
+        this._pending.delete(message.id);
+
+        if (message.type === 'error') {
+            const error = new Error(message.message);
+            error.name = message.name || 'Error';
+            pending.reject(error);
+        } else {
+            pending.resolve(message.self ? this : message.value);
+        }
+    }
 
-            if (requirementsMet && !isActive) {
-                entity.compounds.push(compound.id);
-                this.emit('compoundActivated', { entityId: entity.id, compoundId: compound.id });
-            } else if (!requirementsMet && isActive) {
-                const index = entity.compounds.indexOf(compound.id);
-                if (index > -1) {
-                    entity.compounds.splice(index, 1);
-                    this.emit('compoundDeactivated', { entityId: entity.id, compoundId: compound.id });
+    /** @private */
+    _applyBatch(batch) {
+        this.seq = batch.seq;
+        for (const { id, changes, unset } of batch.patches) {
+            let state = this.entities.get(id);
+            if (!state) {
+                state = {};
+                this.entities.set(id, state);
+            }
+            for (const [key, value] of Object.entries(changes)) {
+                if (EngineWorkerHost.MERGED_KEYS.includes(key) && state[key] && typeof state[key] === 'object') {
+                    Object.assign(state[key], value);
+                } else {
+                    state[key] = value;
                 }
             }
+            for (const [key, subKey] of unset || []) {
+                if (subKey === undefined) delete state[key];
+                else if (state[key]) delete state[key][subKey];
+            }
         }
-    }
+        for (const entityId of batch.removed) this.entities.delete(entityId);
 
-    _checkCompoundRequirements(entity, compound) {
-        const requires = compound.config.requires || [];
-        const logic = compound.config.requirementLogic || 'all';
+        for (const { event, data } of batch.events) {
+            this.listeners.get(event)?.forEach(cb => {
+                try { cb(data); } catch (e) { console.error(`SpawnEngineProxy event error (${event}):`, e); }
+            });
+        }
+    }
 
-        if (requires.length === 0) return false;
+    /** @private */
+    _failAll(error) {
+        for (const { reject } of this._pending.values()) reject(error);
+        this._pending.clear();
+    }
+}
 
-        const results = requires.map(req => {
-            if (req.item || req.trait) {
-                return this._isNodeActive(entity, req.item || req.trait);
-            } else if (req.modifier) {
-                return entity.modifiers.includes(req.modifier);
-            } else if (req.condition) {
-                return this._evaluateCondition(entity, req.condition);
-            }
-            return false;
-        });
+// Every public SpawnEngine method, forwarded to the worker
+for (const name of Object.getOwnPropertyNames(SpawnEngine.prototype)) {
+    if (name === 'constructor' || name.startsWith('_') || name in SpawnEngineProxy.prototype) continue;
+    if (typeof Object.getOwnPropertyDescriptor(SpawnEngine.prototype, name).value !== 'function') continue;
+    SpawnEngineProxy.prototype[name] = function (...args) {
+        return this.call(name, ...args);
+    };
+}
 
-        return logic === 'all' ? results.every(r => r) : results.some(r => r);
-    }
 
-    _calculateDerived(entity) {
-        for (const derived of this.getDerived()) {
-            const cfg = derived.config;
-            const formula = cfg.formula;
+// ============================================================================
+// CSV IMPORTER
+// ============================================================================
 
-            try {
-                const context = {
-                    ...entity.attributes,
-                    ...Object.fromEntries(
-                        Object.entries(entity.variables).map(([k, v]) => [k, v.value])
-                    ),
-                    ...entity.contexts
-                };
+class CSVImporter {
+    /**
+     * Parse CSV string into array of objects.
+     */
+    static parse(csvString, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const lines = csvString.trim().split(/\r?\n/);
 
-                const value = this._evaluateFormula(formula, context);
-                entity.derived[derived.id] = Math.max(
-                    cfg.min ?? -Infinity,
-                    Math.min(cfg.max ?? Infinity, value)
-                );
-            } catch (e) {
-                entity.derived[derived.id] = 0;
-            }
-        }
-    }
+        if (lines.length < 2) return [];
 
-    _recalculateRates(entity) {
-        for (const varNode of this.getVariables()) {
-            const varState = entity.variables[varNode.id];
-            if (!varState) continue;
+        const headers = this.parseLine(lines[0], delimiter);
+        const rows = [];
 
-            let rate = varState.baseRate;
+        for (let i = 1; i < lines.length; i++) {
+            const values = this.parseLine(lines[i], delimiter);
+            if (values.length === 0 || (values.length === 1 && values[0] === '')) continue;
 
-            const rateRels = this.getRelationshipsTo(varNode.id)
-                .filter(r => r.type === 'rate_modifier');
+            const row = {};
+            for (let j = 0; j < headers.length; j++) {
+                const header = headers[j].trim();
+                let value = values[j]?.trim() || '';
 
-            for (const rel of rateRels) {
-                if (!this._isNodeActive(entity, rel.sourceId)) continue;
-                if (!this._evaluateConditions(entity, rel.conditions)) continue;
+                // Auto-convert types
+                if (value === 'true') value = true;
+                else if (value === 'false') value = false;
+                else if (value !== '' && !isNaN(value)) value = parseFloat(value);
 
-                const value = this._calculateRelationshipValue(entity, rel);
-                if (rel.config.operation === 'add') rate += value;
-                else if (rel.config.operation === 'multiply') rate *= value;
+                row[header] = value;
             }
-
-            varState.currentRate = rate;
+            rows.push(row);
         }
-    }
 
-    _checkThresholds(entity, varId) {
-        const varState = entity.variables[varId];
+        return rows;
+    }
 
-        // Check traits/items with threshold selection mode
-        const traits = this.config.nodes.filter(n =>
-            (n.type === 'trait' || n.type === 'item') &&
-            n.config.selection?.mode === 'threshold' &&
-            n.config.selection?.trigger?.target === varId
-        );
+    static parseLine(line, delimiter) {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
 
-        for (const trait of traits) {
-            const trigger = trait.config.selection.trigger;
-            const autoRemove = trait.config.selection.autoRemove;
-            const layerId = trait.config.layerId;
-            const isActive = entity.layers[layerId]?.active?.includes(trait.id);
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
 
-            if (!isActive && this._evaluateThreshold(varState.value, trigger)) {
-                this.activateTrait(entity, trait.id);
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === delimiter && !inQuotes) {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
             }
+        }
+        values.push(current);
 
-            if (isActive && autoRemove && this._evaluateThreshold(varState.value, autoRemove)) {
-                this.deactivateTrait(entity, trait.id);
-            }
+        return values;
+    }
+
+    /**
+     * Import attributes from CSV.
+     * Expected columns: id, name, description, min, max, default_min, default_max, precision,
+     * distribution, correlations
+     *
+     * `distribution` is a type name, dice notation ("3d6") or quoted JSON.
+     * `correlations` is "attr_id:coefficient" pairs separated by "|".
+     */
+    static importAttributes(csvString, config) {
+        const rows = this.parse(csvString);
+        const nodes = [];
+
+        for (const row of rows) {
+            if (!row.id) continue;
+
+            nodes.push({
+                id: row.id,
+                name: row.name || row.id,
+                description: row.description || '',
+                type: 'attribute',
+                config: {
+                    min: row.min ?? 0,
+                    max: row.max ?? 100,
+                    defaultRange: [row.default_min ?? row.min ?? 0, row.default_max ?? row.max ?? 100],
+                    precision: row.precision ?? 0,
+                    ...this.parseDistribution(row)
+                }
+            });
         }
 
-        // Check modifiers with threshold trigger type
-        const modifiers = this.config.nodes.filter(n =>
-            n.type === 'modifier' &&
-            n.config.triggerType === 'threshold' &&
-            n.config.trigger?.target === varId
-        );
+        config.nodes = config.nodes.filter(n => n.type !== 'attribute');
+        config.nodes.push(...nodes);
 
-        for (const modifier of modifiers) {
-            const trigger = modifier.config.trigger;
-            const autoRemove = modifier.config.autoRemove;
-            const isActive = entity.modifiers.includes(modifier.id);
+        return nodes;
+    }
 
-            // Apply modifier if threshold is met and not already active
-            if (!isActive && this._evaluateThreshold(varState.value, trigger)) {
-                this.applyModifier(entity, modifier.id);
+    /**
+     * Read an attribute row's distribution and correlations columns.
+     * @returns {Object} `{ distribution?, correlations? }` to spread into the node config
+     */
+    static parseDistribution(row) {
+        const result = {};
+
+        if (row.distribution) {
+            const raw = String(row.distribution).trim();
+            if (raw.startsWith('{')) {
+                try {
+                    result.distribution = JSON.parse(raw);
+                } catch (e) {
+                    console.warn(`CSV: invalid distribution JSON for attribute "${row.id}": ${e.message}`);
+                }
+            } else {
+                result.distribution = raw;
             }
-
-            // Remove modifier if autoRemove threshold is met
-            if (isActive && autoRemove && this._evaluateThreshold(varState.value, autoRemove)) {
-                this.removeModifier(entity, modifier.id);
+        }
+        if (row.correlations) {
+            result.correlations = {};
+            for (const pair of String(row.correlations).split('|')) {
+                const [attrId, rho] = pair.split(':').map(v => v.trim());
+                if (attrId && !isNaN(parseFloat(rho))) result.correlations[attrId] = parseFloat(rho);
             }
         }
+        return result;
     }
 
-    _evaluateThreshold(value, condition) {
-        if (!condition) return false;
-        const threshold = condition.value;
-        switch (condition.operator || condition.op) {
-            case '<': return value < threshold;
-            case '<=': return value <= threshold;
-            case '>': return value > threshold;
-            case '>=': return value >= threshold;
-            case '==': return value === threshold;
-            case '!=': return value !== threshold;
-            default: return false;
+    /**
+     * Import variables from CSV.
+     * Expected columns: id, name, description, min, max, initial, base_rate, change_mode, direction
+     */
+    static importVariables(csvString, config) {
+        const rows = this.parse(csvString);
+        const nodes = [];
+
+        for (const row of rows) {
+            if (!row.id) continue;
+
+            nodes.push({
+                id: row.id,
+                name: row.name || row.id,
+                description: row.description || '',
+                type: 'variable',
+                config: {
+                    min: row.min ?? 0,
+                    max: row.max ?? 100,
+                    initial: row.initial ?? row.max ?? 100,
+                    baseRate: row.base_rate ?? 0,
+                    changeMode: row.change_mode || 'manual',
+                    direction: row.direction || 'none'
+                }
+            });
         }
-    }
 
-    _evaluateConditions(entity, conditions) {
-        if (!conditions || conditions.length === 0) return true;
-        return conditions.every(cond => this._evaluateCondition(entity, cond));
+        config.nodes = config.nodes.filter(n => n.type !== 'variable');
+        config.nodes.push(...nodes);
+
+        return nodes;
     }
 
-    _evaluateCondition(entity, condition) {
-        if (!condition) return true;
+    /**
+     * Import traits from CSV.
+     * Expected columns: id, name, description, layer, base_weight
+     */
+    static importTraits(csvString, config) {
+        const rows = this.parse(csvString);
+        const nodes = [];
+        const layerTraits = new Map();
+
+        for (const row of rows) {
+            if (!row.id || !row.layer) continue;
+
+            nodes.push({
+                id: row.id,
+                name: row.name || row.id,
+                description: row.description || '',
+                type: 'trait',
+                config: {
+                    layerId: row.layer,
+                    selection: {
+                        baseWeight: row.base_weight ?? 20
+                    }
+                }
+            });
 
-        if (condition.all) {
-            return condition.all.every(c => this._evaluateCondition(entity, c));
-        }
-        if (condition.any) {
-            return condition.any.some(c => this._evaluateCondition(entity, c));
-        }
-        if (condition.not) {
-            return !this._evaluateCondition(entity, condition.not);
+            if (!layerTraits.has(row.layer)) {
+                layerTraits.set(row.layer, []);
+            }
+            layerTraits.get(row.layer).push(row.id);
         }
 
-        const { type, target, operator, value } = condition;
-        let actualValue;
+        // Remove existing traits and add new ones
+        config.nodes = config.nodes.filter(n => n.type !== 'trait' && n.type !== 'item');
+        config.nodes.push(...nodes);
 
-        switch (type) {
-            case 'attribute': actualValue = entity.attributes[target]; break;
-            case 'variable': actualValue = entity.variables[target]?.value; break;
-            case 'context': actualValue = entity.contexts[target]; break;
-            case 'trait':
-            case 'item':
-                return this._isNodeActive(entity, target);
-            case 'modifier': return entity.modifiers.includes(target);
-            case 'compound': return entity.compounds.includes(target);
-            default: return false;
+        // Update layer traitIds
+        for (const [layerId, traitIds] of layerTraits) {
+            const layer = config.nodes.find(n => n.id === layerId && n.type === 'layer');
+            if (layer) {
+                layer.config.traitIds = traitIds;
+            }
         }
 
-        return this._compareValues(actualValue, operator, value);
+        return nodes;
     }
 
-    _compareValues(actual, operator, expected) {
-        switch (operator) {
-            case '<': case 'lt': return actual < expected;
-            case '<=': case 'lte': return actual <= expected;
-            case '>': case 'gt': return actual > expected;
-            case '>=': case 'gte': return actual >= expected;
-            case '==': case 'eq': return actual == expected;
-            case '===': return actual === expected;
-            case '!=': case 'ne': return actual != expected;
-            case '!==': return actual !== expected;
-            default: return false;
+    /**
+     * Import layers from CSV.
+     * Expected columns: id, name, description, order, selection_mode, max_items, initial_rolls, roll_at
+     */
+    static importLayers(csvString, config) {
+        const rows = this.parse(csvString);
+        const nodes = [];
+
+        for (const row of rows) {
+            if (!row.id) continue;
+
+            nodes.push({
+                id: row.id,
+                name: row.name || row.id,
+                description: row.description || '',
+                type: 'layer',
+                config: {
+                    order: row.order ?? 0,
+                    selection: {
+                        mode: row.selection_mode || 'weighted',
+                        maxItems: row.max_items ?? 10,
+                        initialRolls: row.initial_rolls ?? 1
+                    },
+                    timing: {
+                        rollAt: row.roll_at || 'spawn'
+                    },
+                    traitIds: []
+                }
+            });
         }
+
+        config.nodes = config.nodes.filter(n => n.type !== 'layer');
+        config.nodes.push(...nodes);
+
+        return nodes;
     }
 
-    _isNodeActive(entity, nodeId) {
-        const node = this.getNode(nodeId);
-        if (!node) return false;
+    /**
+     * Import presets from CSV.
+     * Expected columns: id, name, description, tags, force_traits, [attribute columns...]
+     */
+    static importPresets(csvString, entityManager) {
+        const rows = this.parse(csvString);
+        const presets = [];
+
+        for (const row of rows) {
+            if (!row.id) continue;
+
+            const preset = {
+                id: row.id,
+                name: row.name || row.id,
+                description: row.description || '',
+                tags: row.tags ? row.tags.split('|').map(t => t.trim()) : [],
+                forceTraits: row.force_traits ? row.force_traits.split('|').map(t => t.trim()) : [],
+                attributes: {}
+            };
 
-        if (node.type === 'trait' || node.type === 'item') {
-            const layerId = node.config.layerId;
-            return entity.layers[layerId]?.active?.includes(nodeId) || false;
-        }
+            // Collect attribute overrides (any column starting with 'attr_')
+            for (const [key, value] of Object.entries(row)) {
+                if (key.startsWith('attr_') && typeof value === 'number') {
+                    preset.attributes[key] = value;
+                }
+            }
 
-        switch (node.type) {
-            case 'modifier': return entity.modifiers.includes(nodeId);
-            case 'compound': return entity.compounds.includes(nodeId);
-            case 'attribute':
-            case 'variable':
-            case 'context':
-                return true;
-            default: return false;
+            presets.push(preset);
+            entityManager.registerPreset(row.id, preset);
         }
+
+        return presets;
     }
 
-    _calculateRelationshipValue(entity, rel) {
-        let value = rel.config.value;
-        if (rel.config.scaling === 'perPoint' && rel.config.perPointSource) {
-            const sourceNode = this.getNode(rel.config.perPointSource);
-            if (sourceNode) {
-                if (sourceNode.type === 'attribute') {
-                    value *= entity.attributes[rel.config.perPointSource] ?? 0;
-                } else if (sourceNode.type === 'variable') {
-                    value *= entity.variables[rel.config.perPointSource]?.value ?? 0;
+    /**
+     * Import relationships from CSV.
+     * Expected columns: id, source, target, type, operation, value, scaling, per_point_source
+     * Optional: invert, and for scaling = curve: curve, curve_points, curve_params, curve_source
+     *
+     * `curve` is a curve type or a quoted JSON curve definition; `curve_points`
+     * is "x:y|x:y|..." and `curve_params` is "key=value|..." (see SpawnManager#evaluateCurve).
+     *
+     * @example
+     * // id,source,target,type,operation,value,scaling,curve,curve_points
+     * // rel_patience,attr_patience,item_grumpy,weight_influence,add,30,curve,piecewise,1:1|3:0.3|7:0.05|10:0
+     */
+    static importRelationships(csvString, config) {
+        const rows = this.parse(csvString);
+        const relationships = [];
+
+        for (const row of rows) {
+            if (!row.source || !row.target || !row.type) continue;
+
+            const curve = this.parseCurve(row);
+            relationships.push({
+                id: row.id || `rel_${row.source}_${row.target}`,
+                sourceId: row.source,
+                targetId: row.target,
+                type: row.type,
+                config: {
+                    operation: row.operation || 'add',
+                    value: row.value ?? 0,
+                    scaling: row.scaling || (curve ? 'curve' : 'flat'),
+                    perPointSource: row.per_point_source || null,
+                    ...(row.invert === true && { invert: true }),
+                    ...(curve && { curve }),
+                    ...(row.curve_source && { curveSource: row.curve_source })
                 }
-            }
+            });
         }
-        return value;
-    }
 
-    _rollRange(min, max, precision = 0) {
-        const value = min + Math.random() * (max - min);
-        if (precision === 0) return Math.round(value);
-        const factor = Math.pow(10, precision);
-        return Math.round(value * factor) / factor;
+        config.relationships = config.relationships.filter(r =>
+            !relationships.find(nr => nr.id === r.id)
+        );
+        config.relationships.push(...relationships);
+
+        return relationships;
     }
 
-    _evaluateFormula(formula, context) {
-        const keys = Object.keys(context);
-        const values = Object.values(context);
-        const fn = new Function(...keys, `return ${formula}`);
-        return fn(...values);
+    /**
+     * Build a curve definition from a relationship row's curve columns.
+     * @returns {Object|null} Curve definition, or null if the row has none
+     */
+    static parseCurve(row) {
+        if (!row.curve) return null;
+
+        let curve;
+        const raw = String(row.curve).trim();
+        if (raw.startsWith('{')) {
+            try {
+                curve = JSON.parse(raw);
+            } catch (e) {
+                console.warn(`CSV: invalid curve JSON for relationship "${row.id || row.source}": ${e.message}`);
+                return null;
+            }
+        } else {
+            curve = { type: raw };
+        }
+
+        if (row.curve_points !== undefined && row.curve_points !== '') {
+            curve.points = String(row.curve_points).split('|').map(pair => {
+                const [x, y] = pair.split(':').map(v => parseFloat(v.trim()));
+                return [x, y];
+            });
+        }
+        if (row.curve_params) {
+            for (const param of String(row.curve_params).split('|')) {
+                const [key, value] = param.split('=').map(v => v.trim());
+                if (!key) continue;
+                curve[key] = value !== '' && !isNaN(value) ? parseFloat(value) : value;
+            }
+        }
+        return curve;
     }
 }
 
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { SpawnEngine };
-} else if (typeof window !== 'undefined') {
-    window.SpawnEngine = SpawnEngine;
-}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+    SpawnEngine, SpawnManager, EntityManager, CSVImporter, SeededRandom,
+    RealtimeClock, ManualClock, ScaledClock, TickScheduler, FormulaCompiler,
+    FormulaError, ConfigValidationError, ConfigMigrator, StructOfArraysStorage,
+    EngineWorkerHost, SpawnEngineProxy
+};
+
+export default SpawnEngine;
@@ -3,7 +3,10 @@
  * @module hierarchical-state-engine
  */
 
-export { SpawnEngine } from './engine.js';
+import SpawnEngine from './engine.js';
+
+// Everything engine.js exports (it is built from reference/spawn-engine.js)
+export * from './engine.js';
 
 // Re-export for convenience
 export default SpawnEngine;
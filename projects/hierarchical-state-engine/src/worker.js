@@ -0,0 +1,27 @@
+/**
+ * Hierarchical State Engine - ES Module Worker Entry
+ *
+ * Serves a SpawnEngine to a SpawnEngineProxy on the main thread, using the
+ * ES module build (engine.js). Works as a module Web Worker and as a Node
+ * `worker_threads` worker. reference/spawn-worker.js is the same entry for
+ * the classic browser bundle.
+ *
+ * @module hierarchical-state-engine/worker
+ * @example
+ * // Browser
+ * const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+ * const engine = new SpawnEngineProxy(worker, config);
+ *
+ * // Node
+ * import { Worker } from 'worker_threads';
+ * const engine = new SpawnEngineProxy(new Worker(new URL('./worker.js', import.meta.url)), config);
+ */
+
+import { EngineWorkerHost } from './engine.js';
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    EngineWorkerHost.listen(self);
+} else {
+    // A Node parentPort holds messages until a listener is attached
+    import('worker_threads').then(({ parentPort }) => EngineWorkerHost.listen(parentPort));
+}
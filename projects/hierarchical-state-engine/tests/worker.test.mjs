@@ -0,0 +1,107 @@
+/**
+ * Worker Mode Tests
+ *
+ * Starts real `worker_threads` workers from both entries (src/worker.js and
+ * reference/spawn-worker.js) and drives them through a SpawnEngineProxy.
+ * Browsers cannot run these, so they live outside engine.test.html.
+ *
+ * @example
+ * node tests/worker.test.mjs
+ */
+
+import { Worker } from 'worker_threads';
+import { SpawnEngineProxy } from '../src/index.js';
+
+// Minimal test framework (async version of engine.test.html's)
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (e) {
+        failed++;
+        console.log(`  ✗ ${name}: ${e.message}`);
+    }
+}
+
+function assert(condition, message = 'Assertion failed') {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message} Expected ${expected}, got ${actual}`);
+    }
+}
+
+// Test configuration
+const testConfig = {
+    id: 'worker-test',
+    name: 'Worker Test',
+    nodes: [
+        { id: 'var_health', name: 'Health', type: 'variable', config: { min: 0, max: 100, initial: 100, baseRate: -10, changeMode: 'timed', direction: 'deplete' } },
+        { id: 'var_energy', name: 'Energy', type: 'variable', config: { min: 0, max: 100, initial: 50, baseRate: 0, changeMode: 'manual' } },
+        { id: 'mod_wounded', name: 'Wounded', type: 'modifier', config: { trigger: { type: 'threshold', static: true, conditions: [{ target: 'var_health', operator: '<=', value: 50 }] } } },
+        { id: 'mod_buff', name: 'Buff', type: 'modifier', config: {} },
+        { id: 'derived_total', name: 'Total', type: 'derived', config: { formula: 'var_health + var_energy' } }
+    ],
+    relationships: [],
+    engineConfig: { seed: 'workers' }
+};
+
+const entries = [
+    ['src/worker.js', new URL('../src/worker.js', import.meta.url)],
+    ['reference/spawn-worker.js', new URL('../reference/spawn-worker.js', import.meta.url)]
+];
+
+for (const [label, entry] of entries) {
+    console.log(label);
+    const engine = new SpawnEngineProxy(new Worker(entry), testConfig, { manualClock: true });
+
+    await test('ready: worker engine starts', async () => {
+        assertEqual(await engine.ready, true);
+    });
+
+    await test('spawn: cached state matches the worker', async () => {
+        const entity = await engine.spawn();
+        const cached = engine.getCachedState(entity.id);
+        assertEqual(cached.variables.var_health.value, 100);
+        assertEqual(JSON.stringify(await engine.getState(entity.id)), JSON.stringify(cached));
+    });
+
+    await test('tickAll: batch updates the cache before the call resolves', async () => {
+        const [id] = engine.entities.keys();
+        await engine.tickAll(3);
+        const cached = engine.getCachedState(id);
+        assertEqual(cached.variables.var_health.value, 70);
+        assertEqual(cached.derived.derived_total, 120);
+        assertEqual(JSON.stringify(await engine.getState(id)), JSON.stringify(cached));
+    });
+
+    await test('events: forwarded in order, after the cache is updated', async () => {
+        const [id] = engine.entities.keys();
+        const seen = [];
+        engine.on('modifierApplied', ({ entityId, modifierId }) => {
+            seen.push(`${modifierId}:${engine.getCachedState(entityId).variables.var_health.value}`);
+        });
+        assertEqual(await engine.applyModifier(id, 'mod_buff'), true);
+        await engine.tickAll(3);
+        assertEqual(seen.join(), 'mod_buff:70,mod_wounded:40');
+        assert(engine.getCachedState(id).activeModifiers.some(m => m.id === 'mod_wounded'), 'cache missed mod_wounded');
+    });
+
+    await test('despawn: removed from the cache', async () => {
+        const [id] = engine.entities.keys();
+        await engine.despawn(id);
+        assertEqual(engine.getCachedState(id), null);
+        assertEqual(await engine.getState(id), null);
+    });
+
+    await engine.terminate();
+}
+
+console.log(`${passed} passed, ${failed} failed`);
+if (failed > 0) process.exitCode = 1;